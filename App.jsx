@@ -1,10 +1,10 @@
 import React, { useState, useEffect, useCallback, createContext, useContext, useRef } from 'react';
 import { initializeApp } from 'firebase/app';
 import { getAuth, signInWithCustomToken, signInAnonymously, signOut, onAuthStateChanged } from 'firebase/auth';
-import { getFirestore, collection, onSnapshot, doc, updateDoc, addDoc, deleteDoc, getDocs } from 'firebase/firestore'; // Import Firestore functions
+import { getFirestore, collection, onSnapshot, doc, updateDoc, addDoc, deleteDoc, getDocs, deleteField, arrayUnion, runTransaction } from 'firebase/firestore'; // Import Firestore functions
 
 // Added new icons for UI/UX features
-import { Home, Users, FileText, DollarSign, Settings, TrendingUp, Briefcase, MessageSquare, Plus, CreditCard, Layers, ArrowLeft, Calculator, LogOut, Loader, Calendar as CalendarIcon, User, Lock, Save, ClipboardList, Send, ThumbsUp, ThumbsDown, Download, Video, Workflow, BriefcaseBusiness, Search, Sun, Moon, Info, CheckCircle, XCircle, Share2, Award, ClipboardCheck, Zap, Server, BrainCircuit } from 'lucide-react'; // Added BrainCircuit for AI
+import { Home, Users, FileText, DollarSign, Settings, TrendingUp, Briefcase, MessageSquare, Plus, CreditCard, Layers, ArrowLeft, Calculator, LogOut, Loader, Calendar as CalendarIcon, User, Lock, Save, ClipboardList, Send, ThumbsUp, ThumbsDown, Download, Video, Workflow, BriefcaseBusiness, Search, Sun, Moon, Info, CheckCircle, XCircle, Share2, Award, ClipboardCheck, Zap, Server, BrainCircuit, ArrowUpRight, ArrowDownRight, Minus, Columns, List, Pin, PinOff, Pencil, Reply, AtSign, Upload, Globe } from 'lucide-react'; // Added BrainCircuit for AI
 import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, PieChart, Pie, Cell } from 'recharts';
 
 // --- Theme Context ---
@@ -83,6 +83,33 @@ const NotificationProvider = ({ children }) => {
 
 const useNotification = () => useContext(NotificationContext);
 
+// --- Time Zone Context ---
+const TimeZoneContext = createContext();
+
+// Dates and times render in the user's chosen timezone (kept in localStorage), falling back to the organisation default
+const TimeZoneProvider = ({ orgTimeZone, children }) => {
+  const [userTimeZone, setUserTimeZone] = useState(() => localStorage.getItem('timeZone') || '');
+
+  useEffect(() => {
+    if (userTimeZone) {
+      localStorage.setItem('timeZone', userTimeZone);
+    } else {
+      localStorage.removeItem('timeZone');
+    }
+  }, [userTimeZone]);
+
+  const resolvedOrgTimeZone = orgTimeZone && isValidTimeZone(orgTimeZone) ? orgTimeZone : DEFAULT_ORG_TIMEZONE;
+  const timeZone = userTimeZone && isValidTimeZone(userTimeZone) ? userTimeZone : resolvedOrgTimeZone;
+
+  return (
+    <TimeZoneContext.Provider value={{ timeZone, orgTimeZone: resolvedOrgTimeZone, userTimeZone, setUserTimeZone }}>
+      {children}
+    </TimeZoneContext.Provider>
+  );
+};
+
+const useTimeZone = () => useContext(TimeZoneContext);
+
 
 // Helper to format Indian Rupee (INR)
 const formatINR = (amount) => {
@@ -95,1475 +122,9478 @@ const formatINR = (amount) => {
   }).format(amount);
 };
 
-// Reusable Card Component
-const Card = ({ title, value, icon: Icon, colorClass = 'text-blue-400' }) => {
-  const { theme } = useTheme();
-  return (
-    <div className={`p-6 rounded-lg shadow-md flex items-center space-x-4 ${theme === 'dark' ? 'bg-zinc-800' : 'bg-white'}`}>
-      <div className={`p-3 rounded-full bg-opacity-20 ${colorClass.replace('text-', 'bg-')}`}>
-        <Icon size={24} className={colorClass} />
-      </div>
-      <div>
-        <p className={`text-sm ${theme === 'dark' ? 'text-gray-400' : 'text-gray-600'}`}>{title}</p>
-        <p className={`text-xl font-bold ${theme === 'dark' ? 'text-white' : 'text-zinc-900'}`}>{value}</p>
-      </div>
-    </div>
-  );
+// Helper to read an INR amount that may be stored as a number or a preformatted string (e.g. "₹12,34,567")
+const parseINR = (value) => {
+  if (typeof value === 'number') return value;
+  const parsed = Number(String(value ?? '').replace(/[^0-9.-]/g, ''));
+  return isNaN(parsed) ? 0 : parsed;
 };
 
-// Navigation Item Component
-const NavItem = ({ icon: Icon, text, isActive, onClick }) => {
-  const { theme } = useTheme();
-  return (
-    <button
-      className={`flex items-center space-x-3 p-3 rounded-lg transition-colors duration-200 ${
-        isActive
-          ? `${theme === 'dark' ? 'bg-zinc-700 text-white shadow-md' : 'bg-blue-100 text-blue-700'}`
-          : `${theme === 'dark' ? 'text-gray-300 hover:bg-zinc-700 hover:text-white' : 'text-gray-700 hover:bg-gray-100 hover:text-blue-700'}`
-      }`}
-      onClick={onClick}
-      aria-label={text}
-    >
-      <Icon size={20} />
-      <span className="font-medium text-xs md:text-sm">{text}</span>
-    </button>
-  );
+// --- Compensation ---
+// Amounts are stored as whole rupees in `currency` and only formatted (formatINR) when rendered.
+// `effectiveDate` (YYYY-MM-DD) is the day the figures take effect.
+const DEFAULT_CURRENCY = 'INR';
+
+const createCompensation = ({ annualCTC, currency = DEFAULT_CURRENCY, effectiveDate = null }) => ({
+  annualCTC: Math.round(annualCTC),
+  currency,
+  effectiveDate,
+});
+
+// Falls back to the legacy formatted `annualCTC` string for records the migration has not reached yet
+const getAnnualCTC = (employee) => employee.compensation?.annualCTC ?? parseINR(employee.annualCTC);
+
+// Field changes that move a record written with formatted INR strings onto numeric amounts, or null once migrated
+const getCompensationMigrationChanges = (collectionName, data) => {
+  if (collectionName === 'employees') {
+    if (data.compensation && data.annualCTC === undefined) return null;
+    return {
+      compensation: data.compensation || createCompensation({ annualCTC: parseINR(data.annualCTC), effectiveDate: data.hireDate || null }),
+      annualCTC: deleteField(),
+    };
+  }
+  if (collectionName === 'offers') {
+    if (typeof data.baseSalary === 'number' && typeof data.bonus === 'number' && data.currency) return null;
+    return { baseSalary: parseINR(data.baseSalary), bonus: parseINR(data.bonus), currency: data.currency || DEFAULT_CURRENCY };
+  }
+  return null;
 };
 
-// Candidate Detail View Component
-const CandidateDetailView = ({ candidate, onBack, onUpdateCandidateStage }) => {
-  const { theme } = useTheme();
-  const { showNotification } = useNotification();
-  const [currentStage, setCurrentStage] = useState(candidate.stage);
-  const [internalNotes, setInternalNotes] = useState(candidate.internalNotes || '');
-  const [offerLetterStatus, setOfferLetterStatus] = useState('Not Generated');
-  const [backgroundCheckStatus, setBackgroundCheckStatus] = useState('Not Started');
-  const [assessmentStatus, setAssessmentStatus] = useState('Pending');
-  const [generatedQuestions, setGeneratedQuestions] = useState(null); // State for generated questions
-  const [isGeneratingQuestions, setIsGeneratingQuestions] = useState(false); // Loading state for LLM call
+// Helper to get a local YYYY-MM-DD key for a date
+const toLocalDateKey = (date) => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
 
+// --- Time Zones ---
+// Organisation default; events saved before timezones were recorded are wall-clock times in this zone
+const DEFAULT_ORG_TIMEZONE = 'Asia/Kolkata';
+const TIMEZONE_OPTIONS = ['Asia/Kolkata', 'Asia/Dubai', 'Asia/Singapore', 'Asia/Tokyo', 'Australia/Sydney', 'Europe/London', 'Europe/Berlin', 'America/New_York', 'America/Chicago', 'America/Los_Angeles', 'UTC'];
 
-  const handleStageChange = async (e) => {
-    const newStage = e.target.value;
-    setCurrentStage(newStage);
-    await onUpdateCandidateStage(candidate.id, newStage);
-    showNotification(`Candidate stage updated to: ${newStage}`, 'success');
-  };
+const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Calendar date (YYYY-MM-DD) and minutes from midnight of an instant, as seen in a timezone
+const getZonedParts = (date, timeZone) => {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone, hourCycle: 'h23', year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit',
+  }).formatToParts(date).map(part => [part.type, part.value]));
+  return { dateKey: `${parts.year}-${parts.month}-${parts.day}`, minutes: Number(parts.hour) * 60 + Number(parts.minute) };
+};
 
-  const handleSaveNotes = () => {
-    // In a real app, this would save to a database. For this example, it's just a notification.
-    showNotification('Notes saved!', 'success');
+// Offset of an IANA timezone from UTC at a given instant, in minutes
+const getTimeZoneOffsetMinutes = (timeZone, date) => {
+  const { dateKey, minutes } = getZonedParts(date, timeZone);
+  const wallClockAsUtc = Date.parse(`${dateKey}T00:00:00Z`) + minutes * 60 * 1000;
+  return Math.round((wallClockAsUtc - Math.floor(date.getTime() / 60000) * 60000) / 60000);
+};
+
+// UTC instant of a wall-clock time in a timezone (the second pass settles times next to a DST change)
+const zonedTimeToDate = (dateKey, minutes, timeZone) => {
+  const wallClockAsUtc = Date.parse(`${dateKey}T00:00:00Z`) + minutes * 60 * 1000;
+  const firstGuess = wallClockAsUtc - getTimeZoneOffsetMinutes(timeZone, new Date(wallClockAsUtc)) * 60 * 1000;
+  return new Date(wallClockAsUtc - getTimeZoneOffsetMinutes(timeZone, new Date(firstGuess)) * 60 * 1000);
+};
+
+// The same moment expressed as a wall-clock date and time in another timezone
+const convertWallTime = (dateKey, minutes, fromTimeZone, toTimeZone) => (fromTimeZone === toTimeZone
+  ? { dateKey, minutes }
+  : getZonedParts(zonedTimeToDate(dateKey, minutes, fromTimeZone), toTimeZone));
+
+// Today's YYYY-MM-DD in a timezone, independent of the browser's own zone
+const getTodayKey = (timeZone, now = new Date()) => getZonedParts(now, timeZone).dateKey;
+
+// 'Asia/Kolkata (GMT+5:30)' style label for pickers and calendar headers
+const formatTimeZoneLabel = (timeZone, date = new Date()) => {
+  const offset = getTimeZoneOffsetMinutes(timeZone, date);
+  const sign = offset < 0 ? '-' : '+';
+  const hours = Math.floor(Math.abs(offset) / 60);
+  const minutes = Math.abs(offset) % 60;
+  return `${timeZone.replace(/_/g, ' ')} (GMT${sign}${hours}${minutes ? `:${String(minutes).padStart(2, '0')}` : ''})`;
+};
+
+// Candidate pipeline stages, in pipeline order
+const CANDIDATE_STAGES = ['Resume Reviewed', 'Screening', 'Assessment Taken', 'Interview - R1', 'Interview - R2', 'Offer Extended', 'Offer Accepted', 'On Hold', 'Offer Rejected'];
+
+// --- Pipeline Analytics ---
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const average = (values) => (values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : null);
+
+const median = (values) => {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+const formatDays = (days) => (days === null || days === undefined ? 'N/A' : `${days.toFixed(1)} days`);
+
+// Stage transition records ({ from, to, by, at }) for a candidate, oldest first
+const getStageHistory = (candidate) => [...(candidate.stageHistory || [])].sort((a, b) => a.at.localeCompare(b.at));
+
+// Days spent in each stage the candidate has already moved out of
+const getStageDurations = (candidate) => {
+  const history = getStageHistory(candidate);
+  return history.slice(0, -1).map((record, i) => ({
+    stage: record.to,
+    days: (new Date(history[i + 1].at) - new Date(record.at)) / DAY_MS,
+  }));
+};
+
+// Days from the candidate's first recorded stage to the first time they reached targetStage
+const getDaysToStage = (candidate, targetStage) => {
+  const history = getStageHistory(candidate);
+  const reached = history.find(record => record.to === targetStage);
+  if (history.length === 0 || !reached) return null;
+  return (new Date(reached.at) - new Date(history[0].at)) / DAY_MS;
+};
+
+const summarizeDays = (values) => ({ avg: average(values), median: median(values), count: values.length });
+
+// Average/median time-in-stage, time-to-offer and time-to-hire, overall and per role
+const computeStageAnalytics = (candidates) => {
+  const durationsByStage = {};
+  candidates.forEach(candidate => {
+    getStageDurations(candidate).forEach(({ stage, days }) => {
+      if (!durationsByStage[stage]) durationsByStage[stage] = [];
+      durationsByStage[stage].push(days);
+    });
+  });
+
+  const daysToStage = (list, stage) => list.map(c => getDaysToStage(c, stage)).filter(days => days !== null);
+  const roles = [...new Set(candidates.map(c => c.jobAppliedFor))].sort();
+
+  return {
+    stages: CANDIDATE_STAGES
+      .filter(stage => durationsByStage[stage])
+      .map(stage => ({ stage, ...summarizeDays(durationsByStage[stage]) })),
+    timeToOffer: summarizeDays(daysToStage(candidates, 'Offer Extended')),
+    timeToHire: summarizeDays(daysToStage(candidates, 'Offer Accepted')),
+    byRole: roles.map(role => {
+      const roleCandidates = candidates.filter(c => c.jobAppliedFor === role);
+      return {
+        role,
+        candidates: roleCandidates.length,
+        timeToOffer: summarizeDays(daysToStage(roleCandidates, 'Offer Extended')),
+        timeToHire: summarizeDays(daysToStage(roleCandidates, 'Offer Accepted')),
+      };
+    }),
   };
+};
+
+// --- Dashboard Metrics ---
+const DASHBOARD_RANGE_PRESETS = [
+  { key: 'today', label: 'Today' },
+  { key: '7d', label: 'Last 7 days' },
+  { key: '30d', label: 'Last 30 days' },
+  { key: '90d', label: 'Last 90 days' },
+  { key: 'month', label: 'This month' },
+  { key: 'custom', label: 'Custom range' },
+];
+
+const startOfDay = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate());
+const endOfDay = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate(), 23, 59, 59, 999);
+
+// Resolves a preset (or a custom YYYY-MM-DD pair) into a { start, end } range of local dates
+const getDashboardRange = (presetKey, now = new Date(), customStart, customEnd) => {
+  const daysBack = { today: 0, '7d': 6, '30d': 29, '90d': 89 }[presetKey];
+  if (daysBack !== undefined) {
+    return { start: startOfDay(new Date(now.getTime() - daysBack * DAY_MS)), end: endOfDay(now) };
+  }
+  if (presetKey === 'month') {
+    return { start: new Date(now.getFullYear(), now.getMonth(), 1), end: endOfDay(now) };
+  }
+  const start = customStart ? new Date(`${customStart}T00:00:00`) : startOfDay(now);
+  const end = customEnd ? new Date(`${customEnd}T23:59:59.999`) : endOfDay(now);
+  return start <= end ? { start, end } : { start: end, end: start };
+};
+
+// The period of the same length immediately before the given range
+const getPreviousRange = ({ start, end }) => {
+  const length = end.getTime() - start.getTime();
+  const previousEnd = new Date(start.getTime() - 1);
+  return { start: new Date(previousEnd.getTime() - length), end: previousEnd };
+};
+
+const isInRange = (value, { start, end }) => {
+  if (!value) return false;
+  const time = new Date(value).getTime();
+  return time >= start.getTime() && time <= end.getTime();
+};
+
+// Status as of a point in time from a { to, at } history; records without history fall back to their current status
+const getStatusAt = (history, time, currentStatus) => {
+  if (!history || history.length === 0) return currentStatus;
+  const reached = history.filter(record => new Date(record.at).getTime() <= time.getTime());
+  return reached.length > 0 ? reached[reached.length - 1].to : null;
+};
 
-  const handleGenerateOfferLetter = () => {
-    // Offer letter generation
-    setOfferLetterStatus('Generated and Sent');
-    showNotification(`Offer letter for ${candidate.name} generated and sent.`, 'success');
+// Every dashboard Card value for one date range, derived from Firestore data
+const computeDashboardMetrics = ({ candidates, offers, events, requisitions }, range) => {
+  const candidateHistories = candidates.map(c => ({ candidate: c, history: getStageHistory(c) }));
+  const hireDays = candidateHistories
+    .filter(({ history }) => history.some(r => r.to === 'Offer Accepted' && isInRange(r.at, range)))
+    .map(({ candidate }) => getDaysToStage(candidate, 'Offer Accepted'))
+    .filter(days => days !== null);
+  const offerDecisions = offers.flatMap(o => (o.history || []).filter(r => (r.to === 'Accepted' || r.to === 'Declined') && isInRange(r.at, range)));
+  const acceptedOffers = offerDecisions.filter(r => r.to === 'Accepted').length;
+  const eventsInRange = events.filter(e => e.date && e.status !== 'Cancelled' && isInRange(e.startsAt || `${e.date}T00:00:00`, range));
+
+  return {
+    activeCandidates: candidateHistories.filter(({ candidate, history }) => {
+      const stage = getStatusAt(history, range.end, candidate.stage);
+      return stage && stage !== 'Offer Accepted' && stage !== 'Offer Rejected';
+    }).length,
+    offersExtended: offers.filter(o => (o.history || []).some(r => r.to === 'Sent' && isInRange(r.at, range))).length,
+    avgTimeToHire: average(hireDays),
+    offerAcceptanceRate: offerDecisions.length > 0 ? (acceptedOffers / offerDecisions.length) * 100 : null,
+    applications: candidateHistories.filter(({ history }) => history.length > 0 && isInRange(history[0].at, range)).length,
+    interviewsScheduled: eventsInRange.filter(e => e.type === 'Interview').length,
+    openJobRequisitions: requisitions.filter(r => getStatusAt(r.history, range.end, r.status) === 'Open').length,
+    pendingApprovals: requisitions.filter(r => getStatusAt(r.history, range.end, r.status) === 'Pending Approval').length,
+    virtualEventsScheduled: eventsInRange.filter(e => e.virtual).length,
   };
+};
 
-  const handleInitiateBackgroundCheck = () => {
-    setBackgroundCheckStatus('Initiated');
-    showNotification('Background check initiated!', 'info');
+// Dashboard cards: how each metric is formatted and which direction counts as an improvement
+const DASHBOARD_CARDS = [
+  { key: 'activeCandidates', title: 'Active Candidates', icon: Users, colorClass: 'text-green-400', unit: 'count', higherIsBetter: true },
+  { key: 'offersExtended', title: 'Offers Extended', icon: DollarSign, colorClass: 'text-purple-400', unit: 'count', higherIsBetter: true },
+  { key: 'avgTimeToHire', title: 'Avg. Time to Hire', icon: FileText, colorClass: 'text-orange-400', unit: 'days', higherIsBetter: false },
+  { key: 'offerAcceptanceRate', title: 'Offer Acceptance Rate', icon: Layers, colorClass: 'text-teal-400', unit: 'percent', higherIsBetter: true },
+  { key: 'applications', title: 'Applications', icon: MessageSquare, colorClass: 'text-red-400', unit: 'count', higherIsBetter: true },
+  { key: 'interviewsScheduled', title: 'Interviews Scheduled', icon: Briefcase, colorClass: 'text-indigo-400', unit: 'count', higherIsBetter: true },
+  { key: 'openJobRequisitions', title: 'Open Job Requisitions', icon: Plus, colorClass: 'text-yellow-400', unit: 'count', higherIsBetter: true },
+  { key: 'pendingApprovals', title: 'Pending Req. Approvals', icon: ThumbsUp, colorClass: 'text-pink-400', unit: 'count', higherIsBetter: false },
+  { key: 'virtualEventsScheduled', title: 'Virtual Events Scheduled', icon: BriefcaseBusiness, colorClass: 'text-blue-400', unit: 'count', higherIsBetter: true },
+];
+
+const formatMetricValue = (value, unit) => {
+  if (value === null || value === undefined) return 'N/A';
+  if (unit === 'days') return `${Math.round(value)} Days`;
+  if (unit === 'percent') return `${value.toFixed(0)}%`;
+  return String(value);
+};
+
+// Change against the previous period, or null when either side has no data
+const getMetricTrend = (current, previous, unit, higherIsBetter) => {
+  if (current === null || current === undefined || previous === null || previous === undefined) return null;
+  const delta = current - previous;
+  const rounded = unit === 'count' ? delta : Math.round(delta);
+  const suffix = unit === 'days' ? ' days' : unit === 'percent' ? ' pts' : '';
+  return {
+    direction: rounded > 0 ? 'up' : rounded < 0 ? 'down' : 'flat',
+    isImprovement: rounded !== 0 && (rounded > 0) === higherIsBetter,
+    label: `${rounded > 0 ? '+' : ''}${rounded}${suffix} vs previous period`,
   };
+};
 
-  const handleSendAssessment = () => {
-    setAssessmentStatus('Sent');
-    showNotification('Assessment sent to candidate!', 'info');
+// --- Job Requisitions ---
+const DEPARTMENTS = ['Engineering', 'Product', 'Human Resources', 'Marketing', 'Sales', 'Finance', 'Operations'];
+const OFFICE_LOCATIONS = ['Bengaluru', 'Mumbai', 'Delhi', 'Hyderabad', 'Chennai', 'Pune'];
+const DEFAULT_INTERVIEW_PLAN = ['Screening', 'Interview - R1', 'Interview - R2'];
+
+// Allowed requisition status transitions; new requisitions start in Pending Approval
+const REQUISITION_TRANSITIONS = {
+  'Pending Approval': ['Open', 'Rejected'],
+  'Open': ['Closed'],
+  'Rejected': ['Pending Approval'],
+  'Closed': [],
+};
+
+// Hiring progress per requisition: linked candidates, offers and hires against headcount
+const computeRequisitionBreakdown = (requisitions, candidates, offers) => requisitions.map(requisition => {
+  const linkedCandidates = candidates.filter(c => c.requisitionId === requisition.id);
+  const hireDays = linkedCandidates.map(c => getDaysToStage(c, 'Offer Accepted')).filter(days => days !== null);
+  return {
+    requisition,
+    candidates: linkedCandidates.length,
+    offers: offers.filter(o => o.requisitionId === requisition.id).length,
+    hires: linkedCandidates.filter(c => c.stage === 'Offer Accepted').length,
+    avgTimeToHire: average(hireDays),
   };
+});
+
+// Recruiting team members that can be @mentioned in candidate notes and act as offer approvers
+const TEAM_MEMBERS = [
+  { name: 'Akshay Arvind', role: 'HR Admin', email: 'akshay.arvind@sapphirehr.example' },
+  { name: 'Priya Nair', role: 'Senior Recruiter', email: 'priya.nair@sapphirehr.example' },
+  { name: 'Rohan Mehta', role: 'Recruiter', email: 'rohan.mehta@sapphirehr.example' },
+  { name: 'Kavya Iyer', role: 'HR Business Partner', email: 'kavya.iyer@sapphirehr.example' },
+  { name: 'Arjun Rao', role: 'Engineering Lead', email: 'arjun.rao@sapphirehr.example' },
+  { name: 'Meera Shah', role: 'Hiring Manager', email: 'meera.shah@sapphirehr.example' },
+];
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Matches "@Full Name" for every known team member, longest names first so overlapping names resolve correctly
+const mentionPattern = new RegExp(
+  `(@(?:${TEAM_MEMBERS.map(m => escapeRegExp(m.name)).sort((a, b) => b.length - a.length).join('|')}))`,
+  'g'
+);
+
+// Helper to pull the list of mentioned team member names out of a note
+const extractMentions = (text) => {
+  const matches = (text || '').match(mentionPattern) || [];
+  return [...new Set(matches.map(m => m.slice(1)))];
+};
 
-  // Function to call Gemini API for interview question generation
-  const generateInterviewQuestions = async () => {
-    setIsGeneratingQuestions(true);
-    setGeneratedQuestions(null); // Clear previous questions
+// Helper to trigger a browser download for generated content (CSV, HTML, etc.)
+const downloadFile = (content, fileName, mimeType) => {
+  const blob = new Blob([content], { type: mimeType });
+  const link = document.createElement('a');
+  if (link.download === undefined) return false;
+  const url = URL.createObjectURL(blob);
+  link.setAttribute('href', url);
+  link.setAttribute('download', fileName);
+  link.style.visibility = 'hidden';
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+  return true;
+};
 
-    const prompt = `Generate 5-7 interview questions for a candidate applying for the role of "${candidate.jobAppliedFor}".
-    The candidate has the following highlights from their resume:
-    Education: ${candidate.resumeHighlights?.education || 'N/A'}
-    Experience: ${candidate.resumeHighlights?.experience || 'N/A'}
-    Skills: ${(candidate.resumeHighlights?.skills || []).join(', ') || 'N/A'}
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// --- Offer Letter Templates ---
+// Merge fields available to offer letter templates as {{key}} placeholders
+const OFFER_LETTER_MERGE_FIELDS = [
+  { key: 'candidateName', label: 'Candidate name' },
+  { key: 'jobTitle', label: 'Job applied for' },
+  { key: 'baseSalary', label: 'Base salary (INR)' },
+  { key: 'annualBonus', label: 'Annual bonus (INR)' },
+  { key: 'equity', label: 'Equity / stock' },
+  { key: 'allowances', label: 'Allowances' },
+  { key: 'totalCompensation', label: 'Total compensation (INR)' },
+  { key: 'noticePeriod', label: 'Notice period' },
+  { key: 'recruiterName', label: 'Recruiter name' },
+  { key: 'offerDate', label: 'Date of the letter' },
+  { key: 'companyName', label: 'Company name' },
+];
+
+const DEFAULT_OFFER_LETTER_TEMPLATE = {
+  id: 'default',
+  name: 'Standard Offer Letter',
+  body: `<p>{{offerDate}}</p>
+<p>Dear {{candidateName}},</p>
+<p>We are delighted to offer you the position of <strong>{{jobTitle}}</strong> at {{companyName}}.</p>
+<p>Your compensation will be as follows:</p>
+<ul>
+  <li>Base Salary: {{baseSalary}} per annum</li>
+  <li>Annual Bonus: {{annualBonus}}</li>
+  <li>Equity / Stock: {{equity}}</li>
+  <li>Allowances: {{allowances}}</li>
+  <li>Total Compensation (Estimated): {{totalCompensation}}</li>
+</ul>
+<p>Please confirm your joining date, keeping in mind your notice period of {{noticePeriod}}.</p>
+<p>Sincerely,<br/>{{recruiterName}}<br/>{{companyName}}</p>`,
+};
 
-    Focus on questions that assess both technical skills and behavioral aspects relevant to the role and their experience.
-    Format the output as a numbered list of questions.`;
+// Collects the merge field values for a candidate's offer letter
+const buildOfferLetterFields = (candidate, recruiterName) => ({
+  candidateName: candidate.name,
+  jobTitle: candidate.jobAppliedFor,
+  baseSalary: formatINR(candidate.compensation?.baseSalary),
+  annualBonus: formatINR(candidate.compensation?.annualBonus),
+  equity: candidate.compensation?.equity || 'N/A',
+  allowances: candidate.compensation?.allowances || 'N/A',
+  totalCompensation: formatINR(candidate.compensation?.totalCompensation),
+  noticePeriod: candidate.noticePeriod || 'N/A',
+  recruiterName: recruiterName || 'Sapphire HR Recruiting Team',
+  offerDate: new Date().toLocaleDateString('en-IN', { day: 'numeric', month: 'long', year: 'numeric' }),
+  companyName: 'Sapphire HR',
+});
+
+// Replaces {{key}} placeholders with escaped field values; unknown placeholders are left untouched
+const renderOfferLetter = (templateBody, fields) => (templateBody || '').replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) => (
+  Object.prototype.hasOwnProperty.call(fields, key) ? escapeHtml(fields[key] ?? '') : match
+));
+
+// Wraps a rendered letter body in a standalone, printable HTML document
+const wrapOfferLetterHtml = (title, bodyHtml) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8" />
+<title>${escapeHtml(title)}</title>
+<style>
+  body { font-family: Georgia, 'Times New Roman', serif; max-width: 720px; margin: 40px auto; padding: 0 24px; line-height: 1.6; color: #1f2937; }
+  h1 { font-size: 20px; border-bottom: 2px solid #2563eb; padding-bottom: 8px; }
+  @media print { body { margin: 0 auto; } }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+${bodyHtml}
+</body>
+</html>`;
+
+// --- Offer Lifecycle ---
+// Allowed status transitions; Accepted, Declined, Expired and Rescinded are terminal
+const OFFER_TRANSITIONS = {
+  'Draft': ['Pending Approval', 'Rescinded'],
+  'Pending Approval': ['Approved', 'Draft', 'Rescinded'],
+  'Approved': ['Sent', 'Rescinded'],
+  'Sent': ['Accepted', 'Declined', 'Expired', 'Rescinded'],
+  'Accepted': [],
+  'Declined': [],
+  'Expired': [],
+  'Rescinded': [],
+};
 
-    try {
-      const chatHistory = [];
-      chatHistory.push({ role: "user", parts: [{ text: prompt }] });
-      const payload = { contents: chatHistory };
-      const apiKey = ""; // If you want to use models other than gemini-2.0-flash or imagen-3.0-generate-002, provide an API key here. Otherwise, leave this as-is.
-      const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash:generateContent?key=${apiKey}`;
+// Candidate stage to move to when an offer reaches one of these statuses
+const OFFER_STATUS_CANDIDATE_STAGE = {
+  'Sent': 'Offer Extended',
+  'Accepted': 'Offer Accepted',
+  'Declined': 'Offer Rejected',
+};
 
-      const response = await fetch(apiUrl, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(payload)
-      });
+// Approver chain by total offer value (base + bonus); higher bands need more sign-offs
+const OFFER_APPROVAL_BANDS = [
+  { upTo: 1500000, roles: ['Hiring Manager'] },
+  { upTo: 3000000, roles: ['Hiring Manager', 'HR Business Partner'] },
+  { upTo: Infinity, roles: ['Hiring Manager', 'HR Business Partner', 'HR Admin'] },
+];
 
-      const result = await response.json();
-      if (result.candidates && result.candidates.length > 0 &&
-          result.candidates[0].content && result.candidates[0].content.parts &&
-          result.candidates[0].content.parts.length > 0) {
-        const text = result.candidates[0].content.parts[0].text;
-        setGeneratedQuestions(text);
-        showNotification('Interview questions generated!', 'success');
-      } else {
-        setGeneratedQuestions("Failed to generate questions. Please try again.");
-        showNotification('Failed to generate questions.', 'error');
-      }
-    } catch (error) {
-      console.error("Error generating interview questions:", error);
-      setGeneratedQuestions("Error generating questions. Please check console for details.");
-      showNotification('Error generating questions. Network or API issue.', 'error');
-    } finally {
-      setIsGeneratingQuestions(false);
-    }
-  };
+// Older offers were stored with a free-form "Pending" status, which meant the offer was already out with the candidate
+const getOfferStatus = (offer) => (offer.status === 'Pending' ? 'Sent' : offer.status) || 'Draft';
 
+const canTransitionOffer = (offer, toStatus) => (OFFER_TRANSITIONS[getOfferStatus(offer)] || []).includes(toStatus);
 
-  const allStages = ['Resume Reviewed', 'Screening', 'Assessment Taken', 'Interview - R1', 'Interview - R2', 'Offer Extended', 'Offer Accepted', 'On Hold', 'Offer Rejected'];
+const getOfferTotal = (offer) => parseINR(offer.baseSalary) + parseINR(offer.bonus);
 
-  return (
-    <div>
-      <button onClick={onBack} className={`flex items-center text-sm mb-6 transition-colors duration-200 ${theme === 'dark' ? 'text-blue-400 hover:text-blue-300' : 'text-blue-600 hover:text-blue-800'}`} aria-label="Back to Candidates">
-        <ArrowLeft size={16} className="mr-2" /> Back to Candidates
-      </button>
+const buildOfferApprovalChain = (offer) => {
+  const total = getOfferTotal(offer);
+  const band = OFFER_APPROVAL_BANDS.find(b => total <= b.upTo);
+  return band.roles.map(role => ({
+    role,
+    approver: TEAM_MEMBERS.find(m => m.role === role)?.name || role,
+    status: 'Pending',
+  }));
+};
 
-      <h2 className={`text-2xl font-bold mb-6 ${theme === 'dark' ? 'text-white' : 'text-zinc-900'}`}>{candidate.name}</h2>
+// Sign-in accounts (by auth uid) and the team member each one acts as; display names can be edited, so they are not used
+const TEAM_MEMBER_ACCOUNTS = {
+  'mock-akshay-arvind-uid': 'Akshay Arvind',
+};
 
-      <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mb-6">
-        <div className={`p-6 rounded-lg shadow-md ${theme === 'dark' ? 'bg-zinc-800' : 'bg-white'}`}>
-          <h3 className={`text-lg font-semibold mb-4 ${theme === 'dark' ? 'text-white' : 'text-zinc-900'}`}>Candidate Information</h3>
-          <p className={`text-sm mb-2 ${theme === 'dark' ? 'text-gray-300' : 'text-gray-700'}`}><span className={`font-medium ${theme === 'dark' ? 'text-gray-400' : 'text-gray-800'}`}>Job Applied For:</span> {candidate.jobAppliedFor}</p>
-          <div className="flex items-center mb-2">
-            <span className={`font-medium text-sm mr-2 ${theme === 'dark' ? 'text-gray-400' : 'text-gray-800'}`}>Current Stage:</span>
-            <select
-              value={currentStage}
-              onChange={handleStageChange}
-              className={`p-1 rounded-md text-sm focus:ring-blue-500 focus:border-blue-500 transition-colors duration-200 ${theme === 'dark' ? 'bg-zinc-700 border-zinc-600 text-white' : 'bg-gray-100 border-gray-300 text-zinc-900'}`}
-              aria-label="Candidate Stage"
-            >
-              {allStages.map(stage => (
-                <option key={stage} value={stage}>{stage}</option>
-              ))}
-            </select>
-          </div>
-          <p className={`text-sm mb-2 ${theme === 'dark' ? 'text-gray-300' : 'text-gray-700'}`}><span className={`font-medium ${theme === 'dark' ? 'text-gray-400' : 'text-gray-800'}`}>AI Match Score:</span> <span className="font-bold text-blue-400">{candidate.matchScore}%</span></p>
-          <p className={`text-sm mb-2 ${theme === 'dark' ? 'text-gray-300' : 'text-gray-700'}`}><span className={`font-medium ${theme === 'dark' ? 'text-gray-400' : 'text-gray-800'}`}>Last Contact:</span> {candidate.lastContact}</p>
-          <p className={`text-sm mb-2 ${theme === 'dark' ? 'text-gray-300' : 'text-gray-700'}`}><span className={`font-medium ${theme === 'dark' ? 'text-gray-400' : 'text-gray-800'}`}>Email:</span> {candidate.email || 'N/A'}</p>
-          <p className={`text-sm mb-2 ${theme === 'dark' ? 'text-gray-300' : 'text-gray-700'}`}><span className={`font-medium ${theme === 'dark' ? 'text-gray-400' : 'text-gray-800'}`}>Phone:</span> {candidate.phone || 'N/A'}</p>
-        </div>
+const getTeamMemberForUser = (user) => TEAM_MEMBERS.find(m => m.name === TEAM_MEMBER_ACCOUNTS[user?.uid]) || null;
+
+// Roles that may decide any approval step on the named approver's behalf, e.g. while they are away
+const OFFER_APPROVAL_OVERRIDE_ROLES = ['HR Admin'];
+
+// Whether a step's decision is made on behalf of its approver rather than by them or someone in their role
+const isOfferApprovalOverride = (step, member) => member.name !== step.approver && member.role !== step.role;
+
+const canDecideOfferApprovalStep = (step, member) => !!member
+  && (!isOfferApprovalOverride(step, member) || OFFER_APPROVAL_OVERRIDE_ROLES.includes(member.role));
+
+// --- Interview Scorecards ---
+const SCORECARD_RECOMMENDATIONS = ['Strong Hire', 'Hire', 'No Hire', 'Strong No Hire'];
+const HIRE_RECOMMENDATIONS = ['Strong Hire', 'Hire'];
+const SCORECARD_RATING_SCALES = [3, 4, 5, 10];
+// Per-competency ratings are compared on this scale, whatever scale each template uses
+const SCORECARD_SUMMARY_SCALE = 5;
+// Spread (max - min on the summary scale) at which interviewers are considered to disagree
+const SCORECARD_SPREAD_WARNING = 2;
+
+// Seeded into Firestore when no templates exist; an empty roleTitle applies to every role
+const DEFAULT_SCORECARD_TEMPLATES = [
+  {
+    name: 'Screening (All Roles)',
+    roleTitle: '',
+    round: 'Screening',
+    ratingScale: 5,
+    overallCommentRequired: true,
+    competencies: [
+      { name: 'Communication', weight: 40, commentRequired: false },
+      { name: 'Role Motivation', weight: 30, commentRequired: false },
+      { name: 'Relevant Experience', weight: 30, commentRequired: true },
+    ],
+  },
+  {
+    name: 'Technical Interview (Software Engineer)',
+    roleTitle: 'Software Engineer',
+    round: 'Interview - R1',
+    ratingScale: 5,
+    overallCommentRequired: true,
+    competencies: [
+      { name: 'Problem Solving', weight: 35, commentRequired: true },
+      { name: 'Coding', weight: 35, commentRequired: true },
+      { name: 'System Design', weight: 20, commentRequired: false },
+      { name: 'Communication', weight: 10, commentRequired: false },
+    ],
+  },
+  {
+    name: 'Functional Interview (All Roles)',
+    roleTitle: '',
+    round: 'Interview - R1',
+    ratingScale: 5,
+    overallCommentRequired: true,
+    competencies: [
+      { name: 'Domain Knowledge', weight: 40, commentRequired: true },
+      { name: 'Problem Solving', weight: 40, commentRequired: false },
+      { name: 'Communication', weight: 20, commentRequired: false },
+    ],
+  },
+  {
+    name: 'Final Round (All Roles)',
+    roleTitle: '',
+    round: 'Interview - R2',
+    ratingScale: 5,
+    overallCommentRequired: true,
+    competencies: [
+      { name: 'Ownership', weight: 30, commentRequired: false },
+      { name: 'Leadership', weight: 25, commentRequired: false },
+      { name: 'Collaboration', weight: 25, commentRequired: false },
+      { name: 'Role Fit', weight: 20, commentRequired: true },
+    ],
+  },
+];
+
+// Templates usable for a role and round, role-specific ones first
+const findScorecardTemplates = (templates, roleTitle, round) => templates
+  .filter(t => t.round === round && (!t.roleTitle || t.roleTitle === roleTitle))
+  .sort((a, b) => (b.roleTitle ? 1 : 0) - (a.roleTitle ? 1 : 0));
+
+// Weighted score of a submitted scorecard as a percentage of the maximum rating
+const getScorecardWeightedScore = (ratings, ratingScale) => {
+  const totalWeight = ratings.reduce((sum, r) => sum + (Number(r.weight) || 0), 0);
+  if (totalWeight === 0 || !ratingScale) return null;
+  return ratings.reduce((sum, r) => sum + (r.rating / ratingScale) * (Number(r.weight) || 0), 0) / totalWeight * 100;
+};
 
-        <div className={`p-6 rounded-lg shadow-md ${theme === 'dark' ? 'bg-zinc-800' : 'bg-white'}`}>
-          <h3 className={`text-lg font-semibold mb-4 ${theme === 'dark' ? 'text-white' : 'text-zinc-900'}`}>Indian System Specifics</h3>
-          <p className={`text-sm mb-2 ${theme === 'dark' ? 'text-gray-300' : 'text-gray-700'}`}><span className={`font-medium ${theme === 'dark' ? 'text-gray-400' : 'text-gray-800'}`}>Aadhaar No.:</span> {candidate.aadhaarNumber || 'N/A'}</p>
-          <p className={`text-sm mb-2 ${theme === 'dark' ? 'text-gray-300' : 'text-gray-700'}`}><span className={`font-medium ${theme === 'dark' ? 'text-gray-400' : 'text-gray-800'}`}>PAN No.:</span> {candidate.panNumber || 'N/A'}</p>
-          <p className={`text-sm mb-2 ${theme === 'dark' ? 'text-gray-300' : 'text-gray-700'}`}><span className={`font-medium ${theme === 'dark' ? 'text-gray-400' : 'text-gray-800'}`}>Current CTC:</span> {formatINR(candidate.currentCTC)}</p>
-          <p className={`text-sm mb-2 ${theme === 'dark' ? 'text-gray-300' : 'text-gray-700'}`}><span className={`font-medium ${theme === 'dark' ? 'text-gray-400' : 'text-gray-800'}`}>Expected CTC:</span> {formatINR(candidate.expectedCTC)}</p>
-          <p className={`text-sm mb-2 ${theme === 'dark' ? 'text-gray-300' : 'text-gray-700'}`}><span className={`font-medium ${theme === 'dark' ? 'text-gray-400' : 'text-gray-800'}`}>Notice Period:</span> {candidate.noticePeriod || 'N/A'}</p>
-          <p className={`text-sm mb-2 ${theme === 'dark' ? 'text-gray-300' : 'text-gray-700'}`}><span className={`font-medium ${theme === 'dark' ? 'text-gray-400' : 'text-gray-800'}`}>Willing to Relocate:</span> {candidate.willingToRelocate || 'N/A'}</p>
-          <p className={`text-sm mb-2 ${theme === 'dark' ? 'text-gray-300' : 'text-gray-700'}`}><span className={`font-medium ${theme === 'dark' ? 'text-gray-400' : 'text-gray-800'}`}>Languages:</span> ${(candidate.languages || []).join(', ') || 'N/A'}</p>
-          <p className={`mt-4 text-xs ${theme === 'dark' ? 'text-gray-400' : 'text-gray-500'}`}>This section includes other Indian KYC/compliance details.</p>
-        </div>
-      </div>
+// Panel summary across all submitted scorecards: per-competency average and spread, plus the hire/no-hire tally
+const summarizeScorecards = (scorecards) => {
+  const ratingsByCompetency = {};
+  scorecards.forEach(scorecard => {
+    (scorecard.ratings || []).forEach(r => {
+      const normalized = (r.rating / scorecard.ratingScale) * SCORECARD_SUMMARY_SCALE;
+      (ratingsByCompetency[r.competency] = ratingsByCompetency[r.competency] || []).push(normalized);
+    });
+  });
+  const competencies = Object.entries(ratingsByCompetency).map(([name, values]) => ({
+    name,
+    count: values.length,
+    avg: average(values),
+    min: Math.min(...values),
+    max: Math.max(...values),
+    spread: Math.max(...values) - Math.min(...values),
+  }));
+  const tally = Object.fromEntries(SCORECARD_RECOMMENDATIONS.map(rec => [rec, scorecards.filter(s => s.recommendation === rec).length]));
+  const hireCount = scorecards.filter(s => HIRE_RECOMMENDATIONS.includes(s.recommendation)).length;
+  return {
+    competencies,
+    tally,
+    hireCount,
+    noHireCount: scorecards.length - hireCount,
+    avgScore: average(scorecards.map(s => s.weightedScore).filter(score => typeof score === 'number')),
+  };
+};
 
-      <div className={`p-6 rounded-lg shadow-md mb-6 ${theme === 'dark' ? 'bg-zinc-800' : 'bg-white'}`}>
-        <h3 className={`text-lg font-semibold mb-4 ${theme === 'dark' ? 'text-white' : 'text-zinc-900'}`}>Resume Highlights (AI Extracted) & Skill Graph</h3>
-        <p className={`text-sm mb-2 ${theme === 'dark' ? 'text-gray-300' : 'text-gray-700'}`}><span className={`font-medium ${theme === 'dark' ? 'text-gray-400' : 'text-gray-800'}`}>Education:</span> {candidate.resumeHighlights?.education || 'N/A'}</p>
-        <p className={`text-sm mb-2 ${theme === 'dark' ? 'text-gray-300' : 'text-gray-700'}`}><span className={`font-medium ${theme === 'dark' ? 'text-gray-400' : 'text-gray-800'}`}>Experience:</span> {candidate.resumeHighlights?.experience || 'N/A'}</p>
-        <p className={`text-sm mb-2 ${theme === 'dark' ? 'text-gray-300' : 'text-gray-700'}`}><span className={`font-medium ${theme === 'dark' ? 'text-gray-400' : 'text-gray-800'}`}>Skills:</span> ${(candidate.resumeHighlights?.skills || []).join(', ') || 'N/A'}</p>
-        <p className={`mt-4 text-xs ${theme === 'dark' ? 'text-gray-400' : 'text-gray-500'}`}>This section leverages AI to parse and highlight key resume information for quick review and AI-powered candidate matching based on a comprehensive skill graph for more accurate matching and identifying adjacent skills.</p>
-      </div>
+// --- Bias Language Detection ---
+// Local lexicon, no external service: each rule flags a phrase and suggests neutral, job-related wording
+// Words that are ordinary on their own ("a difficult problem") only flag when said of the candidate ("she seemed quiet")
+const PERSON_SUBJECT = String.raw`\b(?:she|he|they|candidate|applicant)(?:'s|'re| is| was| are| were| seems?| seemed| looks?| looked| came across as| comes across as)(?: (?:a bit|a little|very|too|quite|rather|really|somewhat|so))?`;
+const describesPerson = (words) => new RegExp(`${PERSON_SUBJECT} (?:${words})\\b`, 'gi');
+
+const BIAS_LEXICON = [
+  { category: 'Gendered', pattern: /\b(?:bossy|shrill|feisty|hysterical)\b/gi, suggestion: 'assertive / direct' },
+  { category: 'Gendered', pattern: describesPerson('emotional|moody'), suggestion: 'describe the specific behaviour observed' },
+  { category: 'Gendered', pattern: /\b(?:girls?|ladies|gals?)\b/gi, suggestion: 'women / candidates' },
+  { category: 'Gendered', pattern: /\b(?:guys|manpower|chairman|salesman|manly|man up)\b/gi, suggestion: 'team / workforce / chair / salesperson' },
+  { category: 'Gendered', pattern: /\b(?:maternity plans|pregnan\w*|has kids|family plans|(?:is|got|just got|recently) married|(?:his|her|their) (?:husband|wife|kids|children))\b/gi, suggestion: 'leave out family status; it is not job-related' },
+  { category: 'Age', pattern: /\b(?:too (?:old|young|junior for (?:his|her|their) age)|old[- ]school|set in (?:his|her|their) ways|near(?:ing)? retirement)\b/gi, suggestion: 'describe specific skills or practices instead of age' },
+  { category: 'Age', pattern: /\b(?:young blood|fresh blood|digital native)\b/gi, suggestion: 'new perspectives / experienced / proficient with digital tools' },
+  { category: 'Age', pattern: describesPerson('youthful|young|mature|elderly'), suggestion: 'new perspectives / experienced / proficient with digital tools' },
+  { category: 'Age', pattern: /\boverqualified\b/gi, suggestion: 'name the specific mismatch with the role' },
+  { category: 'Cultural Fit', pattern: /\b(?:(?:good|bad|poor|great|not a) (?:culture|cultural) fit|(?:culture|cultural) fit|not a (?:good )?fit|(?:won'?t|wouldn'?t|doesn'?t|does not|will not) fit in|one of us|not our type)\b/gi, suggestion: 'name the job-related gap or team value' },
+  { category: 'Cultural Fit', pattern: /\b(?:beer test|have a beer with|(?:heavy|thick|strong|foreign) accent|sounds? foreign)\b/gi, suggestion: 'assess clarity of communication and job-related behaviour' },
+  { category: 'Cultural Fit', pattern: describesPerson('polished|unpolished'), suggestion: 'assess clarity of communication and job-related behaviour' },
+  { category: 'Personality', pattern: describesPerson('aggressive|pushy|abrasive|arrogant'), suggestion: 'assertive / persistent, with an example' },
+  { category: 'Personality', pattern: describesPerson('shy|quiet|introverted|awkward|weird'), suggestion: 'reserved / prefers written communication, with an example' },
+  { category: 'Personality', pattern: /\bnot a people person\b/gi, suggestion: 'reserved / prefers written communication, with an example' },
+  { category: 'Personality', pattern: describesPerson('lazy|difficult|likeable|likable'), suggestion: 'describe the observed behaviour and its impact' },
+  { category: 'Personality', pattern: /\blacks gravitas\b/gi, suggestion: 'describe the observed behaviour and its impact' },
+];
+
+// Minimum gap (percentage points) between an interviewer's score and the rest of the panel to flag it
+const SCORE_DEVIATION_THRESHOLD = 25;
+
+// Flagged phrases in a piece of text, in reading order and without overlaps
+const detectBiasLanguage = (text) => {
+  const matches = [];
+  BIAS_LEXICON.forEach(rule => {
+    for (const match of (text || '').matchAll(rule.pattern)) {
+      matches.push({ start: match.index, end: match.index + match[0].length, phrase: match[0], category: rule.category, suggestion: rule.suggestion });
+    }
+  });
+  matches.sort((a, b) => a.start - b.start || b.end - a.end);
+  // Keep the earliest, longest match and skip only matches that overlap one already kept
+  let lastKeptEnd = -1;
+  return matches.filter(match => {
+    if (match.start < lastKeptEnd) return false;
+    lastKeptEnd = match.end;
+    return true;
+  });
+};
 
-      {/* Integrated Video Pitches/Introduction */}
-      {candidate.videoPitchUrl && (
-        <div className={`p-6 rounded-lg shadow-md mb-6 ${theme === 'dark' ? 'bg-zinc-800' : 'bg-white'}`}>
-          <h3 className={`text-lg font-semibold mb-4 flex items-center space-x-2 ${theme === 'dark' ? 'text-white' : 'text-zinc-900'}`}><Video size={20} /> Candidate Video Pitch</h3>
-          <div className="relative w-full aspect-video bg-zinc-700 rounded-md overflow-hidden flex items-center justify-center">
-            <img src={candidate.videoPitchUrl} alt="Video Pitch Placeholder" className="w-full h-full object-cover" />
-            <div className="absolute inset-0 bg-black bg-opacity-50 flex items-center justify-center text-white text-lg font-semibold">
-              <span className="p-3 bg-blue-600 rounded-full cursor-pointer hover:bg-blue-700 transition-colors duration-200" role="button" aria-label="Play video pitch">▶️ Play Video</span>
-            </div>
-          </div>
-          <p className={`mt-4 text-xs ${theme === 'dark' ? 'text-gray-400' : 'text-gray-500'}`}>Candidates can record short video introductions directly through the ATS portal, providing a quick insight into their communication style and personality early in the process.</p>
-        </div>
-      )}
+// Interviewers whose average score (0-100) is far from the average of the other interviewers on the panel
+const findScoreOutliers = (scores) => {
+  const byInterviewer = {};
+  scores.forEach(({ interviewer, score }) => {
+    if (typeof score === 'number') {
+      (byInterviewer[interviewer] = byInterviewer[interviewer] || []).push(score);
+    }
+  });
+  const interviewerAverages = Object.entries(byInterviewer).map(([interviewer, values]) => ({ interviewer, score: average(values) }));
+  // Needs at least two other interviewers to tell who is the outlier
+  if (interviewerAverages.length < 3) return [];
+  return interviewerAverages
+    .map(entry => {
+      const panelAverage = average(interviewerAverages.filter(other => other.interviewer !== entry.interviewer).map(other => other.score));
+      return { ...entry, panelAverage, deviation: entry.score - panelAverage };
+    })
+    .filter(entry => Math.abs(entry.deviation) >= SCORE_DEVIATION_THRESHOLD);
+};
 
-      {/* Assessments & Background Screening */}
-      <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mb-6">
-        <div className={`p-6 rounded-lg shadow-md ${theme === 'dark' ? 'bg-zinc-800' : 'bg-white'}`}>
-          <h3 className={`text-lg font-semibold mb-4 flex items-center space-x-2 ${theme === 'dark' ? 'text-white' : 'text-zinc-900'}`}><Award size={20} /> Assessments</h3>
-          <p className={`text-sm mb-4 ${theme === 'dark' ? 'text-gray-300' : 'text-gray-700'}`}>Current Status: <span className="font-semibold text-blue-400">{assessmentStatus}</span></p>
-          <button onClick={handleSendAssessment} className="bg-purple-600 hover:bg-purple-700 text-white px-4 py-2 rounded-lg text-sm flex items-center space-x-2 transition-transform transform hover:scale-105 active:scale-95" aria-label="Send Assessment">
-            <Send size={16} /> <span>Send Assessment</span>
-          </button>
-          <p className={`mt-4 text-xs ${theme === 'dark' ? 'text-gray-400' : 'text-gray-500'}`}>Integrate with leading assessment platforms for skills, psychometric, and coding tests. Results are automatically tracked here.</p>
-        </div>
+// Renders text with flagged phrases highlighted inline next to their suggested wording
+const BiasHighlightedText = ({ text, renderSegment = (segment) => segment }) => {
+  const flags = detectBiasLanguage(text);
+  if (flags.length === 0) {
+    return <>{renderSegment(text || '')}</>;
+  }
+  const parts = [];
+  let cursor = 0;
+  flags.forEach((flag, index) => {
+    parts.push(<React.Fragment key={`text-${index}`}>{renderSegment(text.slice(cursor, flag.start))}</React.Fragment>);
+    parts.push(
+      <span key={`flag-${index}`} title={`${flag.category} language - consider: ${flag.suggestion}`}>
+        <mark className="bg-yellow-400/30 text-inherit rounded px-0.5 underline decoration-dotted decoration-yellow-400">{flag.phrase}</mark>
+        <span className="text-xs italic text-yellow-500"> (→ {flag.suggestion})</span>
+      </span>
+    );
+    cursor = flag.end;
+  });
+  parts.push(<React.Fragment key="text-end">{renderSegment(text.slice(cursor))}</React.Fragment>);
+  return <>{parts}</>;
+};
 
-        <div className={`p-6 rounded-lg shadow-md ${theme === 'dark' ? 'bg-zinc-800' : 'bg-white'}`}>
-          <h3 className={`text-lg font-semibold mb-4 flex items-center space-x-2 ${theme === 'dark' ? 'text-white' : 'text-zinc-900'}`}><ClipboardCheck size={20} /> Background Screening</h3>
-          <p className={`text-sm mb-4 ${theme === 'dark' ? 'text-gray-300' : 'text-gray-700'}`}>Current Status: <span className="font-semibold text-blue-400">{backgroundCheckStatus}</span></p>
-          <button onClick={handleInitiateBackgroundCheck} className="bg-orange-600 hover:bg-orange-700 text-white px-4 py-2 rounded-lg text-sm flex items-center space-x-2 transition-transform transform hover:scale-105 active:scale-95" aria-label="Initiate Background Check">
-            <Zap size={16} /> <span>Initiate Background Check</span>
-          </button>
-          <p className={`mt-4 text-xs ${theme === 'dark' ? 'text-gray-400' : 'text-gray-500'}`}>Seamlessly integrate with background verification services for quick and compliant checks.</p>
-        </div>
-      </div>
+// Live warning shown under feedback and note inputs while typing
+const BiasWarnings = ({ text }) => {
+  const flags = detectBiasLanguage(text);
+  if (flags.length === 0) return null;
+  return (
+    <div className="mt-1 text-xs text-yellow-500" role="status">
+      Possible biased language: {flags.map(flag => `"${flag.phrase}" (${flag.category}; consider ${flag.suggestion})`).join(', ')}
+    </div>
+  );
+};
 
+// --- Interview Scheduling ---
+const INTERVIEW_DURATION_OPTIONS = [30, 45, 60, 90];
+const DEFAULT_EVENT_DURATION_MINUTES = 60;
+// Working hours (minutes from midnight) and slot granularity used when searching for free slots
+const SCHEDULING_DAY_START = 9 * 60;
+const SCHEDULING_DAY_END = 18 * 60;
+const SCHEDULING_SLOT_STEP = 30;
+// How many days ahead to search for alternative slots
+const SCHEDULING_SEARCH_DAYS = 14;
+
+// 'HH:MM' (24h) for minutes from midnight
+const toTimeKey = (minutes) => `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+
+// '2:30 PM' style display time for minutes from midnight
+const formatMinutesAsTime = (minutes) => {
+  const hours = Math.floor(minutes / 60);
+  return `${hours % 12 === 0 ? 12 : hours % 12}:${String(minutes % 60).padStart(2, '0')} ${hours < 12 ? 'AM' : 'PM'}`;
+};
 
-      <div className={`p-6 rounded-lg shadow-md mb-6 ${theme === 'dark' ? 'bg-zinc-800' : 'bg-white'}`}>
-        <h3 className={`text-lg font-semibold mb-4 ${theme === 'dark' ? 'text-white' : 'text-zinc-900'}`}>Detailed Compensation Breakdown (Offer)</h3>
-        <table className="min-w-full divide-y divide-zinc-700">
-          <thead className={theme === 'dark' ? 'bg-zinc-700' : 'bg-gray-100'}>
-            <tr>
-              <th className={`px-6 py-3 text-left text-xs font-medium uppercase tracking-wider ${theme === 'dark' ? 'text-gray-300' : 'text-gray-600'}`}>Component</th>
-              <th className={`px-6 py-3 text-right text-xs font-medium uppercase tracking-wider ${theme === 'dark' ? 'text-gray-300' : 'text-gray-600'}`}>Amount/Details</th>
-            </tr>
-          </thead>
-          <tbody className={theme === 'dark' ? 'bg-zinc-800 divide-y divide-zinc-700' : 'bg-white divide-y divide-gray-200'}>
-            <tr>
-              <td className={`px-6 py-4 whitespace-nowrap text-sm font-medium ${theme === 'dark' ? 'text-white' : 'text-zinc-900'}`}>Base Salary</td>
-              <td className={`px-6 py-4 whitespace-nowrap text-sm text-right ${theme === 'dark' ? 'text-gray-300' : 'text-gray-700'}`}>{formatINR(candidate.compensation?.baseSalary)}</td>
-            </tr>
-            <tr>
-              <td className={`px-6 py-4 whitespace-nowrap text-sm font-medium ${theme === 'dark' ? 'text-white' : 'text-zinc-900'}`}>Annual Bonus</td>
-              <td className={`px-6 py-4 whitespace-nowrap text-sm text-right ${theme === 'dark' ? 'text-gray-300' : 'text-gray-700'}`}>{formatINR(candidate.compensation?.annualBonus)}</td>
-            </tr>
-            <tr>
-              <td className={`px-6 py-4 whitespace-nowrap text-sm font-medium ${theme === 'dark' ? 'text-white' : 'text-zinc-900'}`}>Equity / Stock</td>
-              <td className={`px-6 py-4 whitespace-nowrap text-sm text-right ${theme === 'dark' ? 'text-gray-300' : 'text-gray-700'}`}>{candidate.compensation?.equity || 'N/A'}</td>
-            </tr>
-            <tr>
-              <td className={`px-6 py-4 whitespace-nowrap text-sm font-medium ${theme === 'dark' ? 'text-white' : 'text-zinc-900'}`}>Benefits</td>
-              <td className={`px-6 py-4 whitespace-nowrap text-sm text-right ${theme === 'dark' ? 'text-gray-300' : 'text-gray-700'}`}>{candidate.compensation?.benefits || 'N/A'}</td>
-            </tr>
-            <tr>
-              <td className={`px-6 py-4 whitespace-nowrap text-sm font-medium ${theme === 'dark' ? 'text-white' : 'text-zinc-900'}`}>Allowances</td>
-              <td className={`px-6 py-4 whitespace-nowrap text-sm text-right ${theme === 'dark' ? 'text-gray-300' : 'text-gray-700'}`}>{candidate.compensation?.allowances || 'N/A'}</td>
-            </tr>
-            <tr className={`font-bold ${theme === 'dark' ? 'bg-zinc-700 text-white' : 'bg-gray-200 text-zinc-900'}`}>
-              <td className="px-6 py-4 whitespace-nowrap text-sm">Total Compensation (Estimated)</td>
-              <td className="px-6 py-4 whitespace-nowrap text-sm text-right">{formatINR(candidate.compensation?.totalCompensation)}</td>
-            </tr>
-          </tbody>
-        </table>
-        <p className={`mt-4 text-xs ${theme === 'dark' ? 'text-gray-400' : 'text-gray-500'}`}>Compensation details are precise, compliant, and integrated with offer management.</p>
-      </div>
-
-      {/* Interview Feedback/Scorecards */}
-      <div className={`p-6 rounded-lg shadow-md mb-6 ${theme === 'dark' ? 'bg-zinc-800' : 'bg-white'}`}>
-        <h3 className={`text-lg font-semibold mb-4 flex items-center space-x-2 ${theme === 'dark' ? 'text-white' : 'text-zinc-900'}`}><ClipboardList size={20} /> Interview Feedback & Assessments</h3>
-        {candidate.interviewFeedback && candidate.interviewFeedback.length > 0 ? (
-          <div className="space-y-4">
-            {candidate.interviewFeedback.map((feedback, index) => (
-              <div key={index} className={`${theme === 'dark' ? 'bg-zinc-700' : 'bg-gray-100'} p-4 rounded-lg`}>
-                <p className={`font-bold text-sm ${theme === 'dark' ? 'text-white' : 'text-zinc-900'}`}>Round: {feedback.round} (${feedback.date})</p>
-                <p className={`text-xs ${theme === 'dark' ? 'text-gray-300' : 'text-gray-700'}`}>Interviewer: {feedback.interviewer}</p>
-                <p className={`text-sm mt-2 ${theme === 'dark' ? 'text-gray-300' : 'text-gray-700'}`}>Score: <span className="font-semibold text-blue-400">{feedback.score}/10</span></p>
-                <p className={`text-sm mt-1 ${theme === 'dark' ? 'text-gray-400' : 'text-gray-600'}`}>Comments: {feedback.comments}</p>
-              </div>
-            ))}
-            <p className={`text-xs ${theme === 'dark' ? 'text-gray-400' : 'text-gray-500'}`}>Customizable digital scorecards promote objective evaluations. AI-powered bias detection flags inconsistent or biased language in feedback, helping mitigate unconscious bias.</p>
-          </div>
-        ) : (
-          <p className={`text-sm ${theme === 'dark' ? 'text-gray-400' : 'text-gray-600'}`}>No interview feedback recorded yet.</p>
-        )}
-      </div>
-
-      {/* Internal Notes */}
-      <div className={`p-6 rounded-lg shadow-md mb-6 ${theme === 'dark' ? 'bg-zinc-800' : 'bg-white'}`}>
-        <h3 className={`text-lg font-semibold mb-4 flex items-center space-x-2 ${theme === 'dark' ? 'text-white' : 'text-zinc-900'}`}><MessageSquare size={20} /> Internal Notes</h3>
-        <textarea
-          className={`w-full p-2 rounded-md text-sm focus:ring-blue-500 focus:border-blue-500 min-h-[100px] transition-colors duration-200 ${theme === 'dark' ? 'bg-zinc-700 border-zinc-600 text-white' : 'bg-gray-100 border-gray-300 text-zinc-900'}`}
-          placeholder="Add internal notes about this candidate..."
-          value={internalNotes}
-          onChange={(e) => setInternalNotes(e.target.value)}
-          aria-label="Internal notes"
-        ></textarea>
-        <button onClick={handleSaveNotes} className="mt-3 bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg text-sm flex items-center space-x-2 transition-transform transform hover:scale-105 active:scale-95" aria-label="Save notes">
-          <Save size={16} /> <span>Save Notes</span>
-        </button>
-      </div>
+// Timing fields stored on every event: a sortable 24h start plus the display time shown across the app.
+// With a date and timezone it also records the zone the time was entered in and the UTC instant it starts.
+const getEventTimingFields = (startMinutes, dateKey, timeZone) => ({
+  startTime: toTimeKey(startMinutes),
+  time: formatMinutesAsTime(startMinutes),
+  ...(dateKey && timeZone ? { timeZone, startsAt: zonedTimeToDate(dateKey, startMinutes, timeZone).toISOString() } : {}),
+});
+
+const getEventTimeZone = (event) => event.timeZone || DEFAULT_ORG_TIMEZONE;
+
+// Start and end of an event in minutes from midnight; older events only carry a display time like '10:00 AM'
+const getEventMinutes = (event) => {
+  let start = null;
+  if (event.startTime) {
+    const [hours, minutes] = event.startTime.split(':').map(Number);
+    start = hours * 60 + minutes;
+  } else if (event.time) {
+    const match = event.time.match(/(\d{1,2}):(\d{2})\s*(AM|PM)?/i);
+    if (match) {
+      let hours = Number(match[1]);
+      const meridiem = (match[3] || '').toUpperCase();
+      if (meridiem === 'PM' && hours < 12) hours += 12;
+      if (meridiem === 'AM' && hours === 12) hours = 0;
+      start = hours * 60 + Number(match[2]);
+    }
+  }
+  if (start === null) return null;
+  return { start, end: start + (Number(event.durationMinutes) || DEFAULT_EVENT_DURATION_MINUTES) };
+};
 
-      {/* Communication Log */}
-      <div className={`p-6 rounded-lg shadow-md mb-6 ${theme === 'dark' ? 'bg-zinc-800' : 'bg-white'}`}>
-        <h3 className={`text-lg font-semibold mb-4 flex items-center space-x-2 ${theme === 'dark' ? 'text-white' : 'text-zinc-900'}`}><Send size={20} /> Communication Log</h3>
-        {candidate.communications && candidate.communications.length > 0 ? (
-          <ul className="space-y-3">
-            {candidate.communications.map((comm, index) => (
-              <li key={index} className={`${theme === 'dark' ? 'bg-zinc-700' : 'bg-gray-100'} p-3 rounded-lg text-sm`}>
-                <p className={`font-bold ${theme === 'dark' ? 'text-white' : 'text-zinc-900'}`}>{comm.subject}</p>
-                <p className={`text-xs ${theme === 'dark' ? 'text-gray-400' : 'text-gray-600'}`}>{comm.type} - {comm.time} on ${comm.date}</p>
-                <p className={`mt-1 italic ${theme === 'dark' ? 'text-gray-300' : 'text-gray-700'}`}>"{comm.snippet}..."</p>
-              </li>
-            ))}
-            <p className={`mt-4 text-xs ${theme === 'dark' ? 'text-gray-400' : 'text-gray-500'}`}>Integrated email & SMS tools, supported by an AI Recruiter Co-pilot, automatically log full conversations here and assist with drafting personalized outreach.</p>
-          </ul>
-        ) : (
-          <p className={`text-sm ${theme === 'dark' ? 'text-gray-400' : 'text-gray-600'}`}>No communications recorded yet.</p>
-        )}
-      </div>
+// Active events that overlap the proposed slot and share an interviewer (or the candidate); the slot is in the given timezone
+const findEventConflicts = (events, { date, startMinutes, durationMinutes, attendees, candidateId, timeZone = DEFAULT_ORG_TIMEZONE }, ignoreEventId = null) => expandEventOccurrencesInZone(events, [date], timeZone).filter(event => {
+  if (event.id === ignoreEventId || event.status === 'Cancelled') return false;
+  const sharesPeople = (event.attendees || []).some(name => attendees.includes(name)) || (candidateId && event.candidateId === candidateId);
+  if (!sharesPeople) return false;
+  const eventMinutes = getEventMinutes(event);
+  // Approved leave is all-day and blocks the whole day for whoever is away
+  if (eventMinutes === null) return event.type === LEAVE_EVENT_TYPE;
+  return eventMinutes.start < startMinutes + durationMinutes && startMinutes < eventMinutes.end;
+});
+
+// The next free weekday slots within working hours for the whole panel, starting from a date
+const findFreeSlots = (events, { fromDate, durationMinutes, attendees, candidateId, timeZone = DEFAULT_ORG_TIMEZONE }, count = 5, ignoreEventId = null, now = new Date()) => {
+  const slots = [];
+  const day = new Date(`${fromDate}T00:00:00`);
+  for (let i = 0; i < SCHEDULING_SEARCH_DAYS && slots.length < count; i++, day.setDate(day.getDate() + 1)) {
+    if (day.getDay() === 0 || day.getDay() === 6) continue;
+    const date = toLocalDateKey(day);
+    for (let startMinutes = SCHEDULING_DAY_START; startMinutes + durationMinutes <= SCHEDULING_DAY_END && slots.length < count; startMinutes += SCHEDULING_SLOT_STEP) {
+      if (zonedTimeToDate(date, startMinutes, timeZone) <= now) continue;
+      if (findEventConflicts(events, { date, startMinutes, durationMinutes, attendees, candidateId, timeZone }, ignoreEventId).length === 0) {
+        slots.push({ date, startMinutes });
+      }
+    }
+  }
+  return slots;
+};
 
-      {/* Offer Letter Management */}
-      <div className={`p-6 rounded-lg shadow-md mb-6 ${theme === 'dark' ? 'bg-zinc-800' : 'bg-white'}`}>
-        <h3 className={`text-lg font-semibold mb-4 flex items-center space-x-2 ${theme === 'dark' ? 'text-white' : 'text-zinc-900'}`}><DollarSign size={20} /> Offer Letter Management</h3>
-        <p className={`text-sm mb-4 ${theme === 'dark' ? 'text-gray-300' : 'text-gray-700'}`}>Current Status: <span className="font-semibold text-blue-400">{offerLetterStatus}</span></p>
-        <button
-          onClick={handleGenerateOfferLetter}
-          className="bg-green-600 hover:bg-green-700 text-white px-4 py-2 rounded-lg text-sm flex items-center space-x-2 transition-transform transform hover:scale-105 active:scale-95"
-          aria-label="Generate and send offer letter"
-        >
-          <FileText size={16} /> <span>Generate & Send Offer Letter</span>
-        </button>
-        <p className={`mt-4 text-xs ${theme === 'dark' ? 'text-gray-400' : 'text-gray-500'}`}>This feature generates a customizable offer letter, integrates with e-signature, and tracks acceptance status, streamlining the offer process.</p>
-      </div>
+// --- Calendar ---
+const EVENT_TYPES = ['Interview', 'Meeting', 'Task Deadline', 'Candidate Follow-up', 'HR Meeting', 'Team Absence'];
+const RECURRENCE_FREQUENCIES = [
+  { value: 'daily', label: 'Daily', unit: 'day', units: 'days' },
+  { value: 'weekly', label: 'Weekly', unit: 'week', units: 'weeks' },
+  { value: 'monthly', label: 'Monthly', unit: 'month', units: 'months' },
+];
+// Hours shown in the week/day time grids and the pixel height of one hour
+const CALENDAR_GRID_START_HOUR = 7;
+const CALENDAR_GRID_END_HOUR = 21;
+const CALENDAR_HOUR_HEIGHT = 48;
+
+const parseDateKey = (dateKey) => new Date(`${dateKey}T00:00:00`);
+
+const addDays = (date, days) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+
+// Whether an event (or one occurrence of a recurring series) falls on a YYYY-MM-DD date
+const occursOn = (event, dateKey) => {
+  if (!event.recurrence) return event.date === dateKey;
+  const { frequency, interval = 1, until } = event.recurrence;
+  if (dateKey < event.date || (until && dateKey > until) || (event.exceptions || []).includes(dateKey)) return false;
+  const start = parseDateKey(event.date);
+  const target = parseDateKey(dateKey);
+  const dayDiff = Math.round((target - start) / DAY_MS);
+  if (frequency === 'daily') return dayDiff % interval === 0;
+  if (frequency === 'weekly') return dayDiff % (7 * interval) === 0;
+  if (frequency === 'monthly') {
+    const monthDiff = (target.getFullYear() - start.getFullYear()) * 12 + target.getMonth() - start.getMonth();
+    return target.getDate() === start.getDate() && monthDiff % interval === 0;
+  }
+  return false;
+};
 
-      {/* AI Interview Question Generator */}
-      <div className={`p-6 rounded-lg shadow-md mb-6 ${theme === 'dark' ? 'bg-zinc-800' : 'bg-white'}`}>
-        <h3 className={`text-lg font-semibold mb-4 flex items-center space-x-2 ${theme === 'dark' ? 'text-white' : 'text-zinc-900'}`}><BrainCircuit size={20} /> AI Interview Questions ✨</h3>
-        <p className={`text-sm mb-4 ${theme === 'dark' ? 'text-gray-300' : 'text-gray-700'}`}>Generate tailored interview questions for this candidate based on their profile.</p>
-        <button
-          onClick={generateInterviewQuestions}
-          disabled={isGeneratingQuestions}
-          className="bg-purple-600 hover:bg-purple-700 text-white px-4 py-2 rounded-lg text-sm flex items-center space-x-2 transition-transform transform hover:scale-105 active:scale-95"
-          aria-label="Generate Interview Questions"
-        >
-          {isGeneratingQuestions ? (
-            <>
-              <Loader size={16} className="animate-spin" /> <span>Generating...</span>
-            </>
-          ) : (
-            <>
-              <BrainCircuit size={16} /> <span>Generate Questions</span>
-            </>
-          )}
-        </button>
-        {generatedQuestions && (
-          <div className={`mt-4 p-4 rounded-md ${theme === 'dark' ? 'bg-zinc-700 text-gray-200' : 'bg-blue-50 text-zinc-900'}`}>
-            <h4 className={`font-semibold mb-2 ${theme === 'dark' ? 'text-white' : 'text-blue-700'}`}>Generated Questions:</h4>
-            <pre className="whitespace-pre-wrap text-sm">{generatedQuestions}</pre>
-          </div>
-        )}
-        <p className={`mt-4 text-xs ${theme === 'dark' ? 'text-gray-400' : 'text-gray-500'}`}>Leverages Gemini API to provide relevant and specific interview questions, saving preparation time.</p>
-      </div>
+// Concrete occurrences for a list of dates; recurring series expand into one entry per matching date
+const expandEventOccurrences = (events, dateKeys) => dateKeys.flatMap(dateKey => events
+  .filter(event => occursOn(event, dateKey))
+  .map(event => ({ ...event, date: dateKey, occurrenceDate: dateKey })));
+
+// An occurrence moved into the display timezone; occurrenceDate keeps the series date in the event's own zone
+const localizeOccurrence = (occurrence, timeZone) => {
+  const minutes = getEventMinutes(occurrence);
+  const eventTimeZone = getEventTimeZone(occurrence);
+  if (!minutes || eventTimeZone === timeZone) return occurrence;
+  const local = convertWallTime(occurrence.date, minutes.start, eventTimeZone, timeZone);
+  return { ...occurrence, date: local.dateKey, ...getEventTimingFields(local.minutes, local.dateKey, timeZone) };
+};
 
+// Occurrences falling on display-timezone dates; a day either side is expanded too since shifting zones can cross midnight
+const expandEventOccurrencesInZone = (events, dateKeys, timeZone) => {
+  const sourceKeys = [...new Set(dateKeys.flatMap(dateKey => [-1, 0, 1].map(offset => toLocalDateKey(addDays(parseDateKey(dateKey), offset)))))];
+  const wanted = new Set(dateKeys);
+  return expandEventOccurrences(events, sourceKeys)
+    .map(occurrence => localizeOccurrence(occurrence, timeZone))
+    .filter(occurrence => wanted.has(occurrence.date));
+};
 
-      <div className={`p-6 rounded-lg shadow-md ${theme === 'dark' ? 'bg-zinc-800' : 'bg-white'}`}>
-        <h3 className={`text-lg font-semibold mb-4 ${theme === 'dark' ? 'text-white' : 'text-zinc-900'}`}>Other Details</h3>
-        <ul className={`list-disc list-inside space-y-2 text-sm ${theme === 'dark' ? 'text-gray-300' : 'text-gray-700'}`}>
-          <li>Automated Interview Scheduler for intelligent conflict resolution and backup suggestions.</li>
-          <li>Candidate Document Management for resumes and certificates.</li>
-          <li>Detailed Activity Timeline for comprehensive tracking.</li>
-        </ul>
-      </div>
-    </div>
-  );
+// Human-readable summary of a recurrence rule
+const describeRecurrence = (recurrence) => {
+  if (!recurrence) return '';
+  const frequency = RECURRENCE_FREQUENCIES.find(f => f.value === recurrence.frequency);
+  const interval = Number(recurrence.interval) || 1;
+  const every = interval === 1 ? `Every ${frequency?.unit}` : `Every ${interval} ${frequency?.units}`;
+  return recurrence.until ? `${every} until ${recurrence.until}` : every;
 };
 
-// CTC & Tax Calculator Component
-const CTCTaxCalculator = () => {
-  const { theme } = useTheme();
-  const [basicSalary, setBasicSalary] = useState(750000);
-  const [hra, setHra] = useState(150000);
-  const [otherAllowances, setOtherAllowances] = useState(100000);
-  const [performanceBonus, setPerformanceBonus] = useState(250000);
-  const [employerPF, setEmployerPF] = useState(180000);
-  const [gratuity, setGratuity] = useState(50000);
-  const [medicalInsuranceEmployer, setMedicalInsuranceEmployer] = useState(20000);
-  const [employerNPS, setEmployerNPS] = useState(0);
+// --- iCalendar (.ics) Import/Export ---
+const ICS_PRODUCT_ID = '-//Sapphire HR//Recruiting Calendar//EN';
+const ICS_UID_DOMAIN = 'sapphirehr.example';
+const ICS_FREQUENCIES = { DAILY: 'daily', WEEKLY: 'weekly', MONTHLY: 'monthly' };
+
+const escapeIcsText = (text) => String(text ?? '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+const unescapeIcsText = (text) => String(text ?? '').replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+
+// Folds content lines longer than 75 octets (RFC 5545 section 3.1)
+const foldIcsLine = (line) => {
+  const encoder = new TextEncoder();
+  const chunks = [];
+  let current = '';
+  let currentOctets = 0;
+  for (const char of line) {
+    const charOctets = encoder.encode(char).length;
+    if (currentOctets + charOctets > (chunks.length === 0 ? 75 : 74)) {
+      chunks.push(current);
+      current = '';
+      currentOctets = 0;
+    }
+    current += char;
+    currentOctets += charOctets;
+  }
+  chunks.push(current);
+  return chunks.join('\r\n ');
+};
 
-  const [annualCTC, setAnnualCTC] = useState(0);
-  const [grossSalary, setGrossSalary] = useState(0);
-  const [taxableIncome, setTaxableIncome] = useState(0);
-  const [totalTaxLiability, setTotalTaxLiability] = useState(0);
-  const [monthlyTDS, setMonthlyTDS] = useState(0);
-  const [netSalary, setNetSalary] = useState(0);
+const formatIcsLocalDateTime = (dateKey, minutes) => `${dateKey.replace(/-/g, '')}T${toTimeKey(minutes).replace(':', '')}00`;
 
-  useEffect(() => {
-    calculateCTCAndTax();
-  }, [basicSalary, hra, otherAllowances, performanceBonus, employerPF, gratuity, medicalInsuranceEmployer, employerNPS]);
-
-  const calculateCTCAndTax = () => {
-    // 1. Calculate Annual CTC
-    const calculatedCTC =
-      basicSalary +
-      hra +
-      otherAllowances +
-      performanceBonus +
-      employerPF +
-      gratuity +
-      medicalInsuranceEmployer +
-      employerNPS;
-    setAnnualCTC(calculatedCTC);
-
-    // 2. Calculate Gross Salary (for tax calculation)
-    const calculatedGrossSalary = basicSalary + hra + otherAllowances + performanceBonus;
-    setGrossSalary(calculatedGrossSalary);
-
-    // 3. Calculate Taxable Income (New Tax Regime FY 2025-26)
-    let currentTaxableIncome = calculatedGrossSalary;
-
-    // Deduct Standard Deduction (New Regime)
-    currentTaxableIncome = Math.max(0, currentTaxableIncome - 75000);
-
-    // Deduct Employer's NPS Contribution (Section 80CCD(2))
-    const maxEmployerNPSDed = basicSalary * 0.10;
-    const actualEmployerNPSDed = Math.min(employerNPS, maxEmployerNPSDed);
-    currentTaxableIncome = Math.max(0, currentTaxableIncome - actualEmployerNPSDed);
-
-    setTaxableIncome(currentTaxableIncome);
-
-    // 4. Calculate Income Tax Liability (New Tax Regime FY 2025-26)
-    let tax = 0;
-    const slabs = [
-      { limit: 400000, rate: 0 },
-      { limit: 800000, rate: 0.05 },
-      { limit: 1200000, rate: 0.10 },
-      { limit: 1600000, rate: 0.15 },
-      { limit: 2000000, rate: 0.20 },
-      { limit: 2400000, rate: 0.25 },
-      { limit: Infinity, rate: 0.30 },
-    ];
+const formatIcsUtcDateTime = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
 
-    let remainingTaxableIncome = currentTaxableIncome;
+// '+0530' style UTC offset
+const formatIcsOffset = (offsetMinutes) => `${offsetMinutes < 0 ? '-' : '+'}${String(Math.floor(Math.abs(offsetMinutes) / 60)).padStart(2, '0')}${String(Math.abs(offsetMinutes) % 60).padStart(2, '0')}`;
 
-    for (let i = 0; i < slabs.length; i++) {
-      const currentSlabLimit = slabs[i].limit;
-      const prevSlabLimit = i === 0 ? 0 : slabs[i-1].limit;
-      const slabSegmentAmount = currentSlabLimit - prevSlabLimit;
+// The zone's offset when it has no daylight saving in that year, else null
+const getFixedOffsetMinutes = (timeZone, year) => {
+  const january = getTimeZoneOffsetMinutes(timeZone, new Date(Date.UTC(year, 0, 1)));
+  const july = getTimeZoneOffsetMinutes(timeZone, new Date(Date.UTC(year, 6, 1)));
+  return january === july ? january : null;
+};
 
-      if (remainingTaxableIncome > 0) {
-        const taxableInCurrentSlab = Math.min(remainingTaxableIncome, slabSegmentAmount);
-        tax += taxableInCurrentSlab * slabs[i].rate;
-        remainingTaxableIncome -= taxableInCurrentSlab;
-      } else {
-        break;
-      }
+const ICS_WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+// Instants in a year at which the zone's UTC offset changes (bisected to the minute), with the offsets either side
+const getOffsetTransitions = (timeZone, year) => {
+  const transitions = [];
+  for (let month = 0; month < 12; month++) {
+    let from = Date.UTC(year, month, 1);
+    let to = Date.UTC(year, month + 1, 1);
+    const offsetFrom = getTimeZoneOffsetMinutes(timeZone, new Date(from));
+    const offsetTo = getTimeZoneOffsetMinutes(timeZone, new Date(to));
+    if (offsetFrom === offsetTo) continue;
+    while (to - from > 60000) {
+      const mid = from + Math.floor((to - from) / 120000) * 60000;
+      if (getTimeZoneOffsetMinutes(timeZone, new Date(mid)) === offsetFrom) from = mid;
+      else to = mid;
     }
+    transitions.push({ at: to, offsetFrom, offsetTo });
+  }
+  return transitions;
+};
 
-    // Apply Section 87A Rebate (Full rebate for taxable income up to ₹12,00,000)
-    if (currentTaxableIncome <= 1200000) {
-      tax = 0;
-    }
+// A transition as a yearly rule: month, weekday, week of the month (-1 for the last) and the wall time before the change
+const describeOffsetTransition = ({ at, offsetFrom }) => {
+  const local = new Date(at + offsetFrom * 60000);
+  const daysInMonth = new Date(Date.UTC(local.getUTCFullYear(), local.getUTCMonth() + 1, 0)).getUTCDate();
+  return {
+    month: local.getUTCMonth(),
+    weekday: local.getUTCDay(),
+    week: local.getUTCDate() > daysInMonth - 7 ? -1 : Math.ceil(local.getUTCDate() / 7),
+    minutes: local.getUTCHours() * 60 + local.getUTCMinutes(),
+  };
+};
 
-    // Add Health & Education Cess (4%)
-    tax += tax * 0.04;
+// Day of the month of the nth (or, for -1, the last) weekday
+const getNthWeekdayOfMonth = (year, month, weekday, week) => {
+  if (week === -1) {
+    const last = new Date(Date.UTC(year, month + 1, 0));
+    return last.getUTCDate() - ((last.getUTCDay() - weekday + 7) % 7);
+  }
+  return 1 + ((weekday - new Date(Date.UTC(year, month, 1)).getUTCDay() + 7) % 7) + (week - 1) * 7;
+};
 
-    setTotalTaxLiability(tax);
+// VTIMEZONE lines for a zone. Daylight-saving zones get STANDARD and DAYLIGHT parts with yearly rules, or the
+// explicit transitions around the given year when their rule does not repeat from one year to the next.
+const buildIcsTimeZone = (timeZone, year) => {
+  const observance = (offsetFrom, offsetTo, dtStart, rule = null) => [
+    `BEGIN:${offsetTo > offsetFrom ? 'DAYLIGHT' : 'STANDARD'}`,
+    `DTSTART:${dtStart}`,
+    `TZOFFSETFROM:${formatIcsOffset(offsetFrom)}`,
+    `TZOFFSETTO:${formatIcsOffset(offsetTo)}`,
+    ...(rule ? [`RRULE:${rule}`] : []),
+    `END:${offsetTo > offsetFrom ? 'DAYLIGHT' : 'STANDARD'}`,
+  ];
+  const fixedOffset = getFixedOffsetMinutes(timeZone, year);
+  const transitions = getOffsetTransitions(timeZone, year);
+  const rules = transitions.map(describeOffsetTransition);
+  const nextRules = getOffsetTransitions(timeZone, year + 1).map(describeOffsetTransition);
+  const isYearly = transitions.length === 2 && nextRules.length === 2
+    && rules.every((rule, i) => ['month', 'weekday', 'week', 'minutes'].every(key => rule[key] === nextRules[i][key]));
+  let observances;
+  if (fixedOffset !== null && transitions.length === 0) {
+    observances = observance(fixedOffset, fixedOffset, '19700101T000000');
+  } else if (isYearly) {
+    observances = transitions.flatMap(({ offsetFrom, offsetTo }, i) => {
+      const { month, weekday, week, minutes } = rules[i];
+      const day = getNthWeekdayOfMonth(1970, month, weekday, week);
+      const dtStart = formatIcsLocalDateTime(`1970-${String(month + 1).padStart(2, '0')}-${String(day).padStart(2, '0')}`, minutes);
+      return observance(offsetFrom, offsetTo, dtStart, `FREQ=YEARLY;BYMONTH=${month + 1};BYDAY=${week}${ICS_WEEKDAYS[weekday]}`);
+    });
+  } else {
+    observances = [-1, 0, 1, 2, 3, 4, 5].flatMap(delta => getOffsetTransitions(timeZone, year + delta)).flatMap(transition => {
+      const local = new Date(transition.at + transition.offsetFrom * 60000).toISOString();
+      return observance(transition.offsetFrom, transition.offsetTo, formatIcsLocalDateTime(local.slice(0, 10), Number(local.slice(11, 13)) * 60 + Number(local.slice(14, 16))));
+    });
+  }
+  return ['BEGIN:VTIMEZONE', `TZID:${timeZone}`, ...observances, 'END:VTIMEZONE'];
+};
 
-    // 5. Calculate Monthly TDS
-    setMonthlyTDS(tax / 12);
+// Stable UID so exported events are recognised when they are imported again; detached occurrences never reuse their series' UID
+const getEventUid = (event) => (!event.seriesId && event.uid) || `${event.id}@${ICS_UID_DOMAIN}`;
+
+const buildIcsEvent = (event, now = new Date()) => {
+  const minutes = getEventMinutes(event);
+  const timeZone = getEventTimeZone(event);
+  // Timed events keep their wall-clock time with a TZID, so a series stays put across daylight-saving changes
+  const formatStart = (dateKey) => `;TZID=${timeZone}:${formatIcsLocalDateTime(dateKey, minutes.start)}`;
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${getEventUid(event)}`,
+    `DTSTAMP:${formatIcsUtcDateTime(now)}`,
+  ];
+  if (minutes) {
+    lines.push(`DTSTART${formatStart(event.date)}`);
+    lines.push(`DURATION:PT${minutes.end - minutes.start}M`);
+  } else {
+    lines.push(`DTSTART;VALUE=DATE:${event.date.replace(/-/g, '')}`);
+  }
+  if (event.recurrence) {
+    const frequency = Object.keys(ICS_FREQUENCIES).find(key => ICS_FREQUENCIES[key] === event.recurrence.frequency);
+    // UNTIL must be a DATE for all-day series and a UTC date-time otherwise
+    const { until: untilDate } = event.recurrence;
+    const until = !untilDate ? ''
+      : minutes ? `;UNTIL=${formatIcsUtcDateTime(zonedTimeToDate(untilDate, 24 * 60 - 1, timeZone))}`
+      : `;UNTIL=${untilDate.replace(/-/g, '')}`;
+    lines.push(`RRULE:FREQ=${frequency};INTERVAL=${Number(event.recurrence.interval) || 1}${until}`);
+    (event.exceptions || []).forEach(exceptionDate => {
+      lines.push(minutes ? `EXDATE${formatStart(exceptionDate)}` : `EXDATE;VALUE=DATE:${exceptionDate.replace(/-/g, '')}`);
+    });
+  }
+  lines.push(`SUMMARY:${escapeIcsText(event.description)}`);
+  const details = [
+    event.type && `Type: ${event.type}`,
+    event.round && `Round: ${event.round}`,
+    event.candidateName && `Candidate: ${event.candidateName}`,
+  ].filter(Boolean).join('\n');
+  if (details) lines.push(`DESCRIPTION:${escapeIcsText(details)}`);
+  if (event.type) lines.push(`CATEGORIES:${escapeIcsText(event.type)}`);
+  if (event.virtual) lines.push('LOCATION:Video call');
+  lines.push(`STATUS:${event.status === 'Cancelled' ? 'CANCELLED' : 'CONFIRMED'}`);
+  (event.attendees || []).forEach(name => {
+    const member = TEAM_MEMBERS.find(m => m.name === name);
+    const localPart = name.toLowerCase().replace(/[^a-z0-9]+/g, '.').replace(/^\.+|\.+$/g, '');
+    if (!member && !localPart) return;
+    const address = member?.email || `${localPart}@${ICS_UID_DOMAIN}`;
+    lines.push(`ATTENDEE;CN="${name.replace(/"/g, '')}";ROLE=REQ-PARTICIPANT;PARTSTAT=NEEDS-ACTION:mailto:${address}`);
+  });
+  if (event.candidateId) lines.push(`X-SAPPHIRE-CANDIDATE-ID:${escapeIcsText(event.candidateId)}`);
+  if (event.round) lines.push(`X-SAPPHIRE-ROUND:${escapeIcsText(event.round)}`);
+  lines.push('END:VEVENT');
+  return lines;
+};
 
-    // 6. Calculate Net Salary (Take-Home Pay)
-    const employeePFContribution = basicSalary * 0.12; // Assuming employee PF is 12% of basic salary
-    const professionalTax = 2400; // Annual, fixed for simplicity, actual varies by state
+// A complete VCALENDAR document (CRLF line endings, folded lines) for a list of events
+const buildIcsCalendar = (events, now = new Date()) => {
+  const timeZones = [...new Set(events.filter(event => getEventMinutes(event)).map(getEventTimeZone))];
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${ICS_PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    ...timeZones.flatMap(timeZone => buildIcsTimeZone(timeZone, now.getFullYear())),
+    ...events.flatMap(event => buildIcsEvent(event, now)),
+    'END:VCALENDAR',
+  ];
+  return `${lines.map(foldIcsLine).join('\r\n')}\r\n`;
+};
 
-    const calculatedNetSalary = calculatedGrossSalary - employeePFContribution - professionalTax - tax;
-    setNetSalary(calculatedNetSalary);
-  };
+const downloadIcsFile = (events, fileName) => downloadFile(buildIcsCalendar(events), fileName, 'text/calendar;charset=utf-8');
+
+// Splits one content line into its name, parameters and value (quoted parameter values may contain ':' and ';')
+const parseIcsLine = (line) => {
+  let inQuotes = false;
+  let valueStart = -1;
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') inQuotes = !inQuotes;
+    if (line[i] === ':' && !inQuotes) {
+      valueStart = i;
+      break;
+    }
+  }
+  if (valueStart === -1) return null;
+  const [name, ...rawParams] = line.slice(0, valueStart).match(/(?:[^;"]|"[^"]*")+/g) || [];
+  const params = {};
+  rawParams.forEach(param => {
+    const [key, ...rest] = param.split('=');
+    params[key.toUpperCase()] = rest.join('=').replace(/^"|"$/g, '');
+  });
+  return { name: (name || '').toUpperCase(), params, value: line.slice(valueStart + 1) };
+};
 
-  const handleChange = (e, setter) => {
-    setter(Number(e.target.value));
-  };
+// Reads a DATE or DATE-TIME value; UTC, floating and unknown-TZID times are placed in the fallback timezone
+const parseIcsDateTime = (value, params = {}, fallbackTimeZone = DEFAULT_ORG_TIMEZONE) => {
+  const match = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+  if (!match) return null;
+  const [, year, month, day, hours, mins, , isUtc] = match;
+  const dateKey = `${year}-${month}-${day}`;
+  if (hours === undefined || params.VALUE === 'DATE') {
+    return { date: dateKey, minutes: null, timeZone: null };
+  }
+  const minutes = Number(hours) * 60 + Number(mins);
+  if (isUtc) {
+    const local = convertWallTime(dateKey, minutes, 'UTC', fallbackTimeZone);
+    return { date: local.dateKey, minutes: local.minutes, timeZone: fallbackTimeZone };
+  }
+  const timeZone = params.TZID && isValidTimeZone(params.TZID) ? params.TZID : fallbackTimeZone;
+  return { date: dateKey, minutes, timeZone };
+};
 
-  return (
-    <div>
-      <h2 className={`text-xl font-semibold mb-4 ${theme === 'dark' ? 'text-white' : 'text-zinc-900'}`}>CTC & Tax Calculator (FY 2025-26 New Regime)</h2>
-      <div className={`p-6 rounded-lg shadow-md ${theme === 'dark' ? 'bg-zinc-800 text-gray-300' : 'bg-white text-gray-700'}`}>
-        <p className={`mb-4 text-sm ${theme === 'dark' ? 'text-gray-300' : 'text-gray-700'}`}>Enter your annual salary components to get an estimated CTC, Taxable Income, and TDS.</p>
-        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-          <div>
-            <label htmlFor="basicSalary" className={`block text-sm font-medium ${theme === 'dark' ? 'text-gray-400' : 'text-gray-800'}`}>Basic Salary (INR)</label>
-            <input type="number" id="basicSalary" value={basicSalary} onChange={(e) => handleChange(e, setBasicSalary)}
-              className={`mt-1 block w-full p-2 rounded-md text-sm focus:ring-blue-500 focus:border-blue-500 transition-colors duration-200 ${theme === 'dark' ? 'bg-zinc-700 border-zinc-600 text-white' : 'bg-gray-100 border-gray-300 text-zinc-900'}`} />
-          </div>
-          <div>
-            <label htmlFor="hra" className={`block text-sm font-medium ${theme === 'dark' ? 'text-gray-400' : 'text-gray-800'}`}>HRA (INR)</label>
-            <input type="number" id="hra" value={hra} onChange={(e) => handleChange(e, setHra)}
-              className={`mt-1 block w-full p-2 rounded-md text-sm focus:ring-blue-500 focus:border-blue-500 transition-colors duration-200 ${theme === 'dark' ? 'bg-zinc-700 border-zinc-600 text-white' : 'bg-gray-100 border-gray-300 text-zinc-900'}`} />
-          </div>
-          <div>
-            <label htmlFor="otherAllowances" className={`block text-sm font-medium ${theme === 'dark' ? 'text-gray-400' : 'text-gray-800'}`}>Other Allowances (INR)</label>
-            <input type="number" id="otherAllowances" value={otherAllowances} onChange={(e) => handleChange(e, setOtherAllowances)}
-              className={`mt-1 block w-full p-2 rounded-md text-sm focus:ring-blue-500 focus:border-blue-500 transition-colors duration-200 ${theme === 'dark' ? 'bg-zinc-700 border-zinc-600 text-white' : 'bg-gray-100 border-gray-300 text-zinc-900'}`} />
-          </div>
-          <div>
-            <label htmlFor="performanceBonus" className={`block text-sm font-medium ${theme === 'dark' ? 'text-gray-400' : 'text-gray-800'}`}>Performance Bonus (INR)</label>
-            <input type="number" id="performanceBonus" value={performanceBonus} onChange={(e) => handleChange(e, setPerformanceBonus)}
-              className={`mt-1 block w-full p-2 rounded-md text-sm focus:ring-blue-500 focus:border-blue-500 transition-colors duration-200 ${theme === 'dark' ? 'bg-zinc-700 border-zinc-600 text-white' : 'bg-gray-100 border-gray-300 text-zinc-900'}`} />
-          </div>
-          <div>
-            <label htmlFor="employerPF" className={`block text-sm font-medium ${theme === 'dark' ? 'text-gray-400' : 'text-gray-800'}`}>Employer's PF Contribution (INR)</label>
-            <input type="number" id="employerPF" value={employerPF} onChange={(e) => handleChange(e, setEmployerPF)}
-              className={`mt-1 block w-full p-2 rounded-md text-sm focus:ring-blue-500 focus:border-blue-500 transition-colors duration-200 ${theme === 'dark' ? 'bg-zinc-700 border-zinc-600 text-white' : 'bg-gray-100 border-gray-300 text-zinc-900'}`} />
-          </div>
-          <div>
-            <label htmlFor="gratuity" className={`block text-sm font-medium ${theme === 'dark' ? 'text-gray-400' : 'text-gray-800'}`}>Gratuity (INR)</label>
-            <input type="number" id="gratuity" value={gratuity} onChange={(e) => handleChange(e, setGratuity)}
-              className={`mt-1 block w-full p-2 rounded-md text-sm focus:ring-blue-500 focus:border-blue-500 transition-colors duration-200 ${theme === 'dark' ? 'bg-zinc-700 border-zinc-600 text-white' : 'bg-gray-100 border-gray-300 text-zinc-900'}`} />
-          </div>
-          <div>
-            <label htmlFor="medicalInsuranceEmployer" className={`block text-sm font-medium ${theme === 'dark' ? 'text-gray-400' : 'text-gray-800'}`}>Medical Insurance (Employer Paid) (INR)</label>
-            <input type="number" id="medicalInsuranceEmployer" value={medicalInsuranceEmployer} onChange={(e) => handleChange(e, setMedicalInsuranceEmployer)}
-              className={`mt-1 block w-full p-2 rounded-md text-sm focus:ring-blue-500 focus:border-blue-500 transition-colors duration-200 ${theme === 'dark' ? 'bg-zinc-700 border-zinc-600 text-white' : 'bg-gray-100 border-gray-300 text-zinc-900'}`} />
-          </div>
-          <div>
-            <label htmlFor="employerNPS" className={`block text-sm font-medium ${theme === 'dark' ? 'text-gray-400' : 'text-gray-800'}`}>Employer's NPS Contribution (INR)</label>
-            <input type="number" id="employerNPS" value={employerNPS} onChange={(e) => handleChange(e, setEmployerNPS)}
-              className={`mt-1 block w-full p-2 rounded-md text-sm focus:ring-blue-500 focus:border-blue-500 transition-colors duration-200 ${theme === 'dark' ? 'bg-zinc-700 border-zinc-600 text-white' : 'bg-gray-100 border-gray-300 text-zinc-900'}`} />
-          </div>
-        </div>
+// A parsed date-time moved into another zone (all-day values are left as they are)
+const toIcsZone = (parsed, timeZone) => {
+  if (!parsed || !timeZone || parsed.minutes === null || parsed.timeZone === timeZone) return parsed;
+  const local = convertWallTime(parsed.date, parsed.minutes, parsed.timeZone, timeZone);
+  return { date: local.dateKey, minutes: local.minutes, timeZone };
+};
 
-        <h3 className={`text-lg font-semibold mt-8 mb-4 ${theme === 'dark' ? 'text-white' : 'text-zinc-900'}`}>Calculation Results</h3>
-        <table className="min-w-full divide-y divide-zinc-700">
-          <tbody className={theme === 'dark' ? 'bg-zinc-800 divide-y divide-zinc-700' : 'bg-white divide-y divide-gray-200'}>
-            <tr>
-              <td className={`px-6 py-3 whitespace-nowrap text-sm font-medium ${theme === 'dark' ? 'text-white' : 'text-zinc-900'}`}>Annual CTC</td>
-              <td className={`px-6 py-3 whitespace-nowrap text-sm text-right ${theme === 'dark' ? 'text-gray-300' : 'text-gray-700'}`}>{formatINR(annualCTC)}</td>
-            </tr>
-            <tr>
-              <td className={`px-6 py-3 whitespace-nowrap text-sm font-medium ${theme === 'dark' ? 'text-white' : 'text-zinc-900'}`}>Gross Salary</td>
-              <td className={`px-6 py-3 whitespace-nowrap text-sm text-right ${theme === 'dark' ? 'text-gray-300' : 'text-gray-700'}`}>{formatINR(grossSalary)}</td>
-            </tr>
-            <tr>
-              <td className={`px-6 py-3 whitespace-nowrap text-sm font-medium ${theme === 'dark' ? 'text-white' : 'text-zinc-900'}`}>Taxable Income (New Regime)</td>
-              <td className={`px-6 py-3 whitespace-nowrap text-sm text-right ${theme === 'dark' ? 'text-gray-300' : 'text-gray-700'}`}>{formatINR(taxableIncome)}</td>
-            </tr>
-            <tr className="font-bold">
-              <td className={`px-6 py-3 whitespace-nowrap text-sm ${theme === 'dark' ? 'text-white' : 'text-zinc-900'}`}>Total Annual Tax Liability</td>
-              <td className="px-6 py-3 whitespace-nowrap text-sm text-red-400 text-right">{formatINR(totalTaxLiability)}</td>
-            </tr>
-            <tr className="font-bold">
-              <td className={`px-6 py-3 whitespace-nowrap text-sm ${theme === 'dark' ? 'text-white' : 'text-zinc-900'}`}>Monthly TDS</td>
-              <td className="px-6 py-3 whitespace-nowrap text-sm text-red-400 text-right">{formatINR(monthlyTDS)}</td>
-            </tr>
-            <tr className={`font-bold ${theme === 'dark' ? 'bg-zinc-700 text-white' : 'bg-gray-200 text-zinc-900'}`}>
-              <td className="px-6 py-3 whitespace-nowrap text-sm">Estimated Annual Net Salary (Take-Home)</td>
-              <td className="px-6 py-3 whitespace-nowrap text-sm text-green-400 text-right">{formatINR(netSalary)}</td>
-            </tr>
-          </tbody>
-        </table>
-        <p className={`mt-4 text-xs ${theme === 'dark' ? 'text-gray-400' : 'text-gray-500'}`}>This is a simplified calculation using the New Tax Regime (FY 2025-26). It assumes standard deductions and does not account for all possible exemptions, investments, or variable components. For precise tax planning, consult a financial advisor.</p>
-      </div>
-    </div>
-  );
+// ISO 8601 duration (e.g. PT1H30M, P1D) in minutes
+const parseIcsDuration = (value) => {
+  const match = (value || '').match(/^P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/);
+  if (!match) return null;
+  const [, weeks, days, hours, minutes] = match.map(part => Number(part) || 0);
+  return ((weeks * 7 + days) * 24 + hours) * 60 + minutes;
 };
 
-// Calendar View Component
-const CalendarView = ({ events }) => {
-  const { theme } = useTheme();
-  const [currentMonth, setCurrentMonth] = useState(new Date());
-  const [selectedDate, setSelectedDate] = useState(null);
+// Parses VEVENTs from an .ics file into event drafts for the events collection; floating times are read in the fallback timezone
+const parseIcsCalendar = (text, fallbackTimeZone = DEFAULT_ORG_TIMEZONE) => {
+  const lines = text.replace(/\r\n/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+  const parsedEvents = [];
+  let current = null;
+  lines.forEach(rawLine => {
+    const line = parseIcsLine(rawLine.trim());
+    if (!line) return;
+    if (line.name === 'BEGIN' && line.value.toUpperCase() === 'VEVENT') {
+      current = { attendees: [], exceptions: [], properties: {} };
+    } else if (line.name === 'END' && line.value.toUpperCase() === 'VEVENT' && current) {
+      parsedEvents.push(current);
+      current = null;
+    } else if (current) {
+      if (line.name === 'ATTENDEE') {
+        const address = line.value.replace(/^mailto:/i, '');
+        const member = TEAM_MEMBERS.find(m => m.email === address.toLowerCase() || m.name === line.params.CN);
+        current.attendees.push(member?.name || line.params.CN || address);
+      } else if (line.name === 'EXDATE') {
+        line.value.split(',').forEach(value => {
+          const exception = parseIcsDateTime(value, line.params, fallbackTimeZone);
+          if (exception) current.exceptions.push(exception);
+        });
+      } else {
+        current.properties[line.name] = line;
+      }
+    }
+  });
 
-  const getDaysInMonth = (date) => {
-    const year = date.getFullYear();
-    const month = date.getMonth();
-    return new Date(year, month + 1, 0).getDate();
-  };
+  return parsedEvents
+    .map(({ attendees, exceptions, properties }) => {
+      const start = properties.DTSTART && parseIcsDateTime(properties.DTSTART.value, properties.DTSTART.params, fallbackTimeZone);
+      if (!properties.UID || !start) return null;
+      const end = properties.DTEND && parseIcsDateTime(properties.DTEND.value, properties.DTEND.params, fallbackTimeZone);
+      let durationMinutes = properties.DURATION ? parseIcsDuration(properties.DURATION.value) : null;
+      if (durationMinutes === null && end && start.minutes !== null && end.minutes !== null) {
+        durationMinutes = Math.round((zonedTimeToDate(end.date, end.minutes, end.timeZone) - zonedTimeToDate(start.date, start.minutes, start.timeZone)) / 60000);
+      }
+      const rrule = properties.RRULE ? Object.fromEntries(properties.RRULE.value.split(';').map(part => part.split('='))) : null;
+      // UNTIL and EXDATE are usually in UTC; the app stores them as dates in the series' own zone
+      const until = rrule?.UNTIL ? toIcsZone(parseIcsDateTime(rrule.UNTIL, {}, start.timeZone || fallbackTimeZone), start.timeZone) : null;
+      const category = properties.CATEGORIES ? unescapeIcsText(properties.CATEGORIES.value).split(',')[0].trim() : '';
+      const location = properties.LOCATION ? unescapeIcsText(properties.LOCATION.value) : '';
+      return {
+        uid: properties.UID.value,
+        description: properties.SUMMARY ? unescapeIcsText(properties.SUMMARY.value) : '(No title)',
+        type: EVENT_TYPES.includes(category) ? category : 'Meeting',
+        date: start.date,
+        ...(start.minutes !== null ? { ...getEventTimingFields(start.minutes, start.date, start.timeZone), durationMinutes: durationMinutes > 0 ? durationMinutes : DEFAULT_EVENT_DURATION_MINUTES } : {}),
+        attendees: [...new Set(attendees)],
+        virtual: /video|zoom|meet|teams|https?:/i.test(location) || !!properties.URL,
+        status: properties.STATUS?.value.toUpperCase() === 'CANCELLED' ? 'Cancelled' : 'Scheduled',
+        // Only simple DAILY/WEEKLY/MONTHLY rules map onto the app's recurrence model; others import as a single event
+        recurrence: rrule && ICS_FREQUENCIES[rrule.FREQ] && !rrule.BYDAY && !rrule.COUNT
+          ? { frequency: ICS_FREQUENCIES[rrule.FREQ], interval: Number(rrule.INTERVAL) || 1, until: until ? until.date : null }
+          : null,
+        hasUnsupportedRecurrence: !!rrule && !(ICS_FREQUENCIES[rrule.FREQ] && !rrule.BYDAY && !rrule.COUNT),
+        exceptions: exceptions.map(exception => toIcsZone(exception, start.timeZone).date),
+        ...(properties['X-SAPPHIRE-CANDIDATE-ID'] ? { candidateId: unescapeIcsText(properties['X-SAPPHIRE-CANDIDATE-ID'].value) } : {}),
+        ...(properties['X-SAPPHIRE-ROUND'] ? { round: unescapeIcsText(properties['X-SAPPHIRE-ROUND'].value) } : {}),
+      };
+    })
+    .filter(Boolean);
+};
 
-  const getFirstDayOfMonth = (date) => {
-    const year = date.getFullYear();
-    const month = date.getMonth();
-    return new Date(year, month, 1).getDay(); // 0 for Sunday, 1 for Monday
-  };
+// --- Employee Records ---
+const EMPLOYMENT_STATUSES = ['Active', 'On Leave', 'Terminated'];
+const GENDER_OPTIONS = ['Female', 'Male', 'Non-binary', 'Prefer not to say'];
+const EMPLOYEE_DETAIL_TABS = [
+  { key: 'profile', label: 'Profile' },
+  { key: 'emergencyContact', label: 'Emergency Contact' },
+  { key: 'bankDetails', label: 'Bank Details' },
+  { key: 'statutory', label: 'Statutory IDs' },
+  { key: 'benefitsEnrollment', label: 'Benefits' },
+  { key: 'leaveBalance', label: 'Leave Balance' },
+  { key: 'documents', label: 'Documents' },
+  { key: 'performance', label: 'Performance' },
+  { key: 'hiring', label: 'Hiring History' },
+];
+const BENEFIT_OPTIONS = [
+  { key: 'healthInsurance', label: 'Health Insurance' },
+  { key: 'providentFund', label: 'Provident Fund (PF)' },
+  { key: 'gratuity', label: 'Gratuity' },
+  { key: 'nps', label: 'National Pension System (NPS)' },
+];
+const LEAVE_TYPES = [
+  { key: 'sick', label: 'Sick' },
+  { key: 'casual', label: 'Casual' },
+  { key: 'earned', label: 'Earned' },
+];
+const MAX_LEAVE_BALANCE_DAYS = 365;
+const MIN_EMPLOYEE_AGE_YEARS = 18;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const BANK_ACCOUNT_PATTERN = /^\d{9,18}$/;
+const IFSC_PATTERN = /^[A-Z]{4}0[A-Z0-9]{6}$/;
+
+// Older records store bank details as a single string such as 'Account: XXXX1234'
+const normalizeBankDetails = (bankDetails) => (bankDetails && typeof bankDetails === 'object'
+  ? { accountHolder: '', bankName: '', accountNumber: '', ifsc: '', ...bankDetails }
+  : { accountHolder: '', bankName: '', accountNumber: '', ifsc: '', legacy: bankDetails || '' });
+
+const maskAccountNumber = (accountNumber) => (accountNumber ? `XXXX${String(accountNumber).slice(-4)}` : 'N/A');
+
+// --- Indian KYC Validation ---
+// The fourth PAN character is the holder type (P for individuals, C for companies, and so on)
+const PAN_PATTERN = /^[A-Z]{3}[ABCEFGHJLPT][A-Z]\d{4}[A-Z]$/;
+const AADHAAR_PATTERN = /^[2-9]\d{11}$/;
+const UAN_PATTERN = /^\d{12}$/;
+const INDIAN_MOBILE_PATTERN = /^(?:\+91|91|0)?[6-9]\d{9}$/;
+// Team roles allowed to see full identity and bank numbers; everyone else, including unmapped sign-ins, sees them masked
+const KYC_REVEAL_ROLES = ['HR Admin', 'HR Business Partner'];
+
+// Verhoeff dihedral-group tables used by the Aadhaar check digit
+const VERHOEFF_MULTIPLICATION = [
+  [0, 1, 2, 3, 4, 5, 6, 7, 8, 9],
+  [1, 2, 3, 4, 0, 6, 7, 8, 9, 5],
+  [2, 3, 4, 0, 1, 7, 8, 9, 5, 6],
+  [3, 4, 0, 1, 2, 8, 9, 5, 6, 7],
+  [4, 0, 1, 2, 3, 9, 5, 6, 7, 8],
+  [5, 9, 8, 7, 6, 0, 4, 3, 2, 1],
+  [6, 5, 9, 8, 7, 1, 0, 4, 3, 2],
+  [7, 6, 5, 9, 8, 2, 1, 0, 4, 3],
+  [8, 7, 6, 5, 9, 3, 2, 1, 0, 4],
+  [9, 8, 7, 6, 5, 4, 3, 2, 1, 0],
+];
+const VERHOEFF_PERMUTATION = [
+  [0, 1, 2, 3, 4, 5, 6, 7, 8, 9],
+  [1, 5, 7, 6, 2, 8, 3, 0, 9, 4],
+  [5, 8, 0, 3, 7, 9, 6, 1, 4, 2],
+  [8, 9, 1, 6, 0, 4, 3, 5, 2, 7],
+  [9, 4, 5, 3, 1, 2, 6, 8, 7, 0],
+  [4, 2, 8, 6, 5, 7, 3, 9, 0, 1],
+  [2, 7, 9, 3, 8, 0, 6, 4, 1, 5],
+  [7, 0, 4, 6, 9, 1, 3, 2, 5, 8],
+];
+
+// True when the digit string, including its trailing check digit, passes the Verhoeff checksum
+const isValidVerhoeff = (digits) => [...digits].reverse()
+  .reduce((check, digit, i) => VERHOEFF_MULTIPLICATION[check][VERHOEFF_PERMUTATION[i % 8][Number(digit)]], 0) === 0;
+
+const stripSeparators = (value) => String(value || '').replace(/[\s-]/g, '');
+
+// Per-field rules: how to normalize the stored value, whether it is valid, and how to mask it for display
+const KYC_FIELDS = {
+  panNumber: {
+    label: 'PAN',
+    normalize: (value) => String(value || '').trim().toUpperCase(),
+    isValid: (value) => PAN_PATTERN.test(value),
+    mask: (value) => `XXXXXX${value.slice(-4)}`,
+    message: 'PAN must look like ABCPE1234F.',
+  },
+  aadhaarNumber: {
+    label: 'Aadhaar',
+    normalize: (value) => stripSeparators(value).replace(/^(\d{4})(\d{4})(\d{4})$/, '$1 $2 $3'),
+    isValid: (value) => AADHAAR_PATTERN.test(stripSeparators(value)) && isValidVerhoeff(stripSeparators(value)),
+    mask: (value) => `XXXX XXXX ${stripSeparators(value).slice(-4)}`,
+    message: 'Aadhaar must be 12 digits with a valid check digit.',
+  },
+  uanNumber: {
+    label: 'UAN',
+    normalize: stripSeparators,
+    isValid: (value) => UAN_PATTERN.test(value),
+    mask: (value) => `XXXXXXXX${value.slice(-4)}`,
+    message: 'UAN must be 12 digits.',
+  },
+  ifsc: {
+    label: 'IFSC',
+    normalize: (value) => String(value || '').trim().toUpperCase(),
+    isValid: (value) => IFSC_PATTERN.test(value),
+    mask: (value) => `${value.slice(0, 4)}XXXXXXX`,
+    message: 'IFSC must look like ABCD0123456.',
+  },
+  phone: {
+    label: 'Mobile',
+    normalize: (value) => String(value || '').trim(),
+    isValid: (value) => INDIAN_MOBILE_PATTERN.test(stripSeparators(value)),
+    mask: (value) => `XXXXXX${stripSeparators(value).slice(-4)}`,
+    message: 'Enter a 10-digit Indian mobile number starting with 6-9.',
+  },
+};
 
-  const daysInMonth = getDaysInMonth(currentMonth);
-  const firstDayOfMonth = getFirstDayOfMonth(currentMonth);
-  const monthName = currentMonth.toLocaleString('default', { month: 'long', year: 'numeric' });
+// Field-level errors for the given KYC fields; blank values are left to the caller's required checks
+const validateKycFields = (values, fields = Object.keys(KYC_FIELDS)) => fields.reduce((errors, field) => {
+  const value = KYC_FIELDS[field].normalize(values[field]);
+  return value && !KYC_FIELDS[field].isValid(value) ? { ...errors, [field]: KYC_FIELDS[field].message } : errors;
+}, {});
+
+// Normalized copy of the KYC fields present in values, with invalid ones blanked
+const sanitizeKycFields = (values) => Object.keys(KYC_FIELDS)
+  .filter(field => field in values)
+  .reduce((clean, field) => {
+    const value = KYC_FIELDS[field].normalize(values[field]);
+    return { ...clean, [field]: value && KYC_FIELDS[field].isValid(value) ? value : '' };
+  }, { ...values });
+
+const maskKycValue = (field, value) => (value ? KYC_FIELDS[field].mask(KYC_FIELDS[field].normalize(value)) : 'N/A');
+
+const canRevealKyc = (viewer) => !!viewer && KYC_REVEAL_ROLES.includes(viewer.role);
+
+// Check digit that makes a digit string pass isValidVerhoeff
+const VERHOEFF_INVERSE = [0, 4, 3, 2, 1, 5, 6, 7, 8, 9];
+const getVerhoeffCheckDigit = (digits) => VERHOEFF_INVERSE[[...digits].reverse()
+  .reduce((check, digit, i) => VERHOEFF_MULTIPLICATION[check][VERHOEFF_PERMUTATION[(i + 1) % 8][Number(digit)]], 0)];
+
+// Random identifiers for seeded sample data that pass the validators above
+const randomDigits = (count) => Array.from({ length: count }, () => Math.floor(Math.random() * 10)).join('');
+const randomLetters = (count) => Array.from({ length: count }, () => String.fromCharCode(65 + Math.floor(Math.random() * 26))).join('');
+const generateSampleMobile = () => `+91 ${6 + Math.floor(Math.random() * 4)}${randomDigits(9)}`;
+const generateSampleAadhaar = () => {
+  const digits = `${2 + Math.floor(Math.random() * 8)}${randomDigits(10)}`;
+  return KYC_FIELDS.aadhaarNumber.normalize(`${digits}${getVerhoeffCheckDigit(digits)}`);
+};
+const generateSamplePAN = () => `${randomLetters(3)}P${randomLetters(1)}${randomDigits(4)}${randomLetters(1)}`;
+const generateSampleUAN = () => `10${randomDigits(10)}`;
 
-  const goToPreviousMonth = () => {
-    setCurrentMonth(new Date(currentMonth.getFullYear(), currentMonth.getMonth() - 1, 1));
-  };
+const isValidDateKey = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value || '') && toLocalDateKey(parseDateKey(value)) === value;
 
-  const goToNextMonth = () => {
-    setCurrentMonth(new Date(currentMonth.getFullYear(), currentMonth.getMonth() + 1, 1));
-  };
+// Whole years between two YYYY-MM-DD dates
+const getYearsBetween = (fromKey, toKey) => {
+  const [fromYear, fromMonth, fromDay] = fromKey.split('-').map(Number);
+  const [toYear, toMonth, toDay] = toKey.split('-').map(Number);
+  return toYear - fromYear - (toMonth < fromMonth || (toMonth === fromMonth && toDay < fromDay) ? 1 : 0);
+};
 
-  const handleDateClick = (day) => {
-    const date = new Date(currentMonth.getFullYear(), currentMonth.getMonth(), day);
-    setSelectedDate(date);
+// Field-level errors ({ field: message }) for one editable section of an employee record
+const validateEmployeeSection = (section, values, todayKey) => {
+  const errors = {};
+  const required = (field, label) => {
+    if (!String(values[field] ?? '').trim()) errors[field] = `${label} is required.`;
   };
 
-  const eventsForSelectedDate = selectedDate
-    ? events.filter(event => event.date === selectedDate.toISOString().split('T')[0])
-    : [];
+  if (section === 'profile') {
+    required('name', 'Name');
+    required('jobTitle', 'Job title');
+    required('address', 'Address');
+    required('email', 'Email');
+    if (values.email && !EMAIL_PATTERN.test(values.email.trim())) errors.email = 'Enter a valid email address.';
+    Object.assign(errors, validateKycFields(values, ['phone']));
+    if (!DEPARTMENTS.includes(values.department)) errors.department = 'Pick a department.';
+    if (!EMPLOYMENT_STATUSES.includes(values.status)) errors.status = 'Pick an employment status.';
+    if (!isValidDateKey(values.hireDate)) errors.hireDate = 'Enter a valid hire date.';
+    if (!isValidDateKey(values.dob)) {
+      errors.dob = 'Enter a valid date of birth.';
+    } else if (values.dob > todayKey) {
+      errors.dob = 'Date of birth cannot be in the future.';
+    } else if (isValidDateKey(values.hireDate) && getYearsBetween(values.dob, values.hireDate) < MIN_EMPLOYEE_AGE_YEARS) {
+      errors.dob = `Employee must be at least ${MIN_EMPLOYEE_AGE_YEARS} on the hire date.`;
+    }
+  }
 
-  const getEventsForDay = (day) => {
-    const dateString = new Date(currentMonth.getFullYear(), currentMonth.getMonth(), day).toISOString().split('T')[0];
-    return events.filter(event => event.date === dateString);
-  };
+  if (section === 'emergencyContact') {
+    required('name', 'Contact name');
+    required('relationship', 'Relationship');
+    required('phone', 'Contact phone');
+    Object.assign(errors, validateKycFields(values, ['phone']));
+  }
 
-  const daysArray = [];
-  for (let i = 0; i < firstDayOfMonth; i++) {
-    daysArray.push(null); // Empty cells for days before the 1st
+  if (section === 'bankDetails') {
+    required('accountHolder', 'Account holder');
+    required('bankName', 'Bank name');
+    if (!BANK_ACCOUNT_PATTERN.test(values.accountNumber || '')) errors.accountNumber = 'Account number must be 9 to 18 digits.';
+    required('ifsc', 'IFSC');
+    Object.assign(errors, validateKycFields(values, ['ifsc']));
   }
-  for (let i = 1; i <= daysInMonth; i++) {
-    daysArray.push(i);
+
+  if (section === 'statutory') {
+    Object.assign(errors, validateKycFields(values, ['panNumber', 'aadhaarNumber', 'uanNumber']));
   }
 
-  return (
-    <div>
-      <h2 className={`text-xl font-semibold mb-4 ${theme === 'dark' ? 'text-white' : 'text-zinc-900'}`}>Task & Schedule Calendar</h2>
-      <div className={`p-6 rounded-lg shadow-md ${theme === 'dark' ? 'bg-zinc-800 text-gray-300' : 'bg-white text-gray-700'}`}>
-        <div className="flex justify-between items-center mb-6">
-          <button onClick={goToPreviousMonth} className="px-3 py-1 rounded-full bg-blue-600 hover:bg-blue-700 text-white text-sm transition-colors duration-200" aria-label="Previous month">
-            Prev
-          </button>
-          <h3 className={`text-lg font-bold ${theme === 'dark' ? 'text-white' : 'text-zinc-900'}`}>{monthName}</h3>
-          <button onClick={goToNextMonth} className="px-3 py-1 rounded-full bg-blue-600 hover:bg-blue-700 text-white text-sm transition-colors duration-200" aria-label="Next month">
-            Next
-          </button>
-        </div>
-
-        <div className="grid grid-cols-7 gap-2 text-center text-sm mb-4">
-          {['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].map(day => (
-            <div key={day} className="font-bold text-blue-400">{day}</div>
-          ))}
-        </div>
+  if (section === 'leaveBalance') {
+    LEAVE_TYPES.forEach(({ key, label }) => {
+      const days = Number(values[key]);
+      if (values[key] === '' || isNaN(days) || days < 0 || days > MAX_LEAVE_BALANCE_DAYS) {
+        errors[key] = `${label} leave must be between 0 and ${MAX_LEAVE_BALANCE_DAYS} days.`;
+      } else if (days * 2 !== Math.round(days * 2)) {
+        errors[key] = `${label} leave can only be in half days.`;
+      }
+    });
+  }
 
-        <div className="grid grid-cols-7 gap-2">
-          {daysArray.map((day, index) => (
-            <div
-              key={index}
-              className={`p-2 rounded-lg aspect-square flex flex-col items-center justify-start text-xs transition-colors duration-200 ${
-                day ? `${theme === 'dark' ? 'bg-zinc-700 hover:bg-zinc-600' : 'bg-gray-100 hover:bg-gray-200'} cursor-pointer` : `${theme === 'dark' ? 'bg-zinc-800' : 'bg-white'}`
-              } ${
-                selectedDate && day && selectedDate.getDate() === day && selectedDate.getMonth() === currentMonth.getMonth()
-                  ? 'border-2 border-blue-500' : ''
-              }`}
-              onClick={() => day && handleDateClick(day)}
-              role="gridcell"
-              aria-label={day ? `${day} ${monthName}` : 'Empty day'}
-            >
-              {day && <span className={`font-semibold ${theme === 'dark' ? 'text-white' : 'text-zinc-900'}`}>{day}</span>}
-              {day && getEventsForDay(day).length > 0 && (
-                <div className="w-1.5 h-1.5 bg-green-400 rounded-full mt-1 animate-pulse"></div>
-              )}
-            </div>
-          ))}
-        </div>
+  if (section === 'documents') {
+    const names = values.documents.map(name => name.trim().toLowerCase());
+    if (names.some(name => !name)) errors.documents = 'Document names cannot be empty.';
+    else if (new Set(names).size !== names.length) errors.documents = 'Each document can only be listed once.';
+  }
 
-        {selectedDate && (
-          <div className="mt-8">
-            <h3 className={`text-lg font-semibold mb-3 ${theme === 'dark' ? 'text-white' : 'text-zinc-900'}`}>Events for ${selectedDate.toLocaleDateString()}</h3>
-            {eventsForSelectedDate.length > 0 ? (
-              <ul className="space-y-2">
-                {eventsForSelectedDate.map(event => (
-                  <li key={event.id} className={`${theme === 'dark' ? 'bg-zinc-700' : 'bg-gray-100'} p-3 rounded-lg flex justify-between items-center text-sm`}>
-                    <div>
-                      <p className={`font-bold ${theme === 'dark' ? 'text-white' : 'text-zinc-900'}`}>{event.description}</p>
-                      <p className={`text-gray-400 ${theme === 'dark' ? 'text-gray-400' : 'text-gray-600'}`}>{event.type} - {event.time}</p>
-                    </div>
-                  </li>
-                ))}
-              </ul>
-            ) : (
-              <p className={`text-sm ${theme === 'dark' ? 'text-gray-400' : 'text-gray-600'}`}>No events scheduled for this date.</p>
-            )}
-          </div>
-        )}
-      </div>
-    </div>
-  );
+  if (section === 'performance') {
+    required('performanceReviewSummary', 'Review summary');
+  }
+  return errors;
 };
 
+// --- Leave Management ---
+// Days credited each month, and how much of a balance survives the year end: up to carryForwardCap
+// days carry over, up to encashmentCap more are paid out, and anything beyond that lapses
+const LEAVE_POLICY = {
+  sick: { monthlyAccrual: 1, carryForwardCap: 6, encashmentCap: 0 },
+  casual: { monthlyAccrual: 1, carryForwardCap: 0, encashmentCap: 0 },
+  earned: { monthlyAccrual: 1.5, carryForwardCap: 30, encashmentCap: 15 },
+};
+const LEAVE_EVENT_TYPE = 'Team Absence';
+
+// Allowed leave request status transitions; requests start as Pending
+const LEAVE_REQUEST_TRANSITIONS = {
+  'Pending': ['Approved', 'Rejected', 'Cancelled'],
+  'Approved': ['Cancelled'],
+  'Rejected': [],
+  'Cancelled': [],
+};
 
-// HRIS Page Component (New!)
-const HRISPage = ({ employees }) => {
-  const { theme } = useTheme();
-  const { showNotification } = useNotification();
-  const [searchTerm, setSearchTerm] = useState('');
-  const [filterDepartment, setFilterDepartment] = useState('All');
-  const [filterStatus, setFilterStatus] = useState('All');
+const roundToHalfDay = (days) => Math.round(days * 2) / 2;
 
-  const departments = ['All', ...new Set(employees.map(emp => emp.department))].sort();
-  const statuses = ['All', ...new Set(employees.map(emp => emp.status))].sort();
+// 'YYYY-MM' for a YYYY-MM-DD date key
+const toMonthKey = (dateKey) => dateKey.slice(0, 7);
 
-  const filteredEmployees = employees.filter(employee => {
-    const matchesSearch = employee.name.toLowerCase().includes(searchTerm.toLowerCase()) ||
-                          employee.jobTitle.toLowerCase().includes(searchTerm.toLowerCase()) ||
-                          employee.department.toLowerCase().includes(searchTerm.toLowerCase());
-    const matchesDepartment = filterDepartment === 'All' || employee.department === filterDepartment;
-    const matchesStatus = filterStatus === 'All' || employee.status === filterStatus;
-    return matchesSearch && matchesDepartment && matchesStatus;
-  });
+const shiftMonthKey = (monthKey, months) => {
+  const [year, month] = monthKey.split('-').map(Number);
+  const shifted = new Date(year, month - 1 + months, 1);
+  return `${shifted.getFullYear()}-${String(shifted.getMonth() + 1).padStart(2, '0')}`;
+};
 
-  const handleDownloadEmployeeData = () => {
-    const headers = [
-      "ID", "Name", "Department", "Job Title", "Email", "Phone", "Status",
-      "Hire Date", "Annual CTC", "Location", "Gender", "Date of Birth",
-      "Address", "Emergency Contact Name", "Emergency Contact Phone", "Emergency Contact Relationship",
-      "Bank Details", "Health Insurance", "Provident Fund", "Gratuity", "NPS",
-      "Sick Leave Balance", "Casual Leave Balance", "Earned Leave Balance", "Performance Review Summary"
-    ];
+// Working days (Monday to Friday) from start to end inclusive
+const getWorkingDateKeys = (startDate, endDate) => {
+  const dateKeys = [];
+  for (let day = parseDateKey(startDate); toLocalDateKey(day) <= endDate; day = addDays(day, 1)) {
+    if (day.getDay() !== 0 && day.getDay() !== 6) dateKeys.push(toLocalDateKey(day));
+  }
+  return dateKeys;
+};
 
-    const csvRows = filteredEmployees.map(e => {
-      const row = [
-        e.id, e.name, e.department, e.jobTitle, e.email, e.phone, e.status,
-        e.hireDate, e.annualCTC, e.location, e.gender, e.dob,
-        e.address, e.emergencyContact?.name, e.emergencyContact?.phone, e.emergencyContact?.relationship,
-        e.bankDetails, e.benefitsEnrollment?.healthInsurance ? 'Yes' : 'No',
-        e.benefitsEnrollment?.providentFund ? 'Yes' : 'No',
-        e.benefitsEnrollment?.gratuity ? 'Yes' : 'No',
-        e.benefitsEnrollment?.nps ? 'Yes' : 'No',
-        e.leaveBalance?.sick, e.leaveBalance?.casual, e.leaveBalance?.earned, e.performanceReviewSummary
-      ];
-      return row.map(item => {
-        if (typeof item === 'string' && item.includes(',')) {
-          return `"${item.replace(/"/g, '""')}"`;
-        }
-        return item;
-      }).join(',');
-    });
+// Leave days a request uses; a half-day start or end takes half a day off the first or last working day
+const countLeaveDays = ({ startDate, endDate, halfDayStart, halfDayEnd }) => {
+  if (!isValidDateKey(startDate) || !isValidDateKey(endDate) || endDate < startDate) return 0;
+  const workingDays = getWorkingDateKeys(startDate, endDate);
+  if (workingDays.length === 0) return 0;
+  if (startDate === endDate) return halfDayStart || halfDayEnd ? 0.5 : 1;
+  let days = workingDays.length;
+  if (halfDayStart && workingDays[0] === startDate) days -= 0.5;
+  if (halfDayEnd && workingDays[workingDays.length - 1] === endDate) days -= 0.5;
+  return days;
+};
 
-    const csvContent = [
-      headers.join(','),
-      ...csvRows
-    ].join('\n');
+// Field-level errors for a new leave application; pending requests already hold part of the balance
+const validateLeaveRequest = (request, employee, leaveRequests) => {
+  const errors = {};
+  if (!employee) errors.employeeId = 'Pick an employee.';
+  if (!LEAVE_TYPES.some(type => type.key === request.leaveType)) errors.leaveType = 'Pick a leave type.';
+  if (!isValidDateKey(request.startDate)) errors.startDate = 'Enter a start date.';
+  if (!isValidDateKey(request.endDate)) errors.endDate = 'Enter an end date.';
+  if (Object.keys(errors).length > 0) return errors;
+  if (request.endDate < request.startDate) {
+    errors.endDate = 'End date must be on or after the start date.';
+    return errors;
+  }
+  const days = countLeaveDays(request);
+  if (days === 0) {
+    errors.endDate = 'The dates only cover a weekend.';
+    return errors;
+  }
+  const employeeRequests = leaveRequests.filter(r => r.employeeId === employee.id && (r.status === 'Pending' || r.status === 'Approved'));
+  const overlapping = employeeRequests.find(r => r.startDate <= request.endDate && request.startDate <= r.endDate);
+  if (overlapping) {
+    errors.startDate = `Overlaps ${overlapping.status.toLowerCase()} leave from ${overlapping.startDate} to ${overlapping.endDate}.`;
+  }
+  const pendingDays = employeeRequests.filter(r => r.status === 'Pending' && r.leaveType === request.leaveType).reduce((sum, r) => sum + r.days, 0);
+  const available = (employee.leaveBalance?.[request.leaveType] ?? 0) - pendingDays;
+  if (days > available) {
+    errors.leaveType = `Only ${Math.max(0, available)} day(s) available${pendingDays > 0 ? ` after ${pendingDays} pending` : ''}.`;
+  }
+  return errors;
+};
 
-    const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
-    const link = document.createElement('a');
-    if (link.download !== undefined) {
-      const url = URL.createObjectURL(blob);
-      link.setAttribute('href', url);
-      link.setAttribute('download', 'sapphire_hr_employee_data.csv');
-      link.style.visibility = 'hidden';
-      document.body.appendChild(link);
-      link.click();
-      document.body.removeChild(link);
-      showNotification('Employee data downloaded successfully!', 'success');
+// Credits monthly accrual for every month after `accruedThrough` up to `throughMonth`. Reaching January
+// first settles the year just ended: the balance over the carry-forward cap is encashed up to its cap and the rest lapses.
+const accrueLeaveBalance = (leaveBalance, accruedThrough, throughMonth, policy = LEAVE_POLICY) => {
+  const balance = { ...leaveBalance };
+  const encashed = [];
+  const lapsed = [];
+  for (let monthKey = shiftMonthKey(accruedThrough, 1); monthKey <= throughMonth; monthKey = shiftMonthKey(monthKey, 1)) {
+    if (monthKey.endsWith('-01')) {
+      const year = Number(monthKey.slice(0, 4)) - 1;
+      LEAVE_TYPES.forEach(({ key }) => {
+        const excess = roundToHalfDay((balance[key] || 0) - policy[key].carryForwardCap);
+        if (excess <= 0) return;
+        const encashDays = Math.min(excess, policy[key].encashmentCap);
+        if (encashDays > 0) encashed.push({ year, leaveType: key, days: encashDays });
+        if (excess > encashDays) lapsed.push({ year, leaveType: key, days: roundToHalfDay(excess - encashDays) });
+        balance[key] = policy[key].carryForwardCap;
+      });
     }
-  };
+    LEAVE_TYPES.forEach(({ key }) => {
+      balance[key] = roundToHalfDay((balance[key] || 0) + policy[key].monthlyAccrual);
+    });
+  }
+  return { balance, encashed, lapsed };
+};
 
+// All-day calendar entry for approved leave; multi-day leave is a daily series that skips weekends
+const buildLeaveEvent = (request) => {
+  const typeLabel = LEAVE_TYPES.find(type => type.key === request.leaveType)?.label || request.leaveType;
+  const weekendDates = [];
+  for (let day = parseDateKey(request.startDate); toLocalDateKey(day) <= request.endDate; day = addDays(day, 1)) {
+    if (day.getDay() === 0 || day.getDay() === 6) weekendDates.push(toLocalDateKey(day));
+  }
+  return {
+    type: LEAVE_EVENT_TYPE,
+    description: `${request.employeeName} - ${typeLabel} leave${request.days % 1 !== 0 ? ` (${request.days} days)` : ''}`,
+    date: request.startDate,
+    attendees: [request.employeeName],
+    virtual: false,
+    status: 'Scheduled',
+    recurrence: request.endDate > request.startDate ? { frequency: 'daily', interval: 1, until: request.endDate } : null,
+    exceptions: weekendDates,
+    leaveRequestId: request.id,
+    employeeId: request.employeeId,
+  };
+};
 
-  return (
-    <div>
-      <h2 className={`text-xl font-semibold mb-4 ${theme === 'dark' ? 'text-white' : 'text-zinc-900'}`}>HRIS: Employee Management</h2>
-      <div className={`p-6 rounded-lg shadow-md ${theme === 'dark' ? 'bg-zinc-800 text-gray-300' : 'bg-white text-gray-700'}`}>
-        <p className={`mb-4 text-sm ${theme === 'dark' ? 'text-gray-300' : 'text-gray-700'}`}>
-          The Human Resources Information System (HRIS) module provides a centralized platform for managing all employee-related data,
-          from personal information and contact details to compensation, benefits, and performance records.
-          This ensures data accuracy, simplifies HR processes, and supports strategic workforce planning.
-        </p>
+// --- Attendance ---
+// Worked minutes that count as a full or half day present; time beyond a full day is overtime
+const FULL_DAY_WORK_MINUTES = 8 * 60;
+const HALF_DAY_WORK_MINUTES = 4 * 60;
 
-        {/* Employee Directory */}
-        <h3 className={`text-lg font-semibold mb-3 mt-6 ${theme === 'dark' ? 'text-white' : 'text-zinc-900'}`}>Employee Directory</h3>
-        <div className="flex flex-wrap gap-4 mb-4">
-          <input
-            type="text"
-            placeholder="Search employees by name, title, department..."
-            value={searchTerm}
-            onChange={(e) => setSearchTerm(e.target.value)}
-            className={`flex-1 min-w-[200px] p-2 rounded-md text-sm focus:ring-blue-500 focus:border-blue-500 transition-colors duration-200 ${theme === 'dark' ? 'bg-zinc-700 border-zinc-600 text-white' : 'bg-gray-100 border-gray-300 text-zinc-900'}`}
-            aria-label="Search employees"
-          />
-          <select
-            value={filterDepartment}
-            onChange={(e) => setFilterDepartment(e.target.value)}
-            className={`p-2 rounded-md text-sm focus:ring-blue-500 focus:border-blue-500 transition-colors duration-200 ${theme === 'dark' ? 'bg-zinc-700 border-zinc-600 text-white' : 'bg-gray-100 border-gray-300 text-zinc-900'}`}
-            aria-label="Filter by Department"
-          >
-            {departments.map(dept => (
-              <option key={dept} value={dept}>{dept}</option>
-            ))}
-          </select>
-          <select
-            value={filterStatus}
-            onChange={(e) => setFilterStatus(e.target.value)}
-            className={`p-2 rounded-md text-sm focus:ring-blue-500 focus:border-blue-500 transition-colors duration-200 ${theme === 'dark' ? 'bg-zinc-700 border-zinc-600 text-white' : 'bg-gray-100 border-gray-300 text-zinc-900'}`}
-            aria-label="Filter by Status"
-          >
-            {statuses.map(status => (
-              <option key={status} value={status}>{status}</option>
-            ))}
-          </select>
-          <button
-            onClick={handleDownloadEmployeeData}
-            className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg flex items-center space-x-2 text-sm transition-transform transform hover:scale-105 active:scale-95"
-            aria-label="Download Employee Data"
-          >
-            <Download size={16} /> <span>Download Data (CSV)</span>
-          </button>
-        </div>
+const parseTimeKey = (timeKey) => {
+  const [hours, minutes] = timeKey.split(':').map(Number);
+  return hours * 60 + minutes;
+};
 
-        <div className={`overflow-x-auto rounded-lg shadow-inner ${theme === 'dark' ? 'bg-zinc-700' : 'bg-gray-100'}`}>
-          <table className="min-w-full divide-y divide-zinc-600">
-            <thead className={theme === 'dark' ? 'bg-zinc-600' : 'bg-gray-200'}>
-              <tr>
-                <th className={`px-6 py-3 text-left text-xs font-medium uppercase tracking-wider ${theme === 'dark' ? 'text-gray-200' : 'text-gray-700'}`}>Employee ID</th>
-                <th className={`px-6 py-3 text-left text-xs font-medium uppercase tracking-wider ${theme === 'dark' ? 'text-gray-200' : 'text-gray-700'}`}>Name</th>
-                <th className={`px-6 py-3 text-left text-xs font-medium uppercase tracking-wider ${theme === 'dark' ? 'text-gray-200' : 'text-gray-700'}`}>Department</th>
-                <th className={`px-6 py-3 text-left text-xs font-medium uppercase tracking-wider ${theme === 'dark' ? 'text-gray-200' : 'text-gray-700'}`}>Job Title</th>
-                <th className={`px-6 py-3 text-left text-xs font-medium uppercase tracking-wider ${theme === 'dark' ? 'text-gray-200' : 'text-gray-700'}`}>Status</th>
-                <th className={`px-6 py-3 text-left text-xs font-medium uppercase tracking-wider ${theme === 'dark' ? 'text-gray-200' : 'text-gray-700'}`}>Hire Date</th>
-              </tr>
-            </thead>
-            <tbody className={theme === 'dark' ? 'bg-zinc-800 divide-y divide-zinc-700' : 'bg-white divide-y divide-gray-200'}>
-              {filteredEmployees.length > 0 ? (
-                filteredEmployees.map(employee => (
-                  <tr key={employee.id} className={`${theme === 'dark' ? 'hover:bg-zinc-700' : 'hover:bg-gray-50'}`}>
-                    <td className={`px-6 py-4 whitespace-nowrap text-sm font-medium ${theme === 'dark' ? 'text-blue-300' : 'text-blue-600'}`}>{employee.id}</td>
-                    <td className={`px-6 py-4 whitespace-nowrap text-sm ${theme === 'dark' ? 'text-gray-300' : 'text-gray-700'}`}>{employee.name}</td>
-                    <td className={`px-6 py-4 whitespace-nowrap text-sm ${theme === 'dark' ? 'text-gray-300' : 'text-gray-700'}`}>{employee.department}</td>
-                    <td className={`px-6 py-4 whitespace-nowrap text-sm ${theme === 'dark' ? 'text-gray-300' : 'text-gray-700'}`}>{employee.jobTitle}</td>
-                    <td className="px-6 py-4 whitespace-nowrap text-sm">
-                      <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${
-                        employee.status === 'Active' ? 'bg-green-600/20 text-green-300' :
-                        employee.status === 'On Leave' ? 'bg-orange-600/20 text-orange-300' :
-                        'bg-red-600/20 text-red-300'
-                      }`}>
-                        {employee.status}
-                      </span>
-                    </td>
-                    <td className={`px-6 py-4 whitespace-nowrap text-sm ${theme === 'dark' ? 'text-gray-300' : 'text-gray-700'}`}>{employee.hireDate}</td>
-                  </tr>
-                ))
-              ) : (
-                <tr>
-                  <td colSpan="6" className={`px-6 py-4 text-center text-sm ${theme === 'dark' ? 'text-gray-400' : 'text-gray-600'}`}>No employees found matching your criteria.</td>
-                </tr>
-              )}
-            </tbody>
-          </table>
-        </div>
-        <p className={`mt-4 text-xs ${theme === 'dark' ? 'text-gray-400' : 'text-gray-500'}`}>Click on an employee row to view their detailed profile with more HRIS data.</p>
+// Minutes between clock-in and clock-out, or null until both are recorded
+const getWorkedMinutes = (record) => {
+  if (!record?.clockIn || !record?.clockOut) return null;
+  return Math.max(0, parseTimeKey(record.clockOut) - parseTimeKey(record.clockIn));
+};
 
+// Share of a working day (0.5 or 1) that an approved leave request covers
+const getLeaveDayFraction = (request, dateKey) => {
+  if (request.startDate === request.endDate) return request.days;
+  if ((dateKey === request.startDate && request.halfDayStart) || (dateKey === request.endDate && request.halfDayEnd)) return 0.5;
+  return 1;
+};
 
-        {/* Benefits Management */}
-        <h3 className={`text-lg font-semibold mb-3 mt-8 ${theme === 'dark' ? 'text-white' : 'text-zinc-900'}`}>Benefits Management</h3>
-        <div className={`p-4 rounded-lg border ${theme === 'dark' ? 'bg-zinc-700 border-zinc-600' : 'bg-gray-100 border-gray-200'} text-sm`}>
-          <p className={`mb-2 ${theme === 'dark' ? 'text-gray-300' : 'text-gray-700'}`}>
-            Manage health insurance, retirement plans (PF, NPS, Gratuity), and other employee perks.
-          </p>
-          <ul className={`list-disc list-inside space-y-1 ${theme === 'dark' ? 'text-gray-400' : 'text-gray-600'}`}>
-            <li>Health & Wellness Programs</li>
-            <li>Retirement Savings (Provident Fund, NPS)</li>
-            <li>Group Term Life and Accident Insurance</li>
-            <li>Leave Encashment and Gratuity Calculations</li>
-          </ul>
-          <button onClick={() => showNotification('Benefit enrollment process initiated!', 'info')} className="mt-4 bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg text-sm transition-transform transform hover:scale-105 active:scale-95" aria-label="Manage Benefits">
-            Manage Benefits
-          </button>
-        </div>
+const getMonthEndKey = (monthKey) => toLocalDateKey(addDays(parseDateKey(`${shiftMonthKey(monthKey, 1)}-01`), -1));
+
+// One row per employee for the month. Working days run Monday to Friday from hire date (or the 1st) to today
+// (or month end); whatever part of a working day neither attendance nor approved leave covers is absent and
+// counted as loss of pay. Today is only counted once the employee has clocked out. Weekend work is all overtime.
+const buildAttendanceRegister = (employees, attendanceRecords, leaveRequests, monthKey, todayKey) => {
+  const monthStart = `${monthKey}-01`;
+  const monthEnd = getMonthEndKey(monthKey);
+  return employees.map(employee => {
+    const firstDay = employee.hireDate && employee.hireDate > monthStart ? employee.hireDate : monthStart;
+    const lastDay = todayKey < monthEnd ? todayKey : monthEnd;
+    const workingDays = firstDay <= lastDay ? getWorkingDateKeys(firstDay, lastDay) : [];
+    const records = attendanceRecords.filter(r => r.employeeId === employee.id && r.date >= monthStart && r.date <= monthEnd);
+    const leaves = leaveRequests.filter(r => r.employeeId === employee.id && r.status === 'Approved' && r.startDate <= monthEnd && r.endDate >= monthStart);
+    const row = {
+      employeeId: employee.id,
+      employeeCode: employee.employeeId,
+      name: employee.name,
+      department: employee.department,
+      workingDays: workingDays.length,
+      present: 0,
+      workFromHome: 0,
+      leave: 0,
+      absent: 0,
+      incompleteDays: 0,
+      overtimeMinutes: 0,
+    };
 
-        {/* Time & Attendance */}
-        <h3 className={`text-lg font-semibold mb-3 mt-8 ${theme === 'dark' ? 'text-white' : 'text-zinc-900'}`}>Time & Attendance</h3>
-        <div className={`p-4 rounded-lg border ${theme === 'dark' ? 'bg-zinc-700 border-zinc-600' : 'bg-gray-100 border-gray-200'} text-sm`}>
-          <p className={`mb-2 ${theme === 'dark' ? 'text-gray-300' : 'text-gray-700'}`}>
-            Track employee work hours, manage leave requests, and monitor attendance.
-          </p>
-          <ul className={`list-disc list-inside space-y-1 ${theme === 'dark' ? 'text-gray-400' : 'text-gray-600'}`}>
-            <li>Automated Clock-in/out & Timesheet Management</li>
-            <li>Leave Application & Approval Workflows</li>
-            <li>Attendance Reports & Compliance</li>
-          </ul>
-          <button onClick={() => showNotification('Time & Attendance reporting generated!', 'info')} className="mt-4 bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg text-sm transition-transform transform hover:scale-105 active:scale-95" aria-label="View Attendance">
-            View Attendance
-          </button>
-        </div>
+    records.forEach(record => {
+      const worked = getWorkedMinutes(record);
+      if (worked === null) return;
+      row.overtimeMinutes += workingDays.includes(record.date) ? Math.max(0, worked - FULL_DAY_WORK_MINUTES) : worked;
+    });
 
-        {/* Performance Management */}
-        <h3 className={`text-lg font-semibold mb-3 mt-8 ${theme === 'dark' ? 'text-white' : 'text-zinc-900'}`}>Performance Management</h3>
-        <div className={`p-4 rounded-lg border ${theme === 'dark' ? 'bg-zinc-700 border-zinc-600' : 'bg-gray-100 border-gray-200'} text-sm`}>
-          <p className={`mb-2 ${theme === 'dark' ? 'text-gray-300' : 'text-gray-700'}`}>
-            Oversee employee performance reviews, set goals, and track development plans.
-          </p>
-          <ul className={`list-disc list-inside space-y-1 ${theme === 'dark' ? 'text-gray-400' : 'text-gray-600'}`}>
-            <li>Goal Setting & Tracking (OKR/KRA support)</li>
-            <li>360-Degree Feedback & Annual Reviews</li>
-            <li>Performance Improvement Plans (PIPs)</li>
-            <li>Learning & Development Integration</li>
-          </ul>
-          <button onClick={() => showNotification('Performance review cycle started!', 'info')} className="mt-4 bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg text-sm transition-transform transform hover:scale-105 active:scale-95" aria-label="Start Performance Review">
-            Start Review Cycle
-          </button>
-        </div>
+    workingDays.forEach(dateKey => {
+      const record = records.find(r => r.date === dateKey);
+      const worked = getWorkedMinutes(record);
+      if (dateKey === todayKey && worked === null) {
+        row.workingDays -= 1;
+        return;
+      }
+      if (record?.clockIn && worked === null) row.incompleteDays += 1;
+      const leave = Math.min(1, leaves.filter(r => dateKey >= r.startDate && dateKey <= r.endDate).reduce((sum, r) => sum + getLeaveDayFraction(r, dateKey), 0));
+      const workedFraction = worked === null ? 0 : worked >= FULL_DAY_WORK_MINUTES ? 1 : worked >= HALF_DAY_WORK_MINUTES ? 0.5 : 0;
+      const present = Math.min(workedFraction, 1 - leave);
+      row.leave += leave;
+      row.present += present;
+      if (record?.workFromHome) row.workFromHome += present;
+      row.absent += 1 - leave - present;
+    });
 
-      </div>
-    </div>
-  );
+    return { ...row, lossOfPayDays: row.absent, overtimeDays: roundToHalfDay(row.overtimeMinutes / FULL_DAY_WORK_MINUTES) };
+  });
 };
 
+const escapeCsvCell = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
 
-// Settings Page Component
-const SettingsPage = ({ userDisplayName, userRole, onUpdateUserName, onUpdateUserPassword, handleLogout }) => {
-  const { theme } = useTheme();
-  const { showNotification } = useNotification();
-  const [newUserName, setNewUserName] = useState(userDisplayName);
-  const [oldPassword, setOldPassword] = useState('');
-  const [newPassword, setNewPassword] = useState('');
-  const [confirmPassword, setConfirmPassword] = useState('');
-  const [nameMessage, setNameMessage] = useState('');
-  const [passwordMessage, setPasswordMessage] = useState('');
+const buildAttendanceRegisterCsv = (rows) => [
+  ['Employee ID', 'Name', 'Department', 'Working Days', 'Present', 'Work From Home', 'Leave', 'Absent', 'LOP Days', 'Overtime Hours', 'Overtime Days'],
+  ...rows.map(r => [r.employeeCode, r.name, r.department, r.workingDays, r.present, r.workFromHome, r.leave, r.absent, r.lossOfPayDays, (r.overtimeMinutes / 60).toFixed(1), r.overtimeDays]),
+].map(row => row.map(escapeCsvCell).join(',')).join('\n');
+
+// Locked registers are what payroll reads: employee id -> { lossOfPayDays, overtimeDays } for the month
+const getPayrollAttendance = (attendanceRegisters, monthKey) => attendanceRegisters
+  .filter(register => register.month === monthKey)
+  .reduce((byEmployee, register) => {
+    register.rows.forEach(row => {
+      byEmployee[row.employeeId] = { lossOfPayDays: row.lossOfPayDays, overtimeDays: row.overtimeDays };
+    });
+    return byEmployee;
+  }, {});
+
+// --- Tax Rules ---
+// Built-in rules per financial year (April to March). The live copies are kept in Firestore (taxRules) where
+// admins can edit them or add the next year after a budget. A slab or PT band with a null limit has no upper bound.
+const DEFAULT_TAX_RULES = {
+  '2024-25': {
+    financialYear: '2024-25',
+    cessRate: 0.04,
+    newRegime: {
+      slabs: [
+        { limit: 300000, rate: 0 },
+        { limit: 700000, rate: 0.05 },
+        { limit: 1000000, rate: 0.10 },
+        { limit: 1200000, rate: 0.15 },
+        { limit: 1500000, rate: 0.20 },
+        { limit: null, rate: 0.30 },
+      ],
+      standardDeduction: 75000,
+      rebateLimit: 700000,
+      employerNPSRate: 0.10,
+    },
+    oldRegime: {
+      slabs: [
+        { limit: 250000, rate: 0 },
+        { limit: 500000, rate: 0.05 },
+        { limit: 1000000, rate: 0.20 },
+        { limit: null, rate: 0.30 },
+      ],
+      standardDeduction: 50000,
+      rebateLimit: 500000,
+      employerNPSRate: 0.10,
+      section80CLimit: 150000,
+      section80DSelfLimit: 25000,
+      section80DParentsLimit: 50000,
+      homeLoanInterestLimit: 200000,
+      professionalTaxLimit: 2500,
+    },
+    // Monthly amount by monthly gross salary; februaryAmount replaces the top band's amount in February
+    professionalTax: {
+      'Karnataka': { slabs: [{ upTo: 24999, amount: 0 }, { upTo: null, amount: 200 }] },
+      'Maharashtra': { slabs: [{ upTo: 7500, amount: 0 }, { upTo: 10000, amount: 175 }, { upTo: null, amount: 200 }], februaryAmount: 300 },
+      'Telangana': { slabs: [{ upTo: 15000, amount: 0 }, { upTo: 20000, amount: 150 }, { upTo: null, amount: 200 }] },
+      // Levied half-yearly; spread evenly across the months
+      'Tamil Nadu': { slabs: [{ upTo: 3500, amount: 0 }, { upTo: 5000, amount: 30 }, { upTo: 7500, amount: 70 }, { upTo: 10000, amount: 140 }, { upTo: 12500, amount: 190 }, { upTo: null, amount: 208 }] },
+    },
+  },
+  '2025-26': {
+    financialYear: '2025-26',
+    cessRate: 0.04,
+    newRegime: {
+      slabs: [
+        { limit: 400000, rate: 0 },
+        { limit: 800000, rate: 0.05 },
+        { limit: 1200000, rate: 0.10 },
+        { limit: 1600000, rate: 0.15 },
+        { limit: 2000000, rate: 0.20 },
+        { limit: 2400000, rate: 0.25 },
+        { limit: null, rate: 0.30 },
+      ],
+      standardDeduction: 75000,
+      rebateLimit: 1200000,
+      employerNPSRate: 0.10,
+    },
+    oldRegime: {
+      slabs: [
+        { limit: 250000, rate: 0 },
+        { limit: 500000, rate: 0.05 },
+        { limit: 1000000, rate: 0.20 },
+        { limit: null, rate: 0.30 },
+      ],
+      standardDeduction: 50000,
+      rebateLimit: 500000,
+      employerNPSRate: 0.10,
+      section80CLimit: 150000,
+      section80DSelfLimit: 25000,
+      section80DParentsLimit: 50000,
+      homeLoanInterestLimit: 200000,
+      professionalTaxLimit: 2500,
+    },
+    professionalTax: {
+      'Karnataka': { slabs: [{ upTo: 24999, amount: 0 }, { upTo: null, amount: 200 }], februaryAmount: 300 },
+      'Maharashtra': { slabs: [{ upTo: 7500, amount: 0 }, { upTo: 10000, amount: 175 }, { upTo: null, amount: 200 }], februaryAmount: 300 },
+      'Telangana': { slabs: [{ upTo: 15000, amount: 0 }, { upTo: 20000, amount: 150 }, { upTo: null, amount: 200 }] },
+      'Tamil Nadu': { slabs: [{ upTo: 3500, amount: 0 }, { upTo: 5000, amount: 30 }, { upTo: 7500, amount: 70 }, { upTo: 10000, amount: 140 }, { upTo: 12500, amount: 190 }, { upTo: null, amount: 208 }] },
+    },
+  },
+};
+const LATEST_DEFAULT_FINANCIAL_YEAR = Object.keys(DEFAULT_TAX_RULES).sort().pop();
+
+// State whose professional tax applies at each office; Delhi levies none
+const LOCATION_STATES = {
+  'Bengaluru': 'Karnataka',
+  'Mumbai': 'Maharashtra',
+  'Pune': 'Maharashtra',
+  'Delhi': 'Delhi',
+  'Hyderabad': 'Telangana',
+  'Chennai': 'Tamil Nadu',
+};
 
-  const handleNameSubmit = (e) => {
-    e.preventDefault();
-    if (newUserName.trim() !== '') {
-      onUpdateUserName(newUserName);
-      showNotification('Name updated successfully!', 'success');
-      setNameMessage('');
-    } else {
-      showNotification('Name cannot be empty.', 'error');
-      setNameMessage('Name cannot be empty.');
+// '2025-26' for any date or month key from April 2025 to March 2026
+const getFinancialYear = (dateOrMonthKey) => {
+  const [year, month] = dateOrMonthKey.split('-').map(Number);
+  const startYear = month >= 4 ? year : year - 1;
+  return `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`;
+};
+
+const shiftFinancialYear = (financialYear, years) => getFinancialYear(`${Number(financialYear.slice(0, 4)) + years}-04`);
+
+// Rules for a year from the stored set and the built-in defaults: that year's, else the closest earlier year's,
+// else (for years before any known rules) the earliest known year's
+const getTaxRulesForYear = (taxRules, financialYear) => {
+  const known = [...taxRules, ...Object.values(DEFAULT_TAX_RULES).filter(d => !taxRules.some(r => r.financialYear === d.financialYear))]
+    .sort((a, b) => b.financialYear.localeCompare(a.financialYear));
+  return known.find(r => r.financialYear <= financialYear) || known[known.length - 1];
+};
+
+// Problems that would make a rule set unusable, as readable messages; empty when valid
+const validateTaxRules = (rules) => {
+  const errors = [];
+  const isAmount = (value) => typeof value === 'number' && value >= 0 && isFinite(value);
+  if (!/^\d{4}-\d{2}$/.test(rules?.financialYear || '') || shiftFinancialYear(rules.financialYear, 0) !== rules.financialYear) {
+    errors.push('financialYear must look like 2026-27.');
+  }
+  if (!(rules?.cessRate >= 0 && rules.cessRate < 1)) errors.push('cessRate must be a fraction such as 0.04.');
+  ['newRegime', 'oldRegime'].forEach(regime => {
+    const config = rules?.[regime];
+    if (!config) {
+      errors.push(`${regime} is missing.`);
+      return;
     }
+    const slabs = config.slabs || [];
+    if (slabs.length === 0 || slabs[slabs.length - 1].limit !== null) errors.push(`${regime}.slabs must end with a slab whose limit is null.`);
+    slabs.forEach((slab, index) => {
+      if (!(slab.rate >= 0 && slab.rate < 1)) errors.push(`${regime}.slabs[${index}].rate must be a fraction.`);
+      if (index < slabs.length - 1 && !(isAmount(slab.limit) && slab.limit > (slabs[index - 1]?.limit ?? 0))) {
+        errors.push(`${regime}.slabs[${index}].limit must be higher than the slab before it.`);
+      }
+    });
+    ['standardDeduction', 'rebateLimit', 'employerNPSRate'].forEach(field => {
+      if (!isAmount(config[field])) errors.push(`${regime}.${field} must be a non-negative number.`);
+    });
+  });
+  ['section80CLimit', 'section80DSelfLimit', 'section80DParentsLimit', 'homeLoanInterestLimit', 'professionalTaxLimit'].forEach(field => {
+    if (!isAmount(rules?.oldRegime?.[field])) errors.push(`oldRegime.${field} must be a non-negative number.`);
+  });
+  Object.entries(rules?.professionalTax || {}).forEach(([state, config]) => {
+    const slabs = config.slabs || [];
+    if (slabs.length === 0 || slabs[slabs.length - 1].upTo !== null) errors.push(`professionalTax.${state}.slabs must end with upTo: null.`);
+    if (slabs.some(slab => !isAmount(slab.amount))) errors.push(`professionalTax.${state} amounts must be non-negative numbers.`);
+  });
+  return errors;
+};
+
+// --- Salary & Tax ---
+const PF_RATE = 0.12; // Of basic, paid by both employee and employer
+const GRATUITY_RATE = 0.0481; // Of basic
+const PF_WAGE_CEILING = 180000; // Statutory PF wage ceiling (15,000 a month); contributing on the full basic is optional
+// How a target CTC is split into components. Basic must stay within 40-50% of CTC and HRA is 40% (non-metro)
+// or 50% (metro) of basic; allowances absorb whatever is left.
+const BASIC_SHARE_RANGE = { min: 0.4, max: 0.5 };
+const HRA_SHARE_OPTIONS = [0.4, 0.5];
+const DEFAULT_SALARY_SPLIT_RULES = {
+  basicShareOfCTC: 0.4,
+  hraShareOfBasic: 0.5,
+  pfWageCeiling: PF_WAGE_CEILING,
+  gratuityRate: GRATUITY_RATE,
+  performanceBonusShareOfCTC: 0,
+  medicalInsuranceEmployer: 0,
+};
+
+const calculateSlabTax = (taxableIncome, slabs) => {
+  let tax = 0;
+  let lowerLimit = 0;
+  for (const slab of slabs) {
+    if (taxableIncome <= lowerLimit) break;
+    const upperLimit = slab.limit ?? Infinity;
+    tax += (Math.min(taxableIncome, upperLimit) - lowerLimit) * slab.rate;
+    lowerLimit = upperLimit;
+  }
+  return tax;
+};
+
+// Annual tax including cess; the section 87A rebate removes all tax at or below the regime's limit
+const calculateRegimeTax = (taxableIncome, rules, regime) => {
+  const { slabs, rebateLimit } = rules[regime];
+  return (taxableIncome <= rebateLimit ? 0 : calculateSlabTax(taxableIncome, slabs)) * (1 + rules.cessRate);
+};
+
+// Professional tax for one month of a given gross; month is 1-12 and only matters for a February top-up
+const calculateMonthlyProfessionalTax = (monthlyGross, location, rules, month) => {
+  const config = rules.professionalTax?.[LOCATION_STATES[location] || location];
+  if (!config || monthlyGross <= 0) return 0;
+  const bandIndex = config.slabs.findIndex(slab => slab.upTo === null || monthlyGross <= slab.upTo);
+  const isTopBand = bandIndex === config.slabs.length - 1;
+  return month === 2 && isTopBand && config.februaryAmount !== undefined ? config.februaryAmount : config.slabs[bandIndex].amount;
+};
+
+const calculateAnnualProfessionalTax = (monthlyGross, location, rules) => Array.from({ length: 12 }, (_, index) => index + 1)
+  .reduce((sum, month) => sum + calculateMonthlyProfessionalTax(monthlyGross, location, rules, month), 0);
+
+// Basic on which PF is paid; a structure with a pfWageCeiling contributes only up to it
+const getPFWage = (basicSalary, { pfWageCeiling = null } = {}) => (pfWageCeiling ? Math.min(basicSalary, pfWageCeiling) : basicSalary);
+
+// Annual CTC, new-regime tax and take-home for a salary structure (all amounts annual INR). Professional tax
+// depends on where the employee works.
+const calculateSalaryBreakdown = ({ basicSalary = 0, hra = 0, otherAllowances = 0, performanceBonus = 0, employerPF = 0, gratuity = 0, medicalInsuranceEmployer = 0, employerNPS = 0, pfWageCeiling = null }, { rules = DEFAULT_TAX_RULES[LATEST_DEFAULT_FINANCIAL_YEAR], location = null } = {}) => {
+  const grossSalary = basicSalary + hra + otherAllowances + performanceBonus;
+  const annualCTC = grossSalary + employerPF + gratuity + medicalInsuranceEmployer + employerNPS;
+  const employerNPSDeduction = Math.min(employerNPS, basicSalary * rules.newRegime.employerNPSRate);
+  const taxableIncome = Math.max(0, grossSalary - rules.newRegime.standardDeduction - employerNPSDeduction);
+  const totalTaxLiability = calculateRegimeTax(taxableIncome, rules, 'newRegime');
+  const employeePF = getPFWage(basicSalary, { pfWageCeiling }) * PF_RATE;
+  const professionalTax = calculateAnnualProfessionalTax((basicSalary + hra + otherAllowances) / 12, location, rules);
+  return {
+    annualCTC,
+    grossSalary,
+    taxableIncome,
+    totalTaxLiability,
+    monthlyTDS: totalTaxLiability / 12,
+    employeePF,
+    professionalTax,
+    netSalary: grossSalary - employeePF - professionalTax - totalTaxLiability,
   };
+};
 
-  const handlePasswordSubmit = (e) => {
-    e.preventDefault();
-    if (oldPassword === 'admin' && newPassword.length >= 6 && newPassword === confirmPassword) {
-      onUpdateUserPassword(newPassword);
-      showNotification('Password updated successfully!', 'success');
-      setOldPassword('');
-      setNewPassword('');
-      setConfirmPassword('');
-      setPasswordMessage('');
-    } else {
-      showNotification('Password update failed. Please check criteria.', 'error');
-      setPasswordMessage('Please check old password, new password length (min 6), and confirmation.');
+// Section 10(13A): the least of HRA received, rent paid above 10% of basic, and 50% of basic in a metro (40% elsewhere)
+const calculateHraExemption = ({ basicSalary = 0, hra = 0 }, annualRent, isMetro) => Math.max(0, Math.min(hra, annualRent - basicSalary * 0.1, basicSalary * (isMetro ? 0.5 : 0.4)));
+
+// Exemptions and deductions claimable only under the old regime, each capped at its limit. LTA is paid out of allowances.
+const calculateOldRegimeDeductions = (structure, { section80C = 0, section80DSelf = 0, section80DParents = 0, annualRent = 0, isMetro = false, homeLoanInterest = 0, ltaClaim = 0 }, rules) => ({
+  section80C: Math.min(rules.oldRegime.section80CLimit, getPFWage(structure.basicSalary || 0, structure) * PF_RATE + section80C),
+  section80D: Math.min(section80DSelf, rules.oldRegime.section80DSelfLimit) + Math.min(section80DParents, rules.oldRegime.section80DParentsLimit),
+  hraExemption: calculateHraExemption(structure, annualRent, isMetro),
+  homeLoanInterest: Math.min(homeLoanInterest, rules.oldRegime.homeLoanInterestLimit),
+  lta: Math.min(ltaClaim, structure.otherAllowances || 0),
+});
+
+// Tax under both regimes for one salary structure. The breakeven is the total old-regime deductions at which
+// the old regime's tax drops to the new regime's; null when no amount of deductions gets there.
+const compareTaxRegimes = (structure, oldRegimeInputs, { rules = DEFAULT_TAX_RULES[LATEST_DEFAULT_FINANCIAL_YEAR], location = null } = {}) => {
+  const newRegime = calculateSalaryBreakdown(structure, { rules, location });
+  const employerNPSDeduction = Math.min(structure.employerNPS || 0, (structure.basicSalary || 0) * rules.oldRegime.employerNPSRate);
+  // Professional tax is deductible from salary only under the old regime
+  const professionalTaxDeduction = Math.min(newRegime.professionalTax, rules.oldRegime.professionalTaxLimit);
+  const incomeBeforeDeductions = Math.max(0, newRegime.grossSalary - rules.oldRegime.standardDeduction - professionalTaxDeduction - employerNPSDeduction);
+  const oldTaxFor = (deductionsTotal) => calculateRegimeTax(Math.max(0, incomeBeforeDeductions - deductionsTotal), rules, 'oldRegime');
+
+  const deductions = calculateOldRegimeDeductions(structure, oldRegimeInputs, rules);
+  const totalDeductions = Object.values(deductions).reduce((sum, amount) => sum + amount, 0);
+  const oldRegimeTax = oldTaxFor(totalDeductions);
+  const newRegimeTax = newRegime.totalTaxLiability;
+
+  // Old-regime tax only falls as deductions grow, so bisect to the nearest rupee
+  let breakevenDeductions = null;
+  if (oldTaxFor(0) <= newRegimeTax) {
+    breakevenDeductions = 0;
+  } else if (oldTaxFor(incomeBeforeDeductions) <= newRegimeTax) {
+    let low = 0;
+    let high = incomeBeforeDeductions;
+    while (high - low > 1) {
+      const mid = Math.floor((low + high) / 2);
+      if (oldTaxFor(mid) <= newRegimeTax) high = mid;
+      else low = mid;
     }
+    breakevenDeductions = high;
+  }
+
+  const takeHome = (tax) => newRegime.grossSalary - newRegime.employeePF - newRegime.professionalTax - tax;
+  const oldTaxableIncome = Math.max(0, incomeBeforeDeductions - totalDeductions);
+  return {
+    newRegime: { taxableIncome: newRegime.taxableIncome, deductions: newRegime.grossSalary - newRegime.taxableIncome, tax: newRegimeTax, netSalary: takeHome(newRegimeTax) },
+    oldRegime: { taxableIncome: oldTaxableIncome, deductions: newRegime.grossSalary - oldTaxableIncome, tax: oldRegimeTax, netSalary: takeHome(oldRegimeTax), breakdown: deductions, totalDeductions },
+    // Ties go to the new regime, which needs no proofs of investment
+    recommendedRegime: oldRegimeTax < newRegimeTax ? 'old' : 'new',
+    savings: Math.abs(newRegimeTax - oldRegimeTax),
+    breakevenDeductions,
   };
+};
 
-  return (
-    <div>
-      <h2 className={`text-xl font-semibold mb-4 ${theme === 'dark' ? 'text-white' : 'text-zinc-900'}`}>Settings & Admin</h2>
-      <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
-        {/* User Details */}
-        <div className={`p-6 rounded-lg shadow-md ${theme === 'dark' ? 'bg-zinc-800 text-gray-300' : 'bg-white text-gray-700'}`}>
-          <h3 className={`text-lg font-semibold mb-4 flex items-center space-x-2 ${theme === 'dark' ? 'text-white' : 'text-zinc-900'}`}><User size={20} /> User Details</h3>
-          <p className={`text-sm mb-2 ${theme === 'dark' ? 'text-gray-300' : 'text-gray-700'}`}>
-            <span className={`font-medium ${theme === 'dark' ? 'text-gray-400' : 'text-gray-800'}`}>Current Role:</span> <span className="font-bold text-blue-400">{userRole}</span>
-          </p>
-          <p className={`text-sm mb-4 ${theme === 'dark' ? 'text-gray-300' : 'text-gray-700'}`}>Update your profile information.</p>
-          <form onSubmit={handleNameSubmit} className="space-y-4">
-            <div>
-              <label htmlFor="userName" className={`block text-sm font-medium ${theme === 'dark' ? 'text-gray-400' : 'text-gray-800'}`}>Display Name</label>
-              <input
-                type="text"
-                id="userName"
-                value={newUserName}
-                onChange={(e) => setNewUserName(e.target.value)}
-                className={`mt-1 block w-full p-2 rounded-md text-sm focus:ring-blue-500 focus:border-blue-500 transition-colors duration-200 ${theme === 'dark' ? 'bg-zinc-700 border-zinc-600 text-white' : 'bg-gray-100 border-gray-300 text-zinc-900'}`}
-                required
-                aria-label="Display Name"
-              />
-            </div>
-            <button type="submit" className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg flex items-center space-x-2 text-sm transition-transform transform hover:scale-105 active:scale-95" aria-label="Save Name">
-              <Save size={16} /> <span>Save Name</span>
-            </button>
-            {nameMessage && <p className={`text-sm mt-2 ${nameMessage.includes('successfully') ? 'text-green-400' : 'text-red-400'}`}>{nameMessage}</p>}
-            <p className={`text-xs ${theme === 'dark' ? 'text-gray-500' : 'text-gray-600'} mt-2`}>This updates your user profile.</p>
-          </form>
-        </div>
+// Basic is a share of CTC and HRA a share of basic; PF and gratuity follow basic and the rest is allowances.
+// Allowances never go negative, so a split whose fixed parts exceed the target comes out above it.
+const buildSalaryStructureFromCTC = (annualCTC, splitRules = DEFAULT_SALARY_SPLIT_RULES) => {
+  const { basicShareOfCTC, hraShareOfBasic, pfWageCeiling, gratuityRate, performanceBonusShareOfCTC, medicalInsuranceEmployer } = { ...DEFAULT_SALARY_SPLIT_RULES, ...splitRules };
+  const basicSalary = Math.round(annualCTC * basicShareOfCTC);
+  const hra = Math.round(basicSalary * hraShareOfBasic);
+  const employerPF = Math.round(getPFWage(basicSalary, { pfWageCeiling }) * PF_RATE);
+  const gratuity = Math.round(basicSalary * gratuityRate);
+  const performanceBonus = Math.round(annualCTC * performanceBonusShareOfCTC);
+  return {
+    basicSalary,
+    hra,
+    otherAllowances: Math.max(0, annualCTC - basicSalary - hra - employerPF - gratuity - performanceBonus - medicalInsuranceEmployer),
+    performanceBonus,
+    employerPF,
+    gratuity,
+    medicalInsuranceEmployer,
+    employerNPS: 0,
+    pfWageCeiling: pfWageCeiling || null,
+  };
+};
 
-        {/* Change Password */}
-        <div className={`p-6 rounded-lg shadow-md ${theme === 'dark' ? 'bg-zinc-800 text-gray-300' : 'bg-white text-gray-700'}`}>
-          <h3 className={`text-lg font-semibold mb-4 flex items-center space-x-2 ${theme === 'dark' ? 'text-white' : 'text-zinc-900'}`}><Lock size={20} /> Change Password</h3>
-          <p className={`text-sm mb-4 ${theme === 'dark' ? 'text-gray-300' : 'text-gray-700'}`}>Update your account password.</p>
-          <form onSubmit={handlePasswordSubmit} className="space-y-4">
-            <div>
-              <label htmlFor="oldPassword" className={`block text-sm font-medium ${theme === 'dark' ? 'text-gray-400' : 'text-gray-800'}`}>Old Password (Default: 'admin')</label>
-              <input
-                type="password"
-                id="oldPassword"
-                value={oldPassword}
-                onChange={(e) => setOldPassword(e.target.value)}
-                className={`mt-1 block w-full p-2 rounded-md text-sm focus:ring-blue-500 focus:border-blue-500 transition-colors duration-200 ${theme === 'dark' ? 'bg-zinc-700 border-zinc-600 text-white' : 'bg-gray-100 border-gray-300 text-zinc-900'}`}
-                required
-                aria-label="Old Password"
-              />
-            </div>
-            <div>
-              <label htmlFor="newPassword" className={`block text-sm font-medium ${theme === 'dark' ? 'text-gray-400' : 'text-gray-800'}`}>New Password (Min 6 characters)</label>
-              <input
-                type="password"
-                id="newPassword"
-                value={newPassword}
-                onChange={(e) => setNewPassword(e.target.value)}
-                className={`mt-1 block w-full p-2 rounded-md text-sm focus:ring-blue-500 focus:border-blue-500 transition-colors duration-200 ${theme === 'dark' ? 'bg-zinc-700 border-zinc-600 text-white' : 'bg-gray-100 border-gray-300 text-zinc-900'}`}
-                required
-                aria-label="New Password"
-              />
-            </div>
-            <div>
-              <label htmlFor="confirmPassword" className={`block text-sm font-medium ${theme === 'dark' ? 'text-gray-400' : 'text-gray-800'}`}>Confirm New Password</label>
-              <input
-                type="password"
-                id="confirmPassword"
-                value={confirmPassword}
-                onChange={(e) => setConfirmPassword(e.target.value)}
-                className={`mt-1 block w-full p-2 rounded-md text-sm focus:ring-blue-500 focus:border-blue-500 transition-colors duration-200 ${theme === 'dark' ? 'bg-zinc-700 border-zinc-600 text-white' : 'bg-gray-100 border-gray-300 text-zinc-900'}`}
-                required
-                aria-label="Confirm New Password"
-              />
-            </div>
-            <button type="submit" className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg flex items-center space-x-2 text-sm transition-transform transform hover:scale-105 active:scale-95" aria-label="Change Password">
-              <Save size={16} /> <span>Change Password</span>
-            </button>
-            {passwordMessage && <p className={`text-sm mt-2 ${passwordMessage.includes('successfully') ? 'text-green-400' : 'text-red-400'}`}>{passwordMessage}</p>}
-            <p className={`text-xs ${theme === 'dark' ? 'text-gray-500' : 'text-gray-600'} mt-2`}>This updates your account password.</p>
-          </form>
-        </div>
-      </div>
+// Monthly take-home excludes the performance bonus, which is paid separately, but its tax is spread over the year
+const getMonthlyTakeHome = (structure, breakdown) => (breakdown.netSalary - (structure.performanceBonus || 0)) / 12;
 
-      {/* Logout Button in Settings */}
-      <div className={`p-6 rounded-lg shadow-md mt-6 ${theme === 'dark' ? 'bg-zinc-800 text-gray-300' : 'bg-white text-gray-700'}`}>
-        <h3 className={`text-lg font-semibold mb-4 flex items-center space-x-2 ${theme === 'dark' ? 'text-white' : 'text-zinc-900'}`}><LogOut size={20} /> Logout</h3>
-        <p className={`text-sm mb-4 ${theme === 'dark' ? 'text-gray-300' : 'text-gray-700'}`}>Sign out from your Sapphire HR account.</p>
-        <button
-          onClick={handleLogout}
-          className="bg-red-600 hover:bg-red-700 text-white px-4 py-2 rounded-lg flex items-center space-x-2 text-sm transition-transform transform hover:scale-105 active:scale-95"
-          aria-label="Log Out Now"
-        >
-          <LogOut size={16} /> <span>Log Out Now</span>
-        </button>
-      </div>
+// Smallest CTC (to the rupee) whose split pays at least the target monthly take-home
+const solveCTCForMonthlyTakeHome = (monthlyTakeHome, splitRules, { rules, location }) => {
+  const takeHomeFor = (annualCTC) => {
+    const structure = buildSalaryStructureFromCTC(annualCTC, splitRules);
+    return getMonthlyTakeHome(structure, calculateSalaryBreakdown(structure, { rules, location }));
+  };
+  if (!(monthlyTakeHome > 0)) return 0;
+  let low = 0;
+  let high = monthlyTakeHome * 12;
+  while (takeHomeFor(high) < monthlyTakeHome) {
+    low = high;
+    high *= 2;
+  }
+  while (high - low > 1) {
+    const mid = Math.floor((low + high) / 2);
+    if (takeHomeFor(mid) >= monthlyTakeHome) high = mid;
+    else low = mid;
+  }
+  return high;
+};
 
-      {/* Other Admin Settings */}
-      <div className={`p-6 rounded-lg shadow-md mt-6 ${theme === 'dark' ? 'bg-zinc-800 text-gray-300' : 'bg-white text-gray-700'}`}>
-        <h3 className={`text-lg font-semibold mb-4 ${theme === 'dark' ? 'text-white' : 'text-zinc-900'}`}>Other Admin Settings</h3>
-        <p className={`mb-4 text-sm ${theme === 'dark' ? 'text-gray-300' : 'text-gray-700'}`}>Here you can manage:</p>
-        <ul className={`list-disc list-inside space-y-2 ${theme === 'dark' ? 'text-gray-300' : 'text-gray-700'}`}>
-          <li className="text-sm">User, Role, and Access Management with granular controls for data privacy.</li>
-          <li className="text-sm">
-            **Blueprint (Automation)**: Customize workflows and automate repetitive tasks based on triggers (e.g., auto-send rejection email).
-          </li>
-          <li className="text-sm">System Integrations for Payroll, Background Checks, HRIS/HRMS, and E-signature platforms.</li>
-          <li className="text-sm">Data Export & Compliance Settings including automated audit trails and proactive compliance alerts.</li>
-          <li className="text-sm">
-            **AI/ML Configuration & Model Tuning**: Fine-tune AI for candidate matching, bias detection, and predictive analytics.
-          </li>
-          <li className="text-sm">Offer Letter Templates.</li>
-          <li className="text-sm">Branded Career Page Customization.</li>
-          <li className="text-sm">Customizable Dashboards for different personas like Recruiters, Hiring Managers, and HR Leaders.</li>
-        </ul>
-      </div>
-    </div>
-  );
+// Kept on the full basic so payroll for employees without a stored structure is unchanged
+const getDefaultSalaryStructure = (annualCTC) => buildSalaryStructureFromCTC(annualCTC, { ...DEFAULT_SALARY_SPLIT_RULES, pfWageCeiling: null });
+
+const getEmployeeSalaryStructure = (employee) => employee.salaryStructure || getDefaultSalaryStructure(getAnnualCTC(employee));
+
+// --- Salary Templates ---
+// Seeded into Firestore when no templates exist; one per grade. Bands are annual CTC.
+const DEFAULT_SALARY_TEMPLATES = [
+  { name: 'Associate', grade: 'L1', splitRules: { ...DEFAULT_SALARY_SPLIT_RULES }, band: { min: 400000, mid: 600000, max: 800000 } },
+  { name: 'Professional', grade: 'L2', splitRules: { ...DEFAULT_SALARY_SPLIT_RULES, performanceBonusShareOfCTC: 0.05, medicalInsuranceEmployer: 15000 }, band: { min: 800000, mid: 1200000, max: 1600000 } },
+  { name: 'Senior Professional', grade: 'L3', splitRules: { ...DEFAULT_SALARY_SPLIT_RULES, basicShareOfCTC: 0.45, performanceBonusShareOfCTC: 0.1, medicalInsuranceEmployer: 25000 }, band: { min: 1500000, mid: 2200000, max: 2900000 } },
+  { name: 'Lead', grade: 'L4', splitRules: { ...DEFAULT_SALARY_SPLIT_RULES, basicShareOfCTC: 0.5, performanceBonusShareOfCTC: 0.15, medicalInsuranceEmployer: 40000, pfWageCeiling: null }, band: { min: 2600000, mid: 3600000, max: 4600000 } },
+];
+
+// Problems that would make a template unusable, as readable messages; empty when valid
+const validateSalaryTemplate = (template) => {
+  const errors = [];
+  const { splitRules = {}, band = {} } = template;
+  if (!template.name?.trim() || !template.grade?.trim()) errors.push('Name and grade are required.');
+  if (!(splitRules.basicShareOfCTC >= BASIC_SHARE_RANGE.min && splitRules.basicShareOfCTC <= BASIC_SHARE_RANGE.max)) {
+    errors.push(`Basic must be ${BASIC_SHARE_RANGE.min * 100}-${BASIC_SHARE_RANGE.max * 100}% of CTC.`);
+  }
+  if (!HRA_SHARE_OPTIONS.includes(splitRules.hraShareOfBasic)) errors.push(`HRA must be ${HRA_SHARE_OPTIONS.map(share => `${share * 100}%`).join(' or ')} of basic.`);
+  if (!(splitRules.performanceBonusShareOfCTC >= 0 && splitRules.performanceBonusShareOfCTC < 1)) errors.push('Performance bonus must be a share of CTC below 100%.');
+  if (!(splitRules.medicalInsuranceEmployer >= 0)) errors.push('Medical insurance cannot be negative.');
+  if (!(band.min > 0 && band.min <= band.mid && band.mid <= band.max)) errors.push('The band needs 0 < min <= mid <= max.');
+  return errors;
 };
 
+// Compa-ratio is pay over the band midpoint, so 1.00 sits exactly on it
+const getCompaRatio = (annualCTC, band) => (band?.mid > 0 ? annualCTC / band.mid : null);
 
-// Main layout component
-const MainLayout = ({ user, handleLogout, db, auth, appId, userId }) => {
-  const { theme, toggleTheme } = useTheme();
-  const { showNotification } = useNotification();
-  const [activeTab, setActiveTab] = useState('dashboard');
-  const [isMobileNavOpen, setIsMobileNavOpen] = useState(false);
-  const [isMobileView, setIsMobileView] = useState(false);
+const getBandPosition = (annualCTC, band) => {
+  if (annualCTC < band.min) return 'below';
+  if (annualCTC > band.max) return 'above';
+  return 'within';
+};
 
-  // States for Firestore data
-  const [candidates, setCandidates] = useState([]);
-  const [offers, setOffers] = useState([]);
-  const [employees, setEmployees] = useState([]);
-  const [events, setEvents] = useState([]);
+// One line describing where a CTC sits in a template's band, e.g. for warnings next to offers
+const describeBandFit = (annualCTC, template) => {
+  const position = { below: 'Below', within: 'Within', above: 'Above' }[getBandPosition(annualCTC, template.band)];
+  const compaRatio = getCompaRatio(annualCTC, template.band).toFixed(2);
+  return `${position} the ${template.grade} band (${formatINR(template.band.min)} - ${formatINR(template.band.max)}); compa-ratio ${compaRatio}.`;
+};
 
-  const [selectedCandidate, setSelectedCandidate] = useState(null);
-  const [currentUserDisplayName, setCurrentUserDisplayName] = useState(user.displayName || user.email || user.uid);
-  const [currentUserRole] = useState('Admin/HR User');
+// The template for a candidate comes from the requisition they are linked to
+const getCandidateSalaryTemplate = (candidate, requisitions, salaryTemplates) => {
+  const templateId = requisitions.find(r => r.id === candidate?.requisitionId)?.salaryTemplateId;
+  return salaryTemplates.find(t => t.id === templateId) || null;
+};
 
+// --- Payroll Runs ---
+const formatMonthLabel = (monthKey) => parseDateKey(`${monthKey}-01`).toLocaleDateString('en-IN', { month: 'long', year: 'numeric' });
+
+// Employees on the books at any point in the month
+const getPayrollEmployees = (employees, monthKey) => employees.filter(e => e.status !== 'Terminated' && (!e.hireDate || e.hireDate <= getMonthEndKey(monthKey)));
+
+// Departments on the month's payroll without a locked attendance register; a run cannot be locked while any remain
+const getUnlockedPayrollDepartments = (employees, monthKey, attendanceRegisters) => [...new Set(getPayrollEmployees(employees, monthKey).map(e => e.department))]
+  .sort()
+  .filter(dept => !attendanceRegisters.some(r => r.month === monthKey && r.department === dept));
+
+// A salary structure's annual amounts scaled to a share of the year
+const SCALED_SALARY_COMPONENTS = ['basicSalary', 'hra', 'otherAllowances', 'performanceBonus', 'employerPF', 'gratuity', 'medicalInsuranceEmployer', 'employerNPS'];
+const scaleSalaryStructure = (structure, share) => ({
+  ...structure,
+  ...Object.fromEntries(SCALED_SALARY_COMPONENTS.map(key => [key, (structure[key] || 0) * share])),
+});
+
+// Months (the joining month pro rata by day) an employee is on the payroll in the financial year of a month
+const getMonthsEmployedInFinancialYear = (hireDate, monthKey) => {
+  const [year, month] = monthKey.split('-').map(Number);
+  const startYear = month >= 4 ? year : year - 1;
+  if (!hireDate || hireDate <= `${startYear}-04-01`) return 12;
+  const hireMonthKey = hireDate.slice(0, 7);
+  const daysInHireMonth = Number(getMonthEndKey(hireMonthKey).slice(8));
+  const monthsAfterHireMonth = 11 - ((Number(hireMonthKey.slice(0, 4)) - startYear) * 12 + Number(hireMonthKey.slice(5)) - 4);
+  return monthsAfterHireMonth + (daysInHireMonth - Number(hireDate.slice(8)) + 1) / daysInHireMonth;
+};
 
-  // --- Data Fetching from Firestore ---
-  useEffect(() => {
-    if (!db || !userId) {
-        console.warn("Firestore or User ID not available for data fetching.");
-        return;
-    }
+// Pay is prorated over calendar days: days before joining and loss-of-pay days are unpaid. Performance bonus
+// is paid outside the monthly run but still counts toward the projected annual tax, which TDS spreads over the
+// months the employee is on the payroll in the financial year.
+// Professional tax follows the state of the employee's office and the gross actually paid.
+const calculatePayslip = (employee, monthKey, { lossOfPayDays = 0 } = {}, rules = getTaxRulesForYear([], getFinancialYear(monthKey))) => {
+  const daysInMonth = Number(getMonthEndKey(monthKey).slice(8));
+  const daysBeforeJoining = employee.hireDate > `${monthKey}-01` ? Number(employee.hireDate.slice(8)) - 1 : 0;
+  const paidDays = Math.max(0, daysInMonth - daysBeforeJoining - lossOfPayDays);
+  const earnedShare = (annualAmount) => Math.round((annualAmount / 12) * (paidDays / daysInMonth));
+  const structure = getEmployeeSalaryStructure(employee);
+  const breakdown = calculateSalaryBreakdown(structure, { rules, location: employee.location });
+
+  const earnings = {
+    basic: earnedShare(structure.basicSalary),
+    hra: earnedShare(structure.hra),
+    otherAllowances: earnedShare(structure.otherAllowances),
+  };
+  const grossPay = earnings.basic + earnings.hra + earnings.otherAllowances;
+  const employeePF = Math.round((getPFWage(earnings.basic * 12, structure) / 12) * PF_RATE);
+  const professionalTax = calculateMonthlyProfessionalTax(grossPay, employee.location, rules, Number(monthKey.slice(5)));
+  // Tax is projected on what a mid-year joiner earns in the financial year and spread over the months they are employed
+  const monthsEmployed = getMonthsEmployedInFinancialYear(employee.hireDate, monthKey);
+  const annualTax = monthsEmployed < 12
+    ? calculateSalaryBreakdown(scaleSalaryStructure(structure, monthsEmployed / 12), { rules, location: employee.location }).totalTaxLiability
+    : breakdown.totalTaxLiability;
+  const monthTDS = annualTax * ((daysInMonth - daysBeforeJoining) / daysInMonth) / monthsEmployed;
+  const tds = Math.min(Math.round(monthTDS), Math.max(0, grossPay - employeePF - professionalTax));
+  const totalDeductions = employeePF + professionalTax + tds;
+
+  return {
+    employeeId: employee.id,
+    employeeCode: employee.employeeId,
+    name: employee.name,
+    department: employee.department,
+    jobTitle: employee.jobTitle || '',
+    location: employee.location || '',
+    bankAccount: maskAccountNumber(normalizeBankDetails(employee.bankDetails).accountNumber),
+    annualCTC: breakdown.annualCTC,
+    daysInMonth,
+    paidDays,
+    lossOfPayDays,
+    earnings,
+    grossPay,
+    deductions: { employeePF, professionalTax, tds },
+    totalDeductions,
+    employerPF: employeePF,
+    netPay: grossPay - totalDeductions,
+  };
+};
 
-    // Reference to public collections
-    const candidatesColRef = collection(db, `artifacts/${appId}/public/data/candidates`);
-    const offersColRef = collection(db, `artifacts/${appId}/public/data/offers`);
-    const employeesColRef = collection(db, `artifacts/${appId}/public/data/employees`);
-    const eventsColRef = collection(db, `artifacts/${appId}/public/data/events`);
+// Payslips plus totals for a month; LOP comes from the month's locked attendance registers and tax from the
+// rules for the month's financial year
+const buildPayrollRun = (employees, monthKey, attendanceRegisters, taxRules = []) => {
+  const attendance = getPayrollAttendance(attendanceRegisters, monthKey);
+  const rules = getTaxRulesForYear(taxRules, getFinancialYear(monthKey));
+  const payslips = getPayrollEmployees(employees, monthKey)
+    .map(employee => calculatePayslip(employee, monthKey, attendance[employee.id], rules))
+    .sort((a, b) => a.name.localeCompare(b.name));
+  const totals = payslips.reduce((sum, p) => ({
+    grossPay: sum.grossPay + p.grossPay,
+    totalDeductions: sum.totalDeductions + p.totalDeductions,
+    employerPF: sum.employerPF + p.employerPF,
+    netPay: sum.netPay + p.netPay,
+  }), { grossPay: 0, totalDeductions: 0, employerPF: 0, netPay: 0 });
+  return { payslips, totals: { ...totals, headcount: payslips.length }, taxRulesYear: rules.financialYear };
+};
 
-    // Fetch Candidates
-    const unsubscribeCandidates = onSnapshot(candidatesColRef, (snapshot) => {
-      const fetchedCandidates = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
-      setCandidates(fetchedCandidates);
-      // If a candidate was selected and updated, ensure the selectedCandidate state also reflects the latest data
-      if (selectedCandidate) {
-        setSelectedCandidate(fetchedCandidates.find(c => c.id === selectedCandidate.id) || null);
-      }
-    }, (error) => {
-      console.error("Error fetching candidates:", error);
-      showNotification("Error loading candidates.", "error");
-    });
+const buildPayslipHtml = (payslip, monthKey) => {
+  const row = (label, amount) => `<tr><td>${escapeHtml(label)}</td><td style="text-align:right">${escapeHtml(formatINR(amount))}</td></tr>`;
+  return `<p><strong>${escapeHtml(payslip.name)}</strong> (${escapeHtml(payslip.employeeCode)})<br />
+${escapeHtml(payslip.jobTitle || '')}, ${escapeHtml(payslip.department || '')}<br />
+Bank account: ${escapeHtml(payslip.bankAccount || 'N/A')}</p>
+<p>Paid days: ${payslip.paidDays} of ${payslip.daysInMonth}${payslip.lossOfPayDays > 0 ? ` (loss of pay: ${payslip.lossOfPayDays})` : ''}</p>
+<table style="width:100%;border-collapse:collapse">
+<tr><th align="left">Earnings</th><th></th></tr>
+${row('Basic', payslip.earnings.basic)}
+${row('HRA', payslip.earnings.hra)}
+${row('Other Allowances', payslip.earnings.otherAllowances)}
+${row('Gross Pay', payslip.grossPay)}
+<tr><th align="left">Deductions</th><th></th></tr>
+${row('Provident Fund (Employee)', payslip.deductions.employeePF)}
+${row(`Professional Tax${payslip.location ? ` (${escapeHtml(LOCATION_STATES[payslip.location] || payslip.location)})` : ''}`, payslip.deductions.professionalTax)}
+${row('Income Tax (TDS)', payslip.deductions.tds)}
+${row('Total Deductions', payslip.totalDeductions)}
+<tr><th align="left">Net Pay</th><th style="text-align:right">${escapeHtml(formatINR(payslip.netPay))}</th></tr>
+</table>
+<p style="font-size:12px;color:#6b7280">Employer PF contribution: ${escapeHtml(formatINR(payslip.employerPF))}. Pay period: ${escapeHtml(formatMonthLabel(monthKey))}.</p>`;
+};
 
-    // Fetch Offers
-    const unsubscribeOffers = onSnapshot(offersColRef, (snapshot) => {
-      setOffers(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
-    }, (error) => {
-      console.error("Error fetching offers:", error);
-      showNotification("Error loading offers.", "error");
-    });
+// --- Onboarding ---
+const ONBOARDING_OWNER_ROLES = ['HR', 'IT', 'Manager', 'New Hire'];
+// Owners the tasks start with; the manager comes from the requisition when there is one
+const ONBOARDING_DEFAULT_OWNERS = {
+  'HR': TEAM_MEMBERS.find(m => m.role === 'HR Business Partner')?.name || 'HR',
+  'IT': 'IT Helpdesk',
+  'Manager': TEAM_MEMBERS.find(m => m.role === 'Hiring Manager')?.name || 'Hiring Manager',
+};
+// Due dates are days relative to the start date; negative tasks happen before day one
+const STANDARD_ONBOARDING_TASKS = [
+  { title: 'Collect signed offer letter and ID proofs', ownerRole: 'HR', dueOffsetDays: -7 },
+  { title: 'Share bank details, PAN and emergency contact', ownerRole: 'New Hire', dueOffsetDays: -5 },
+  { title: 'Verify Aadhaar, PAN and bank details for payroll', ownerRole: 'HR', dueOffsetDays: -3 },
+  { title: 'Provision laptop and accounts', ownerRole: 'IT', dueOffsetDays: -2 },
+  { title: 'Assign a buddy and share the first-week plan', ownerRole: 'Manager', dueOffsetDays: -1 },
+  { title: 'Welcome and team introductions', ownerRole: 'Manager', dueOffsetDays: 0 },
+  { title: 'Induction and policy walkthrough', ownerRole: 'HR', dueOffsetDays: 1 },
+  { title: 'Submit PF nomination and Form 11', ownerRole: 'New Hire', dueOffsetDays: 3 },
+  { title: '30-day check-in', ownerRole: 'Manager', dueOffsetDays: 30 },
+];
+// A department uses the first template that lists it, otherwise Standard
+const ONBOARDING_TEMPLATES = [
+  { name: 'Standard', departments: [], tasks: STANDARD_ONBOARDING_TASKS },
+  {
+    name: 'Engineering',
+    departments: ['Engineering'],
+    tasks: [
+      ...STANDARD_ONBOARDING_TASKS,
+      { title: 'Grant source control, CI and cloud access', ownerRole: 'IT', dueOffsetDays: 0 },
+      { title: 'Set up the development environment', ownerRole: 'New Hire', dueOffsetDays: 2 },
+    ],
+  },
+];
+
+const getOnboardingTemplate = (department) => ONBOARDING_TEMPLATES.find(t => t.departments.includes(department)) || ONBOARDING_TEMPLATES[0];
+
+// Tasks for a new case; owners holds a name per role and the new hire owns their own tasks
+const buildOnboardingTasks = (template, startDate, owners) => [...template.tasks].sort((a, b) => a.dueOffsetDays - b.dueOffsetDays).map((task, index) => ({
+  id: `task-${index + 1}`,
+  title: task.title,
+  ownerRole: task.ownerRole,
+  owner: owners[task.ownerRole] || ONBOARDING_DEFAULT_OWNERS[task.ownerRole] || task.ownerRole,
+  dueDate: toLocalDateKey(addDays(parseDateKey(startDate), task.dueOffsetDays)),
+  completedAt: null,
+  completedBy: null,
+}));
+
+const getOnboardingProgress = (onboardingCase, todayKey) => {
+  const tasks = onboardingCase.tasks || [];
+  const done = tasks.filter(t => t.completedAt).length;
+  return {
+    done,
+    total: tasks.length,
+    overdue: tasks.filter(t => !t.completedAt && t.dueDate < todayKey).length,
+    isComplete: tasks.length > 0 && done === tasks.length,
+  };
+};
 
-    // Fetch Employees
-    const unsubscribeEmployees = onSnapshot(employeesColRef, (snapshot) => {
-      setEmployees(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
-    }, (error) => {
-      console.error("Error fetching employees:", error);
-      showNotification("Error loading employees.", "error");
-    });
+// Candidates record notice periods as text such as "30 days" or "Immediate"
+const getNoticePeriodDays = (noticePeriod) => {
+  const match = /\d+/.exec(String(noticePeriod || ''));
+  return match ? Number(match[0]) : 0;
+};
 
-    // Fetch Events
-    const unsubscribeEvents = onSnapshot(eventsColRef, (snapshot) => {
-      setEvents(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
-    }, (error) => {
-      console.error("Error fetching events:", error);
-      showNotification("Error loading events.", "error");
-    });
+// Case details for an accepted offer; the start date assumes the candidate serves their full notice.
+// Identity numbers that fail validation are left blank for HR to collect again.
+const buildOnboardingDetailsFromOffer = (offer, candidate, requisition, todayKey) => sanitizeKycFields({
+  candidateId: offer.candidateId || candidate?.id || null,
+  offerId: offer.id,
+  legalName: candidate?.name || offer.candidate,
+  email: candidate?.email || '',
+  phone: candidate?.phone || '',
+  aadhaarNumber: candidate?.aadhaarNumber || '',
+  panNumber: candidate?.panNumber || '',
+  startDate: toLocalDateKey(addDays(parseDateKey(todayKey), Math.max(getNoticePeriodDays(candidate?.noticePeriod), 7))),
+  annualCTC: getOfferTotal(offer),
+  salaryStructure: offer.salaryStructure || null,
+  noticePeriodDays: getNoticePeriodDays(candidate?.noticePeriod),
+  department: requisition?.department || '',
+  jobTitle: requisition?.title || offer.job || candidate?.jobAppliedFor || '',
+  location: requisition?.location || '',
+  manager: requisition?.hiringManager || '',
+});
+
+// Next code in the EMP1001 series, skipping any codes already taken
+const generateEmployeeId = (employees) => {
+  const highest = employees.reduce((max, e) => {
+    const match = /^EMP(\d+)$/.exec(e.employeeId || '');
+    return match ? Math.max(max, Number(match[1])) : max;
+  }, 1000);
+  return `EMP${highest + 1}`;
+};
 
-    // Cleanup listeners on component unmount
-    return () => {
-      unsubscribeCandidates();
-      unsubscribeOffers();
+// The employee record a completed case turns into. Leave starts accruing from the joining month.
+const buildEmployeeFromOnboardingCase = (onboardingCase, employeeId) => ({
+  employeeId,
+  name: onboardingCase.legalName,
+  department: onboardingCase.department,
+  jobTitle: onboardingCase.jobTitle || '',
+  email: onboardingCase.email || '',
+  phone: onboardingCase.phone || '',
+  status: 'Active',
+  hireDate: onboardingCase.startDate,
+  compensation: createCompensation({ annualCTC: onboardingCase.annualCTC, effectiveDate: onboardingCase.startDate }),
+  ...(onboardingCase.salaryStructure ? { salaryStructure: onboardingCase.salaryStructure } : {}),
+  location: onboardingCase.location || '',
+  panNumber: onboardingCase.panNumber || '',
+  aadhaarNumber: onboardingCase.aadhaarNumber || '',
+  bankDetails: { accountHolder: '', bankName: '', accountNumber: '', ifsc: '' },
+  emergencyContact: { name: '', phone: '', relationship: '' },
+  documents: [],
+  benefitsEnrollment: { healthInsurance: true, providentFund: true, gratuity: true, nps: false },
+  leaveBalance: { sick: 0, casual: 0, earned: 0 },
+  leaveAccruedThrough: shiftMonthKey(toMonthKey(onboardingCase.startDate), -1),
+  candidateId: onboardingCase.candidateId || null,
+  offerId: onboardingCase.offerId || null,
+  onboardingCaseId: onboardingCase.id || null,
+});
+
+// Reusable Card Component
+const Card = ({ title, value, icon: Icon, colorClass = 'text-blue-400', trend }) => {
+  const { theme } = useTheme();
+  const TrendIcon = trend?.direction === 'up' ? ArrowUpRight : trend?.direction === 'down' ? ArrowDownRight : Minus;
+  return (
+    <div className={`p-6 rounded-lg shadow-md flex items-center space-x-4 ${theme === 'dark' ? 'bg-zinc-800' : 'bg-white'}`}>
+      <div className={`p-3 rounded-full bg-opacity-20 ${colorClass.replace('text-', 'bg-')}`}>
+        <Icon size={24} className={colorClass} />
+      </div>
+      <div>
+        <p className={`text-sm ${theme === 'dark' ? 'text-gray-400' : 'text-gray-600'}`}>{title}</p>
+        <p className={`text-xl font-bold ${theme === 'dark' ? 'text-white' : 'text-zinc-900'}`}>{value}</p>
+        {trend && (
+          <p className={`text-xs flex items-center space-x-1 ${
+            trend.direction === 'flat' ? (theme === 'dark' ? 'text-gray-400' : 'text-gray-500') : trend.isImprovement ? 'text-green-400' : 'text-red-400'
+          }`}>
+            <TrendIcon size={12} /> <span>{trend.label}</span>
+          </p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// KYC Value Component (masked unless the viewer's role may reveal it)
+const KycValue = ({ field, value, viewer }) => {
+  const [isRevealed, setIsRevealed] = useState(false);
+  if (!value) return 'N/A';
+  const isValid = KYC_FIELDS[field].isValid(KYC_FIELDS[field].normalize(value));
+  return (
+    <span>
+      {isRevealed ? value : maskKycValue(field, value)}
+      {!isValid && <span className="ml-2 text-xs text-yellow-400" title={KYC_FIELDS[field].message}>unverified format</span>}
+      {canRevealKyc(viewer) && (
+        <button type="button" onClick={() => setIsRevealed(!isRevealed)} className="ml-2 text-xs text-blue-400 hover:text-blue-300" aria-label={`${isRevealed ? 'Hide' : 'Reveal'} ${KYC_FIELDS[field].label}`}>
+          {isRevealed ? 'Hide' : 'Reveal'}
+        </button>
+      )}
+    </span>
+  );
+};
+
+// Navigation Item Component
+const NavItem = ({ icon: Icon, text, isActive, onClick }) => {
+  const { theme } = useTheme();
+  return (
+    <button
+      className={`flex items-center space-x-3 p-3 rounded-lg transition-colors duration-200 ${
+        isActive
+          ? `${theme === 'dark' ? 'bg-zinc-700 text-white shadow-md' : 'bg-blue-100 text-blue-700'}`
+          : `${theme === 'dark' ? 'text-gray-300 hover:bg-zinc-700 hover:text-white' : 'text-gray-700 hover:bg-gray-100 hover:text-blue-700'}`
+      }`}
+      onClick={onClick}
+      aria-label={text}
+    >
+      <Icon size={20} />
+      <span className="font-medium text-xs md:text-sm">{text}</span>
+    </button>
+  );
+};
+
+// Live scorecards for a candidate (a subcollection under the candidate document)
+const useCandidateScorecards = (db, appId, candidateId) => {
+  const { showNotification } = useNotification();
+  const [scorecards, setScorecards] = useState([]);
+  const scorecardsPath = `artifacts/${appId}/public/data/candidates/${candidateId}/scorecards`;
+
+  useEffect(() => {
+    if (!db || !appId) {
+      return;
+    }
+    const unsubscribeScorecards = onSnapshot(collection(db, scorecardsPath), (snapshot) => {
+      setScorecards(snapshot.docs.map(scorecardDoc => ({ id: scorecardDoc.id, ...scorecardDoc.data() })));
+    }, (error) => {
+      console.error("Error fetching scorecards:", error);
+      showNotification("Error loading scorecards.", "error");
+    });
+    return () => unsubscribeScorecards();
+  }, [db, appId, scorecardsPath, showNotification]);
+
+  return scorecards;
+};
+
+// Interview Scorecards Panel (scorecards are stored as a subcollection under the candidate document)
+const InterviewScorecardsPanel = ({ candidate, db, appId, userId, currentUserName, scorecardTemplates = [], interviewPlan = DEFAULT_INTERVIEW_PLAN }) => {
+  const { theme } = useTheme();
+  const { showNotification } = useNotification();
+  const scorecards = useCandidateScorecards(db, appId, candidate.id);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [round, setRound] = useState(interviewPlan[0] || '');
+  const [templateId, setTemplateId] = useState('');
+  const [ratings, setRatings] = useState({}); // competency name -> { rating, comment }
+  const [recommendation, setRecommendation] = useState('');
+  const [overallComment, setOverallComment] = useState('');
+  const [expandedScorecardId, setExpandedScorecardId] = useState(null);
+
+  const scorecardsPath = `artifacts/${appId}/public/data/candidates/${candidate.id}/scorecards`;
+
+  const roundTemplates = findScorecardTemplates(scorecardTemplates, candidate.jobAppliedFor, round);
+  const template = roundTemplates.find(t => t.id === templateId) || roundTemplates[0] || null;
+  const summary = summarizeScorecards(scorecards);
+  // Legacy feedback is scored out of 10; scorecards carry a weighted percentage
+  const scoreOutliers = findScoreOutliers([
+    ...scorecards.map(s => ({ interviewer: s.interviewerName, score: s.weightedScore })),
+    ...(candidate.interviewFeedback || []).map(f => ({ interviewer: f.interviewer, score: Number(f.score) * 10 })),
+  ]);
+  const flaggedPhraseCount = [
+    ...scorecards.flatMap(s => [s.overallComment, ...(s.ratings || []).map(r => r.comment)]),
+    ...(candidate.interviewFeedback || []).map(f => f.comments),
+  ].reduce((count, text) => count + detectBiasLanguage(text).length, 0);
+  const sortedScorecards = [...scorecards].sort((a, b) => (b.submittedAt || '').localeCompare(a.submittedAt || ''));
+
+  const resetForm = () => {
+    setTemplateId('');
+    setRatings({});
+    setRecommendation('');
+    setOverallComment('');
+  };
+
+  const updateRating = (competency, field, value) => {
+    setRatings(prevRatings => ({ ...prevRatings, [competency]: { ...prevRatings[competency], [field]: value } }));
+  };
+
+  const handleSubmitScorecard = async (e) => {
+    e.preventDefault();
+    if (!template) {
+      showNotification('No scorecard template is configured for this round.', 'error');
+      return;
+    }
+    if (scorecards.some(s => s.round === round && s.interviewerId === userId)) {
+      showNotification(`You have already submitted a scorecard for ${round}.`, 'error');
+      return;
+    }
+    const missingRating = template.competencies.find(c => !ratings[c.name]?.rating);
+    if (missingRating) {
+      showNotification(`Rate "${missingRating.name}" before submitting.`, 'error');
+      return;
+    }
+    const missingComment = template.competencies.find(c => c.commentRequired && !(ratings[c.name]?.comment || '').trim());
+    if (missingComment) {
+      showNotification(`A comment is required for "${missingComment.name}".`, 'error');
+      return;
+    }
+    if (!recommendation || (template.overallCommentRequired && overallComment.trim() === '')) {
+      showNotification('Select a recommendation and add an overall comment.', 'error');
+      return;
+    }
+    if (!db || !appId) {
+      showNotification("Database not available for saving scorecards.", "error");
+      return;
+    }
+    const scorecardRatings = template.competencies.map(c => ({
+      competency: c.name,
+      weight: Number(c.weight) || 0,
+      rating: Number(ratings[c.name].rating),
+      comment: (ratings[c.name].comment || '').trim(),
+    }));
+    try {
+      await addDoc(collection(db, scorecardsPath), {
+        round,
+        templateId: template.id,
+        templateName: template.name,
+        ratingScale: template.ratingScale,
+        ratings: scorecardRatings,
+        weightedScore: getScorecardWeightedScore(scorecardRatings, template.ratingScale),
+        recommendation,
+        overallComment: overallComment.trim(),
+        interviewerId: userId,
+        interviewerName: currentUserName,
+        submittedAt: new Date().toISOString(),
+      });
+      resetForm();
+      setIsSubmitting(false);
+      showNotification('Scorecard submitted!', 'success');
+    } catch (error) {
+      console.error("Error saving scorecard:", error);
+      showNotification('Failed to submit scorecard.', 'error');
+    }
+  };
+
+  const inputClass = `w-full p-2 rounded-md text-sm focus:ring-blue-500 focus:border-blue-500 transition-colors duration-200 ${theme === 'dark' ? 'bg-zinc-700 border-zinc-600 text-white' : 'bg-gray-100 border-gray-300 text-zinc-900'}`;
+
+  return (
+    <div className={`p-6 rounded-lg shadow-md mb-6 ${theme === 'dark' ? 'bg-zinc-800' : 'bg-white'}`}>
+      <h3 className={`text-lg font-semibold mb-4 flex items-center justify-between ${theme === 'dark' ? 'text-white' : 'text-zinc-900'}`}>
+        <span className="flex items-center space-x-2"><ClipboardList size={20} /> <span>Interview Feedback & Assessments</span></span>
+        <button onClick={() => setIsSubmitting(!isSubmitting)} className="bg-green-600 hover:bg-green-700 text-white px-3 py-1 rounded-lg flex items-center space-x-1 text-sm transition-transform transform hover:scale-105 active:scale-95" aria-label="Submit scorecard">
+          <Plus size={14} /> <span>Submit Scorecard</span>
+        </button>
+      </h3>
+
+      {isSubmitting && (
+        <form onSubmit={handleSubmitScorecard} className={`${theme === 'dark' ? 'bg-zinc-700 text-gray-300' : 'bg-gray-100 text-gray-700'} p-4 rounded-lg mb-6 space-y-4`}>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label htmlFor="scorecardRound" className="block text-sm font-medium mb-1">Round</label>
+              <select id="scorecardRound" value={round} onChange={(e) => { setRound(e.target.value); resetForm(); }} className={inputClass} aria-label="Interview round">
+                {interviewPlan.map(planRound => <option key={planRound} value={planRound}>{planRound}</option>)}
+              </select>
+            </div>
+            <div>
+              <label htmlFor="scorecardTemplate" className="block text-sm font-medium mb-1">Scorecard Template</label>
+              <select id="scorecardTemplate" value={template?.id || ''} onChange={(e) => { setTemplateId(e.target.value); setRatings({}); }} className={inputClass} aria-label="Scorecard template" disabled={roundTemplates.length === 0}>
+                {roundTemplates.length === 0 && <option value="">No template for this round</option>}
+                {roundTemplates.map(t => <option key={t.id} value={t.id}>{t.name}</option>)}
+              </select>
+            </div>
+          </div>
+
+          {template && (
+            <>
+              {template.competencies.map(competency => (
+                <div key={competency.name}>
+                  <div className="flex items-center justify-between mb-1">
+                    <span className="text-sm font-medium">{competency.name} <span className={theme === 'dark' ? 'text-gray-400' : 'text-gray-500'}>({competency.weight}%)</span></span>
+                    <div className="flex space-x-1" role="radiogroup" aria-label={`${competency.name} rating`}>
+                      {Array.from({ length: template.ratingScale }, (_, i) => i + 1).map(value => (
+                        <button
+                          key={value}
+                          type="button"
+                          onClick={() => updateRating(competency.name, 'rating', value)}
+                          className={`w-7 h-7 rounded-full text-xs font-semibold transition-colors duration-200 ${ratings[competency.name]?.rating === value ? 'bg-blue-600 text-white' : (theme === 'dark' ? 'bg-zinc-600 text-gray-300 hover:bg-zinc-500' : 'bg-white text-gray-700 hover:bg-gray-200')}`}
+                          role="radio"
+                          aria-checked={ratings[competency.name]?.rating === value}
+                          aria-label={`${value} of ${template.ratingScale}`}
+                        >
+                          {value}
+                        </button>
+                      ))}
+                    </div>
+                  </div>
+                  <input
+                    type="text"
+                    value={ratings[competency.name]?.comment || ''}
+                    onChange={(e) => updateRating(competency.name, 'comment', e.target.value)}
+                    placeholder={competency.commentRequired ? 'Comment (required)' : 'Comment (optional)'}
+                    className={inputClass}
+                    aria-label={`${competency.name} comment`}
+                  />
+                  <BiasWarnings text={ratings[competency.name]?.comment} />
+                </div>
+              ))}
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <div>
+                  <label htmlFor="scorecardRecommendation" className="block text-sm font-medium mb-1">Recommendation</label>
+                  <select id="scorecardRecommendation" value={recommendation} onChange={(e) => setRecommendation(e.target.value)} className={inputClass} aria-label="Recommendation">
+                    <option value="">Select...</option>
+                    {SCORECARD_RECOMMENDATIONS.map(rec => <option key={rec} value={rec}>{rec}</option>)}
+                  </select>
+                </div>
+                <div>
+                  <label htmlFor="scorecardOverallComment" className="block text-sm font-medium mb-1">Overall Comment{template.overallCommentRequired ? ' (required)' : ''}</label>
+                  <input type="text" id="scorecardOverallComment" value={overallComment} onChange={(e) => setOverallComment(e.target.value)} className={inputClass} aria-label="Overall comment" />
+                  <BiasWarnings text={overallComment} />
+                </div>
+              </div>
+              <button type="submit" className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg flex items-center space-x-2 text-sm transition-transform transform hover:scale-105 active:scale-95" aria-label="Submit scorecard for this round">
+                <Send size={16} /> <span>Submit</span>
+              </button>
+            </>
+          )}
+        </form>
+      )}
+
+      {scorecards.length > 0 ? (
+        <div className="space-y-6">
+          {/* Panel summary */}
+          <div>
+            <div className="flex flex-wrap items-center gap-2 mb-3 text-xs">
+              <span className={`px-2 py-1 rounded-full font-semibold ${summary.hireCount > summary.noHireCount ? 'bg-green-600/20 text-green-300' : summary.hireCount < summary.noHireCount ? 'bg-red-600/20 text-red-300' : 'bg-yellow-600/20 text-yellow-300'}`}>
+                Hire {summary.hireCount} : {summary.noHireCount} No Hire
+              </span>
+              {SCORECARD_RECOMMENDATIONS.map(rec => (
+                <span key={rec} className={`px-2 py-1 rounded-full ${theme === 'dark' ? 'bg-zinc-700 text-gray-300' : 'bg-gray-100 text-gray-700'}`}>{rec}: {summary.tally[rec]}</span>
+              ))}
+              {summary.avgScore !== null && (
+                <span className={`px-2 py-1 rounded-full ${theme === 'dark' ? 'bg-zinc-700 text-gray-300' : 'bg-gray-100 text-gray-700'}`}>Avg. weighted score: <span className="font-semibold text-blue-400">{Math.round(summary.avgScore)}%</span></span>
+              )}
+            </div>
+            <table className="min-w-full text-sm">
+              <thead>
+                <tr className={theme === 'dark' ? 'text-gray-400' : 'text-gray-600'}>
+                  <th className="text-left py-1">Competency</th>
+                  <th className="text-right py-1">Average (of {SCORECARD_SUMMARY_SCALE})</th>
+                  <th className="text-right py-1">Range</th>
+                  <th className="text-right py-1">Spread</th>
+                  <th className="text-right py-1">Ratings</th>
+                </tr>
+              </thead>
+              <tbody className={theme === 'dark' ? 'text-gray-300' : 'text-gray-700'}>
+                {summary.competencies.map(row => (
+                  <tr key={row.name}>
+                    <td className="py-1">{row.name}</td>
+                    <td className="py-1 text-right font-semibold">{row.avg.toFixed(1)}</td>
+                    <td className="py-1 text-right">{row.min.toFixed(1)} - {row.max.toFixed(1)}</td>
+                    <td className={`py-1 text-right ${row.spread >= SCORECARD_SPREAD_WARNING ? 'text-yellow-400 font-semibold' : ''}`} title={row.spread >= SCORECARD_SPREAD_WARNING ? 'Interviewers disagree on this competency' : undefined}>{row.spread.toFixed(1)}</td>
+                    <td className="py-1 text-right">{row.count}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          {/* Individual scorecards */}
+          <div className="space-y-3">
+            {sortedScorecards.map(scorecard => (
+              <div key={scorecard.id} className={`${theme === 'dark' ? 'bg-zinc-700' : 'bg-gray-100'} p-4 rounded-lg`}>
+                <button onClick={() => setExpandedScorecardId(expandedScorecardId === scorecard.id ? null : scorecard.id)} className="w-full text-left" aria-label={`Toggle scorecard from ${scorecard.interviewerName}`}>
+                  <p className={`font-bold text-sm ${theme === 'dark' ? 'text-white' : 'text-zinc-900'}`}>
+                    {scorecard.round} - {scorecard.interviewerName}
+                    <span className={`ml-2 px-2 text-xs font-semibold rounded-full ${HIRE_RECOMMENDATIONS.includes(scorecard.recommendation) ? 'bg-green-600/20 text-green-300' : 'bg-red-600/20 text-red-300'}`}>{scorecard.recommendation}</span>
+                  </p>
+                  <p className={`text-xs ${theme === 'dark' ? 'text-gray-400' : 'text-gray-600'}`}>
+                    {scorecard.templateName} · Weighted score {scorecard.weightedScore !== null ? `${Math.round(scorecard.weightedScore)}%` : 'N/A'} · {new Date(scorecard.submittedAt).toLocaleString()}
+                  </p>
+                </button>
+                {expandedScorecardId === scorecard.id && (
+                  <div className={`mt-3 text-sm space-y-1 ${theme === 'dark' ? 'text-gray-300' : 'text-gray-700'}`}>
+                    {scorecard.ratings.map(r => (
+                      <p key={r.competency}>
+                        <span className="font-medium">{r.competency}:</span> <span className="text-blue-400 font-semibold">{r.rating}/{scorecard.ratingScale}</span>
+                        {r.comment && <span className={theme === 'dark' ? 'text-gray-400' : 'text-gray-600'}> - <BiasHighlightedText text={r.comment} /></span>}
+                      </p>
+                    ))}
+                    {scorecard.overallComment && <p className="mt-2"><span className="font-medium">Overall:</span> <BiasHighlightedText text={scorecard.overallComment} /></p>}
+                  </div>
+                )}
+              </div>
+            ))}
+          </div>
+        </div>
+      ) : (
+        <p className={`text-sm ${theme === 'dark' ? 'text-gray-400' : 'text-gray-600'}`}>No scorecards submitted yet.</p>
+      )}
+
+      {/* Bias and consistency check across all feedback */}
+      {(flaggedPhraseCount > 0 || scoreOutliers.length > 0) && (
+        <div className="mt-6 p-4 rounded-lg border border-yellow-500/40 bg-yellow-500/10 text-sm">
+          <p className="font-semibold text-yellow-500 mb-1">Bias & Consistency Check</p>
+          {flaggedPhraseCount > 0 && (
+            <p className={theme === 'dark' ? 'text-gray-300' : 'text-gray-700'}>{flaggedPhraseCount} potentially biased phrase{flaggedPhraseCount === 1 ? '' : 's'} highlighted in the feedback below.</p>
+          )}
+          {scoreOutliers.map(outlier => (
+            <p key={outlier.interviewer} className={theme === 'dark' ? 'text-gray-300' : 'text-gray-700'}>
+              <span className="font-medium">{outlier.interviewer}</span> scored {Math.round(outlier.score)}% vs. a panel average of {Math.round(outlier.panelAverage)}% ({outlier.deviation > 0 ? '+' : ''}{Math.round(outlier.deviation)} pts).
+            </p>
+          ))}
+        </div>
+      )}
+
+      {/* Feedback recorded before structured scorecards */}
+      {candidate.interviewFeedback && candidate.interviewFeedback.length > 0 && (
+        <div className="mt-6 space-y-4">
+          <p className={`text-xs ${theme === 'dark' ? 'text-gray-400' : 'text-gray-600'}`}>Earlier feedback (imported)</p>
+          {candidate.interviewFeedback.map((feedback, index) => (
+            <div key={index} className={`${theme === 'dark' ? 'bg-zinc-700' : 'bg-gray-100'} p-4 rounded-lg`}>
+              <p className={`font-bold text-sm ${theme === 'dark' ? 'text-white' : 'text-zinc-900'}`}>Round: {feedback.round} ({feedback.date})</p>
+              <p className={`text-xs ${theme === 'dark' ? 'text-gray-300' : 'text-gray-700'}`}>Interviewer: {feedback.interviewer}</p>
+              <p className={`text-sm mt-2 ${theme === 'dark' ? 'text-gray-300' : 'text-gray-700'}`}>Score: <span className="font-semibold text-blue-400">{feedback.score}/10</span></p>
+              <p className={`text-sm mt-1 ${theme === 'dark' ? 'text-gray-400' : 'text-gray-600'}`}>Comments: <BiasHighlightedText text={feedback.comments} /></p>
+            </div>
+          ))}
+        </div>
+      )}
+      <p className={`mt-4 text-xs ${theme === 'dark' ? 'text-gray-400' : 'text-gray-500'}`}>Customizable digital scorecards promote objective evaluations. Feedback and notes are checked on this device against a lexicon of gendered, age-related, cultural-fit and personality-trait language; hover a highlighted phrase for neutral wording.</p>
+    </div>
+  );
+};
+
+// Interview Scheduler Panel (books panel slots as Interview events linked to the candidate)
+const InterviewSchedulerPanel = ({ candidate, events = [], interviewPlan = DEFAULT_INTERVIEW_PLAN, onScheduleInterview, onRescheduleInterview, onCancelInterview }) => {
+  const { theme } = useTheme();
+  const { showNotification } = useNotification();
+  const { timeZone } = useTimeZone();
+  const todayKey = getTodayKey(timeZone);
+  const [isFormOpen, setIsFormOpen] = useState(false);
+  const [reschedulingEvent, setReschedulingEvent] = useState(null);
+  const [round, setRound] = useState(interviewPlan[0] || '');
+  const [panel, setPanel] = useState([]);
+  const [date, setDate] = useState(toLocalDateKey(addDays(parseDateKey(todayKey), 1)));
+  const [startMinutes, setStartMinutes] = useState(10 * 60);
+  const [durationMinutes, setDurationMinutes] = useState(DEFAULT_EVENT_DURATION_MINUTES);
+  const [isVirtual, setIsVirtual] = useState(true);
+  const [note, setNote] = useState('');
+
+  // Shown in the viewer's timezone; rescheduling and export use the stored event
+  const candidateInterviews = events
+    .filter(e => e.type === 'Interview' && e.candidateId === candidate.id)
+    .map(e => ({ stored: e, local: localizeOccurrence(e, timeZone) }))
+    .sort((a, b) => `${a.local.date} ${a.local.startTime || ''}`.localeCompare(`${b.local.date} ${b.local.startTime || ''}`));
+
+  const slot = { date, startMinutes, durationMinutes, attendees: panel, candidateId: candidate.id, timeZone };
+  const ignoreEventId = reschedulingEvent?.id || null;
+  const conflicts = panel.length > 0 ? findEventConflicts(events, slot, ignoreEventId) : [];
+  const alternativeSlots = conflicts.length > 0
+    ? findFreeSlots(events, { fromDate: date, durationMinutes, attendees: panel, candidateId: candidate.id, timeZone }, 5, ignoreEventId)
+    : [];
+
+  const timeOptions = [];
+  for (let minutes = SCHEDULING_DAY_START; minutes < SCHEDULING_DAY_END; minutes += SCHEDULING_SLOT_STEP) {
+    timeOptions.push(minutes);
+  }
+
+  const openForm = (event = null) => {
+    setReschedulingEvent(event);
+    setIsFormOpen(true);
+    setNote('');
+    if (event) {
+      const localEvent = localizeOccurrence(event, timeZone);
+      setRound(event.round || interviewPlan[0] || '');
+      setPanel(event.attendees || []);
+      setDate(localEvent.date);
+      setStartMinutes(getEventMinutes(localEvent)?.start ?? 10 * 60);
+      setDurationMinutes(Number(event.durationMinutes) || DEFAULT_EVENT_DURATION_MINUTES);
+      setIsVirtual(!!event.virtual);
+    }
+  };
+
+  const closeForm = () => {
+    setIsFormOpen(false);
+    setReschedulingEvent(null);
+  };
+
+  const togglePanelMember = (name) => {
+    setPanel(prevPanel => (prevPanel.includes(name) ? prevPanel.filter(n => n !== name) : [...prevPanel, name]));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!round || panel.length === 0 || !date) {
+      showNotification('Pick a round, a date and at least one interviewer.', 'error');
+      return;
+    }
+    if (conflicts.length > 0) {
+      showNotification('The panel is not free at that time. Pick one of the suggested slots.', 'error');
+      return;
+    }
+    const booking = { round, attendees: panel, date, startMinutes, durationMinutes, virtual: isVirtual, note: note.trim(), timeZone };
+    const saved = reschedulingEvent
+      ? await onRescheduleInterview(reschedulingEvent, booking)
+      : await onScheduleInterview(candidate, booking);
+    if (saved) {
+      closeForm();
+    }
+  };
+
+  const inputClass = `mt-1 block w-full p-2 rounded-md text-sm focus:ring-blue-500 focus:border-blue-500 transition-colors duration-200 ${theme === 'dark' ? 'bg-zinc-700 border-zinc-600 text-white' : 'bg-white border-gray-300 text-zinc-900'}`;
+
+  return (
+    <div className={`p-6 rounded-lg shadow-md mb-6 ${theme === 'dark' ? 'bg-zinc-800' : 'bg-white'}`}>
+      <h3 className={`text-lg font-semibold mb-4 flex items-center justify-between ${theme === 'dark' ? 'text-white' : 'text-zinc-900'}`}>
+        <span className="flex items-center space-x-2"><CalendarIcon size={20} /> <span>Interview Schedule</span></span>
+        <button onClick={() => (isFormOpen ? closeForm() : openForm())} className="bg-green-600 hover:bg-green-700 text-white px-3 py-1 rounded-lg flex items-center space-x-1 text-sm transition-transform transform hover:scale-105 active:scale-95" aria-label="Schedule interview">
+          <Plus size={14} /> <span>Schedule Interview</span>
+        </button>
+      </h3>
+
+      {isFormOpen && (
+        <form onSubmit={handleSubmit} className={`${theme === 'dark' ? 'bg-zinc-700 text-gray-300' : 'bg-gray-100 text-gray-700'} p-4 rounded-lg mb-6 space-y-4`}>
+          <p className="text-sm font-semibold">{reschedulingEvent ? `Rescheduling ${reschedulingEvent.round || 'interview'} on ${localizeOccurrence(reschedulingEvent, timeZone).date}` : 'New Interview'}</p>
+          <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+            <div>
+              <label htmlFor="scheduleRound" className="block text-sm font-medium">Round</label>
+              <select id="scheduleRound" value={round} onChange={(e) => setRound(e.target.value)} className={inputClass} aria-label="Interview round" disabled={!!reschedulingEvent}>
+                {interviewPlan.map(planRound => <option key={planRound} value={planRound}>{planRound}</option>)}
+              </select>
+            </div>
+            <div>
+              <label htmlFor="scheduleDate" className="block text-sm font-medium">Date</label>
+              <input type="date" id="scheduleDate" value={date} min={todayKey} onChange={(e) => setDate(e.target.value)} className={inputClass} aria-label="Interview date" />
+            </div>
+            <div>
+              <label htmlFor="scheduleTime" className="block text-sm font-medium">Start Time</label>
+              <select id="scheduleTime" value={startMinutes} onChange={(e) => setStartMinutes(Number(e.target.value))} className={inputClass} aria-label="Interview start time">
+                {timeOptions.map(minutes => <option key={minutes} value={minutes}>{formatMinutesAsTime(minutes)}</option>)}
+              </select>
+            </div>
+            <div>
+              <label htmlFor="scheduleDuration" className="block text-sm font-medium">Duration</label>
+              <select id="scheduleDuration" value={durationMinutes} onChange={(e) => setDurationMinutes(Number(e.target.value))} className={inputClass} aria-label="Interview duration">
+                {INTERVIEW_DURATION_OPTIONS.map(minutes => <option key={minutes} value={minutes}>{minutes} min</option>)}
+              </select>
+            </div>
+          </div>
+          <div>
+            <p className="text-sm font-medium mb-1">Interview Panel</p>
+            <div className="flex flex-wrap gap-2">
+              {TEAM_MEMBERS.map(member => (
+                <button
+                  key={member.name}
+                  type="button"
+                  onClick={() => togglePanelMember(member.name)}
+                  className={`px-3 py-1 rounded-full text-xs transition-colors duration-200 ${panel.includes(member.name) ? 'bg-blue-600 text-white' : (theme === 'dark' ? 'bg-zinc-600 text-gray-300 hover:bg-zinc-500' : 'bg-white text-gray-700 hover:bg-gray-200')}`}
+                  aria-pressed={panel.includes(member.name)}
+                  aria-label={`Toggle ${member.name} on the panel`}
+                >
+                  {member.name} ({member.role})
+                </button>
+              ))}
+            </div>
+          </div>
+          <div className="flex flex-wrap items-center gap-4">
+            <label className="flex items-center space-x-2 text-sm">
+              <input type="checkbox" checked={isVirtual} onChange={(e) => setIsVirtual(e.target.checked)} aria-label="Virtual interview" />
+              <span>Virtual (video) interview</span>
+            </label>
+            {reschedulingEvent && (
+              <input type="text" value={note} onChange={(e) => setNote(e.target.value)} placeholder="Reason for rescheduling (optional)" className={`${inputClass} mt-0 flex-1`} aria-label="Reschedule reason" />
+            )}
+          </div>
+
+          {conflicts.length > 0 && (
+            <div className="p-3 rounded-lg border border-red-500/40 bg-red-500/10 text-sm">
+              <p className="font-semibold text-red-400 mb-1">Conflicts at {formatMinutesAsTime(startMinutes)} on {date}</p>
+              <ul className="list-disc list-inside text-xs mb-2">
+                {conflicts.map(conflict => (
+                  <li key={conflict.id}>
+                    {conflict.description} ({conflict.time}) - {[...(conflict.attendees || []).filter(name => panel.includes(name)), ...(conflict.candidateId === candidate.id ? [candidate.name] : [])].join(', ')}
+                  </li>
+                ))}
+              </ul>
+              {alternativeSlots.length > 0 ? (
+                <div className="flex flex-wrap gap-2">
+                  <span className="text-xs">Free alternatives:</span>
+                  {alternativeSlots.map(alternative => (
+                    <button
+                      key={`${alternative.date}-${alternative.startMinutes}`}
+                      type="button"
+                      onClick={() => { setDate(alternative.date); setStartMinutes(alternative.startMinutes); }}
+                      className="px-2 py-0.5 rounded-full text-xs bg-green-600 hover:bg-green-700 text-white"
+                      aria-label={`Use ${alternative.date} at ${formatMinutesAsTime(alternative.startMinutes)}`}
+                    >
+                      {new Date(`${alternative.date}T00:00:00`).toLocaleDateString('en-IN', { weekday: 'short', day: 'numeric', month: 'short' })} {formatMinutesAsTime(alternative.startMinutes)}
+                    </button>
+                  ))}
+                </div>
+              ) : (
+                <p className="text-xs">No free slot for this panel in the next {SCHEDULING_SEARCH_DAYS} days. Try a smaller panel or a shorter duration.</p>
+              )}
+            </div>
+          )}
+
+          <div className="flex space-x-2">
+            <button type="submit" className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg flex items-center space-x-2 text-sm transition-transform transform hover:scale-105 active:scale-95" aria-label={reschedulingEvent ? 'Save new interview time' : 'Book interview'}>
+              <CalendarIcon size={16} /> <span>{reschedulingEvent ? 'Reschedule' : 'Book Interview'}</span>
+            </button>
+            <button type="button" onClick={closeForm} className={`px-4 py-2 rounded-lg text-sm ${theme === 'dark' ? 'bg-zinc-600 text-gray-200' : 'bg-gray-200 text-gray-700'}`} aria-label="Close scheduler">
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+
+      {candidateInterviews.length > 0 ? (
+        <ul className="space-y-2">
+          {candidateInterviews.map(({ stored: interview, local }) => (
+            <li key={interview.id} className={`${theme === 'dark' ? 'bg-zinc-700' : 'bg-gray-100'} p-3 rounded-lg flex flex-wrap justify-between items-center gap-2 text-sm`}>
+              <div className={interview.status === 'Cancelled' ? 'line-through opacity-60' : ''}>
+                <p className={`font-bold ${theme === 'dark' ? 'text-white' : 'text-zinc-900'}`}>{interview.round || interview.description}</p>
+                <p className={`text-xs ${theme === 'dark' ? 'text-gray-400' : 'text-gray-600'}`}>
+                  {local.date} · {local.time} · {interview.durationMinutes || DEFAULT_EVENT_DURATION_MINUTES} min{interview.virtual ? ' · Virtual' : ''} · Panel: {(interview.attendees || []).join(', ') || 'N/A'}
+                </p>
+              </div>
+              {interview.status === 'Cancelled' ? (
+                <span className="px-2 text-xs font-semibold rounded-full bg-red-600/20 text-red-300">Cancelled</span>
+              ) : (
+                <div className="flex space-x-2">
+                  <button onClick={() => downloadIcsFile([interview], `interview-${candidate.name.replace(/[^a-z0-9]+/gi, '-')}-${interview.date}.ics`)} className="bg-blue-600 hover:bg-blue-700 text-white px-3 py-1 rounded-lg text-xs flex items-center space-x-1" aria-label="Export interview as an iCalendar file"><Download size={12} /> <span>.ics</span></button>
+                  <button onClick={() => openForm(interview)} className="bg-yellow-600 hover:bg-yellow-700 text-white px-3 py-1 rounded-lg text-xs" aria-label="Reschedule interview">Reschedule</button>
+                  <button onClick={() => onCancelInterview(interview)} className="bg-red-600 hover:bg-red-700 text-white px-3 py-1 rounded-lg text-xs" aria-label="Cancel interview">Cancel</button>
+                </div>
+              )}
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className={`text-sm ${theme === 'dark' ? 'text-gray-400' : 'text-gray-600'}`}>No interviews scheduled yet.</p>
+      )}
+      <p className={`mt-4 text-xs ${theme === 'dark' ? 'text-gray-400' : 'text-gray-500'}`}>Times are in {formatTimeZoneLabel(timeZone)}. Slots are checked against every panelist's events in the calendar. Rescheduling or cancelling updates the same calendar event.</p>
+    </div>
+  );
+};
+
+// Candidate Detail View Component
+const CandidateDetailView = ({ candidate, onBack, onUpdateCandidateStage, db, appId, userId, currentUserName, offers = [], offerLetterTemplates = [], onCreateOffer, requisitions = [], onLinkRequisition, scorecardTemplates = [], salaryTemplates = [], events = [], onScheduleInterview, onRescheduleInterview, onCancelInterview, onConvertToEmployee, onOpenEmployee, viewer }) => {
+  const { theme } = useTheme();
+  const { showNotification } = useNotification();
+  const [currentStage, setCurrentStage] = useState(candidate.stage);
+  const [notes, setNotes] = useState([]); // Threaded internal notes from Firestore
+  const [newNoteText, setNewNoteText] = useState('');
+  const [replyToNoteId, setReplyToNoteId] = useState(null);
+  const [editingNoteId, setEditingNoteId] = useState(null);
+  const [editingNoteText, setEditingNoteText] = useState('');
+  const [selectedTemplateId, setSelectedTemplateId] = useState('');
+  const [offerLetters, setOfferLetters] = useState([]); // Versioned letters saved against the linked offer
+  const [previewLetterId, setPreviewLetterId] = useState(null);
+  const [compensationTemplateId, setCompensationTemplateId] = useState(null); // null follows the offer's or requisition's grade
+  const [backgroundCheckStatus, setBackgroundCheckStatus] = useState('Not Started');
+  const [assessmentStatus, setAssessmentStatus] = useState('Pending');
+  const [generatedQuestions, setGeneratedQuestions] = useState(null); // State for generated questions
+  const [isGeneratingQuestions, setIsGeneratingQuestions] = useState(false); // Loading state for LLM call
+  const [isConverting, setIsConverting] = useState(false);
+
+  // Rounds come from the linked requisition's interview plan when there is one
+  const interviewPlan = requisitions.find(r => r.id === candidate.requisitionId)?.interviewPlan || DEFAULT_INTERVIEW_PLAN;
+
+  const handleConvertToEmployee = async () => {
+    setIsConverting(true);
+    await onConvertToEmployee(candidate);
+    setIsConverting(false);
+  };
+
+  const handleStageChange = async (e) => {
+    const newStage = e.target.value;
+    setCurrentStage(newStage);
+    await onUpdateCandidateStage(candidate.id, newStage);
+    showNotification(`Candidate stage updated to: ${newStage}`, 'success');
+  };
+
+  // --- Internal Notes (stored as a subcollection under the candidate document) ---
+  const notesPath = `artifacts/${appId}/public/data/candidates/${candidate.id}/notes`;
+
+  useEffect(() => {
+    if (!db || !appId) {
+      return;
+    }
+    const unsubscribeNotes = onSnapshot(collection(db, notesPath), (snapshot) => {
+      setNotes(snapshot.docs.map(noteDoc => ({ id: noteDoc.id, ...noteDoc.data() })));
+    }, (error) => {
+      console.error("Error fetching notes:", error);
+      showNotification("Error loading notes.", "error");
+    });
+    return () => unsubscribeNotes();
+  }, [db, appId, notesPath, showNotification]);
+
+  const handleAddNote = async () => {
+    const text = newNoteText.trim();
+    if (!text) {
+      showNotification('Note cannot be empty.', 'error');
+      return;
+    }
+    if (!db || !appId) {
+      showNotification("Database not available for saving notes.", "error");
+      return;
+    }
+    try {
+      const now = new Date().toISOString();
+      await addDoc(collection(db, notesPath), {
+        text,
+        authorId: userId,
+        authorName: currentUserName,
+        createdAt: now,
+        updatedAt: now,
+        edits: [],
+        mentions: extractMentions(text),
+        pinned: false,
+        parentId: replyToNoteId,
+      });
+      setNewNoteText('');
+      setReplyToNoteId(null);
+      showNotification('Note saved!', 'success');
+    } catch (error) {
+      console.error("Error saving note:", error);
+      showNotification('Failed to save note.', 'error');
+    }
+  };
+
+  const handleSaveNoteEdit = async (note) => {
+    const text = editingNoteText.trim();
+    if (!text || text === note.text) {
+      setEditingNoteId(null);
+      return;
+    }
+    if (!db || !appId) {
+      showNotification("Database not available for saving notes.", "error");
+      return;
+    }
+    try {
+      const now = new Date().toISOString();
+      await updateDoc(doc(db, notesPath, note.id), {
+        text,
+        updatedAt: now,
+        mentions: extractMentions(text),
+        // Keep the previous version so the edit history is never lost
+        edits: [...(note.edits || []), { text: note.text, editedAt: now, editedBy: currentUserName }],
+      });
+      setEditingNoteId(null);
+      showNotification('Note updated!', 'success');
+    } catch (error) {
+      console.error("Error updating note:", error);
+      showNotification('Failed to update note.', 'error');
+    }
+  };
+
+  const handleTogglePinNote = async (note) => {
+    if (!db || !appId) {
+      showNotification("Database not available for pinning notes.", "error");
+      return;
+    }
+    try {
+      await updateDoc(doc(db, notesPath, note.id), {
+        pinned: !note.pinned,
+        pinnedBy: note.pinned ? null : currentUserName,
+      });
+    } catch (error) {
+      console.error("Error pinning note:", error);
+      showNotification('Failed to update pin.', 'error');
+    }
+  };
+
+  const insertMention = (name) => {
+    setNewNoteText(prevText => `${prevText}${prevText && !prevText.endsWith(' ') ? ' ' : ''}@${name} `);
+  };
+
+  // Pinned notes first, then oldest to newest; replies are grouped under their parent
+  const topLevelNotes = notes
+    .filter(note => !note.parentId)
+    .sort((a, b) => (Number(!!b.pinned) - Number(!!a.pinned)) || (a.createdAt || '').localeCompare(b.createdAt || ''));
+  const getReplies = (noteId) => notes
+    .filter(note => note.parentId === noteId)
+    .sort((a, b) => (a.createdAt || '').localeCompare(b.createdAt || ''));
+
+  const renderNoteText = (text) => (text || '').split(mentionPattern).map((part, index) => (
+    part.startsWith('@') && TEAM_MEMBERS.some(m => `@${m.name}` === part)
+      ? <span key={index} className="font-semibold text-blue-400">{part}</span>
+      : <span key={index}>{part}</span>
+  ));
+
+  const renderNote = (note, isReply = false) => (
+    <div key={note.id} className={`${isReply ? 'ml-6 mt-2' : ''} ${theme === 'dark' ? 'bg-zinc-700' : 'bg-gray-100'} p-3 rounded-lg text-sm ${note.pinned ? 'border-l-4 border-yellow-400' : ''}`}>
+      <div className="flex justify-between items-start">
+        <p className={`text-xs ${theme === 'dark' ? 'text-gray-400' : 'text-gray-600'}`}>
+          <span className={`font-bold ${theme === 'dark' ? 'text-white' : 'text-zinc-900'}`}>{note.authorName || 'Unknown'}</span>
+          {' '}- {note.createdAt ? new Date(note.createdAt).toLocaleString() : 'N/A'}
+          {note.edits && note.edits.length > 0 && (
+            <span title={`Last edited ${new Date(note.updatedAt).toLocaleString()}`}> (edited {note.edits.length}x)</span>
+          )}
+          {note.pinned && <span className="ml-2 text-yellow-400">Pinned{note.pinnedBy ? ` by ${note.pinnedBy}` : ''}</span>}
+        </p>
+        <div className="flex items-center space-x-2">
+          {!isReply && (
+            <button onClick={() => handleTogglePinNote(note)} className="text-yellow-400 hover:text-yellow-300" aria-label={note.pinned ? 'Unpin note' : 'Pin note'}>
+              {note.pinned ? <PinOff size={14} /> : <Pin size={14} />}
+            </button>
+          )}
+          {note.authorId === userId && (
+            <button onClick={() => { setEditingNoteId(note.id); setEditingNoteText(note.text); }} className="text-blue-400 hover:text-blue-300" aria-label="Edit note">
+              <Pencil size={14} />
+            </button>
+          )}
+          {!isReply && (
+            <button onClick={() => setReplyToNoteId(note.id)} className="text-blue-400 hover:text-blue-300" aria-label="Reply to note">
+              <Reply size={14} />
+            </button>
+          )}
+        </div>
+      </div>
+      {editingNoteId === note.id ? (
+        <div className="mt-2">
+          <textarea
+            className={`w-full p-2 rounded-md text-sm focus:ring-blue-500 focus:border-blue-500 transition-colors duration-200 ${theme === 'dark' ? 'bg-zinc-600 border-zinc-500 text-white' : 'bg-white border-gray-300 text-zinc-900'}`}
+            value={editingNoteText}
+            onChange={(e) => setEditingNoteText(e.target.value)}
+            aria-label="Edit note text"
+          ></textarea>
+          <BiasWarnings text={editingNoteText} />
+          <div className="flex space-x-2 mt-2">
+            <button onClick={() => handleSaveNoteEdit(note)} className="bg-blue-600 hover:bg-blue-700 text-white px-3 py-1 rounded-lg text-xs" aria-label="Save note edit">Save</button>
+            <button onClick={() => setEditingNoteId(null)} className={`px-3 py-1 rounded-lg text-xs ${theme === 'dark' ? 'bg-zinc-600 text-gray-200' : 'bg-gray-200 text-gray-700'}`} aria-label="Cancel note edit">Cancel</button>
+          </div>
+        </div>
+      ) : (
+        <p className={`mt-1 whitespace-pre-wrap ${theme === 'dark' ? 'text-gray-300' : 'text-gray-700'}`}><BiasHighlightedText text={note.text} renderSegment={renderNoteText} /></p>
+      )}
+      {!isReply && getReplies(note.id).map(reply => renderNote(reply, true))}
+    </div>
+  );
+
+  // --- Offer Letters (rendered from templates and versioned under the offer document) ---
+  // The most recent offer for this candidate (older offers may only be linked by name)
+  const linkedOffer = offers
+    .filter(o => o.candidateId === candidate.id || (!o.candidateId && o.candidate === candidate.name))
+    .sort((a, b) => (b.createdAt || '').localeCompare(a.createdAt || ''))[0];
+  const linkedOfferId = linkedOffer?.id;
+
+  // The offer's CTC once there is one, otherwise what the candidate's compensation adds up to
+  const compensationCTC = linkedOffer ? getOfferTotal(linkedOffer) : (candidate.compensation?.totalCompensation || Number(candidate.expectedCTC) || 0);
+  const compensationTemplate = salaryTemplates.find(t => t.id === (compensationTemplateId ?? linkedOffer?.salaryTemplateId ?? getCandidateSalaryTemplate(candidate, requisitions, salaryTemplates)?.id)) || null;
+  const compensationStructure = compensationTemplate && compensationCTC > 0 ? buildSalaryStructureFromCTC(compensationCTC, compensationTemplate.splitRules) : null;
+  const availableTemplates = offerLetterTemplates.length > 0 ? offerLetterTemplates : [DEFAULT_OFFER_LETTER_TEMPLATE];
+  const offerLetterStatus = linkedOffer?.letterStatus || 'Not Generated';
+
+  useEffect(() => {
+    if (!db || !appId || !linkedOfferId) {
+      setOfferLetters([]);
+      return;
+    }
+    const lettersColRef = collection(db, `artifacts/${appId}/public/data/offers/${linkedOfferId}/letters`);
+    const unsubscribeLetters = onSnapshot(lettersColRef, (snapshot) => {
+      const fetchedLetters = snapshot.docs.map(letterDoc => ({ id: letterDoc.id, ...letterDoc.data() }));
+      setOfferLetters(fetchedLetters.sort((a, b) => b.version - a.version));
+    }, (error) => {
+      console.error("Error fetching offer letters:", error);
+      showNotification("Error loading offer letters.", "error");
+    });
+    return () => unsubscribeLetters();
+  }, [db, appId, linkedOfferId, showNotification]);
+
+  const handleGenerateOfferLetter = async () => {
+    if (!db || !appId) {
+      showNotification("Database not available for saving offer letters.", "error");
+      return;
+    }
+    const template = availableTemplates.find(t => t.id === selectedTemplateId) || availableTemplates[0];
+    const fields = buildOfferLetterFields(candidate, currentUserName);
+    try {
+      let offerId = linkedOfferId;
+      if (!offerId) {
+        // Start a draft offer from the candidate's compensation so the letter has something to be versioned against
+        offerId = await onCreateOffer(candidate, {
+          baseSalary: candidate.compensation?.baseSalary || 0,
+          bonus: candidate.compensation?.annualBonus || 0,
+          expiresAt: toLocalDateKey(new Date(Date.now() + 7 * 24 * 60 * 60 * 1000)),
+        });
+        if (!offerId) return;
+      }
+      const version = (linkedOffer?.latestLetterVersion || 0) + 1;
+      const generatedAt = new Date().toISOString();
+      await addDoc(collection(db, `artifacts/${appId}/public/data/offers/${offerId}/letters`), {
+        version,
+        templateId: template.id,
+        templateName: template.name,
+        fields,
+        html: renderOfferLetter(template.body, fields),
+        generatedAt,
+        generatedBy: currentUserName,
+      });
+      await updateDoc(doc(db, `artifacts/${appId}/public/data/offers`, offerId), {
+        candidateId: candidate.id,
+        latestLetterVersion: version,
+        letterStatus: 'Generated',
+        letterGeneratedAt: generatedAt,
+      });
+      showNotification(`Offer letter v${version} for ${candidate.name} generated.`, 'success');
+    } catch (error) {
+      console.error("Error generating offer letter:", error);
+      showNotification('Failed to generate offer letter.', 'error');
+    }
+  };
+
+  const getOfferLetterTitle = (letter) => `Offer Letter - ${candidate.name} (v${letter.version})`;
+
+  const handleDownloadOfferLetter = (letter) => {
+    const fileName = `offer_letter_${candidate.name.replace(/\s+/g, '_').toLowerCase()}_v${letter.version}.html`;
+    if (downloadFile(wrapOfferLetterHtml(getOfferLetterTitle(letter), letter.html), fileName, 'text/html;charset=utf-8;')) {
+      showNotification('Offer letter downloaded!', 'success');
+    }
+  };
+
+  // Opens the letter in a print dialog so it can be saved as PDF from the browser
+  const handlePrintOfferLetter = (letter) => {
+    const printWindow = window.open('', '_blank');
+    if (!printWindow) {
+      showNotification('Please allow pop-ups to print the offer letter.', 'error');
+      return;
+    }
+    printWindow.document.write(wrapOfferLetterHtml(getOfferLetterTitle(letter), letter.html));
+    printWindow.document.close();
+    printWindow.focus();
+    printWindow.print();
+  };
+
+  const handleInitiateBackgroundCheck = () => {
+    setBackgroundCheckStatus('Initiated');
+    showNotification('Background check initiated!', 'info');
+  };
+
+  const handleSendAssessment = () => {
+    setAssessmentStatus('Sent');
+    showNotification('Assessment sent to candidate!', 'info');
+  };
+
+  // Function to call Gemini API for interview question generation
+  const generateInterviewQuestions = async () => {
+    setIsGeneratingQuestions(true);
+    setGeneratedQuestions(null); // Clear previous questions
+
+    const prompt = `Generate 5-7 interview questions for a candidate applying for the role of "${candidate.jobAppliedFor}".
+    The candidate has the following highlights from their resume:
+    Education: ${candidate.resumeHighlights?.education || 'N/A'}
+    Experience: ${candidate.resumeHighlights?.experience || 'N/A'}
+    Skills: ${(candidate.resumeHighlights?.skills || []).join(', ') || 'N/A'}
+
+    Focus on questions that assess both technical skills and behavioral aspects relevant to the role and their experience.
+    Format the output as a numbered list of questions.`;
+
+    try {
+      const chatHistory = [];
+      chatHistory.push({ role: "user", parts: [{ text: prompt }] });
+      const payload = { contents: chatHistory };
+      const apiKey = ""; // If you want to use models other than gemini-2.0-flash or imagen-3.0-generate-002, provide an API key here. Otherwise, leave this as-is.
+      const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash:generateContent?key=${apiKey}`;
+
+      const response = await fetch(apiUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload)
+      });
+
+      const result = await response.json();
+      if (result.candidates && result.candidates.length > 0 &&
+          result.candidates[0].content && result.candidates[0].content.parts &&
+          result.candidates[0].content.parts.length > 0) {
+        const text = result.candidates[0].content.parts[0].text;
+        setGeneratedQuestions(text);
+        showNotification('Interview questions generated!', 'success');
+      } else {
+        setGeneratedQuestions("Failed to generate questions. Please try again.");
+        showNotification('Failed to generate questions.', 'error');
+      }
+    } catch (error) {
+      console.error("Error generating interview questions:", error);
+      setGeneratedQuestions("Error generating questions. Please check console for details.");
+      showNotification('Error generating questions. Network or API issue.', 'error');
+    } finally {
+      setIsGeneratingQuestions(false);
+    }
+  };
+
+
+  return (
+    <div>
+      <button onClick={onBack} className={`flex items-center text-sm mb-6 transition-colors duration-200 ${theme === 'dark' ? 'text-blue-400 hover:text-blue-300' : 'text-blue-600 hover:text-blue-800'}`} aria-label="Back to Candidates">
+        <ArrowLeft size={16} className="mr-2" /> Back to Candidates
+      </button>
+
+      <h2 className={`text-2xl font-bold mb-6 ${theme === 'dark' ? 'text-white' : 'text-zinc-900'}`}>{candidate.name}</h2>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mb-6">
+        <div className={`p-6 rounded-lg shadow-md ${theme === 'dark' ? 'bg-zinc-800' : 'bg-white'}`}>
+          <h3 className={`text-lg font-semibold mb-4 ${theme === 'dark' ? 'text-white' : 'text-zinc-900'}`}>Candidate Information</h3>
+          <p className={`text-sm mb-2 ${theme === 'dark' ? 'text-gray-300' : 'text-gray-700'}`}><span className={`font-medium ${theme === 'dark' ? 'text-gray-400' : 'text-gray-800'}`}>Job Applied For:</span> {candidate.jobAppliedFor}</p>
+          <div className="flex items-center mb-2">
+            <span className={`font-medium text-sm mr-2 ${theme === 'dark' ? 'text-gray-400' : 'text-gray-800'}`}>Current Stage:</span>
+            <select
+              value={currentStage}
+              onChange={handleStageChange}
+              className={`p-1 rounded-md text-sm focus:ring-blue-500 focus:border-blue-500 transition-colors duration-200 ${theme === 'dark' ? 'bg-zinc-700 border-zinc-600 text-white' : 'bg-gray-100 border-gray-300 text-zinc-900'}`}
+              aria-label="Candidate Stage"
+            >
+              {CANDIDATE_STAGES.map(stage => (
+                <option key={stage} value={stage}>{stage}</option>
+              ))}
+            </select>
+          </div>
+          <div className="flex items-center mb-2">
+            <span className={`font-medium text-sm mr-2 ${theme === 'dark' ? 'text-gray-400' : 'text-gray-800'}`}>Requisition:</span>
+            <select
+              value={candidate.requisitionId || ''}
+              onChange={(e) => onLinkRequisition(candidate.id, e.target.value)}
+              className={`p-1 rounded-md text-sm focus:ring-blue-500 focus:border-blue-500 transition-colors duration-200 ${theme === 'dark' ? 'bg-zinc-700 border-zinc-600 text-white' : 'bg-gray-100 border-gray-300 text-zinc-900'}`}
+              aria-label="Candidate Requisition"
+            >
+              <option value="">Not linked</option>
+              {requisitions
+                .filter(r => r.status === 'Open' || r.id === candidate.requisitionId)
+                .map(requisition => (
+                  <option key={requisition.id} value={requisition.id}>{requisition.title} - {requisition.location}</option>
+                ))}
+            </select>
+          </div>
+          <p className={`text-sm mb-2 ${theme === 'dark' ? 'text-gray-300' : 'text-gray-700'}`}><span className={`font-medium ${theme === 'dark' ? 'text-gray-400' : 'text-gray-800'}`}>AI Match Score:</span> <span className="font-bold text-blue-400">{candidate.matchScore}%</span></p>
+          <p className={`text-sm mb-2 ${theme === 'dark' ? 'text-gray-300' : 'text-gray-700'}`}><span className={`font-medium ${theme === 'dark' ? 'text-gray-400' : 'text-gray-800'}`}>Last Contact:</span> {candidate.lastContact}</p>
+          <p className={`text-sm mb-2 ${theme === 'dark' ? 'text-gray-300' : 'text-gray-700'}`}><span className={`font-medium ${theme === 'dark' ? 'text-gray-400' : 'text-gray-800'}`}>Email:</span> {candidate.email || 'N/A'}</p>
+          <p className={`text-sm mb-2 ${theme === 'dark' ? 'text-gray-300' : 'text-gray-700'}`}><span className={`font-medium ${theme === 'dark' ? 'text-gray-400' : 'text-gray-800'}`}>Phone:</span> {candidate.phone || 'N/A'}</p>
+          {candidate.employeeDocId ? (
+            <p className={`text-sm mb-2 ${theme === 'dark' ? 'text-gray-300' : 'text-gray-700'}`}>
+              <span className={`font-medium ${theme === 'dark' ? 'text-gray-400' : 'text-gray-800'}`}>Employee Record:</span>{' '}
+              <button onClick={() => onOpenEmployee(candidate.employeeDocId)} className="text-blue-400 hover:text-blue-300 font-medium" aria-label="Open employee record">{candidate.employeeId}</button>
+            </p>
+          ) : currentStage === 'Offer Accepted' && (
+            <button
+              onClick={handleConvertToEmployee}
+              disabled={isConverting}
+              className="mt-2 bg-green-600 hover:bg-green-700 text-white px-4 py-2 rounded-lg flex items-center space-x-2 text-sm transition-transform transform hover:scale-105 active:scale-95"
+              aria-label="Convert candidate to employee"
+            >
+              {isConverting ? <Loader size={16} className="animate-spin" /> : <User size={16} />} <span>Convert to Employee</span>
+            </button>
+          )}
+        </div>
+
+        <div className={`p-6 rounded-lg shadow-md ${theme === 'dark' ? 'bg-zinc-800' : 'bg-white'}`}>
+          <h3 className={`text-lg font-semibold mb-4 ${theme === 'dark' ? 'text-white' : 'text-zinc-900'}`}>Indian System Specifics</h3>
+          <p className={`text-sm mb-2 ${theme === 'dark' ? 'text-gray-300' : 'text-gray-700'}`}><span className={`font-medium ${theme === 'dark' ? 'text-gray-400' : 'text-gray-800'}`}>Aadhaar No.:</span> <KycValue field="aadhaarNumber" value={candidate.aadhaarNumber} viewer={viewer} /></p>
+          <p className={`text-sm mb-2 ${theme === 'dark' ? 'text-gray-300' : 'text-gray-700'}`}><span className={`font-medium ${theme === 'dark' ? 'text-gray-400' : 'text-gray-800'}`}>PAN No.:</span> <KycValue field="panNumber" value={candidate.panNumber} viewer={viewer} /></p>
+          <p className={`text-sm mb-2 ${theme === 'dark' ? 'text-gray-300' : 'text-gray-700'}`}><span className={`font-medium ${theme === 'dark' ? 'text-gray-400' : 'text-gray-800'}`}>Current CTC:</span> {formatINR(candidate.currentCTC)}</p>
+          <p className={`text-sm mb-2 ${theme === 'dark' ? 'text-gray-300' : 'text-gray-700'}`}><span className={`font-medium ${theme === 'dark' ? 'text-gray-400' : 'text-gray-800'}`}>Expected CTC:</span> {formatINR(candidate.expectedCTC)}</p>
+          <p className={`text-sm mb-2 ${theme === 'dark' ? 'text-gray-300' : 'text-gray-700'}`}><span className={`font-medium ${theme === 'dark' ? 'text-gray-400' : 'text-gray-800'}`}>Notice Period:</span> {candidate.noticePeriod || 'N/A'}</p>
+          <p className={`text-sm mb-2 ${theme === 'dark' ? 'text-gray-300' : 'text-gray-700'}`}><span className={`font-medium ${theme === 'dark' ? 'text-gray-400' : 'text-gray-800'}`}>Willing to Relocate:</span> {candidate.willingToRelocate || 'N/A'}</p>
+          <p className={`text-sm mb-2 ${theme === 'dark' ? 'text-gray-300' : 'text-gray-700'}`}><span className={`font-medium ${theme === 'dark' ? 'text-gray-400' : 'text-gray-800'}`}>Languages:</span> ${(candidate.languages || []).join(', ') || 'N/A'}</p>
+          <p className={`mt-4 text-xs ${theme === 'dark' ? 'text-gray-400' : 'text-gray-500'}`}>This section includes other Indian KYC/compliance details.</p>
+        </div>
+      </div>
+
+      <div className={`p-6 rounded-lg shadow-md mb-6 ${theme === 'dark' ? 'bg-zinc-800' : 'bg-white'}`}>
+        <h3 className={`text-lg font-semibold mb-4 ${theme === 'dark' ? 'text-white' : 'text-zinc-900'}`}>Resume Highlights (AI Extracted) & Skill Graph</h3>
+        <p className={`text-sm mb-2 ${theme === 'dark' ? 'text-gray-300' : 'text-gray-700'}`}><span className={`font-medium ${theme === 'dark' ? 'text-gray-400' : 'text-gray-800'}`}>Education:</span> {candidate.resumeHighlights?.education || 'N/A'}</p>
+        <p className={`text-sm mb-2 ${theme === 'dark' ? 'text-gray-300' : 'text-gray-700'}`}><span className={`font-medium ${theme === 'dark' ? 'text-gray-400' : 'text-gray-800'}`}>Experience:</span> {candidate.resumeHighlights?.experience || 'N/A'}</p>
+        <p className={`text-sm mb-2 ${theme === 'dark' ? 'text-gray-300' : 'text-gray-700'}`}><span className={`font-medium ${theme === 'dark' ? 'text-gray-400' : 'text-gray-800'}`}>Skills:</span> ${(candidate.resumeHighlights?.skills || []).join(', ') || 'N/A'}</p>
+        <p className={`mt-4 text-xs ${theme === 'dark' ? 'text-gray-400' : 'text-gray-500'}`}>This section leverages AI to parse and highlight key resume information for quick review and AI-powered candidate matching based on a comprehensive skill graph for more accurate matching and identifying adjacent skills.</p>
+      </div>
+
+      {/* Integrated Video Pitches/Introduction */}
+      {candidate.videoPitchUrl && (
+        <div className={`p-6 rounded-lg shadow-md mb-6 ${theme === 'dark' ? 'bg-zinc-800' : 'bg-white'}`}>
+          <h3 className={`text-lg font-semibold mb-4 flex items-center space-x-2 ${theme === 'dark' ? 'text-white' : 'text-zinc-900'}`}><Video size={20} /> Candidate Video Pitch</h3>
+          <div className="relative w-full aspect-video bg-zinc-700 rounded-md overflow-hidden flex items-center justify-center">
+            <img src={candidate.videoPitchUrl} alt="Video Pitch Placeholder" className="w-full h-full object-cover" />
+            <div className="absolute inset-0 bg-black bg-opacity-50 flex items-center justify-center text-white text-lg font-semibold">
+              <span className="p-3 bg-blue-600 rounded-full cursor-pointer hover:bg-blue-700 transition-colors duration-200" role="button" aria-label="Play video pitch">▶️ Play Video</span>
+            </div>
+          </div>
+          <p className={`mt-4 text-xs ${theme === 'dark' ? 'text-gray-400' : 'text-gray-500'}`}>Candidates can record short video introductions directly through the ATS portal, providing a quick insight into their communication style and personality early in the process.</p>
+        </div>
+      )}
+
+      {/* Assessments & Background Screening */}
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mb-6">
+        <div className={`p-6 rounded-lg shadow-md ${theme === 'dark' ? 'bg-zinc-800' : 'bg-white'}`}>
+          <h3 className={`text-lg font-semibold mb-4 flex items-center space-x-2 ${theme === 'dark' ? 'text-white' : 'text-zinc-900'}`}><Award size={20} /> Assessments</h3>
+          <p className={`text-sm mb-4 ${theme === 'dark' ? 'text-gray-300' : 'text-gray-700'}`}>Current Status: <span className="font-semibold text-blue-400">{assessmentStatus}</span></p>
+          <button onClick={handleSendAssessment} className="bg-purple-600 hover:bg-purple-700 text-white px-4 py-2 rounded-lg text-sm flex items-center space-x-2 transition-transform transform hover:scale-105 active:scale-95" aria-label="Send Assessment">
+            <Send size={16} /> <span>Send Assessment</span>
+          </button>
+          <p className={`mt-4 text-xs ${theme === 'dark' ? 'text-gray-400' : 'text-gray-500'}`}>Integrate with leading assessment platforms for skills, psychometric, and coding tests. Results are automatically tracked here.</p>
+        </div>
+
+        <div className={`p-6 rounded-lg shadow-md ${theme === 'dark' ? 'bg-zinc-800' : 'bg-white'}`}>
+          <h3 className={`text-lg font-semibold mb-4 flex items-center space-x-2 ${theme === 'dark' ? 'text-white' : 'text-zinc-900'}`}><ClipboardCheck size={20} /> Background Screening</h3>
+          <p className={`text-sm mb-4 ${theme === 'dark' ? 'text-gray-300' : 'text-gray-700'}`}>Current Status: <span className="font-semibold text-blue-400">{backgroundCheckStatus}</span></p>
+          <button onClick={handleInitiateBackgroundCheck} className="bg-orange-600 hover:bg-orange-700 text-white px-4 py-2 rounded-lg text-sm flex items-center space-x-2 transition-transform transform hover:scale-105 active:scale-95" aria-label="Initiate Background Check">
+            <Zap size={16} /> <span>Initiate Background Check</span>
+          </button>
+          <p className={`mt-4 text-xs ${theme === 'dark' ? 'text-gray-400' : 'text-gray-500'}`}>Seamlessly integrate with background verification services for quick and compliant checks.</p>
+        </div>
+      </div>
+
+
+      <div className={`p-6 rounded-lg shadow-md mb-6 ${theme === 'dark' ? 'bg-zinc-800' : 'bg-white'}`}>
+        <h3 className={`text-lg font-semibold mb-4 ${theme === 'dark' ? 'text-white' : 'text-zinc-900'}`}>Detailed Compensation Breakdown (Offer)</h3>
+        <table className="min-w-full divide-y divide-zinc-700">
+          <thead className={theme === 'dark' ? 'bg-zinc-700' : 'bg-gray-100'}>
+            <tr>
+              <th className={`px-6 py-3 text-left text-xs font-medium uppercase tracking-wider ${theme === 'dark' ? 'text-gray-300' : 'text-gray-600'}`}>Component</th>
+              <th className={`px-6 py-3 text-right text-xs font-medium uppercase tracking-wider ${theme === 'dark' ? 'text-gray-300' : 'text-gray-600'}`}>Amount/Details</th>
+            </tr>
+          </thead>
+          <tbody className={theme === 'dark' ? 'bg-zinc-800 divide-y divide-zinc-700' : 'bg-white divide-y divide-gray-200'}>
+            <tr>
+              <td className={`px-6 py-4 whitespace-nowrap text-sm font-medium ${theme === 'dark' ? 'text-white' : 'text-zinc-900'}`}>Base Salary</td>
+              <td className={`px-6 py-4 whitespace-nowrap text-sm text-right ${theme === 'dark' ? 'text-gray-300' : 'text-gray-700'}`}>{formatINR(candidate.compensation?.baseSalary)}</td>
+            </tr>
+            <tr>
+              <td className={`px-6 py-4 whitespace-nowrap text-sm font-medium ${theme === 'dark' ? 'text-white' : 'text-zinc-900'}`}>Annual Bonus</td>
+              <td className={`px-6 py-4 whitespace-nowrap text-sm text-right ${theme === 'dark' ? 'text-gray-300' : 'text-gray-700'}`}>{formatINR(candidate.compensation?.annualBonus)}</td>
+            </tr>
+            <tr>
+              <td className={`px-6 py-4 whitespace-nowrap text-sm font-medium ${theme === 'dark' ? 'text-white' : 'text-zinc-900'}`}>Equity / Stock</td>
+              <td className={`px-6 py-4 whitespace-nowrap text-sm text-right ${theme === 'dark' ? 'text-gray-300' : 'text-gray-700'}`}>{candidate.compensation?.equity || 'N/A'}</td>
+            </tr>
+            <tr>
+              <td className={`px-6 py-4 whitespace-nowrap text-sm font-medium ${theme === 'dark' ? 'text-white' : 'text-zinc-900'}`}>Benefits</td>
+              <td className={`px-6 py-4 whitespace-nowrap text-sm text-right ${theme === 'dark' ? 'text-gray-300' : 'text-gray-700'}`}>{candidate.compensation?.benefits || 'N/A'}</td>
+            </tr>
+            <tr>
+              <td className={`px-6 py-4 whitespace-nowrap text-sm font-medium ${theme === 'dark' ? 'text-white' : 'text-zinc-900'}`}>Allowances</td>
+              <td className={`px-6 py-4 whitespace-nowrap text-sm text-right ${theme === 'dark' ? 'text-gray-300' : 'text-gray-700'}`}>{candidate.compensation?.allowances || 'N/A'}</td>
+            </tr>
+            <tr className={`font-bold ${theme === 'dark' ? 'bg-zinc-700 text-white' : 'bg-gray-200 text-zinc-900'}`}>
+              <td className="px-6 py-4 whitespace-nowrap text-sm">Total Compensation (Estimated)</td>
+              <td className="px-6 py-4 whitespace-nowrap text-sm text-right">{formatINR(candidate.compensation?.totalCompensation)}</td>
+            </tr>
+          </tbody>
+        </table>
+        <div className="flex flex-wrap items-center gap-3 mt-6 mb-3">
+          <label htmlFor="compensationGrade" className={`text-sm font-medium ${theme === 'dark' ? 'text-gray-400' : 'text-gray-800'}`}>Salary structure by grade</label>
+          <select
+            id="compensationGrade"
+            value={compensationTemplate?.id || ''}
+            onChange={(e) => setCompensationTemplateId(e.target.value)}
+            className={`p-2 rounded-md text-sm ${theme === 'dark' ? 'bg-zinc-700 border-zinc-600 text-white' : 'bg-gray-100 border-gray-300 text-zinc-900'}`}
+            aria-label="Salary structure grade"
+          >
+            <option value="">No grade</option>
+            {[...salaryTemplates].sort((a, b) => a.grade.localeCompare(b.grade)).map(template => <option key={template.id} value={template.id}>{template.grade} - {template.name}</option>)}
+          </select>
+          <span className={`text-xs ${theme === 'dark' ? 'text-gray-400' : 'text-gray-500'}`}>Applied to {linkedOffer ? "the offer's" : 'the expected'} CTC of {formatINR(compensationCTC)}</span>
+        </div>
+        {compensationStructure && (
+          <>
+            <p className={`mb-3 text-sm ${getBandPosition(compensationCTC, compensationTemplate.band) === 'within' ? (theme === 'dark' ? 'text-gray-300' : 'text-gray-700') : 'text-yellow-400'}`}>
+              {describeBandFit(compensationCTC, compensationTemplate)}
+            </p>
+            <table className="min-w-full divide-y divide-zinc-700">
+              <thead className={theme === 'dark' ? 'bg-zinc-700' : 'bg-gray-100'}>
+                <tr>
+                  {['Component', 'Monthly', 'Annual'].map(header => (
+                    <th key={header} className={`px-6 py-3 text-xs font-medium uppercase tracking-wider ${header === 'Component' ? 'text-left' : 'text-right'} ${theme === 'dark' ? 'text-gray-300' : 'text-gray-600'}`}>{header}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody className={theme === 'dark' ? 'bg-zinc-800 divide-y divide-zinc-700' : 'bg-white divide-y divide-gray-200'}>
+                {[
+                  ['Basic', compensationStructure.basicSalary],
+                  ['HRA', compensationStructure.hra],
+                  ['Other Allowances', compensationStructure.otherAllowances],
+                  ['Performance Bonus', compensationStructure.performanceBonus],
+                  ["Employer's PF", compensationStructure.employerPF],
+                  ['Gratuity', compensationStructure.gratuity],
+                  ['Medical Insurance', compensationStructure.medicalInsuranceEmployer],
+                ].filter(([, amount]) => amount > 0).map(([label, amount]) => (
+                  <tr key={label}>
+                    <td className={`px-6 py-2 whitespace-nowrap text-sm font-medium ${theme === 'dark' ? 'text-white' : 'text-zinc-900'}`}>{label}</td>
+                    <td className={`px-6 py-2 whitespace-nowrap text-sm text-right ${theme === 'dark' ? 'text-gray-300' : 'text-gray-700'}`}>{formatINR(amount / 12)}</td>
+                    <td className={`px-6 py-2 whitespace-nowrap text-sm text-right ${theme === 'dark' ? 'text-gray-300' : 'text-gray-700'}`}>{formatINR(amount)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </>
+        )}
+        <p className={`mt-4 text-xs ${theme === 'dark' ? 'text-gray-400' : 'text-gray-500'}`}>Compensation details are precise, compliant, and integrated with offer management.</p>
+      </div>
+
+      {/* Interview Scheduling */}
+      <InterviewSchedulerPanel
+        candidate={candidate}
+        events={events}
+        interviewPlan={interviewPlan}
+        onScheduleInterview={onScheduleInterview}
+        onRescheduleInterview={onRescheduleInterview}
+        onCancelInterview={onCancelInterview}
+      />
+
+      {/* Interview Feedback/Scorecards */}
+      <InterviewScorecardsPanel
+        candidate={candidate}
+        db={db}
+        appId={appId}
+        userId={userId}
+        currentUserName={currentUserName}
+        scorecardTemplates={scorecardTemplates}
+        interviewPlan={interviewPlan}
+      />
+
+      {/* Internal Notes */}
+      <div className={`p-6 rounded-lg shadow-md mb-6 ${theme === 'dark' ? 'bg-zinc-800' : 'bg-white'}`}>
+        <h3 className={`text-lg font-semibold mb-4 flex items-center space-x-2 ${theme === 'dark' ? 'text-white' : 'text-zinc-900'}`}><MessageSquare size={20} /> Internal Notes</h3>
+        <div className="space-y-3 mb-4">
+          {candidate.internalNotes && (
+            <div className={`${theme === 'dark' ? 'bg-zinc-700' : 'bg-gray-100'} p-3 rounded-lg text-sm`}>
+              <p className={`text-xs ${theme === 'dark' ? 'text-gray-400' : 'text-gray-600'}`}>Earlier note (imported)</p>
+              <p className={`mt-1 ${theme === 'dark' ? 'text-gray-300' : 'text-gray-700'}`}><BiasHighlightedText text={candidate.internalNotes} /></p>
+            </div>
+          )}
+          {topLevelNotes.map(note => renderNote(note))}
+          {topLevelNotes.length === 0 && !candidate.internalNotes && (
+            <p className={`text-sm ${theme === 'dark' ? 'text-gray-400' : 'text-gray-600'}`}>No internal notes yet.</p>
+          )}
+        </div>
+        {replyToNoteId && (
+          <p className={`text-xs mb-2 ${theme === 'dark' ? 'text-gray-400' : 'text-gray-600'}`}>
+            Replying to {notes.find(n => n.id === replyToNoteId)?.authorName || 'note'}{' '}
+            <button onClick={() => setReplyToNoteId(null)} className="text-blue-400 hover:underline" aria-label="Cancel reply">(cancel)</button>
+          </p>
+        )}
+        <textarea
+          className={`w-full p-2 rounded-md text-sm focus:ring-blue-500 focus:border-blue-500 min-h-[100px] transition-colors duration-200 ${theme === 'dark' ? 'bg-zinc-700 border-zinc-600 text-white' : 'bg-gray-100 border-gray-300 text-zinc-900'}`}
+          placeholder="Add internal notes about this candidate... Use @Name to mention a teammate."
+          value={newNoteText}
+          onChange={(e) => setNewNoteText(e.target.value)}
+          aria-label="Internal notes"
+        ></textarea>
+        <BiasWarnings text={newNoteText} />
+        <div className="flex flex-wrap items-center gap-2 mt-2">
+          <AtSign size={14} className={theme === 'dark' ? 'text-gray-400' : 'text-gray-600'} />
+          {TEAM_MEMBERS.map(member => (
+            <button
+              key={member.name}
+              onClick={() => insertMention(member.name)}
+              className={`px-2 py-0.5 rounded-full text-xs ${theme === 'dark' ? 'bg-zinc-700 text-gray-300 hover:bg-zinc-600' : 'bg-gray-200 text-gray-700 hover:bg-gray-300'}`}
+              aria-label={`Mention ${member.name}`}
+            >
+              {member.name}
+            </button>
+          ))}
+        </div>
+        <button onClick={handleAddNote} className="mt-3 bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg text-sm flex items-center space-x-2 transition-transform transform hover:scale-105 active:scale-95" aria-label="Save note">
+          <Save size={16} /> <span>{replyToNoteId ? 'Post Reply' : 'Save Note'}</span>
+        </button>
+      </div>
+
+      {/* Communication Log */}
+      <div className={`p-6 rounded-lg shadow-md mb-6 ${theme === 'dark' ? 'bg-zinc-800' : 'bg-white'}`}>
+        <h3 className={`text-lg font-semibold mb-4 flex items-center space-x-2 ${theme === 'dark' ? 'text-white' : 'text-zinc-900'}`}><Send size={20} /> Communication Log</h3>
+        {candidate.communications && candidate.communications.length > 0 ? (
+          <ul className="space-y-3">
+            {candidate.communications.map((comm, index) => (
+              <li key={index} className={`${theme === 'dark' ? 'bg-zinc-700' : 'bg-gray-100'} p-3 rounded-lg text-sm`}>
+                <p className={`font-bold ${theme === 'dark' ? 'text-white' : 'text-zinc-900'}`}>{comm.subject}</p>
+                <p className={`text-xs ${theme === 'dark' ? 'text-gray-400' : 'text-gray-600'}`}>{comm.type} - {comm.time} on ${comm.date}</p>
+                <p className={`mt-1 italic ${theme === 'dark' ? 'text-gray-300' : 'text-gray-700'}`}>"{comm.snippet}..."</p>
+              </li>
+            ))}
+            <p className={`mt-4 text-xs ${theme === 'dark' ? 'text-gray-400' : 'text-gray-500'}`}>Integrated email & SMS tools, supported by an AI Recruiter Co-pilot, automatically log full conversations here and assist with drafting personalized outreach.</p>
+          </ul>
+        ) : (
+          <p className={`text-sm ${theme === 'dark' ? 'text-gray-400' : 'text-gray-600'}`}>No communications recorded yet.</p>
+        )}
+      </div>
+
+      {/* Offer Letter Management */}
+      <div className={`p-6 rounded-lg shadow-md mb-6 ${theme === 'dark' ? 'bg-zinc-800' : 'bg-white'}`}>
+        <h3 className={`text-lg font-semibold mb-4 flex items-center space-x-2 ${theme === 'dark' ? 'text-white' : 'text-zinc-900'}`}><DollarSign size={20} /> Offer Letter Management</h3>
+        <p className={`text-sm mb-4 ${theme === 'dark' ? 'text-gray-300' : 'text-gray-700'}`}>Current Status: <span className="font-semibold text-blue-400">{offerLetterStatus}</span></p>
+        <div className="flex flex-wrap items-center gap-3">
+          <select
+            value={selectedTemplateId || availableTemplates[0].id}
+            onChange={(e) => setSelectedTemplateId(e.target.value)}
+            className={`p-2 rounded-md text-sm focus:ring-blue-500 focus:border-blue-500 transition-colors duration-200 ${theme === 'dark' ? 'bg-zinc-700 border-zinc-600 text-white' : 'bg-gray-100 border-gray-300 text-zinc-900'}`}
+            aria-label="Offer letter template"
+          >
+            {availableTemplates.map(template => (
+              <option key={template.id} value={template.id}>{template.name}</option>
+            ))}
+          </select>
+          <button
+            onClick={handleGenerateOfferLetter}
+            className="bg-green-600 hover:bg-green-700 text-white px-4 py-2 rounded-lg text-sm flex items-center space-x-2 transition-transform transform hover:scale-105 active:scale-95"
+            aria-label="Generate offer letter"
+          >
+            <FileText size={16} /> <span>Generate Offer Letter</span>
+          </button>
+        </div>
+        {offerLetters.length > 0 && (
+          <ul className="mt-4 space-y-2">
+            {offerLetters.map(letter => (
+              <li key={letter.id} className={`${theme === 'dark' ? 'bg-zinc-700' : 'bg-gray-100'} p-3 rounded-lg text-sm`}>
+                <div className="flex flex-wrap justify-between items-center gap-2">
+                  <div>
+                    <p className={`font-bold ${theme === 'dark' ? 'text-white' : 'text-zinc-900'}`}>Version {letter.version} - {letter.templateName}</p>
+                    <p className={`text-xs ${theme === 'dark' ? 'text-gray-400' : 'text-gray-600'}`}>Generated by {letter.generatedBy} on {new Date(letter.generatedAt).toLocaleString()}</p>
+                  </div>
+                  <div className="flex space-x-2">
+                    <button onClick={() => setPreviewLetterId(previewLetterId === letter.id ? null : letter.id)} className="text-blue-400 hover:underline text-xs" aria-label={`Preview offer letter version ${letter.version}`}>
+                      {previewLetterId === letter.id ? 'Hide' : 'Preview'}
+                    </button>
+                    <button onClick={() => handleDownloadOfferLetter(letter)} className="text-blue-400 hover:underline text-xs flex items-center space-x-1" aria-label={`Download offer letter version ${letter.version} as HTML`}>
+                      <Download size={12} /> <span>HTML</span>
+                    </button>
+                    <button onClick={() => handlePrintOfferLetter(letter)} className="text-blue-400 hover:underline text-xs" aria-label={`Print offer letter version ${letter.version} as PDF`}>
+                      Print / PDF
+                    </button>
+                  </div>
+                </div>
+                {previewLetterId === letter.id && (
+                  <iframe
+                    title={`Offer letter version ${letter.version}`}
+                    srcDoc={wrapOfferLetterHtml(getOfferLetterTitle(letter), letter.html)}
+                    sandbox=""
+                    className="w-full h-96 mt-3 rounded-md bg-white"
+                  />
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+        <p className={`mt-4 text-xs ${theme === 'dark' ? 'text-gray-400' : 'text-gray-500'}`}>Offer letters are rendered from the templates managed in Settings, saved as numbered versions against the candidate's offer, and can be downloaded as HTML or printed to PDF.</p>
+      </div>
+
+      {/* AI Interview Question Generator */}
+      <div className={`p-6 rounded-lg shadow-md mb-6 ${theme === 'dark' ? 'bg-zinc-800' : 'bg-white'}`}>
+        <h3 className={`text-lg font-semibold mb-4 flex items-center space-x-2 ${theme === 'dark' ? 'text-white' : 'text-zinc-900'}`}><BrainCircuit size={20} /> AI Interview Questions ✨</h3>
+        <p className={`text-sm mb-4 ${theme === 'dark' ? 'text-gray-300' : 'text-gray-700'}`}>Generate tailored interview questions for this candidate based on their profile.</p>
+        <button
+          onClick={generateInterviewQuestions}
+          disabled={isGeneratingQuestions}
+          className="bg-purple-600 hover:bg-purple-700 text-white px-4 py-2 rounded-lg text-sm flex items-center space-x-2 transition-transform transform hover:scale-105 active:scale-95"
+          aria-label="Generate Interview Questions"
+        >
+          {isGeneratingQuestions ? (
+            <>
+              <Loader size={16} className="animate-spin" /> <span>Generating...</span>
+            </>
+          ) : (
+            <>
+              <BrainCircuit size={16} /> <span>Generate Questions</span>
+            </>
+          )}
+        </button>
+        {generatedQuestions && (
+          <div className={`mt-4 p-4 rounded-md ${theme === 'dark' ? 'bg-zinc-700 text-gray-200' : 'bg-blue-50 text-zinc-900'}`}>
+            <h4 className={`font-semibold mb-2 ${theme === 'dark' ? 'text-white' : 'text-blue-700'}`}>Generated Questions:</h4>
+            <pre className="whitespace-pre-wrap text-sm">{generatedQuestions}</pre>
+          </div>
+        )}
+        <p className={`mt-4 text-xs ${theme === 'dark' ? 'text-gray-400' : 'text-gray-500'}`}>Leverages Gemini API to provide relevant and specific interview questions, saving preparation time.</p>
+      </div>
+
+
+      <div className={`p-6 rounded-lg shadow-md ${theme === 'dark' ? 'bg-zinc-800' : 'bg-white'}`}>
+        <h3 className={`text-lg font-semibold mb-4 ${theme === 'dark' ? 'text-white' : 'text-zinc-900'}`}>Other Details</h3>
+        <ul className={`list-disc list-inside space-y-2 text-sm ${theme === 'dark' ? 'text-gray-300' : 'text-gray-700'}`}>
+          <li>Candidate Document Management for resumes and certificates.</li>
+          <li>Detailed Activity Timeline for comprehensive tracking.</li>
+        </ul>
+      </div>
+    </div>
+  );
+};
+
+// CTC & Tax Calculator Component
+const CTCTaxCalculator = ({ taxRules = [], candidates = [], salaryTemplates = [] }) => {
+  const { theme } = useTheme();
+  const { orgTimeZone } = useTimeZone();
+  const financialYears = [...new Set([...Object.keys(DEFAULT_TAX_RULES), ...taxRules.map(r => r.financialYear)])].sort();
+  const [financialYear, setFinancialYear] = useState(() => getFinancialYear(getTodayKey(orgTimeZone)));
+  const [location, setLocation] = useState(OFFICE_LOCATIONS[0]);
+  const [basicSalary, setBasicSalary] = useState(750000);
+  const [hra, setHra] = useState(150000);
+  const [otherAllowances, setOtherAllowances] = useState(100000);
+  const [performanceBonus, setPerformanceBonus] = useState(250000);
+  const [employerPF, setEmployerPF] = useState(180000);
+  const [gratuity, setGratuity] = useState(50000);
+  const [medicalInsuranceEmployer, setMedicalInsuranceEmployer] = useState(20000);
+  const [employerNPS, setEmployerNPS] = useState(0);
+  const [pfWageCeiling, setPfWageCeiling] = useState(null);
+  // Reverse mode: split a target CTC or monthly take-home into components
+  const [mode, setMode] = useState('components');
+  const [targetType, setTargetType] = useState('ctc');
+  const [targetAmount, setTargetAmount] = useState(1200000);
+  const [splitRules, setSplitRules] = useState(DEFAULT_SALARY_SPLIT_RULES);
+  const [salaryTemplateId, setSalaryTemplateId] = useState('');
+  // Old regime only
+  const [section80C, setSection80C] = useState(50000);
+  const [section80DSelf, setSection80DSelf] = useState(25000);
+  const [section80DParents, setSection80DParents] = useState(0);
+  const [annualRent, setAnnualRent] = useState(300000);
+  const [isMetro, setIsMetro] = useState(true);
+  const [homeLoanInterest, setHomeLoanInterest] = useState(0);
+  const [ltaClaim, setLtaClaim] = useState(0);
+
+  const rules = getTaxRulesForYear(taxRules, financialYear);
+  const targetCTC = targetType === 'ctc' ? targetAmount : solveCTCForMonthlyTakeHome(targetAmount, splitRules, { rules, location });
+  const salaryStructure = mode === 'target'
+    ? buildSalaryStructureFromCTC(targetCTC, splitRules)
+    : { basicSalary, hra, otherAllowances, performanceBonus, employerPF, gratuity, medicalInsuranceEmployer, employerNPS, pfWageCeiling };
+  const { annualCTC, grossSalary, taxableIncome, totalTaxLiability, monthlyTDS, netSalary, professionalTax, employeePF } = calculateSalaryBreakdown(salaryStructure, { rules, location });
+  const comparison = compareTaxRegimes(salaryStructure, { section80C, section80DSelf, section80DParents, annualRent, isMetro, homeLoanInterest, ltaClaim }, { rules, location });
+  const oldRegimeFields = [
+    { id: 'section80C', label: '80C Investments excl. PF (INR)', value: section80C, setter: setSection80C, hint: `Capped at ${formatINR(rules.oldRegime.section80CLimit)} including employee PF` },
+    { id: 'section80DSelf', label: '80D Health Insurance - Self & Family (INR)', value: section80DSelf, setter: setSection80DSelf, hint: `Capped at ${formatINR(rules.oldRegime.section80DSelfLimit)}` },
+    { id: 'section80DParents', label: '80D Health Insurance - Senior Parents (INR)', value: section80DParents, setter: setSection80DParents, hint: `Capped at ${formatINR(rules.oldRegime.section80DParentsLimit)}` },
+    { id: 'annualRent', label: 'Annual Rent Paid (INR)', value: annualRent, setter: setAnnualRent, hint: `HRA exemption: ${formatINR(comparison.oldRegime.breakdown.hraExemption)}` },
+    { id: 'homeLoanInterest', label: 'Home Loan Interest (INR)', value: homeLoanInterest, setter: setHomeLoanInterest, hint: `Section 24(b), capped at ${formatINR(rules.oldRegime.homeLoanInterestLimit)}` },
+    { id: 'ltaClaim', label: 'LTA Claimed (INR)', value: ltaClaim, setter: setLtaClaim, hint: 'Limited to allowances paid' },
+  ];
+
+  const handleChange = (e, setter) => {
+    setter(Number(e.target.value));
+  };
+
+  const updateSplitRule = (field, value) => {
+    setSplitRules(prevRules => ({ ...prevRules, [field]: value }));
+  };
+
+  const salaryTemplate = salaryTemplates.find(t => t.id === salaryTemplateId) || null;
+
+  // A grade brings its split rules with it; the band is checked whichever mode is in use
+  const handleTemplateSelect = (templateId) => {
+    setSalaryTemplateId(templateId);
+    const template = salaryTemplates.find(t => t.id === templateId);
+    if (template) setSplitRules({ ...DEFAULT_SALARY_SPLIT_RULES, ...template.splitRules });
+  };
+
+  // Copies the solved structure into the component inputs for fine-tuning
+  const editAsComponents = () => {
+    setBasicSalary(salaryStructure.basicSalary);
+    setHra(salaryStructure.hra);
+    setOtherAllowances(salaryStructure.otherAllowances);
+    setPerformanceBonus(salaryStructure.performanceBonus);
+    setEmployerPF(salaryStructure.employerPF);
+    setGratuity(salaryStructure.gratuity);
+    setMedicalInsuranceEmployer(salaryStructure.medicalInsuranceEmployer);
+    setEmployerNPS(salaryStructure.employerNPS);
+    setPfWageCeiling(salaryStructure.pfWageCeiling);
+    setMode('components');
+  };
+
+  const candidatesWithExpectedCTC = candidates.filter(c => Number(c.expectedCTC) > 0);
+  const monthlyTakeHome = getMonthlyTakeHome(salaryStructure, { netSalary });
+  const monthlyBreakup = [
+    { label: 'Basic', annual: salaryStructure.basicSalary },
+    { label: 'HRA', annual: salaryStructure.hra },
+    { label: 'Other Allowances', annual: salaryStructure.otherAllowances },
+    { label: 'Gross Monthly Pay', annual: salaryStructure.basicSalary + salaryStructure.hra + salaryStructure.otherAllowances, isTotal: true },
+    { label: 'Employee PF', annual: -employeePF },
+    { label: 'Professional Tax', annual: -professionalTax },
+    { label: 'Income Tax (TDS)', annual: -totalTaxLiability },
+    { label: 'Monthly Take-Home', annual: monthlyTakeHome * 12, isTotal: true },
+    { label: 'Performance Bonus (paid separately)', annual: salaryStructure.performanceBonus },
+    { label: "Employer's PF", annual: salaryStructure.employerPF },
+    { label: 'Gratuity', annual: salaryStructure.gratuity },
+    { label: 'Medical Insurance (Employer Paid)', annual: salaryStructure.medicalInsuranceEmployer },
+    { label: "Employer's NPS", annual: salaryStructure.employerNPS },
+  ].filter(row => row.isTotal || row.annual !== 0);
+
+  return (
+    <div>
+      <h2 className={`text-xl font-semibold mb-4 ${theme === 'dark' ? 'text-white' : 'text-zinc-900'}`}>CTC & Tax Calculator (FY {rules.financialYear})</h2>
+      <div className={`p-6 rounded-lg shadow-md ${theme === 'dark' ? 'bg-zinc-800 text-gray-300' : 'bg-white text-gray-700'}`}>
+        <div className="flex flex-wrap items-center gap-2 mb-4">
+          <button type="button" onClick={() => setMode('components')} className={`px-3 py-1.5 rounded-lg text-sm transition-colors duration-200 ${mode === 'components' ? 'bg-blue-600 text-white' : (theme === 'dark' ? 'bg-zinc-700 text-gray-300 hover:bg-zinc-600' : 'bg-gray-100 text-gray-700 hover:bg-gray-200')}`} aria-pressed={mode === 'components'}>
+            From Components
+          </button>
+          <button type="button" onClick={() => setMode('target')} className={`px-3 py-1.5 rounded-lg text-sm transition-colors duration-200 ${mode === 'target' ? 'bg-blue-600 text-white' : (theme === 'dark' ? 'bg-zinc-700 text-gray-300 hover:bg-zinc-600' : 'bg-gray-100 text-gray-700 hover:bg-gray-200')}`} aria-pressed={mode === 'target'}>
+            From Target CTC / Take-Home
+          </button>
+        </div>
+        <p className={`mb-4 text-sm ${theme === 'dark' ? 'text-gray-300' : 'text-gray-700'}`}>
+          {mode === 'components'
+            ? 'Enter your annual salary components to get an estimated CTC, Taxable Income, and TDS.'
+            : 'Enter a target annual CTC or monthly take-home and the split rules; the calculator builds the salary structure.'}
+        </p>
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+          <div>
+            <label htmlFor="financialYear" className={`block text-sm font-medium ${theme === 'dark' ? 'text-gray-400' : 'text-gray-800'}`}>Financial Year</label>
+            <select id="financialYear" value={financialYear} onChange={(e) => setFinancialYear(e.target.value)}
+              className={`mt-1 block w-full p-2 rounded-md text-sm focus:ring-blue-500 focus:border-blue-500 transition-colors duration-200 ${theme === 'dark' ? 'bg-zinc-700 border-zinc-600 text-white' : 'bg-gray-100 border-gray-300 text-zinc-900'}`}>
+              {!financialYears.includes(financialYear) && <option value={financialYear}>{financialYear} (using {rules.financialYear} rules)</option>}
+              {financialYears.map(year => <option key={year} value={year}>{year}</option>)}
+            </select>
+          </div>
+          <div>
+            <label htmlFor="taxLocation" className={`block text-sm font-medium ${theme === 'dark' ? 'text-gray-400' : 'text-gray-800'}`}>Work Location (for Professional Tax)</label>
+            <select id="taxLocation" value={location} onChange={(e) => setLocation(e.target.value)}
+              className={`mt-1 block w-full p-2 rounded-md text-sm focus:ring-blue-500 focus:border-blue-500 transition-colors duration-200 ${theme === 'dark' ? 'bg-zinc-700 border-zinc-600 text-white' : 'bg-gray-100 border-gray-300 text-zinc-900'}`}>
+              {OFFICE_LOCATIONS.map(office => <option key={office} value={office}>{office} ({LOCATION_STATES[office]})</option>)}
+            </select>
+            <p className={`mt-1 text-xs ${theme === 'dark' ? 'text-gray-400' : 'text-gray-500'}`}>Professional tax: {formatINR(professionalTax)} a year</p>
+          </div>
+          {salaryTemplates.length > 0 && (
+            <div>
+              <label htmlFor="salaryTemplate" className={`block text-sm font-medium ${theme === 'dark' ? 'text-gray-400' : 'text-gray-800'}`}>Grade Template</label>
+              <select id="salaryTemplate" value={salaryTemplateId} onChange={(e) => handleTemplateSelect(e.target.value)}
+                className={`mt-1 block w-full p-2 rounded-md text-sm focus:ring-blue-500 focus:border-blue-500 transition-colors duration-200 ${theme === 'dark' ? 'bg-zinc-700 border-zinc-600 text-white' : 'bg-gray-100 border-gray-300 text-zinc-900'}`}>
+                <option value="">None</option>
+                {[...salaryTemplates].sort((a, b) => a.grade.localeCompare(b.grade)).map(template => <option key={template.id} value={template.id}>{template.grade} - {template.name}</option>)}
+              </select>
+              {salaryTemplate && (
+                <p className={`mt-1 text-xs ${getBandPosition(annualCTC, salaryTemplate.band) === 'within' ? (theme === 'dark' ? 'text-gray-400' : 'text-gray-500') : 'text-yellow-400'}`}>
+                  {describeBandFit(annualCTC, salaryTemplate)}
+                </p>
+              )}
+            </div>
+          )}
+        </div>
+        {mode === 'components' ? (
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label htmlFor="basicSalary" className={`block text-sm font-medium ${theme === 'dark' ? 'text-gray-400' : 'text-gray-800'}`}>Basic Salary (INR)</label>
+              <input type="number" id="basicSalary" value={basicSalary} onChange={(e) => handleChange(e, setBasicSalary)}
+                className={`mt-1 block w-full p-2 rounded-md text-sm focus:ring-blue-500 focus:border-blue-500 transition-colors duration-200 ${theme === 'dark' ? 'bg-zinc-700 border-zinc-600 text-white' : 'bg-gray-100 border-gray-300 text-zinc-900'}`} />
+            </div>
+            <div>
+              <label htmlFor="hra" className={`block text-sm font-medium ${theme === 'dark' ? 'text-gray-400' : 'text-gray-800'}`}>HRA (INR)</label>
+              <input type="number" id="hra" value={hra} onChange={(e) => handleChange(e, setHra)}
+                className={`mt-1 block w-full p-2 rounded-md text-sm focus:ring-blue-500 focus:border-blue-500 transition-colors duration-200 ${theme === 'dark' ? 'bg-zinc-700 border-zinc-600 text-white' : 'bg-gray-100 border-gray-300 text-zinc-900'}`} />
+            </div>
+            <div>
+              <label htmlFor="otherAllowances" className={`block text-sm font-medium ${theme === 'dark' ? 'text-gray-400' : 'text-gray-800'}`}>Other Allowances (INR)</label>
+              <input type="number" id="otherAllowances" value={otherAllowances} onChange={(e) => handleChange(e, setOtherAllowances)}
+                className={`mt-1 block w-full p-2 rounded-md text-sm focus:ring-blue-500 focus:border-blue-500 transition-colors duration-200 ${theme === 'dark' ? 'bg-zinc-700 border-zinc-600 text-white' : 'bg-gray-100 border-gray-300 text-zinc-900'}`} />
+            </div>
+            <div>
+              <label htmlFor="performanceBonus" className={`block text-sm font-medium ${theme === 'dark' ? 'text-gray-400' : 'text-gray-800'}`}>Performance Bonus (INR)</label>
+              <input type="number" id="performanceBonus" value={performanceBonus} onChange={(e) => handleChange(e, setPerformanceBonus)}
+                className={`mt-1 block w-full p-2 rounded-md text-sm focus:ring-blue-500 focus:border-blue-500 transition-colors duration-200 ${theme === 'dark' ? 'bg-zinc-700 border-zinc-600 text-white' : 'bg-gray-100 border-gray-300 text-zinc-900'}`} />
+            </div>
+            <div>
+              <label htmlFor="employerPF" className={`block text-sm font-medium ${theme === 'dark' ? 'text-gray-400' : 'text-gray-800'}`}>Employer's PF Contribution (INR)</label>
+              <input type="number" id="employerPF" value={employerPF} onChange={(e) => handleChange(e, setEmployerPF)}
+                className={`mt-1 block w-full p-2 rounded-md text-sm focus:ring-blue-500 focus:border-blue-500 transition-colors duration-200 ${theme === 'dark' ? 'bg-zinc-700 border-zinc-600 text-white' : 'bg-gray-100 border-gray-300 text-zinc-900'}`} />
+            </div>
+            <div>
+              <label htmlFor="gratuity" className={`block text-sm font-medium ${theme === 'dark' ? 'text-gray-400' : 'text-gray-800'}`}>Gratuity (INR)</label>
+              <input type="number" id="gratuity" value={gratuity} onChange={(e) => handleChange(e, setGratuity)}
+                className={`mt-1 block w-full p-2 rounded-md text-sm focus:ring-blue-500 focus:border-blue-500 transition-colors duration-200 ${theme === 'dark' ? 'bg-zinc-700 border-zinc-600 text-white' : 'bg-gray-100 border-gray-300 text-zinc-900'}`} />
+            </div>
+            <div>
+              <label htmlFor="medicalInsuranceEmployer" className={`block text-sm font-medium ${theme === 'dark' ? 'text-gray-400' : 'text-gray-800'}`}>Medical Insurance (Employer Paid) (INR)</label>
+              <input type="number" id="medicalInsuranceEmployer" value={medicalInsuranceEmployer} onChange={(e) => handleChange(e, setMedicalInsuranceEmployer)}
+                className={`mt-1 block w-full p-2 rounded-md text-sm focus:ring-blue-500 focus:border-blue-500 transition-colors duration-200 ${theme === 'dark' ? 'bg-zinc-700 border-zinc-600 text-white' : 'bg-gray-100 border-gray-300 text-zinc-900'}`} />
+            </div>
+            <div>
+              <label htmlFor="employerNPS" className={`block text-sm font-medium ${theme === 'dark' ? 'text-gray-400' : 'text-gray-800'}`}>Employer's NPS Contribution (INR)</label>
+              <input type="number" id="employerNPS" value={employerNPS} onChange={(e) => handleChange(e, setEmployerNPS)}
+                className={`mt-1 block w-full p-2 rounded-md text-sm focus:ring-blue-500 focus:border-blue-500 transition-colors duration-200 ${theme === 'dark' ? 'bg-zinc-700 border-zinc-600 text-white' : 'bg-gray-100 border-gray-300 text-zinc-900'}`} />
+            </div>
+            <label className="flex items-center space-x-2 text-sm">
+              <input type="checkbox" checked={!!pfWageCeiling} onChange={(e) => setPfWageCeiling(e.target.checked ? PF_WAGE_CEILING : null)} aria-label="Employee PF on capped basic" />
+              <span>Employee PF on basic capped at {formatINR(PF_WAGE_CEILING / 12)} a month</span>
+            </label>
+          </div>
+        ) : (
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label htmlFor="targetType" className={`block text-sm font-medium ${theme === 'dark' ? 'text-gray-400' : 'text-gray-800'}`}>Target</label>
+              <select id="targetType" value={targetType} onChange={(e) => setTargetType(e.target.value)} className={`mt-1 block w-full p-2 rounded-md text-sm focus:ring-blue-500 focus:border-blue-500 transition-colors duration-200 ${theme === 'dark' ? 'bg-zinc-700 border-zinc-600 text-white' : 'bg-gray-100 border-gray-300 text-zinc-900'}`}>
+                <option value="ctc">Annual CTC</option>
+                <option value="takeHome">Monthly take-home</option>
+              </select>
+            </div>
+            <div>
+              <label htmlFor="targetAmount" className={`block text-sm font-medium ${theme === 'dark' ? 'text-gray-400' : 'text-gray-800'}`}>{targetType === 'ctc' ? 'Target Annual CTC (INR)' : 'Target Monthly Take-Home (INR)'}</label>
+              <input type="number" id="targetAmount" min="0" value={targetAmount} onChange={(e) => handleChange(e, setTargetAmount)} className={`mt-1 block w-full p-2 rounded-md text-sm focus:ring-blue-500 focus:border-blue-500 transition-colors duration-200 ${theme === 'dark' ? 'bg-zinc-700 border-zinc-600 text-white' : 'bg-gray-100 border-gray-300 text-zinc-900'}`} />
+              {targetType === 'takeHome' && <p className={`mt-1 text-xs ${theme === 'dark' ? 'text-gray-400' : 'text-gray-500'}`}>Needs an annual CTC of {formatINR(targetCTC)}</p>}
+            </div>
+            {candidatesWithExpectedCTC.length > 0 && (
+              <div>
+                <label htmlFor="targetCandidate" className={`block text-sm font-medium ${theme === 'dark' ? 'text-gray-400' : 'text-gray-800'}`}>Start from a candidate's expected CTC</label>
+                <select
+                  id="targetCandidate"
+                  value=""
+                  onChange={(e) => {
+                    const candidate = candidatesWithExpectedCTC.find(c => c.id === e.target.value);
+                    if (!candidate) return;
+                    setTargetType('ctc');
+                    setTargetAmount(Number(candidate.expectedCTC));
+                  }}
+                  className={`mt-1 block w-full p-2 rounded-md text-sm focus:ring-blue-500 focus:border-blue-500 transition-colors duration-200 ${theme === 'dark' ? 'bg-zinc-700 border-zinc-600 text-white' : 'bg-gray-100 border-gray-300 text-zinc-900'}`}
+                >
+                  <option value="">Select a candidate</option>
+                  {candidatesWithExpectedCTC.map(c => <option key={c.id} value={c.id}>{c.name} ({formatINR(c.expectedCTC)})</option>)}
+                </select>
+              </div>
+            )}
+            <div>
+              <label htmlFor="basicShareOfCTC" className={`block text-sm font-medium ${theme === 'dark' ? 'text-gray-400' : 'text-gray-800'}`}>Basic (% of CTC)</label>
+              <input type="number" id="basicShareOfCTC" min={BASIC_SHARE_RANGE.min * 100} max={BASIC_SHARE_RANGE.max * 100} step="1"
+                value={Math.round(splitRules.basicShareOfCTC * 100)}
+                onChange={(e) => updateSplitRule('basicShareOfCTC', Math.min(BASIC_SHARE_RANGE.max, Math.max(BASIC_SHARE_RANGE.min, Number(e.target.value) / 100)))}
+                className={`mt-1 block w-full p-2 rounded-md text-sm focus:ring-blue-500 focus:border-blue-500 transition-colors duration-200 ${theme === 'dark' ? 'bg-zinc-700 border-zinc-600 text-white' : 'bg-gray-100 border-gray-300 text-zinc-900'}`} />
+              <p className={`mt-1 text-xs ${theme === 'dark' ? 'text-gray-400' : 'text-gray-500'}`}>Between {BASIC_SHARE_RANGE.min * 100}% and {BASIC_SHARE_RANGE.max * 100}%</p>
+            </div>
+            <div>
+              <label htmlFor="hraShareOfBasic" className={`block text-sm font-medium ${theme === 'dark' ? 'text-gray-400' : 'text-gray-800'}`}>HRA (% of Basic)</label>
+              <select id="hraShareOfBasic" value={splitRules.hraShareOfBasic} onChange={(e) => updateSplitRule('hraShareOfBasic', Number(e.target.value))} className={`mt-1 block w-full p-2 rounded-md text-sm focus:ring-blue-500 focus:border-blue-500 transition-colors duration-200 ${theme === 'dark' ? 'bg-zinc-700 border-zinc-600 text-white' : 'bg-gray-100 border-gray-300 text-zinc-900'}`}>
+                {HRA_SHARE_OPTIONS.map(share => <option key={share} value={share}>{share * 100}% ({share === Math.max(...HRA_SHARE_OPTIONS) ? 'metro' : 'non-metro'})</option>)}
+              </select>
+            </div>
+            <div>
+              <label htmlFor="performanceBonusShareOfCTC" className={`block text-sm font-medium ${theme === 'dark' ? 'text-gray-400' : 'text-gray-800'}`}>Performance Bonus (% of CTC)</label>
+              <input type="number" id="performanceBonusShareOfCTC" min="0" max="50" step="1"
+                value={Math.round(splitRules.performanceBonusShareOfCTC * 100)}
+                onChange={(e) => updateSplitRule('performanceBonusShareOfCTC', Math.min(0.5, Math.max(0, Number(e.target.value) / 100)))}
+                className={`mt-1 block w-full p-2 rounded-md text-sm focus:ring-blue-500 focus:border-blue-500 transition-colors duration-200 ${theme === 'dark' ? 'bg-zinc-700 border-zinc-600 text-white' : 'bg-gray-100 border-gray-300 text-zinc-900'}`} />
+            </div>
+            <div>
+              <label htmlFor="splitMedicalInsurance" className={`block text-sm font-medium ${theme === 'dark' ? 'text-gray-400' : 'text-gray-800'}`}>Medical Insurance (Employer Paid) (INR)</label>
+              <input type="number" id="splitMedicalInsurance" min="0" value={splitRules.medicalInsuranceEmployer} onChange={(e) => updateSplitRule('medicalInsuranceEmployer', Math.max(0, Number(e.target.value)))} className={`mt-1 block w-full p-2 rounded-md text-sm focus:ring-blue-500 focus:border-blue-500 transition-colors duration-200 ${theme === 'dark' ? 'bg-zinc-700 border-zinc-600 text-white' : 'bg-gray-100 border-gray-300 text-zinc-900'}`} />
+            </div>
+            <label className="flex items-center space-x-2 text-sm">
+              <input type="checkbox" checked={!!splitRules.pfWageCeiling} onChange={(e) => updateSplitRule('pfWageCeiling', e.target.checked ? PF_WAGE_CEILING : null)} aria-label="PF on capped basic" />
+              <span>PF on basic capped at {formatINR(PF_WAGE_CEILING / 12)} a month; gratuity at {(splitRules.gratuityRate * 100).toFixed(2)}% of basic</span>
+            </label>
+            <div className="md:col-span-2 flex flex-wrap items-center gap-4">
+              <button type="button" onClick={editAsComponents} className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg flex items-center space-x-2 text-sm transition-transform transform hover:scale-105 active:scale-95" aria-label="Edit as Components">
+                <Pencil size={16} /> <span>Edit as Components</span>
+              </button>
+              {annualCTC > targetCTC + 1 && (
+                <p className="text-sm text-red-400">Basic, HRA, PF, gratuity, bonus and insurance already come to {formatINR(annualCTC)}, above the {formatINR(targetCTC)} target. Lower the bonus or insurance.</p>
+              )}
+            </div>
+          </div>
+        )}
+
+        <h3 className={`text-lg font-semibold mt-8 mb-4 ${theme === 'dark' ? 'text-white' : 'text-zinc-900'}`}>Calculation Results</h3>
+        <table className="min-w-full divide-y divide-zinc-700">
+          <tbody className={theme === 'dark' ? 'bg-zinc-800 divide-y divide-zinc-700' : 'bg-white divide-y divide-gray-200'}>
+            <tr>
+              <td className={`px-6 py-3 whitespace-nowrap text-sm font-medium ${theme === 'dark' ? 'text-white' : 'text-zinc-900'}`}>Annual CTC</td>
+              <td className={`px-6 py-3 whitespace-nowrap text-sm text-right ${theme === 'dark' ? 'text-gray-300' : 'text-gray-700'}`}>{formatINR(annualCTC)}</td>
+            </tr>
+            <tr>
+              <td className={`px-6 py-3 whitespace-nowrap text-sm font-medium ${theme === 'dark' ? 'text-white' : 'text-zinc-900'}`}>Gross Salary</td>
+              <td className={`px-6 py-3 whitespace-nowrap text-sm text-right ${theme === 'dark' ? 'text-gray-300' : 'text-gray-700'}`}>{formatINR(grossSalary)}</td>
+            </tr>
+            <tr>
+              <td className={`px-6 py-3 whitespace-nowrap text-sm font-medium ${theme === 'dark' ? 'text-white' : 'text-zinc-900'}`}>Taxable Income (New Regime)</td>
+              <td className={`px-6 py-3 whitespace-nowrap text-sm text-right ${theme === 'dark' ? 'text-gray-300' : 'text-gray-700'}`}>{formatINR(taxableIncome)}</td>
+            </tr>
+            <tr className="font-bold">
+              <td className={`px-6 py-3 whitespace-nowrap text-sm ${theme === 'dark' ? 'text-white' : 'text-zinc-900'}`}>Total Annual Tax Liability</td>
+              <td className="px-6 py-3 whitespace-nowrap text-sm text-red-400 text-right">{formatINR(totalTaxLiability)}</td>
+            </tr>
+            <tr className="font-bold">
+              <td className={`px-6 py-3 whitespace-nowrap text-sm ${theme === 'dark' ? 'text-white' : 'text-zinc-900'}`}>Monthly TDS</td>
+              <td className="px-6 py-3 whitespace-nowrap text-sm text-red-400 text-right">{formatINR(monthlyTDS)}</td>
+            </tr>
+            <tr className={`font-bold ${theme === 'dark' ? 'bg-zinc-700 text-white' : 'bg-gray-200 text-zinc-900'}`}>
+              <td className="px-6 py-3 whitespace-nowrap text-sm">Estimated Annual Net Salary (Take-Home)</td>
+              <td className="px-6 py-3 whitespace-nowrap text-sm text-green-400 text-right">{formatINR(netSalary)}</td>
+            </tr>
+          </tbody>
+        </table>
+        <h3 className={`text-lg font-semibold mt-8 mb-4 ${theme === 'dark' ? 'text-white' : 'text-zinc-900'}`}>Monthly Breakup (New Regime)</h3>
+        <table className="min-w-full divide-y divide-zinc-700">
+          <thead className={theme === 'dark' ? 'bg-zinc-700' : 'bg-gray-200'}>
+            <tr>
+              <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">Component</th>
+              <th className="px-6 py-3 text-right text-xs font-medium uppercase tracking-wider">Monthly</th>
+              <th className="px-6 py-3 text-right text-xs font-medium uppercase tracking-wider">Annual</th>
+            </tr>
+          </thead>
+          <tbody className={theme === 'dark' ? 'bg-zinc-800 divide-y divide-zinc-700' : 'bg-white divide-y divide-gray-200'}>
+            {monthlyBreakup.map(row => (
+              <tr key={row.label} className={row.isTotal ? 'font-bold' : ''}>
+                <td className={`px-6 py-2 whitespace-nowrap text-sm ${theme === 'dark' ? 'text-white' : 'text-zinc-900'}`}>{row.label}</td>
+                <td className={`px-6 py-2 whitespace-nowrap text-sm text-right ${row.annual < 0 ? 'text-red-400' : (theme === 'dark' ? 'text-gray-300' : 'text-gray-700')}`}>{formatINR(row.annual / 12)}</td>
+                <td className={`px-6 py-2 whitespace-nowrap text-sm text-right ${row.annual < 0 ? 'text-red-400' : (theme === 'dark' ? 'text-gray-300' : 'text-gray-700')}`}>{formatINR(row.annual)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        <h3 className={`text-lg font-semibold mt-8 mb-4 ${theme === 'dark' ? 'text-white' : 'text-zinc-900'}`}>Old vs New Regime</h3>
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          {oldRegimeFields.map(field => (
+            <div key={field.id}>
+              <label htmlFor={field.id} className={`block text-sm font-medium ${theme === 'dark' ? 'text-gray-400' : 'text-gray-800'}`}>{field.label}</label>
+              <input type="number" id={field.id} min="0" value={field.value} onChange={(e) => handleChange(e, field.setter)}
+                className={`mt-1 block w-full p-2 rounded-md text-sm focus:ring-blue-500 focus:border-blue-500 transition-colors duration-200 ${theme === 'dark' ? 'bg-zinc-700 border-zinc-600 text-white' : 'bg-gray-100 border-gray-300 text-zinc-900'}`} />
+              <p className={`mt-1 text-xs ${theme === 'dark' ? 'text-gray-400' : 'text-gray-500'}`}>{field.hint}</p>
+            </div>
+          ))}
+          <label className="flex items-center space-x-2 text-sm">
+            <input type="checkbox" checked={isMetro} onChange={(e) => setIsMetro(e.target.checked)} aria-label="Rented home is in a metro city" />
+            <span>Rented home is in a metro city (Delhi, Mumbai, Kolkata, Chennai)</span>
+          </label>
+        </div>
+
+        <table className="min-w-full divide-y divide-zinc-700 mt-6">
+          <thead className={theme === 'dark' ? 'bg-zinc-700' : 'bg-gray-200'}>
+            <tr>
+              <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider"></th>
+              <th className="px-6 py-3 text-right text-xs font-medium uppercase tracking-wider">New Regime</th>
+              <th className="px-6 py-3 text-right text-xs font-medium uppercase tracking-wider">Old Regime</th>
+            </tr>
+          </thead>
+          <tbody className={theme === 'dark' ? 'bg-zinc-800 divide-y divide-zinc-700' : 'bg-white divide-y divide-gray-200'}>
+            {[
+              ['Deductions & Exemptions', 'deductions'],
+              ['Taxable Income', 'taxableIncome'],
+              ['Annual Tax Liability', 'tax'],
+              ['Annual Net Salary (Take-Home)', 'netSalary'],
+            ].map(([label, key]) => (
+              <tr key={key}>
+                <td className={`px-6 py-3 whitespace-nowrap text-sm font-medium ${theme === 'dark' ? 'text-white' : 'text-zinc-900'}`}>{label}</td>
+                {['newRegime', 'oldRegime'].map(regime => (
+                  <td key={regime} className={`px-6 py-3 whitespace-nowrap text-sm text-right ${comparison.recommendedRegime === regime.replace('Regime', '') ? 'font-bold text-green-400' : (theme === 'dark' ? 'text-gray-300' : 'text-gray-700')}`}>
+                    {formatINR(comparison[regime][key])}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        <div className={`mt-4 p-4 rounded-lg text-sm ${theme === 'dark' ? 'bg-zinc-700' : 'bg-gray-100'}`}>
+          <p className="font-semibold">
+            {comparison.savings < 1
+              ? 'Both regimes come to the same tax; the new regime needs no investment proofs.'
+              : `The ${comparison.recommendedRegime} regime saves ${formatINR(comparison.savings)} a year.`}
+          </p>
+          <p className={`mt-1 ${theme === 'dark' ? 'text-gray-400' : 'text-gray-600'}`}>
+            {comparison.breakevenDeductions === null
+              ? 'No amount of old-regime deductions brings its tax down to the new regime at this salary.'
+              : `Breakeven: the old regime wins once 80C, 80D, HRA, home-loan interest and LTA together reach ${formatINR(comparison.breakevenDeductions)} (you have ${formatINR(comparison.oldRegime.totalDeductions)}).`}
+          </p>
+        </div>
+
+        <p className={`mt-4 text-xs ${theme === 'dark' ? 'text-gray-400' : 'text-gray-500'}`}>This is a simplified calculation using the FY {rules.financialYear} New and Old Tax Regimes. It assumes standard deductions and does not account for all possible exemptions, investments, or variable components. For precise tax planning, consult a financial advisor.</p>
+      </div>
+    </div>
+  );
+};
+
+// Onboarding Panel Component
+const OnboardingPanel = ({ onboardingCases = [], candidates = [], offers = [], requisitions = [], onCreateOnboardingCase, onToggleOnboardingTask, onUpdateOnboardingCase, onCompleteOnboardingCase, onCancelOnboardingCase }) => {
+  const { theme } = useTheme();
+  const { orgTimeZone } = useTimeZone();
+  const todayKey = getTodayKey(orgTimeZone);
+  const emptyForm = {
+    candidateId: '',
+    offerId: '',
+    legalName: '',
+    email: '',
+    phone: '',
+    aadhaarNumber: '',
+    panNumber: '',
+    startDate: '',
+    annualCTC: '',
+    salaryStructure: null,
+    noticePeriodDays: '',
+    department: DEPARTMENTS[0],
+    jobTitle: '',
+    location: OFFICE_LOCATIONS[0],
+    manager: '',
+  };
+  const [form, setForm] = useState(emptyForm);
+  const [filterStatus, setFilterStatus] = useState('In Progress');
+  const [expandedCaseId, setExpandedCaseId] = useState(null);
+  const [detailsDraft, setDetailsDraft] = useState(null);
+  const [cancelReason, setCancelReason] = useState('');
+  const [formErrors, setFormErrors] = useState({});
+
+  const updateForm = (field, value) => {
+    setForm(prevForm => ({ ...prevForm, [field]: value }));
+    setFormErrors(prevErrors => {
+      const { [field]: removed, ...rest } = prevErrors;
+      return rest;
+    });
+  };
+
+  const openCandidateIds = new Set(onboardingCases.filter(c => c.status !== 'Cancelled').map(c => c.candidateId).filter(Boolean));
+  const selectableCandidates = candidates.filter(c => c.stage === 'Offer Accepted' && !c.employeeDocId && !openCandidateIds.has(c.id));
+  const filteredCases = onboardingCases
+    .filter(c => filterStatus === 'All' || c.status === filterStatus)
+    .sort((a, b) => (a.startDate || '').localeCompare(b.startDate || ''));
+
+  // Prefills from the candidate's accepted offer when there is one
+  const handleCandidateSelect = (candidateId) => {
+    const candidate = candidates.find(c => c.id === candidateId);
+    if (!candidate) {
+      setForm(emptyForm);
+      return;
+    }
+    const offer = offers.find(o => o.candidateId === candidateId && getOfferStatus(o) === 'Accepted');
+    const requisition = requisitions.find(r => r.id === (offer?.requisitionId || candidate.requisitionId));
+    const details = offer
+      ? buildOnboardingDetailsFromOffer(offer, candidate, requisition, todayKey)
+      : sanitizeKycFields({ candidateId, legalName: candidate.name, email: candidate.email || '', phone: candidate.phone || '', aadhaarNumber: candidate.aadhaarNumber || '', panNumber: candidate.panNumber || '', noticePeriodDays: getNoticePeriodDays(candidate.noticePeriod), jobTitle: candidate.jobAppliedFor || '' });
+    setForm({ ...emptyForm, ...details, department: details.department || emptyForm.department, location: details.location || emptyForm.location });
+    setFormErrors({});
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const kycErrors = validateKycFields(form, ['phone', 'aadhaarNumber', 'panNumber']);
+    setFormErrors(kycErrors);
+    if (Object.keys(kycErrors).length > 0) return;
+    const caseId = await onCreateOnboardingCase(form);
+    if (caseId) {
+      setForm(emptyForm);
+      setFilterStatus('In Progress');
+      setExpandedCaseId(caseId);
+    }
+  };
+
+  const toggleCase = (onboardingCase) => {
+    const isOpen = expandedCaseId === onboardingCase.id;
+    setExpandedCaseId(isOpen ? null : onboardingCase.id);
+    setDetailsDraft(isOpen ? null : { startDate: onboardingCase.startDate, department: onboardingCase.department, jobTitle: onboardingCase.jobTitle, location: onboardingCase.location });
+    setCancelReason('');
+  };
+
+  const handleSaveDetails = async (onboardingCase) => {
+    const changes = Object.fromEntries(Object.entries(detailsDraft).filter(([field, value]) => value !== onboardingCase[field]));
+    if (Object.keys(changes).length === 0) return;
+    await onUpdateOnboardingCase(onboardingCase, changes);
+  };
+
+  const inputClass = `mt-1 block w-full p-2 rounded-md text-sm focus:ring-blue-500 focus:border-blue-500 transition-colors duration-200 ${theme === 'dark' ? 'bg-zinc-700 border-zinc-600 text-white' : 'bg-gray-100 border-gray-300 text-zinc-900'}`;
+  const labelClass = `block text-sm font-medium ${theme === 'dark' ? 'text-gray-400' : 'text-gray-800'}`;
+  const mutedClass = theme === 'dark' ? 'text-gray-400' : 'text-gray-500';
+  const renderFieldError = (field) => formErrors[field] && <p className="text-xs text-red-400 mt-1" role="alert">{formErrors[field]}</p>;
+  const statusBadgeClasses = {
+    'In Progress': 'bg-yellow-600/20 text-yellow-300',
+    'Completed': 'bg-green-600/20 text-green-300',
+    'Cancelled': 'bg-zinc-600/20 text-zinc-300',
+  };
+
+  return (
+    <div className={`p-6 rounded-lg shadow-md ${theme === 'dark' ? 'bg-zinc-800 text-gray-300' : 'bg-white text-gray-700'}`}>
+      <h3 className={`text-lg font-semibold mb-4 flex items-center space-x-2 ${theme === 'dark' ? 'text-white' : 'text-zinc-900'}`}><ClipboardList size={20} /> Onboarding</h3>
+      <p className={`mb-4 text-sm ${theme === 'dark' ? 'text-gray-300' : 'text-gray-700'}`}>Capture the new hire's payroll details to open an onboarding case. Accepting an offer opens one automatically.</p>
+      <form onSubmit={handleSubmit} className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-6">
+        <div>
+          <label htmlFor="onboardingCandidate" className={labelClass}>Candidate (optional)</label>
+          <select id="onboardingCandidate" value={form.candidateId} onChange={(e) => handleCandidateSelect(e.target.value)} className={inputClass} aria-label="Onboarding candidate">
+            <option value="">Enter details manually</option>
+            {selectableCandidates.map(candidate => <option key={candidate.id} value={candidate.id}>{candidate.name} - {candidate.jobAppliedFor}</option>)}
+          </select>
+        </div>
+        <div>
+          <label htmlFor="legalName" className={labelClass}>Legal Name</label>
+          <input type="text" id="legalName" value={form.legalName} onChange={(e) => updateForm('legalName', e.target.value)} className={inputClass} placeholder="John Doe" aria-label="Legal Name" />
+        </div>
+        <div>
+          <label htmlFor="onboardingEmail" className={labelClass}>Email</label>
+          <input type="email" id="onboardingEmail" value={form.email} onChange={(e) => updateForm('email', e.target.value)} className={inputClass} aria-label="Email" />
+        </div>
+        <div>
+          <label htmlFor="onboardingPhone" className={labelClass}>Mobile</label>
+          <input type="tel" id="onboardingPhone" value={form.phone} onChange={(e) => updateForm('phone', e.target.value)} className={inputClass} placeholder="+91 98765 43210" aria-label="Mobile" aria-invalid={!!formErrors.phone} />
+          {renderFieldError('phone')}
+        </div>
+        <div>
+          <label htmlFor="aadhaar" className={labelClass}>Aadhaar Number</label>
+          <input type="text" id="aadhaar" value={form.aadhaarNumber} onChange={(e) => updateForm('aadhaarNumber', e.target.value)} className={inputClass} placeholder="XXXX XXXX XXXX" aria-label="Aadhaar Number" aria-invalid={!!formErrors.aadhaarNumber} />
+          {renderFieldError('aadhaarNumber')}
+        </div>
+        <div>
+          <label htmlFor="pan" className={labelClass}>PAN Number</label>
+          <input type="text" id="pan" value={form.panNumber} onChange={(e) => updateForm('panNumber', e.target.value.toUpperCase())} className={inputClass} placeholder="ABCPE1234F" aria-label="PAN Number" aria-invalid={!!formErrors.panNumber} />
+          {renderFieldError('panNumber')}
+        </div>
+        <div>
+          <label htmlFor="startDate" className={labelClass}>Start Date</label>
+          <input type="date" id="startDate" value={form.startDate} onChange={(e) => updateForm('startDate', e.target.value)} className={inputClass} aria-label="Start Date" />
+        </div>
+        <div>
+          <label htmlFor="salary" className={labelClass}>Agreed Salary (INR)</label>
+          <input type="number" id="salary" value={form.annualCTC} onChange={(e) => setForm(prevForm => ({ ...prevForm, annualCTC: e.target.value, salaryStructure: null }))} className={inputClass} placeholder="e.g., 750000" aria-label="Agreed Salary" />
+        </div>
+        <div>
+          <label htmlFor="noticePeriod" className={labelClass}>Notice Period (Days)</label>
+          <input type="number" id="noticePeriod" value={form.noticePeriodDays} onChange={(e) => updateForm('noticePeriodDays', e.target.value)} className={inputClass} placeholder="e.g., 30" aria-label="Notice Period in Days" />
+        </div>
+        <div>
+          <label htmlFor="onboardingDepartment" className={labelClass}>Department</label>
+          <select id="onboardingDepartment" value={form.department} onChange={(e) => updateForm('department', e.target.value)} className={inputClass} aria-label="Department">
+            {DEPARTMENTS.map(department => <option key={department} value={department}>{department}</option>)}
+          </select>
+        </div>
+        <div>
+          <label htmlFor="onboardingJobTitle" className={labelClass}>Job Title</label>
+          <input type="text" id="onboardingJobTitle" value={form.jobTitle} onChange={(e) => updateForm('jobTitle', e.target.value)} className={inputClass} aria-label="Job Title" />
+        </div>
+        <div>
+          <label htmlFor="onboardingLocation" className={labelClass}>Location</label>
+          <select id="onboardingLocation" value={form.location} onChange={(e) => updateForm('location', e.target.value)} className={inputClass} aria-label="Location">
+            {OFFICE_LOCATIONS.map(location => <option key={location} value={location}>{location}</option>)}
+          </select>
+        </div>
+        <div className="flex items-end">
+          <button type="submit" className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg text-sm transition-transform transform hover:scale-105 active:scale-95" aria-label="Start Onboarding">
+            Start Onboarding
+          </button>
+        </div>
+        <p className={`md:col-span-3 text-xs ${mutedClass}`}>
+          Tasks come from the {getOnboardingTemplate(form.department).name} template, due relative to the start date. Completing every task creates the employee record with the next employee ID.
+        </p>
+      </form>
+
+      <div className="flex flex-wrap items-center gap-2 mb-4">
+        {['In Progress', 'Completed', 'Cancelled', 'All'].map(status => (
+          <button
+            key={status}
+            onClick={() => setFilterStatus(status)}
+            className={`px-3 py-1 rounded-full text-sm ${filterStatus === status ? 'bg-blue-600 text-white' : (theme === 'dark' ? 'bg-zinc-700 text-gray-300 hover:bg-zinc-600' : 'bg-gray-200 text-gray-700 hover:bg-gray-300')}`}
+            aria-pressed={filterStatus === status}
+          >
+            {status} ({status === 'All' ? onboardingCases.length : onboardingCases.filter(c => c.status === status).length})
+          </button>
+        ))}
+      </div>
+
+      {filteredCases.length === 0 ? (
+        <p className={`text-sm ${mutedClass}`}>No onboarding cases here.</p>
+      ) : (
+        <div className="space-y-3">
+          {filteredCases.map(onboardingCase => {
+            const progress = getOnboardingProgress(onboardingCase, todayKey);
+            const isExpanded = expandedCaseId === onboardingCase.id;
+            return (
+              <div key={onboardingCase.id} className={`rounded-lg border ${theme === 'dark' ? 'border-zinc-700' : 'border-gray-200'}`}>
+                <button onClick={() => toggleCase(onboardingCase)} className="w-full text-left p-4 flex flex-wrap items-center justify-between gap-2" aria-expanded={isExpanded}>
+                  <div>
+                    <p className={`font-semibold ${theme === 'dark' ? 'text-white' : 'text-zinc-900'}`}>{onboardingCase.legalName}</p>
+                    <p className={`text-xs ${mutedClass}`}>
+                      {onboardingCase.jobTitle || 'No title'}{onboardingCase.department ? `, ${onboardingCase.department}` : ''} · starts {onboardingCase.startDate}
+                      {onboardingCase.employeeId && ` · ${onboardingCase.employeeId}`}
+                    </p>
+                  </div>
+                  <div className="flex items-center gap-3">
+                    {progress.overdue > 0 && onboardingCase.status === 'In Progress' && <span className="text-xs text-red-400">{progress.overdue} overdue</span>}
+                    <span className={`text-xs ${mutedClass}`}>{progress.done} / {progress.total} tasks</span>
+                    <div className={`w-24 h-2 rounded-full ${theme === 'dark' ? 'bg-zinc-700' : 'bg-gray-200'}`}>
+                      <div className="h-2 rounded-full bg-green-500" style={{ width: `${progress.total > 0 ? (progress.done / progress.total) * 100 : 0}%` }} />
+                    </div>
+                    <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${statusBadgeClasses[onboardingCase.status]}`}>{onboardingCase.status}</span>
+                  </div>
+                </button>
+                {isExpanded && (
+                  <div className={`p-4 border-t text-sm ${theme === 'dark' ? 'border-zinc-700' : 'border-gray-200'}`}>
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+                      {ONBOARDING_OWNER_ROLES.map(role => {
+                        const roleTasks = onboardingCase.tasks.filter(t => t.ownerRole === role);
+                        if (roleTasks.length === 0) return null;
+                        return (
+                          <div key={role}>
+                            <p className={`font-medium mb-2 ${theme === 'dark' ? 'text-white' : 'text-zinc-900'}`}>{role} <span className={`text-xs font-normal ${mutedClass}`}>({roleTasks[0].owner})</span></p>
+                            <ul className="space-y-1">
+                              {roleTasks.map(task => (
+                                <li key={task.id} className="flex items-start gap-2">
+                                  <input
+                                    type="checkbox"
+                                    checked={!!task.completedAt}
+                                    disabled={onboardingCase.status !== 'In Progress'}
+                                    onChange={() => onToggleOnboardingTask(onboardingCase, task.id)}
+                                    className="mt-1"
+                                    aria-label={`Mark ${task.title} as done`}
+                                  />
+                                  <span className={task.completedAt ? `line-through ${mutedClass}` : ''}>
+                                    {task.title}
+                                    <span className={`block text-xs ${!task.completedAt && task.dueDate < todayKey ? 'text-red-400' : mutedClass}`}>
+                                      {task.completedAt ? `Done by ${task.completedBy} on ${task.completedAt.slice(0, 10)}` : `Due ${task.dueDate}`}
+                                    </span>
+                                  </span>
+                                </li>
+                              ))}
+                            </ul>
+                          </div>
+                        );
+                      })}
+                    </div>
+                    {onboardingCase.status === 'In Progress' && detailsDraft && (
+                      <div className="grid grid-cols-1 md:grid-cols-5 gap-3 items-end mb-4">
+                        <div>
+                          <label htmlFor={`caseStart-${onboardingCase.id}`} className={labelClass}>Start Date</label>
+                          <input type="date" id={`caseStart-${onboardingCase.id}`} value={detailsDraft.startDate} onChange={(e) => setDetailsDraft(prev => ({ ...prev, startDate: e.target.value }))} className={inputClass} />
+                        </div>
+                        <div>
+                          <label htmlFor={`caseDepartment-${onboardingCase.id}`} className={labelClass}>Department</label>
+                          <select id={`caseDepartment-${onboardingCase.id}`} value={detailsDraft.department} onChange={(e) => setDetailsDraft(prev => ({ ...prev, department: e.target.value }))} className={inputClass}>
+                            <option value="">Not set</option>
+                            {DEPARTMENTS.map(department => <option key={department} value={department}>{department}</option>)}
+                          </select>
+                        </div>
+                        <div>
+                          <label htmlFor={`caseTitle-${onboardingCase.id}`} className={labelClass}>Job Title</label>
+                          <input type="text" id={`caseTitle-${onboardingCase.id}`} value={detailsDraft.jobTitle} onChange={(e) => setDetailsDraft(prev => ({ ...prev, jobTitle: e.target.value }))} className={inputClass} />
+                        </div>
+                        <div>
+                          <label htmlFor={`caseLocation-${onboardingCase.id}`} className={labelClass}>Location</label>
+                          <select id={`caseLocation-${onboardingCase.id}`} value={detailsDraft.location} onChange={(e) => setDetailsDraft(prev => ({ ...prev, location: e.target.value }))} className={inputClass}>
+                            <option value="">Not set</option>
+                            {OFFICE_LOCATIONS.map(location => <option key={location} value={location}>{location}</option>)}
+                          </select>
+                        </div>
+                        <button onClick={() => handleSaveDetails(onboardingCase)} className="bg-zinc-600 hover:bg-zinc-700 text-white px-4 py-2 rounded-lg flex items-center justify-center space-x-2 text-sm transition-transform transform hover:scale-105 active:scale-95" aria-label="Save joining details">
+                          <Save size={16} /> <span>Save Details</span>
+                        </button>
+                      </div>
+                    )}
+                    <div className="flex flex-wrap items-center gap-2">
+                      {onboardingCase.status === 'In Progress' && (
+                        <>
+                          <button
+                            onClick={() => onCompleteOnboardingCase(onboardingCase)}
+                            disabled={!progress.isComplete}
+                            className={`px-4 py-2 rounded-lg text-sm text-white transition-transform transform ${progress.isComplete ? 'bg-green-600 hover:bg-green-700 hover:scale-105 active:scale-95' : 'bg-green-600/40 cursor-not-allowed'}`}
+                            aria-label="Complete onboarding and create employee"
+                          >
+                            Complete & Create Employee
+                          </button>
+                          <input type="text" value={cancelReason} onChange={(e) => setCancelReason(e.target.value)} className={`p-2 rounded-md text-sm ${theme === 'dark' ? 'bg-zinc-700 border-zinc-600 text-white' : 'bg-gray-100 border-gray-300 text-zinc-900'}`} placeholder="Reason (optional)" aria-label="Cancellation reason" />
+                          <button onClick={() => onCancelOnboardingCase(onboardingCase, cancelReason.trim())} className="bg-red-600 hover:bg-red-700 text-white px-4 py-2 rounded-lg text-sm transition-transform transform hover:scale-105 active:scale-95" aria-label="Cancel onboarding">
+                            Cancel Onboarding
+                          </button>
+                        </>
+                      )}
+                      <span className={`text-xs ${mutedClass}`}>
+                        {onboardingCase.templateName} template · agreed CTC {formatINR(onboardingCase.annualCTC)}{onboardingCase.noticePeriodDays ? ` · ${onboardingCase.noticePeriodDays}-day notice` : ''}
+                      </span>
+                    </div>
+                  </div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Payroll Run Panel Component
+const PayrollRunPanel = ({ employees, attendanceRegisters = [], payrollRuns = [], onSavePayrollRun, onLockPayrollRun }) => {
+  const { theme } = useTheme();
+  const { showNotification } = useNotification();
+  const { orgTimeZone } = useTimeZone();
+  const currentMonthKey = toMonthKey(getTodayKey(orgTimeZone));
+  const [monthKey, setMonthKey] = useState(shiftMonthKey(currentMonthKey, -1));
+  const [selectedPayslipId, setSelectedPayslipId] = useState(null);
+
+  const run = payrollRuns.find(r => r.month === monthKey);
+  const selectedPayslip = run?.payslips.find(p => p.employeeId === selectedPayslipId) || null;
+  const unlockedDepartments = getUnlockedPayrollDepartments(employees, monthKey, attendanceRegisters);
+
+  const changeMonth = (value) => {
+    if (!value) return;
+    setMonthKey(value);
+    setSelectedPayslipId(null);
+  };
+
+  const handleDownloadPayslip = (payslip) => {
+    const title = `Payslip - ${formatMonthLabel(monthKey)}`;
+    const fileName = `payslip_${payslip.employeeCode}_${monthKey}.html`;
+    if (downloadFile(wrapOfferLetterHtml(title, buildPayslipHtml(payslip, monthKey)), fileName, 'text/html;charset=utf-8;')) {
+      showNotification(`Payslip for ${payslip.name} downloaded.`, 'success');
+    }
+  };
+
+  const inputClass = `p-2 rounded-md text-sm focus:ring-blue-500 focus:border-blue-500 transition-colors duration-200 ${theme === 'dark' ? 'bg-zinc-700 border-zinc-600 text-white' : 'bg-gray-100 border-gray-300 text-zinc-900'}`;
+  const mutedClass = theme === 'dark' ? 'text-gray-400' : 'text-gray-600';
+  const headerCellClass = `px-4 py-2 text-xs font-medium uppercase tracking-wider ${theme === 'dark' ? 'text-gray-200' : 'text-gray-700'}`;
+
+  return (
+    <div className={`p-6 rounded-lg shadow-md mb-6 ${theme === 'dark' ? 'bg-zinc-800 text-gray-300' : 'bg-white text-gray-700'}`}>
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+        <h3 className={`text-lg font-semibold flex items-center space-x-2 ${theme === 'dark' ? 'text-white' : 'text-zinc-900'}`}>
+          <DollarSign size={20} /> <span>Payroll Run</span>
+          {run && <span className={`ml-2 px-2 py-0.5 rounded-full text-xs ${run.status === 'Locked' ? 'bg-green-500/20 text-green-400' : 'bg-yellow-500/20 text-yellow-400'}`}>{run.status}</span>}
+        </h3>
+        <div className="flex flex-wrap items-center gap-2">
+          <input type="month" value={monthKey} max={currentMonthKey} onChange={(e) => changeMonth(e.target.value)} className={inputClass} aria-label="Payroll month" />
+          <button
+            onClick={() => onSavePayrollRun(monthKey, run)}
+            disabled={run?.status === 'Locked'}
+            className="bg-blue-600 hover:bg-blue-700 disabled:opacity-50 text-white px-4 py-2 rounded-lg text-sm flex items-center space-x-2"
+            aria-label={run ? 'Recalculate payroll' : 'Calculate payroll'}
+          >
+            <Calculator size={16} /> <span>{run ? 'Recalculate' : 'Calculate'}</span>
+          </button>
+          <button
+            onClick={() => onLockPayrollRun(run)}
+            disabled={!run || run.status === 'Locked' || unlockedDepartments.length > 0}
+            className="bg-green-600 hover:bg-green-700 disabled:opacity-50 text-white px-4 py-2 rounded-lg text-sm flex items-center space-x-2"
+            aria-label="Lock payroll run"
+          >
+            <Lock size={16} /> <span>Lock Run</span>
+          </button>
+        </div>
+      </div>
+
+      {run?.status !== 'Locked' && unlockedDepartments.length > 0 && (
+        <p className="mb-4 text-xs text-yellow-400">
+          Attendance for {formatMonthLabel(monthKey)} is not locked for {unlockedDepartments.join(', ')}; loss of pay is taken as zero there, and the run cannot be locked until it is.
+        </p>
+      )}
+
+      {!run ? (
+        <p className={`text-sm ${mutedClass}`}>No payroll has been calculated for {formatMonthLabel(monthKey)}.</p>
+      ) : (
+        <>
+          <p className={`mb-4 text-xs ${mutedClass}`}>
+            {run.status === 'Locked'
+              ? `Locked by ${run.lockedBy} on ${run.lockedAt.slice(0, 10)}.`
+              : `Draft calculated by ${run.calculatedBy} on ${run.calculatedAt.slice(0, 10)}. Recalculate after attendance or salary changes, then lock.`}
+            {run.taxRulesYear && ` Tax rules: FY ${run.taxRulesYear}.`}
+          </p>
+          <div className="grid grid-cols-2 md:grid-cols-5 gap-4 mb-4">
+            {[
+              ['Employees', run.totals.headcount],
+              ['Gross Pay', formatINR(run.totals.grossPay)],
+              ['Deductions', formatINR(run.totals.totalDeductions)],
+              ['Net Pay', formatINR(run.totals.netPay)],
+              ['Employer PF', formatINR(run.totals.employerPF)],
+            ].map(([label, value]) => (
+              <div key={label} className={`p-3 rounded-lg ${theme === 'dark' ? 'bg-zinc-700' : 'bg-gray-100'}`}>
+                <p className={`text-xs ${mutedClass}`}>{label}</p>
+                <p className="text-lg font-bold">{value}</p>
+              </div>
+            ))}
+          </div>
+          <div className={`overflow-x-auto rounded-lg shadow-inner ${theme === 'dark' ? 'bg-zinc-700' : 'bg-gray-100'}`}>
+            <table className="min-w-full divide-y divide-zinc-600 text-sm">
+              <thead className={theme === 'dark' ? 'bg-zinc-600' : 'bg-gray-200'}>
+                <tr>
+                  <th className={`${headerCellClass} text-left`}>Employee</th>
+                  <th className={`${headerCellClass} text-right`}>Paid Days</th>
+                  <th className={`${headerCellClass} text-right`}>LOP</th>
+                  <th className={`${headerCellClass} text-right`}>Gross</th>
+                  <th className={`${headerCellClass} text-right`}>PF</th>
+                  <th className={`${headerCellClass} text-right`}>PT</th>
+                  <th className={`${headerCellClass} text-right`}>TDS</th>
+                  <th className={`${headerCellClass} text-right`}>Net Pay</th>
+                  <th className={headerCellClass}></th>
+                </tr>
+              </thead>
+              <tbody className={theme === 'dark' ? 'divide-y divide-zinc-600' : 'divide-y divide-gray-200'}>
+                {run.payslips.map(payslip => (
+                  <tr key={payslip.employeeId} className={selectedPayslipId === payslip.employeeId ? (theme === 'dark' ? 'bg-zinc-600' : 'bg-blue-50') : ''}>
+                    <td className="px-4 py-2">{payslip.name} <span className={mutedClass}>({payslip.employeeCode})</span></td>
+                    <td className="px-4 py-2 text-right">{payslip.paidDays}/{payslip.daysInMonth}</td>
+                    <td className={`px-4 py-2 text-right ${payslip.lossOfPayDays > 0 ? 'text-red-400' : ''}`}>{payslip.lossOfPayDays}</td>
+                    <td className="px-4 py-2 text-right">{formatINR(payslip.grossPay)}</td>
+                    <td className="px-4 py-2 text-right">{formatINR(payslip.deductions.employeePF)}</td>
+                    <td className="px-4 py-2 text-right">{formatINR(payslip.deductions.professionalTax)}</td>
+                    <td className="px-4 py-2 text-right">{formatINR(payslip.deductions.tds)}</td>
+                    <td className="px-4 py-2 text-right font-semibold">{formatINR(payslip.netPay)}</td>
+                    <td className="px-4 py-2 text-right">
+                      {run.status === 'Locked' && (
+                        <button onClick={() => setSelectedPayslipId(selectedPayslipId === payslip.employeeId ? null : payslip.employeeId)} className="text-blue-400 hover:underline text-xs" aria-label={`View payslip for ${payslip.name}`}>
+                          Payslip
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          {selectedPayslip && (
+            <div className={`mt-4 p-4 rounded-lg border ${theme === 'dark' ? 'bg-zinc-700 border-zinc-600' : 'bg-gray-100 border-gray-200'} text-sm`}>
+              <div className="flex items-center justify-between mb-3">
+                <p className="font-semibold">Payslip: {selectedPayslip.name}, {formatMonthLabel(monthKey)}</p>
+                <button onClick={() => handleDownloadPayslip(selectedPayslip)} className="bg-blue-600 hover:bg-blue-700 text-white px-3 py-1 rounded-lg flex items-center space-x-1 text-xs" aria-label="Download payslip">
+                  <Download size={14} /> <span>Download</span>
+                </button>
+              </div>
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <div>
+                  <p className="font-medium mb-1">Earnings</p>
+                  <p className="flex justify-between"><span>Basic</span><span>{formatINR(selectedPayslip.earnings.basic)}</span></p>
+                  <p className="flex justify-between"><span>HRA</span><span>{formatINR(selectedPayslip.earnings.hra)}</span></p>
+                  <p className="flex justify-between"><span>Other Allowances</span><span>{formatINR(selectedPayslip.earnings.otherAllowances)}</span></p>
+                  <p className="flex justify-between font-semibold"><span>Gross Pay</span><span>{formatINR(selectedPayslip.grossPay)}</span></p>
+                </div>
+                <div>
+                  <p className="font-medium mb-1">Deductions</p>
+                  <p className="flex justify-between"><span>Provident Fund</span><span>{formatINR(selectedPayslip.deductions.employeePF)}</span></p>
+                  <p className="flex justify-between"><span>Professional Tax{selectedPayslip.location && ` (${LOCATION_STATES[selectedPayslip.location] || selectedPayslip.location})`}</span><span>{formatINR(selectedPayslip.deductions.professionalTax)}</span></p>
+                  <p className="flex justify-between"><span>Income Tax (TDS)</span><span>{formatINR(selectedPayslip.deductions.tds)}</span></p>
+                  <p className="flex justify-between font-semibold"><span>Total Deductions</span><span>{formatINR(selectedPayslip.totalDeductions)}</span></p>
+                </div>
+              </div>
+              <p className="mt-3 flex justify-between text-base font-bold"><span>Net Pay</span><span className="text-green-400">{formatINR(selectedPayslip.netPay)}</span></p>
+              <p className={`mt-1 text-xs ${mutedClass}`}>
+                Paid days {selectedPayslip.paidDays} of {selectedPayslip.daysInMonth}. Employer PF {formatINR(selectedPayslip.employerPF)}. Bank account {selectedPayslip.bankAccount}.
+              </p>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+// Calendar Event Editor (create/edit/delete, inline above the calendar grid)
+const CalendarEventEditor = ({ event, initialDraft, events, onSave, onDelete, onClose }) => {
+  const { theme } = useTheme();
+  const { showNotification } = useNotification();
+  const seriesEvent = event?.recurrence ? events.find(e => e.id === event.id) || event : null;
+  const [scope, setScope] = useState(seriesEvent ? 'occurrence' : 'series');
+  const [draft, setDraft] = useState(initialDraft);
+
+  const updateDraft = (field, value) => setDraft(prevDraft => ({ ...prevDraft, [field]: value }));
+
+  const changeScope = (newScope) => {
+    setScope(newScope);
+    // A series is edited from its first date; a single occurrence from the date that was clicked
+    updateDraft('date', newScope === 'series' && seriesEvent ? localizeOccurrence(seriesEvent, draft.timeZone).date : event.date);
+  };
+
+  const toggleAttendee = (name) => {
+    updateDraft('attendees', draft.attendees.includes(name) ? draft.attendees.filter(n => n !== name) : [...draft.attendees, name]);
+  };
+
+  const toggleRecurrence = (frequency) => {
+    updateDraft('recurrence', frequency ? { frequency, interval: draft.recurrence?.interval || 1, until: draft.recurrence?.until || '' } : null);
+  };
+
+  const conflicts = draft.attendees.length > 0
+    ? findEventConflicts(events, { ...draft, candidateId: event?.candidateId }, event?.id || null)
+    : [];
+  const canEditRecurrence = !event || !event.recurrence || scope === 'series';
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (draft.description.trim() === '' || !draft.date) {
+      showNotification('Event title and date are required.', 'error');
+      return;
+    }
+    if (draft.recurrence && draft.recurrence.until && draft.recurrence.until < draft.date) {
+      showNotification('The recurrence end date must be after the first occurrence.', 'error');
+      return;
+    }
+    const saved = await onSave({
+      ...draft,
+      description: draft.description.trim(),
+      recurrence: canEditRecurrence ? draft.recurrence : null,
+    }, { event, scope });
+    if (saved) {
+      onClose();
+    }
+  };
+
+  const handleDelete = async () => {
+    await onDelete(event, { scope });
+    onClose();
+  };
+
+  const inputClass = `mt-1 block w-full p-2 rounded-md text-sm focus:ring-blue-500 focus:border-blue-500 transition-colors duration-200 ${theme === 'dark' ? 'bg-zinc-700 border-zinc-600 text-white' : 'bg-white border-gray-300 text-zinc-900'}`;
+
+  return (
+    <form onSubmit={handleSubmit} className={`${theme === 'dark' ? 'bg-zinc-900 text-gray-300' : 'bg-gray-100 text-gray-700'} p-4 rounded-lg mb-6 space-y-4`}>
+      <div className="flex justify-between items-center">
+        <p className={`font-semibold ${theme === 'dark' ? 'text-white' : 'text-zinc-900'}`}>{event ? 'Edit Event' : 'New Event'}</p>
+        {seriesEvent && (
+          <div className="flex items-center space-x-3 text-xs">
+            <span>{describeRecurrence(seriesEvent.recurrence)}:</span>
+            {['occurrence', 'series'].map(option => (
+              <label key={option} className="flex items-center space-x-1">
+                <input type="radio" name="eventScope" checked={scope === option} onChange={() => changeScope(option)} aria-label={option === 'occurrence' ? 'Only this occurrence' : 'Entire series'} />
+                <span>{option === 'occurrence' ? 'Only this occurrence' : 'Entire series'}</span>
+              </label>
+            ))}
+          </div>
+        )}
+      </div>
+      <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+        <div className="md:col-span-2">
+          <label htmlFor="eventDescription" className="block text-sm font-medium">Title</label>
+          <input type="text" id="eventDescription" value={draft.description} onChange={(e) => updateDraft('description', e.target.value)} className={inputClass} aria-label="Event title" />
+        </div>
+        <div>
+          <label htmlFor="eventType" className="block text-sm font-medium">Type</label>
+          <select id="eventType" value={draft.type} onChange={(e) => updateDraft('type', e.target.value)} className={inputClass} aria-label="Event type">
+            {EVENT_TYPES.filter(type => type !== LEAVE_EVENT_TYPE).map(type => <option key={type} value={type}>{type}</option>)}
+          </select>
+        </div>
+        <div>
+          <label htmlFor="eventDate" className="block text-sm font-medium">{draft.recurrence && canEditRecurrence ? 'First Date' : 'Date'}</label>
+          <input type="date" id="eventDate" value={draft.date} onChange={(e) => updateDraft('date', e.target.value)} className={inputClass} aria-label="Event date" />
+        </div>
+        <div>
+          <label htmlFor="eventStartTime" className="block text-sm font-medium">Start Time</label>
+          <input
+            type="time"
+            id="eventStartTime"
+            step={SCHEDULING_SLOT_STEP * 60}
+            value={toTimeKey(draft.startMinutes)}
+            onChange={(e) => {
+              const [hours, minutes] = e.target.value.split(':').map(Number);
+              if (!Number.isNaN(hours) && !Number.isNaN(minutes)) updateDraft('startMinutes', hours * 60 + minutes);
+            }}
+            className={inputClass}
+            aria-label="Event start time"
+          />
+        </div>
+        <div>
+          <label htmlFor="eventDuration" className="block text-sm font-medium">Duration (minutes)</label>
+          <input type="number" id="eventDuration" min="15" step="15" value={draft.durationMinutes} onChange={(e) => updateDraft('durationMinutes', Number(e.target.value) || DEFAULT_EVENT_DURATION_MINUTES)} className={inputClass} aria-label="Event duration" />
+        </div>
+        <div>
+          <label htmlFor="eventRepeat" className="block text-sm font-medium">Repeats</label>
+          <select id="eventRepeat" value={draft.recurrence?.frequency || ''} onChange={(e) => toggleRecurrence(e.target.value)} className={inputClass} aria-label="Event recurrence" disabled={!canEditRecurrence}>
+            <option value="">Does not repeat</option>
+            {RECURRENCE_FREQUENCIES.map(f => <option key={f.value} value={f.value}>{f.label}</option>)}
+          </select>
+        </div>
+        {draft.recurrence && canEditRecurrence && (
+          <div className="flex space-x-2">
+            <div className="w-20">
+              <label htmlFor="eventInterval" className="block text-sm font-medium">Every</label>
+              <input type="number" id="eventInterval" min="1" value={draft.recurrence.interval} onChange={(e) => updateDraft('recurrence', { ...draft.recurrence, interval: Math.max(1, Number(e.target.value) || 1) })} className={inputClass} aria-label="Recurrence interval" />
+            </div>
+            <div className="flex-1">
+              <label htmlFor="eventUntil" className="block text-sm font-medium">Until (optional)</label>
+              <input type="date" id="eventUntil" value={draft.recurrence.until || ''} onChange={(e) => updateDraft('recurrence', { ...draft.recurrence, until: e.target.value })} className={inputClass} aria-label="Recurrence end date" />
+            </div>
+          </div>
+        )}
+      </div>
+      <div>
+        <p className="text-sm font-medium mb-1">Attendees</p>
+        <div className="flex flex-wrap gap-2">
+          {TEAM_MEMBERS.map(member => (
+            <button
+              key={member.name}
+              type="button"
+              onClick={() => toggleAttendee(member.name)}
+              className={`px-3 py-1 rounded-full text-xs transition-colors duration-200 ${draft.attendees.includes(member.name) ? 'bg-blue-600 text-white' : (theme === 'dark' ? 'bg-zinc-700 text-gray-300 hover:bg-zinc-600' : 'bg-white text-gray-700 hover:bg-gray-200')}`}
+              aria-pressed={draft.attendees.includes(member.name)}
+              aria-label={`Toggle attendee ${member.name}`}
+            >
+              {member.name}
+            </button>
+          ))}
+        </div>
+      </div>
+      <label className="flex items-center space-x-2 text-sm">
+        <input type="checkbox" checked={draft.virtual} onChange={(e) => updateDraft('virtual', e.target.checked)} aria-label="Virtual event" />
+        <span>Virtual event</span>
+      </label>
+      {conflicts.length > 0 && (
+        <p className="text-xs text-red-400">
+          Overlaps with: {conflicts.map(conflict => `${conflict.description} (${conflict.time})`).join(', ')}
+        </p>
+      )}
+      <div className="flex space-x-2">
+        <button type="submit" className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg flex items-center space-x-2 text-sm transition-transform transform hover:scale-105 active:scale-95" aria-label="Save event">
+          <Save size={16} /> <span>Save</span>
+        </button>
+        {event && (
+          <button type="button" onClick={handleDelete} className="bg-red-600 hover:bg-red-700 text-white px-4 py-2 rounded-lg text-sm transition-transform transform hover:scale-105 active:scale-95" aria-label="Delete event">
+            {event.candidateId ? 'Cancel Interview' : (seriesEvent && scope === 'occurrence' ? 'Delete Occurrence' : 'Delete')}
+          </button>
+        )}
+        {event && (
+          <button type="button" onClick={() => downloadIcsFile([events.find(e => e.id === event.id) || event], `${(event.description || 'event').replace(/[^a-z0-9]+/gi, '-')}.ics`)} className={`px-4 py-2 rounded-lg flex items-center space-x-2 text-sm ${theme === 'dark' ? 'bg-zinc-700 text-gray-200' : 'bg-gray-200 text-gray-700'}`} aria-label="Export event as an iCalendar file">
+            <Download size={16} /> <span>.ics</span>
+          </button>
+        )}
+        <button type="button" onClick={onClose} className={`px-4 py-2 rounded-lg text-sm ${theme === 'dark' ? 'bg-zinc-700 text-gray-200' : 'bg-gray-200 text-gray-700'}`} aria-label="Close event editor">
+          Close
+        </button>
+      </div>
+    </form>
+  );
+};
+
+// Calendar View Component
+const CalendarView = ({ events, onSaveEvent, onDeleteEvent, onMoveEvent, onImportEvents }) => {
+  const { theme } = useTheme();
+  const { timeZone } = useTimeZone();
+  const { showNotification } = useNotification();
+  const [viewMode, setViewMode] = useState('month'); // 'month' | 'week' | 'day'
+  const [filterType, setFilterType] = useState('All');
+  const importInputRef = useRef(null);
+  // Grid dates are plain calendar days; "today" comes from the display timezone rather than the browser's
+  const [focusDate, setFocusDate] = useState(() => parseDateKey(getTodayKey(timeZone)));
+  const [selectedDate, setSelectedDate] = useState(null); // YYYY-MM-DD selected in the month grid
+  const [editor, setEditor] = useState(null); // { event, draft } while creating or editing
+  const [dragOverSlot, setDragOverSlot] = useState(null);
+
+  const eventTypeClasses = {
+    'Interview': 'bg-indigo-600/80 border-indigo-400',
+    'Meeting': 'bg-blue-600/80 border-blue-400',
+    'HR Meeting': 'bg-teal-600/80 border-teal-400',
+    'Task Deadline': 'bg-orange-600/80 border-orange-400',
+    'Candidate Follow-up': 'bg-purple-600/80 border-purple-400',
+    'Team Absence': 'bg-rose-600/80 border-rose-400',
+  };
+
+  const filteredEvents = filterType === 'All' ? events : events.filter(event => event.type === filterType);
+
+  // --- Navigation ---
+  const shiftFocus = (direction) => {
+    if (viewMode === 'month') {
+      setFocusDate(new Date(focusDate.getFullYear(), focusDate.getMonth() + direction, 1));
+    } else {
+      setFocusDate(addDays(focusDate, direction * (viewMode === 'week' ? 7 : 1)));
+    }
+  };
+
+  const weekStart = addDays(focusDate, -focusDate.getDay());
+  const gridDates = viewMode === 'week'
+    ? Array.from({ length: 7 }, (_, i) => addDays(weekStart, i))
+    : [focusDate];
+
+  const title = viewMode === 'month'
+    ? focusDate.toLocaleString('default', { month: 'long', year: 'numeric' })
+    : viewMode === 'week'
+      ? `${gridDates[0].toLocaleDateString('default', { month: 'short', day: 'numeric' })} - ${gridDates[6].toLocaleDateString('default', { month: 'short', day: 'numeric', year: 'numeric' })}`
+      : focusDate.toLocaleDateString('default', { weekday: 'long', month: 'long', day: 'numeric', year: 'numeric' });
+
+  // --- Editor ---
+  const openNewEvent = (dateKey, startMinutes = 9 * 60) => {
+    setEditor({
+      event: null,
+      draft: { description: '', type: 'Meeting', date: dateKey, startMinutes, durationMinutes: DEFAULT_EVENT_DURATION_MINUTES, virtual: false, attendees: [], recurrence: null, timeZone },
+    });
+  };
+
+  const openExistingEvent = (occurrence) => {
+    // Absences follow their leave request; they change through approval or cancellation in HRIS
+    if (occurrence.leaveRequestId) {
+      showNotification(`${occurrence.description} is managed from Leave Management in HRIS.`, 'info');
+      return;
+    }
+    setEditor({
+      event: occurrence,
+      draft: {
+        description: occurrence.description || '',
+        type: occurrence.type || 'Meeting',
+        date: occurrence.date,
+        startMinutes: getEventMinutes(occurrence)?.start ?? 9 * 60,
+        durationMinutes: Number(occurrence.durationMinutes) || DEFAULT_EVENT_DURATION_MINUTES,
+        virtual: !!occurrence.virtual,
+        attendees: occurrence.attendees || [],
+        recurrence: occurrence.recurrence || null,
+        timeZone,
+      },
+    });
+  };
+
+  // --- iCalendar import/export ---
+  const handleExport = () => {
+    const suffix = filterType === 'All' ? 'all' : filterType.toLowerCase().replace(/[^a-z0-9]+/g, '-');
+    downloadIcsFile(filteredEvents, `calendar-${suffix}-${getTodayKey(timeZone)}.ics`);
+  };
+
+  const handleImportFile = async (e) => {
+    const file = e.target.files && e.target.files[0];
+    e.target.value = ''; // Allow re-importing the same file
+    if (!file) return;
+    const text = await file.text();
+    await onImportEvents(parseIcsCalendar(text, timeZone), file.name);
+  };
+
+  // --- Drag to reschedule (week/day grids) ---
+  const handleDragStart = (e, occurrence) => {
+    e.dataTransfer.setData('text/plain', JSON.stringify({ id: occurrence.id, occurrenceDate: occurrence.occurrenceDate }));
+    e.dataTransfer.effectAllowed = 'move';
+  };
+
+  const handleDrop = async (e, dateKey, startMinutes) => {
+    e.preventDefault();
+    setDragOverSlot(null);
+    let payload;
+    try {
+      payload = JSON.parse(e.dataTransfer.getData('text/plain'));
+    } catch (error) {
+      return;
+    }
+    const event = events.find(ev => ev.id === payload.id);
+    if (event) {
+      await onMoveEvent({ ...event, date: payload.occurrenceDate, occurrenceDate: payload.occurrenceDate }, dateKey, startMinutes, timeZone);
+    }
+  };
+
+  // Side-by-side lanes for overlapping events in one day column
+  const layoutDayEvents = (dayEvents) => {
+    const laneEnds = [];
+    const placed = dayEvents
+      .map(occurrence => ({ occurrence, minutes: getEventMinutes(occurrence) }))
+      .sort((a, b) => a.minutes.start - b.minutes.start)
+      .map(item => {
+        let lane = laneEnds.findIndex(end => end <= item.minutes.start);
+        if (lane === -1) {
+          lane = laneEnds.length;
+          laneEnds.push(item.minutes.end);
+        } else {
+          laneEnds[lane] = item.minutes.end;
+        }
+        return { ...item, lane };
+      });
+    return placed.map(item => ({ ...item, laneCount: laneEnds.length }));
+  };
+
+  // --- Month grid ---
+  const renderMonthView = () => {
+    const year = focusDate.getFullYear();
+    const month = focusDate.getMonth();
+    const daysInMonth = new Date(year, month + 1, 0).getDate();
+    const firstDayOfMonth = new Date(year, month, 1).getDay(); // 0 for Sunday, 1 for Monday
+    const monthDateKeys = Array.from({ length: daysInMonth }, (_, i) => toLocalDateKey(new Date(year, month, i + 1)));
+    const occurrences = expandEventOccurrencesInZone(filteredEvents, monthDateKeys, timeZone);
+    const daysArray = [...Array(firstDayOfMonth).fill(null), ...monthDateKeys];
+    const eventsForSelectedDate = selectedDate ? occurrences.filter(o => o.date === selectedDate) : [];
+
+    return (
+      <>
+        <div className="grid grid-cols-7 gap-2 text-center text-sm mb-4">
+          {['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].map(day => (
+            <div key={day} className="font-bold text-blue-400">{day}</div>
+          ))}
+        </div>
+
+        <div className="grid grid-cols-7 gap-2">
+          {daysArray.map((dateKey, index) => {
+            const dayEvents = dateKey ? occurrences.filter(o => o.date === dateKey && o.status !== 'Cancelled') : [];
+            return (
+              <div
+                key={index}
+                className={`p-2 rounded-lg aspect-square flex flex-col items-center justify-start text-xs transition-colors duration-200 ${
+                  dateKey ? `${theme === 'dark' ? 'bg-zinc-700 hover:bg-zinc-600' : 'bg-gray-100 hover:bg-gray-200'} cursor-pointer` : `${theme === 'dark' ? 'bg-zinc-800' : 'bg-white'}`
+                } ${selectedDate && dateKey === selectedDate ? 'border-2 border-blue-500' : ''}`}
+                onClick={() => dateKey && setSelectedDate(dateKey)}
+                onDoubleClick={() => dateKey && openNewEvent(dateKey)}
+                role="gridcell"
+                aria-label={dateKey ? parseDateKey(dateKey).toLocaleDateString() : 'Empty day'}
+              >
+                {dateKey && <span className={`font-semibold ${theme === 'dark' ? 'text-white' : 'text-zinc-900'}`}>{parseDateKey(dateKey).getDate()}</span>}
+                {dayEvents.length > 0 && (
+                  <div className="flex items-center space-x-1 mt-1">
+                    <div className="w-1.5 h-1.5 bg-green-400 rounded-full animate-pulse"></div>
+                    <span className={theme === 'dark' ? 'text-gray-400' : 'text-gray-600'}>{dayEvents.length}</span>
+                  </div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+
+        {selectedDate && (
+          <div className="mt-8">
+            <h3 className={`text-lg font-semibold mb-3 flex items-center justify-between ${theme === 'dark' ? 'text-white' : 'text-zinc-900'}`}>
+              Events for {parseDateKey(selectedDate).toLocaleDateString()}
+              <button onClick={() => openNewEvent(selectedDate)} className="bg-green-600 hover:bg-green-700 text-white px-3 py-1 rounded-lg flex items-center space-x-1 text-sm" aria-label="Add event on this date">
+                <Plus size={14} /> <span>Add Event</span>
+              </button>
+            </h3>
+            {eventsForSelectedDate.length > 0 ? (
+              <ul className="space-y-2">
+                {eventsForSelectedDate
+                  .sort((a, b) => (getEventMinutes(a)?.start ?? 0) - (getEventMinutes(b)?.start ?? 0))
+                  .map(event => (
+                    <li key={`${event.id}-${event.occurrenceDate}`} className={`${theme === 'dark' ? 'bg-zinc-700' : 'bg-gray-100'} p-3 rounded-lg flex justify-between items-center text-sm`}>
+                      <div className={event.status === 'Cancelled' ? 'line-through opacity-60' : ''}>
+                        <p className={`font-bold ${theme === 'dark' ? 'text-white' : 'text-zinc-900'}`}>{event.description}</p>
+                        <p className={`text-gray-400 ${theme === 'dark' ? 'text-gray-400' : 'text-gray-600'}`}>
+                          {event.type} - {event.time}{event.recurrence ? ` · ${describeRecurrence(event.recurrence)}` : ''}
+                        </p>
+                        {event.attendees && event.attendees.length > 0 && (
+                          <p className={`text-xs ${theme === 'dark' ? 'text-gray-400' : 'text-gray-600'}`}>With: {event.attendees.join(', ')}</p>
+                        )}
+                      </div>
+                      {event.status === 'Cancelled' ? (
+                        <span className="px-2 text-xs font-semibold rounded-full bg-red-600/20 text-red-300">Cancelled</span>
+                      ) : (
+                        <button onClick={() => openExistingEvent(event)} className="text-blue-400 hover:text-blue-300" aria-label={`Edit ${event.description}`}>
+                          <Pencil size={14} />
+                        </button>
+                      )}
+                    </li>
+                  ))}
+              </ul>
+            ) : (
+              <p className={`text-sm ${theme === 'dark' ? 'text-gray-400' : 'text-gray-600'}`}>No events scheduled for this date.</p>
+            )}
+          </div>
+        )}
+      </>
+    );
+  };
+
+  // --- Week/day time grid ---
+  const renderTimeGrid = () => {
+    const dateKeys = gridDates.map(toLocalDateKey);
+    const occurrences = expandEventOccurrencesInZone(filteredEvents, dateKeys, timeZone).filter(o => o.status !== 'Cancelled');
+    const gridStart = CALENDAR_GRID_START_HOUR * 60;
+    const gridEnd = CALENDAR_GRID_END_HOUR * 60;
+    const hours = Array.from({ length: CALENDAR_GRID_END_HOUR - CALENDAR_GRID_START_HOUR }, (_, i) => CALENDAR_GRID_START_HOUR + i);
+    const slots = [];
+    for (let minutes = gridStart; minutes < gridEnd; minutes += SCHEDULING_SLOT_STEP) {
+      slots.push(minutes);
+    }
+    const slotHeight = CALENDAR_HOUR_HEIGHT * SCHEDULING_SLOT_STEP / 60;
+    const todayKey = getTodayKey(timeZone);
+
+    return (
+      <div className="overflow-x-auto">
+        <div className="flex min-w-[600px]">
+          {/* Hour labels */}
+          <div className="w-16 flex-shrink-0">
+            <div className="h-16"></div>
+            {hours.map(hour => (
+              <div key={hour} style={{ height: CALENDAR_HOUR_HEIGHT }} className={`text-xs text-right pr-2 -mt-2 ${theme === 'dark' ? 'text-gray-400' : 'text-gray-500'}`}>
+                {formatMinutesAsTime(hour * 60)}
+              </div>
+            ))}
+          </div>
+
+          {dateKeys.map(dateKey => {
+            const dayOccurrences = occurrences.filter(o => o.date === dateKey);
+            const timedEvents = layoutDayEvents(dayOccurrences.filter(o => getEventMinutes(o) !== null));
+            const untimedEvents = dayOccurrences.filter(o => getEventMinutes(o) === null);
+            return (
+              <div key={dateKey} className="flex-1 min-w-[80px]">
+                {/* Day header and events without a usable time */}
+                <div className={`h-16 px-1 border-b text-center ${theme === 'dark' ? 'border-zinc-700' : 'border-gray-200'}`}>
+                  <button
+                    onClick={() => { setFocusDate(parseDateKey(dateKey)); setViewMode('day'); }}
+                    className={`text-xs font-semibold ${dateKey === todayKey ? 'text-blue-400' : (theme === 'dark' ? 'text-white' : 'text-zinc-900')}`}
+                    aria-label={`Open day view for ${dateKey}`}
+                  >
+                    {parseDateKey(dateKey).toLocaleDateString('default', { weekday: 'short', day: 'numeric' })}
+                  </button>
+                  {untimedEvents.map(occurrence => (
+                    <button key={`${occurrence.id}-${dateKey}`} onClick={() => openExistingEvent(occurrence)} className={`block w-full truncate text-[10px] mt-0.5 px-1 rounded text-white ${eventTypeClasses[occurrence.type] || 'bg-zinc-600'}`} aria-label={`Edit ${occurrence.description}`}>
+                      {occurrence.description}
+                    </button>
+                  ))}
+                </div>
+                <div className={`relative border-l ${theme === 'dark' ? 'border-zinc-700' : 'border-gray-200'}`} style={{ height: (gridEnd - gridStart) / 60 * CALENDAR_HOUR_HEIGHT }}>
+                  {/* Click-to-create / drop targets */}
+                  {slots.map(minutes => {
+                    const slotKey = `${dateKey}-${minutes}`;
+                    return (
+                      <div
+                        key={slotKey}
+                        style={{ height: slotHeight }}
+                        className={`border-b cursor-pointer transition-colors duration-150 ${minutes % 60 === 0 ? (theme === 'dark' ? 'border-zinc-800' : 'border-gray-100') : (theme === 'dark' ? 'border-zinc-700' : 'border-gray-200')} ${
+                          dragOverSlot === slotKey ? 'bg-blue-500/30' : (theme === 'dark' ? 'hover:bg-zinc-700' : 'hover:bg-gray-100')
+                        }`}
+                        onClick={() => openNewEvent(dateKey, minutes)}
+                        onDragOver={(e) => { e.preventDefault(); setDragOverSlot(slotKey); }}
+                        onDragLeave={() => setDragOverSlot(null)}
+                        onDrop={(e) => handleDrop(e, dateKey, minutes)}
+                        aria-label={`Create event on ${dateKey} at ${formatMinutesAsTime(minutes)}`}
+                      ></div>
+                    );
+                  })}
+                  {timedEvents.map(({ occurrence, minutes, lane, laneCount }) => {
+                    const top = Math.max(0, (minutes.start - gridStart) / 60 * CALENDAR_HOUR_HEIGHT);
+                    const bottom = Math.min(gridEnd - gridStart, minutes.end - gridStart) / 60 * CALENDAR_HOUR_HEIGHT;
+                    return (
+                      <div
+                        key={`${occurrence.id}-${dateKey}`}
+                        draggable
+                        onDragStart={(e) => handleDragStart(e, occurrence)}
+                        onClick={() => openExistingEvent(occurrence)}
+                        style={{ top, height: Math.max(bottom - top, 18), left: `${(lane / laneCount) * 100}%`, width: `${100 / laneCount}%` }}
+                        className={`absolute p-1 rounded border-l-4 text-[11px] leading-tight text-white overflow-hidden cursor-move shadow ${eventTypeClasses[occurrence.type] || 'bg-zinc-600 border-zinc-400'}`}
+                        role="button"
+                        aria-label={`${occurrence.description} at ${occurrence.time}`}
+                      >
+                        <p className="font-semibold truncate">{occurrence.description}</p>
+                        <p className="truncate opacity-80">{formatMinutesAsTime(minutes.start)}{occurrence.recurrence ? ' ↻' : ''}</p>
+                      </div>
+                    );
+                  })}
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      </div>
+    );
+  };
+
+  return (
+    <div>
+      <h2 className={`text-xl font-semibold mb-4 ${theme === 'dark' ? 'text-white' : 'text-zinc-900'}`}>Task & Schedule Calendar</h2>
+      <div className={`p-6 rounded-lg shadow-md ${theme === 'dark' ? 'bg-zinc-800 text-gray-300' : 'bg-white text-gray-700'}`}>
+        <div className="flex flex-wrap justify-between items-center gap-3 mb-6">
+          <div className="flex items-center space-x-2">
+            <button onClick={() => shiftFocus(-1)} className="px-3 py-1 rounded-full bg-blue-600 hover:bg-blue-700 text-white text-sm transition-colors duration-200" aria-label={`Previous ${viewMode}`}>
+              Prev
+            </button>
+            <button onClick={() => setFocusDate(parseDateKey(getTodayKey(timeZone)))} className={`px-3 py-1 rounded-full text-sm transition-colors duration-200 ${theme === 'dark' ? 'bg-zinc-700 hover:bg-zinc-600 text-gray-200' : 'bg-gray-200 hover:bg-gray-300 text-gray-700'}`} aria-label="Go to today">
+              Today
+            </button>
+            <button onClick={() => shiftFocus(1)} className="px-3 py-1 rounded-full bg-blue-600 hover:bg-blue-700 text-white text-sm transition-colors duration-200" aria-label={`Next ${viewMode}`}>
+              Next
+            </button>
+          </div>
+          <h3 className={`text-lg font-bold ${theme === 'dark' ? 'text-white' : 'text-zinc-900'}`}>{title}</h3>
+          <div className="flex items-center space-x-2">
+            {['month', 'week', 'day'].map(mode => (
+              <button
+                key={mode}
+                onClick={() => setViewMode(mode)}
+                className={`px-3 py-1 rounded-lg text-sm capitalize transition-colors duration-200 ${viewMode === mode ? 'bg-blue-600 text-white' : (theme === 'dark' ? 'bg-zinc-700 text-gray-300 hover:bg-zinc-600' : 'bg-gray-100 text-gray-700 hover:bg-gray-200')}`}
+                aria-pressed={viewMode === mode}
+                aria-label={`Show ${mode} view`}
+              >
+                {mode}
+              </button>
+            ))}
+            <button onClick={() => openNewEvent(toLocalDateKey(viewMode === 'month' && selectedDate ? parseDateKey(selectedDate) : focusDate))} className="bg-green-600 hover:bg-green-700 text-white px-3 py-1 rounded-lg flex items-center space-x-1 text-sm" aria-label="New event">
+              <Plus size={14} /> <span>New Event</span>
+            </button>
+          </div>
+        </div>
+
+        <div className="flex flex-wrap items-center justify-between gap-3 mb-6">
+          <div className="flex items-center space-x-2 text-sm">
+            <label htmlFor="calendar-type-filter" className={theme === 'dark' ? 'text-gray-400' : 'text-gray-600'}>Show:</label>
+            <select
+              id="calendar-type-filter"
+              value={filterType}
+              onChange={(e) => setFilterType(e.target.value)}
+              className={`p-1 rounded-lg border ${theme === 'dark' ? 'bg-zinc-700 text-white border-zinc-600' : 'bg-gray-100 text-zinc-900 border-gray-300'}`}
+            >
+              <option value="All">All event types</option>
+              {EVENT_TYPES.map(type => <option key={type} value={type}>{type}</option>)}
+            </select>
+          </div>
+          <div className="flex items-center space-x-2">
+            <button onClick={handleExport} disabled={filteredEvents.length === 0} className={`px-3 py-1 rounded-lg flex items-center space-x-1 text-sm disabled:opacity-50 ${theme === 'dark' ? 'bg-zinc-700 hover:bg-zinc-600 text-gray-200' : 'bg-gray-200 hover:bg-gray-300 text-gray-700'}`} aria-label="Export shown events as an iCalendar file">
+              <Download size={14} /> <span>Export .ics</span>
+            </button>
+            <button onClick={() => importInputRef.current && importInputRef.current.click()} className={`px-3 py-1 rounded-lg flex items-center space-x-1 text-sm ${theme === 'dark' ? 'bg-zinc-700 hover:bg-zinc-600 text-gray-200' : 'bg-gray-200 hover:bg-gray-300 text-gray-700'}`} aria-label="Import events from an iCalendar file">
+              <Upload size={14} /> <span>Import .ics</span>
+            </button>
+            <input ref={importInputRef} type="file" accept=".ics,text/calendar" onChange={handleImportFile} className="hidden" aria-hidden="true" />
+          </div>
+        </div>
+
+        {editor && (
+          <CalendarEventEditor
+            key={editor.event ? `${editor.event.id}-${editor.event.occurrenceDate}` : `new-${editor.draft.date}-${editor.draft.startMinutes}`}
+            event={editor.event}
+            initialDraft={editor.draft}
+            events={events}
+            onSave={onSaveEvent}
+            onDelete={onDeleteEvent}
+            onClose={() => setEditor(null)}
+          />
+        )}
+
+        {viewMode === 'month' ? renderMonthView() : renderTimeGrid()}
+        <p className={`mt-4 text-xs ${theme === 'dark' ? 'text-gray-400' : 'text-gray-500'}`}>
+          Times are shown in {formatTimeZoneLabel(timeZone)}. {viewMode === 'month' ? 'Double-click a day to add an event.' : 'Click an empty slot to add an event, or drag an event to reschedule it.'} Moving one occurrence of a recurring event leaves the rest of the series unchanged.
+        </p>
+      </div>
+    </div>
+  );
+};
+
+
+// Candidate Pipeline (Kanban) Board Component
+const CandidatePipelineBoard = ({ candidates, requisitions = [], onUpdateCandidateStage, onCandidateClick }) => {
+  const { theme } = useTheme();
+  const [filterJob, setFilterJob] = useState('All');
+  const [filterRequisitionId, setFilterRequisitionId] = useState('All');
+  const [dragOverStage, setDragOverStage] = useState(null);
+
+  const jobs = ['All', ...[...new Set(candidates.map(c => c.jobAppliedFor))].sort()];
+  const filteredCandidates = candidates.filter(c =>
+    (filterJob === 'All' || c.jobAppliedFor === filterJob) &&
+    (filterRequisitionId === 'All' || c.requisitionId === filterRequisitionId)
+  );
+
+  const handleDragStart = (e, candidate) => {
+    e.dataTransfer.setData('text/plain', candidate.id);
+    e.dataTransfer.effectAllowed = 'move';
+  };
+
+  const handleDrop = async (e, stage) => {
+    e.preventDefault();
+    setDragOverStage(null);
+    const candidateId = e.dataTransfer.getData('text/plain');
+    const candidate = candidates.find(c => c.id === candidateId);
+    if (candidate && candidate.stage !== stage) {
+      await onUpdateCandidateStage(candidateId, stage);
+    }
+  };
+
+  return (
+    <div>
+      <div className="flex flex-wrap gap-4 mb-4">
+        <select
+          value={filterJob}
+          onChange={(e) => setFilterJob(e.target.value)}
+          className={`p-2 rounded-md text-sm focus:ring-blue-500 focus:border-blue-500 transition-colors duration-200 ${theme === 'dark' ? 'bg-zinc-700 border-zinc-600 text-white' : 'bg-gray-100 border-gray-300 text-zinc-900'}`}
+          aria-label="Filter board by job"
+        >
+          {jobs.map(job => (
+            <option key={job} value={job}>{job}</option>
+          ))}
+        </select>
+        <select
+          value={filterRequisitionId}
+          onChange={(e) => setFilterRequisitionId(e.target.value)}
+          className={`p-2 rounded-md text-sm focus:ring-blue-500 focus:border-blue-500 transition-colors duration-200 ${theme === 'dark' ? 'bg-zinc-700 border-zinc-600 text-white' : 'bg-gray-100 border-gray-300 text-zinc-900'}`}
+          aria-label="Filter board by requisition"
+        >
+          <option value="All">All Requisitions</option>
+          {requisitions.map(requisition => (
+            <option key={requisition.id} value={requisition.id}>{requisition.title} - {requisition.location} ({requisition.status})</option>
+          ))}
+        </select>
+      </div>
+      <div className="flex space-x-4 overflow-x-auto pb-4">
+        {CANDIDATE_STAGES.map(stage => {
+          const stageCandidates = filteredCandidates.filter(c => c.stage === stage);
+          const avgMatchScore = stageCandidates.length > 0
+            ? Math.round(stageCandidates.reduce((sum, c) => sum + (Number(c.matchScore) || 0), 0) / stageCandidates.length)
+            : null;
+          return (
+            <div
+              key={stage}
+              onDragOver={(e) => { e.preventDefault(); setDragOverStage(stage); }}
+              onDragLeave={() => setDragOverStage(null)}
+              onDrop={(e) => handleDrop(e, stage)}
+              className={`flex-shrink-0 w-64 rounded-lg p-3 transition-colors duration-200 ${
+                dragOverStage === stage ? 'ring-2 ring-blue-500' : ''
+              } ${theme === 'dark' ? 'bg-zinc-800' : 'bg-gray-100'}`}
+              aria-label={`${stage} column`}
+            >
+              <div className="mb-3">
+                <h3 className={`text-sm font-semibold ${theme === 'dark' ? 'text-white' : 'text-zinc-900'}`}>{stage}</h3>
+                <p className={`text-xs ${theme === 'dark' ? 'text-gray-400' : 'text-gray-600'}`}>
+                  {stageCandidates.length} candidate{stageCandidates.length === 1 ? '' : 's'} · Avg. match {avgMatchScore !== null ? `${avgMatchScore}%` : 'N/A'}
+                </p>
+              </div>
+              <div className="space-y-2 min-h-[100px]">
+                {stageCandidates.map(candidate => (
+                  <div
+                    key={candidate.id}
+                    draggable
+                    onDragStart={(e) => handleDragStart(e, candidate)}
+                    onClick={() => onCandidateClick(candidate.id)}
+                    className={`p-3 rounded-lg shadow cursor-move text-sm transition-colors duration-200 ${theme === 'dark' ? 'bg-zinc-700 hover:bg-zinc-600' : 'bg-white hover:bg-gray-50'}`}
+                    role="button"
+                    aria-label={`Open ${candidate.name}`}
+                  >
+                    <p className={`font-medium ${theme === 'dark' ? 'text-white' : 'text-zinc-900'}`}>{candidate.name}</p>
+                    <p className={`text-xs ${theme === 'dark' ? 'text-gray-400' : 'text-gray-600'}`}>{candidate.jobAppliedFor}</p>
+                    <p className="text-xs font-bold text-blue-400 mt-1">{candidate.matchScore}% match</p>
+                  </div>
+                ))}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+      <p className={`mt-2 text-xs ${theme === 'dark' ? 'text-gray-400' : 'text-gray-500'}`}>Drag a candidate card to another column to move them to that stage.</p>
+    </div>
+  );
+};
+
+
+// Job Requisitions Page Component
+const RequisitionsPage = ({ requisitions, candidates, salaryTemplates = [], onCreateRequisition, onTransitionRequisition }) => {
+  const { theme } = useTheme();
+  const { showNotification } = useNotification();
+  const hiringManagers = TEAM_MEMBERS.filter(m => m.role === 'Hiring Manager' || m.role === 'Engineering Lead');
+  const emptyForm = {
+    title: '',
+    department: DEPARTMENTS[0],
+    location: OFFICE_LOCATIONS[0],
+    headcount: 1,
+    salaryTemplateId: '',
+    salaryBandMin: '',
+    salaryBandMax: '',
+    hiringManager: hiringManagers[0]?.name || '',
+    interviewPlan: DEFAULT_INTERVIEW_PLAN.join(', '),
+  };
+  const [isCreating, setIsCreating] = useState(false);
+  const [form, setForm] = useState(emptyForm);
+  const [filterStatus, setFilterStatus] = useState('All');
+  const [expandedRequisitionId, setExpandedRequisitionId] = useState(null);
+  const [actionComment, setActionComment] = useState('');
+
+  const statusBadgeClasses = {
+    'Pending Approval': 'bg-yellow-600/20 text-yellow-300',
+    'Open': 'bg-green-600/20 text-green-300',
+    'Rejected': 'bg-red-600/20 text-red-300',
+    'Closed': 'bg-zinc-600/20 text-zinc-300',
+  };
+
+  const updateForm = (field, value) => setForm(prevForm => ({ ...prevForm, [field]: value }));
+
+  // Picking a grade starts the requisition's band from the grade's band
+  const handleGradeSelect = (templateId) => {
+    const template = salaryTemplates.find(t => t.id === templateId);
+    setForm(prevForm => ({
+      ...prevForm,
+      salaryTemplateId: templateId,
+      salaryBandMin: template ? template.band.min : prevForm.salaryBandMin,
+      salaryBandMax: template ? template.band.max : prevForm.salaryBandMax,
+    }));
+  };
+
+  const filteredRequisitions = requisitions
+    .filter(r => filterStatus === 'All' || r.status === filterStatus)
+    .sort((a, b) => (b.createdAt || '').localeCompare(a.createdAt || ''));
+
+  const handleCreateSubmit = async (e) => {
+    e.preventDefault();
+    const salaryBandMin = Number(form.salaryBandMin);
+    const salaryBandMax = Number(form.salaryBandMax);
+    if (form.title.trim() === '' || Number(form.headcount) < 1) {
+      showNotification('Title and a headcount of at least 1 are required.', 'error');
+      return;
+    }
+    if (salaryBandMin <= 0 || salaryBandMax < salaryBandMin) {
+      showNotification('Enter a valid salary band (min must not exceed max).', 'error');
+      return;
+    }
+    const requisitionId = await onCreateRequisition({
+      title: form.title.trim(),
+      department: form.department,
+      location: form.location,
+      headcount: Number(form.headcount),
+      salaryTemplateId: form.salaryTemplateId,
+      salaryBand: { min: salaryBandMin, max: salaryBandMax },
+      hiringManager: form.hiringManager,
+      interviewPlan: form.interviewPlan.split(',').map(round => round.trim()).filter(Boolean),
+    });
+    if (requisitionId) {
+      setForm(emptyForm);
+      setIsCreating(false);
+      setExpandedRequisitionId(requisitionId);
+    }
+  };
+
+  const runTransition = async (requisition, toStatus) => {
+    await onTransitionRequisition(requisition, toStatus, actionComment);
+    setActionComment('');
+  };
+
+  const inputClass = `mt-1 block w-full p-2 rounded-md text-sm focus:ring-blue-500 focus:border-blue-500 transition-colors duration-200 ${theme === 'dark' ? 'bg-zinc-700 border-zinc-600 text-white' : 'bg-gray-100 border-gray-300 text-zinc-900'}`;
+  const labelClass = `block text-sm font-medium ${theme === 'dark' ? 'text-gray-400' : 'text-gray-800'}`;
+
+  return (
+    <div>
+      <h2 className={`text-xl font-semibold mb-4 flex items-center justify-between ${theme === 'dark' ? 'text-white' : 'text-zinc-900'}`}>
+        Job Requisitions
+        <button onClick={() => setIsCreating(!isCreating)} className="bg-green-600 hover:bg-green-700 text-white px-4 py-2 rounded-lg flex items-center space-x-2 text-sm transition-transform transform hover:scale-105 active:scale-95" aria-label="New Requisition">
+          <Plus size={18} /> <span>New Requisition</span>
+        </button>
+      </h2>
+
+      {isCreating && (
+        <form onSubmit={handleCreateSubmit} className={`p-6 rounded-lg shadow-md mb-6 grid grid-cols-1 md:grid-cols-3 gap-4 ${theme === 'dark' ? 'bg-zinc-800 text-gray-300' : 'bg-white text-gray-700'}`}>
+          <div>
+            <label htmlFor="reqTitle" className={labelClass}>Job Title</label>
+            <input type="text" id="reqTitle" value={form.title} onChange={(e) => updateForm('title', e.target.value)} className={inputClass} placeholder="e.g., Senior Software Engineer" aria-label="Requisition title" />
+          </div>
+          <div>
+            <label htmlFor="reqDepartment" className={labelClass}>Department</label>
+            <select id="reqDepartment" value={form.department} onChange={(e) => updateForm('department', e.target.value)} className={inputClass} aria-label="Requisition department">
+              {DEPARTMENTS.map(dept => <option key={dept} value={dept}>{dept}</option>)}
+            </select>
+          </div>
+          <div>
+            <label htmlFor="reqLocation" className={labelClass}>Location</label>
+            <select id="reqLocation" value={form.location} onChange={(e) => updateForm('location', e.target.value)} className={inputClass} aria-label="Requisition location">
+              {OFFICE_LOCATIONS.map(location => <option key={location} value={location}>{location}</option>)}
+            </select>
+          </div>
+          <div>
+            <label htmlFor="reqHeadcount" className={labelClass}>Headcount</label>
+            <input type="number" min="1" id="reqHeadcount" value={form.headcount} onChange={(e) => updateForm('headcount', e.target.value)} className={inputClass} aria-label="Requisition headcount" />
+          </div>
+          <div>
+            <label htmlFor="reqGrade" className={labelClass}>Grade</label>
+            <select id="reqGrade" value={form.salaryTemplateId} onChange={(e) => handleGradeSelect(e.target.value)} className={inputClass} aria-label="Requisition grade">
+              <option value="">No grade</option>
+              {[...salaryTemplates].sort((a, b) => a.grade.localeCompare(b.grade)).map(template => <option key={template.id} value={template.id}>{template.grade} - {template.name}</option>)}
+            </select>
+          </div>
+          <div>
+            <label htmlFor="reqBandMin" className={labelClass}>Salary Band Min (INR)</label>
+            <input type="number" id="reqBandMin" value={form.salaryBandMin} onChange={(e) => updateForm('salaryBandMin', e.target.value)} className={inputClass} aria-label="Salary band minimum" />
+          </div>
+          <div>
+            <label htmlFor="reqBandMax" className={labelClass}>Salary Band Max (INR)</label>
+            <input type="number" id="reqBandMax" value={form.salaryBandMax} onChange={(e) => updateForm('salaryBandMax', e.target.value)} className={inputClass} aria-label="Salary band maximum" />
+          </div>
+          <div>
+            <label htmlFor="reqHiringManager" className={labelClass}>Hiring Manager</label>
+            <select id="reqHiringManager" value={form.hiringManager} onChange={(e) => updateForm('hiringManager', e.target.value)} className={inputClass} aria-label="Hiring manager">
+              {hiringManagers.map(m => <option key={m.name} value={m.name}>{m.name} ({m.role})</option>)}
+            </select>
+          </div>
+          <div className="md:col-span-2">
+            <label htmlFor="reqInterviewPlan" className={labelClass}>Interview Plan (comma-separated rounds)</label>
+            <input type="text" id="reqInterviewPlan" value={form.interviewPlan} onChange={(e) => updateForm('interviewPlan', e.target.value)} className={inputClass} aria-label="Interview plan" />
+          </div>
+          <div className="md:col-span-3">
+            <button type="submit" className="bg-green-600 hover:bg-green-700 text-white px-4 py-2 rounded-lg text-sm transition-transform transform hover:scale-105 active:scale-95" aria-label="Submit requisition for approval">
+              Submit for Approval
+            </button>
+          </div>
+        </form>
+      )}
+
+      <div className="flex flex-wrap gap-4 mb-4">
+        <select
+          value={filterStatus}
+          onChange={(e) => setFilterStatus(e.target.value)}
+          className={`p-2 rounded-md text-sm focus:ring-blue-500 focus:border-blue-500 transition-colors duration-200 ${theme === 'dark' ? 'bg-zinc-700 border-zinc-600 text-white' : 'bg-gray-100 border-gray-300 text-zinc-900'}`}
+          aria-label="Filter requisitions by status"
+        >
+          {['All', ...Object.keys(REQUISITION_TRANSITIONS)].map(status => <option key={status} value={status}>{status}</option>)}
+        </select>
+      </div>
+
+      <div className={`overflow-x-auto rounded-lg shadow-md ${theme === 'dark' ? 'bg-zinc-800' : 'bg-white'}`}>
+        <table className="min-w-full divide-y divide-zinc-700">
+          <thead className={theme === 'dark' ? 'bg-zinc-700' : 'bg-gray-100'}>
+            <tr>
+              {['Title', 'Department', 'Location', 'Hired / Headcount', 'Salary Band', 'Hiring Manager', 'Candidates', 'Status'].map(header => (
+                <th key={header} className={`px-6 py-3 text-left text-xs font-medium uppercase tracking-wider ${theme === 'dark' ? 'text-gray-300' : 'text-gray-600'}`}>{header}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody className={theme === 'dark' ? 'bg-zinc-800 divide-y divide-zinc-700' : 'bg-white divide-y divide-gray-200'}>
+            {filteredRequisitions.length > 0 ? filteredRequisitions.map(requisition => {
+              const linkedCandidates = candidates.filter(c => c.requisitionId === requisition.id);
+              const hires = linkedCandidates.filter(c => c.stage === 'Offer Accepted').length;
+              const grade = salaryTemplates.find(t => t.id === requisition.salaryTemplateId)?.grade;
+              return (
+                <React.Fragment key={requisition.id}>
+                  <tr className={`cursor-pointer transition-colors duration-200 ${theme === 'dark' ? 'hover:bg-zinc-700' : 'hover:bg-gray-50'}`} onClick={() => { setExpandedRequisitionId(expandedRequisitionId === requisition.id ? null : requisition.id); setActionComment(''); }}>
+                    <td className={`px-6 py-4 whitespace-nowrap text-sm font-medium ${theme === 'dark' ? 'text-white' : 'text-zinc-900'}`}>{requisition.title}</td>
+                    <td className={`px-6 py-4 whitespace-nowrap text-sm ${theme === 'dark' ? 'text-gray-300' : 'text-gray-700'}`}>{requisition.department}</td>
+                    <td className={`px-6 py-4 whitespace-nowrap text-sm ${theme === 'dark' ? 'text-gray-300' : 'text-gray-700'}`}>{requisition.location}</td>
+                    <td className={`px-6 py-4 whitespace-nowrap text-sm ${theme === 'dark' ? 'text-gray-300' : 'text-gray-700'}`}>{hires} / {requisition.headcount}</td>
+                    <td className={`px-6 py-4 whitespace-nowrap text-sm ${theme === 'dark' ? 'text-gray-300' : 'text-gray-700'}`}>{formatINR(requisition.salaryBand?.min)} - {formatINR(requisition.salaryBand?.max)}{grade ? ` (${grade})` : ''}</td>
+                    <td className={`px-6 py-4 whitespace-nowrap text-sm ${theme === 'dark' ? 'text-gray-300' : 'text-gray-700'}`}>{requisition.hiringManager}</td>
+                    <td className={`px-6 py-4 whitespace-nowrap text-sm ${theme === 'dark' ? 'text-gray-300' : 'text-gray-700'}`}>{linkedCandidates.length}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm">
+                      <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${statusBadgeClasses[requisition.status] || 'bg-gray-600/20 text-gray-300'}`}>{requisition.status}</span>
+                    </td>
+                  </tr>
+                  {expandedRequisitionId === requisition.id && (
+                    <tr>
+                      <td colSpan="8" className={`px-6 py-4 text-sm ${theme === 'dark' ? 'bg-zinc-900 text-gray-300' : 'bg-gray-50 text-gray-700'}`}>
+                        <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                          <div>
+                            <h4 className={`font-semibold mb-2 ${theme === 'dark' ? 'text-white' : 'text-zinc-900'}`}>Interview Plan</h4>
+                            <ol className="list-decimal list-inside mb-4">
+                              {(requisition.interviewPlan || []).map(round => <li key={round}>{round}</li>)}
+                            </ol>
+                            {(REQUISITION_TRANSITIONS[requisition.status] || []).length > 0 && (
+                              <>
+                                <input
+                                  type="text"
+                                  placeholder="Comment for this action (optional)"
+                                  value={actionComment}
+                                  onChange={(e) => setActionComment(e.target.value)}
+                                  className={`w-full p-2 mb-3 rounded-md text-sm focus:ring-blue-500 focus:border-blue-500 transition-colors duration-200 ${theme === 'dark' ? 'bg-zinc-700 border-zinc-600 text-white' : 'bg-gray-100 border-gray-300 text-zinc-900'}`}
+                                  aria-label="Requisition action comment"
+                                />
+                                <div className="flex flex-wrap gap-2">
+                                  {REQUISITION_TRANSITIONS[requisition.status].map(toStatus => (
+                                    <button
+                                      key={toStatus}
+                                      onClick={() => runTransition(requisition, toStatus)}
+                                      className={`text-white px-3 py-1 rounded-lg text-xs transition-transform transform hover:scale-105 active:scale-95 ${
+                                        toStatus === 'Open' ? 'bg-green-600 hover:bg-green-700' : toStatus === 'Rejected' ? 'bg-red-600 hover:bg-red-700' : toStatus === 'Closed' ? 'bg-zinc-600 hover:bg-zinc-700' : 'bg-yellow-600 hover:bg-yellow-700'
+                                      }`}
+                                      aria-label={`Move requisition to ${toStatus}`}
+                                    >
+                                      {{ 'Open': 'Approve', 'Rejected': 'Reject', 'Closed': 'Close', 'Pending Approval': 'Resubmit' }[toStatus] || toStatus}
+                                    </button>
+                                  ))}
+                                </div>
+                              </>
+                            )}
+                          </div>
+                          <div>
+                            <h4 className={`font-semibold mb-2 ${theme === 'dark' ? 'text-white' : 'text-zinc-900'}`}>History</h4>
+                            <ul className="space-y-2">
+                              {(requisition.history || []).slice().reverse().map((entry, index) => (
+                                <li key={index} className="text-xs">
+                                  <span className="font-semibold">{entry.from ? `${entry.from} → ${entry.to}` : entry.to}</span>
+                                  {' '}by {entry.by} on {new Date(entry.at).toLocaleString()}
+                                  {entry.note && <span className={theme === 'dark' ? 'text-gray-400' : 'text-gray-600'}> - {entry.note}</span>}
+                                </li>
+                              ))}
+                            </ul>
+                          </div>
+                        </div>
+                      </td>
+                    </tr>
+                  )}
+                </React.Fragment>
+              );
+            }) : (
+              <tr>
+                <td colSpan="8" className={`px-6 py-4 text-center text-sm ${theme === 'dark' ? 'text-gray-400' : 'text-gray-600'}`}>No requisitions found.</td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+      <p className={`mt-4 text-xs ${theme === 'dark' ? 'text-gray-400' : 'text-gray-500'}`}>Requisitions are approved before they open for hiring. Link candidates to a requisition from their profile to track the pipeline, offers and analytics per opening.</p>
+    </div>
+  );
+};
+
+
+// Offers Page Component
+const OffersPage = ({ offers, candidates, requisitions = [], salaryTemplates = [], onCreateOffer, onTransitionOffer, onDecideOfferApproval, currentTeamMember = null }) => {
+  const { theme } = useTheme();
+  const { showNotification } = useNotification();
+  const [isCreating, setIsCreating] = useState(false);
+  const [newOfferCandidateId, setNewOfferCandidateId] = useState('');
+  const [newOfferBaseSalary, setNewOfferBaseSalary] = useState('');
+  const [newOfferBonus, setNewOfferBonus] = useState('');
+  const [newOfferExpiresAt, setNewOfferExpiresAt] = useState(toLocalDateKey(new Date(Date.now() + 7 * 24 * 60 * 60 * 1000)));
+  const [newOfferTemplateId, setNewOfferTemplateId] = useState('');
+  const [expandedOfferId, setExpandedOfferId] = useState(null);
+  const [actionComment, setActionComment] = useState('');
+  const [filterRequisitionId, setFilterRequisitionId] = useState('All');
+
+  const statusBadgeClasses = {
+    'Draft': 'bg-gray-600/20 text-gray-300',
+    'Pending Approval': 'bg-yellow-600/20 text-yellow-300',
+    'Approved': 'bg-indigo-600/20 text-indigo-300',
+    'Sent': 'bg-orange-600/20 text-orange-300',
+    'Accepted': 'bg-blue-600/20 text-blue-300',
+    'Declined': 'bg-red-600/20 text-red-300',
+    'Expired': 'bg-zinc-600/20 text-zinc-300',
+    'Rescinded': 'bg-red-600/20 text-red-300',
+  };
+
+  // Legacy offers carry preformatted INR strings
+  const formatOfferAmount = (value) => (value === undefined || value === null ? 'N/A' : formatINR(parseINR(value)));
+
+  // Only candidates without an offer still in progress can get a new one
+  const activeOfferCandidateIds = new Set(offers
+    .filter(o => OFFER_TRANSITIONS[getOfferStatus(o)]?.length > 0)
+    .map(o => o.candidateId));
+  const eligibleCandidates = candidates.filter(c => !activeOfferCandidateIds.has(c.id));
+  const filteredOffers = offers.filter(o => filterRequisitionId === 'All' || o.requisitionId === filterRequisitionId);
+
+  // Salary band of the requisition the selected candidate is linked to, if any
+  const newOfferBand = requisitions.find(r => r.id === candidates.find(c => c.id === newOfferCandidateId)?.requisitionId)?.salaryBand;
+  const isOutsideBand = newOfferBand && Number(newOfferBaseSalary) > 0 &&
+    (Number(newOfferBaseSalary) < newOfferBand.min || Number(newOfferBaseSalary) > newOfferBand.max);
+  // Grade bands cover the whole CTC, base plus bonus
+  const newOfferTemplate = salaryTemplates.find(t => t.id === newOfferTemplateId);
+  const newOfferCTC = (Number(newOfferBaseSalary) || 0) + (Number(newOfferBonus) || 0);
+  const newOfferStructure = newOfferTemplate && newOfferCTC > 0 ? buildSalaryStructureFromCTC(newOfferCTC, newOfferTemplate.splitRules) : null;
+
+  const handleCandidateSelect = (candidateId) => {
+    setNewOfferCandidateId(candidateId);
+    const candidate = candidates.find(c => c.id === candidateId);
+    setNewOfferTemplateId(getCandidateSalaryTemplate(candidate, requisitions, salaryTemplates)?.id || '');
+    setNewOfferBaseSalary(candidate?.compensation?.baseSalary ?? candidate?.expectedCTC ?? '');
+    setNewOfferBonus(candidate?.compensation?.annualBonus ?? '');
+  };
+
+  const handleCreateSubmit = async (e) => {
+    e.preventDefault();
+    const candidate = candidates.find(c => c.id === newOfferCandidateId);
+    if (!candidate || Number(newOfferBaseSalary) <= 0 || !newOfferExpiresAt) {
+      showNotification('Select a candidate, a base salary and an expiry date.', 'error');
+      return;
+    }
+    const offerId = await onCreateOffer(candidate, {
+      baseSalary: Number(newOfferBaseSalary),
+      bonus: Number(newOfferBonus) || 0,
+      expiresAt: newOfferExpiresAt,
+      salaryTemplateId: newOfferTemplateId,
+    });
+    if (offerId) {
+      setIsCreating(false);
+      setNewOfferCandidateId('');
+      setExpandedOfferId(offerId);
+    }
+  };
+
+  const runAction = async (action) => {
+    await action();
+    setActionComment('');
+  };
+
+  const getOfferTemplate = (offer) => salaryTemplates.find(t => t.id === offer.salaryTemplateId) || null;
+
+  const renderOfferActions = (offer) => {
+    const status = getOfferStatus(offer);
+    const pendingStep = (offer.approvals || []).find(a => a.status === 'Pending');
+    const buttonClass = 'text-white px-3 py-1 rounded-lg text-xs transition-transform transform hover:scale-105 active:scale-95';
+    return (
+      <div className="flex flex-wrap gap-2">
+        {status === 'Draft' && (
+          <button onClick={() => runAction(() => onTransitionOffer(offer, 'Pending Approval', actionComment))} className={`bg-yellow-600 hover:bg-yellow-700 ${buttonClass}`} aria-label="Submit for approval">Submit for Approval</button>
+        )}
+        {status === 'Pending Approval' && pendingStep && !canDecideOfferApprovalStep(pendingStep, currentTeamMember) && (
+          <span className={`text-xs italic ${theme === 'dark' ? 'text-gray-400' : 'text-gray-600'}`}>Awaiting {pendingStep.approver} ({pendingStep.role})</span>
+        )}
+        {status === 'Pending Approval' && pendingStep && canDecideOfferApprovalStep(pendingStep, currentTeamMember) && (
+          <>
+            <button onClick={() => runAction(() => onDecideOfferApproval(offer, 'Approved', actionComment))} className={`bg-green-600 hover:bg-green-700 flex items-center space-x-1 ${buttonClass}`} aria-label="Approve offer">
+              <ThumbsUp size={12} /> <span>Approve</span>
+            </button>
+            <button onClick={() => runAction(() => onDecideOfferApproval(offer, 'Rejected', actionComment))} className={`bg-red-600 hover:bg-red-700 flex items-center space-x-1 ${buttonClass}`} aria-label="Reject offer">
+              <ThumbsDown size={12} /> <span>Reject</span>
+            </button>
+          </>
+        )}
+        {status === 'Approved' && (
+          <button onClick={() => runAction(() => onTransitionOffer(offer, 'Sent', actionComment))} className={`bg-blue-600 hover:bg-blue-700 flex items-center space-x-1 ${buttonClass}`} aria-label="Mark offer as sent">
+            <Send size={12} /> <span>Mark as Sent</span>
+          </button>
+        )}
+        {status === 'Sent' && (
+          <>
+            <button onClick={() => runAction(() => onTransitionOffer(offer, 'Accepted', actionComment))} className={`bg-green-600 hover:bg-green-700 ${buttonClass}`} aria-label="Mark offer as accepted">Accepted</button>
+            <button onClick={() => runAction(() => onTransitionOffer(offer, 'Declined', actionComment))} className={`bg-red-600 hover:bg-red-700 ${buttonClass}`} aria-label="Mark offer as declined">Declined</button>
+          </>
+        )}
+        {canTransitionOffer(offer, 'Rescinded') && (
+          <button onClick={() => runAction(() => onTransitionOffer(offer, 'Rescinded', actionComment))} className={`bg-zinc-600 hover:bg-zinc-700 ${buttonClass}`} aria-label="Rescind offer">Rescind</button>
+        )}
+      </div>
+    );
+  };
+
+  return (
+    <div>
+      <h2 className={`text-xl font-semibold mb-4 flex items-center justify-between ${theme === 'dark' ? 'text-white' : 'text-zinc-900'}`}>
+        Offer Management
+        <button onClick={() => setIsCreating(!isCreating)} className="bg-green-600 hover:bg-green-700 text-white px-4 py-2 rounded-lg flex items-center space-x-2 transition-transform transform hover:scale-105 active:scale-95" aria-label="New Offer">
+          <Plus size={18} /> <span>New Offer</span>
+        </button>
+      </h2>
+
+      {isCreating && (
+        <form onSubmit={handleCreateSubmit} className={`p-6 rounded-lg shadow-md mb-6 grid grid-cols-1 md:grid-cols-4 gap-4 items-end ${theme === 'dark' ? 'bg-zinc-800 text-gray-300' : 'bg-white text-gray-700'}`}>
+          <div>
+            <label htmlFor="offerCandidate" className={`block text-sm font-medium ${theme === 'dark' ? 'text-gray-400' : 'text-gray-800'}`}>Candidate</label>
+            <select
+              id="offerCandidate"
+              value={newOfferCandidateId}
+              onChange={(e) => handleCandidateSelect(e.target.value)}
+              className={`mt-1 block w-full p-2 rounded-md text-sm focus:ring-blue-500 focus:border-blue-500 transition-colors duration-200 ${theme === 'dark' ? 'bg-zinc-700 border-zinc-600 text-white' : 'bg-gray-100 border-gray-300 text-zinc-900'}`}
+              aria-label="Offer candidate"
+            >
+              <option value="">Select candidate...</option>
+              {eligibleCandidates.map(candidate => (
+                <option key={candidate.id} value={candidate.id}>{candidate.name} - {candidate.jobAppliedFor}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label htmlFor="offerBaseSalary" className={`block text-sm font-medium ${theme === 'dark' ? 'text-gray-400' : 'text-gray-800'}`}>Base Salary (INR)</label>
+            <input type="number" id="offerBaseSalary" value={newOfferBaseSalary} onChange={(e) => setNewOfferBaseSalary(e.target.value)}
+              className={`mt-1 block w-full p-2 rounded-md text-sm focus:ring-blue-500 focus:border-blue-500 transition-colors duration-200 ${theme === 'dark' ? 'bg-zinc-700 border-zinc-600 text-white' : 'bg-gray-100 border-gray-300 text-zinc-900'}`} aria-label="Offer base salary" />
+          </div>
+          <div>
+            <label htmlFor="offerBonus" className={`block text-sm font-medium ${theme === 'dark' ? 'text-gray-400' : 'text-gray-800'}`}>Bonus (INR)</label>
+            <input type="number" id="offerBonus" value={newOfferBonus} onChange={(e) => setNewOfferBonus(e.target.value)}
+              className={`mt-1 block w-full p-2 rounded-md text-sm focus:ring-blue-500 focus:border-blue-500 transition-colors duration-200 ${theme === 'dark' ? 'bg-zinc-700 border-zinc-600 text-white' : 'bg-gray-100 border-gray-300 text-zinc-900'}`} aria-label="Offer bonus" />
+          </div>
+          <div>
+            <label htmlFor="offerExpiresAt" className={`block text-sm font-medium ${theme === 'dark' ? 'text-gray-400' : 'text-gray-800'}`}>Offer Expires On</label>
+            <input type="date" id="offerExpiresAt" value={newOfferExpiresAt} onChange={(e) => setNewOfferExpiresAt(e.target.value)}
+              className={`mt-1 block w-full p-2 rounded-md text-sm focus:ring-blue-500 focus:border-blue-500 transition-colors duration-200 ${theme === 'dark' ? 'bg-zinc-700 border-zinc-600 text-white' : 'bg-gray-100 border-gray-300 text-zinc-900'}`} aria-label="Offer expiry date" />
+          </div>
+          <div>
+            <label htmlFor="offerGrade" className={`block text-sm font-medium ${theme === 'dark' ? 'text-gray-400' : 'text-gray-800'}`}>Grade</label>
+            <select id="offerGrade" value={newOfferTemplateId} onChange={(e) => setNewOfferTemplateId(e.target.value)}
+              className={`mt-1 block w-full p-2 rounded-md text-sm focus:ring-blue-500 focus:border-blue-500 transition-colors duration-200 ${theme === 'dark' ? 'bg-zinc-700 border-zinc-600 text-white' : 'bg-gray-100 border-gray-300 text-zinc-900'}`} aria-label="Offer grade">
+              <option value="">No grade</option>
+              {[...salaryTemplates].sort((a, b) => a.grade.localeCompare(b.grade)).map(template => <option key={template.id} value={template.id}>{template.grade} - {template.name}</option>)}
+            </select>
+          </div>
+          <p className={`md:col-span-3 text-xs ${theme === 'dark' ? 'text-gray-400' : 'text-gray-500'}`}>
+            {newOfferStructure && (
+              <span className="block">
+                {newOfferTemplate.grade} split of {formatINR(newOfferCTC)}: basic {formatINR(newOfferStructure.basicSalary)}, HRA {formatINR(newOfferStructure.hra)}, allowances {formatINR(newOfferStructure.otherAllowances)}, bonus {formatINR(newOfferStructure.performanceBonus)}, PF and gratuity {formatINR(newOfferStructure.employerPF + newOfferStructure.gratuity)}.
+              </span>
+            )}
+            {newOfferTemplate && newOfferCTC > 0 && (
+              <span className={`block ${getBandPosition(newOfferCTC, newOfferTemplate.band) === 'within' ? '' : 'text-yellow-400'}`}>
+                {describeBandFit(newOfferCTC, newOfferTemplate)}
+              </span>
+            )}
+            Approval chain for this offer: {buildOfferApprovalChain({ baseSalary: Number(newOfferBaseSalary) || 0, bonus: Number(newOfferBonus) || 0 }).map(step => `${step.approver} (${step.role})`).join(' → ')}
+            {newOfferBand && (
+              <span className={isOutsideBand ? 'block text-yellow-400' : 'block'}>
+                Requisition salary band: {formatINR(newOfferBand.min)} - {formatINR(newOfferBand.max)}{isOutsideBand ? ' (base salary is outside the band)' : ''}
+              </span>
+            )}
+          </p>
+          <button type="submit" className="bg-green-600 hover:bg-green-700 text-white px-4 py-2 rounded-lg text-sm transition-transform transform hover:scale-105 active:scale-95" aria-label="Create draft offer">
+            Create Draft Offer
+          </button>
+        </form>
+      )}
+
+      <div className="flex flex-wrap gap-4 mb-4">
+        <select
+          value={filterRequisitionId}
+          onChange={(e) => setFilterRequisitionId(e.target.value)}
+          className={`p-2 rounded-md text-sm focus:ring-blue-500 focus:border-blue-500 transition-colors duration-200 ${theme === 'dark' ? 'bg-zinc-700 border-zinc-600 text-white' : 'bg-gray-100 border-gray-300 text-zinc-900'}`}
+          aria-label="Filter offers by requisition"
+        >
+          <option value="All">All Requisitions</option>
+          {requisitions.map(requisition => (
+            <option key={requisition.id} value={requisition.id}>{requisition.title} - {requisition.location} ({requisition.status})</option>
+          ))}
+        </select>
+      </div>
+
+      <div className={`overflow-x-auto rounded-lg shadow-md ${theme === 'dark' ? 'bg-zinc-800' : 'bg-white'}`}>
+        <table className="min-w-full divide-y divide-zinc-700">
+          <thead className={theme === 'dark' ? 'bg-zinc-700' : 'bg-gray-100'}>
+            <tr>
+              <th className={`px-6 py-3 text-left text-xs font-medium uppercase tracking-wider ${theme === 'dark' ? 'text-gray-300' : 'text-gray-600'}`}>Candidate</th>
+              <th className={`px-6 py-3 text-left text-xs font-medium uppercase tracking-wider ${theme === 'dark' ? 'text-gray-300' : 'text-gray-600'}`}>Job Title</th>
+              <th className={`px-6 py-3 text-left text-xs font-medium uppercase tracking-wider ${theme === 'dark' ? 'text-gray-300' : 'text-gray-600'}`}>Status</th>
+              <th className={`px-6 py-3 text-left text-xs font-medium uppercase tracking-wider ${theme === 'dark' ? 'text-gray-300' : 'text-gray-600'}`}>Base Salary</th>
+              <th className={`px-6 py-3 text-left text-xs font-medium uppercase tracking-wider ${theme === 'dark' ? 'text-gray-300' : 'text-gray-600'}`}>Bonus</th>
+              <th className={`px-6 py-3 text-left text-xs font-medium uppercase tracking-wider ${theme === 'dark' ? 'text-gray-300' : 'text-gray-600'}`}>Expires</th>
+            </tr>
+          </thead>
+          <tbody className={theme === 'dark' ? 'bg-zinc-800 divide-y divide-zinc-700' : 'bg-white divide-y divide-gray-200'}>
+            {filteredOffers.map(offer => {
+              const template = getOfferTemplate(offer);
+              const offerCTC = getOfferTotal(offer);
+              const bandPosition = template ? getBandPosition(offerCTC, template.band) : null;
+              return (
+                <React.Fragment key={offer.id}>
+                  <tr className={`cursor-pointer transition-colors duration-200 ${theme === 'dark' ? 'hover:bg-zinc-700' : 'hover:bg-gray-50'}`} onClick={() => { setExpandedOfferId(expandedOfferId === offer.id ? null : offer.id); setActionComment(''); }}>
+                    <td className={`px-6 py-4 whitespace-nowrap text-sm font-medium ${theme === 'dark' ? 'text-white' : 'text-zinc-900'}`}>
+                      {offer.candidate}
+                      {bandPosition && bandPosition !== 'within' && (
+                        <span className="ml-2 px-2 inline-flex text-xs leading-5 font-semibold rounded-full bg-yellow-600/20 text-yellow-300" title={describeBandFit(offerCTC, template)}>
+                          {bandPosition === 'below' ? 'Below' : 'Above'} {template.grade} band · CR {getCompaRatio(offerCTC, template.band).toFixed(2)}
+                        </span>
+                      )}
+                    </td>
+                    <td className={`px-6 py-4 whitespace-nowrap text-sm ${theme === 'dark' ? 'text-gray-300' : 'text-gray-700'}`}>{offer.job}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm">
+                      <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${statusBadgeClasses[getOfferStatus(offer)] || 'bg-orange-600/20 text-orange-300'}`}>
+                        {getOfferStatus(offer)}
+                      </span>
+                    </td>
+                    <td className={`px-6 py-4 whitespace-nowrap text-sm ${theme === 'dark' ? 'text-gray-300' : 'text-gray-700'}`}>{formatOfferAmount(offer.baseSalary)}</td>
+                    <td className={`px-6 py-4 whitespace-nowrap text-sm ${theme === 'dark' ? 'text-gray-300' : 'text-gray-700'}`}>{formatOfferAmount(offer.bonus)}</td>
+                    <td className={`px-6 py-4 whitespace-nowrap text-sm ${theme === 'dark' ? 'text-gray-300' : 'text-gray-700'}`}>{offer.expiresAt || 'N/A'}</td>
+                  </tr>
+                  {expandedOfferId === offer.id && (
+                    <tr>
+                      <td colSpan="6" className={`px-6 py-4 text-sm ${theme === 'dark' ? 'bg-zinc-900 text-gray-300' : 'bg-gray-50 text-gray-700'}`}>
+                        <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                          <div>
+                            {template && (
+                              <p className={`mb-3 text-xs ${bandPosition === 'within' ? (theme === 'dark' ? 'text-gray-400' : 'text-gray-600') : 'text-yellow-400'}`}>
+                                CTC {formatINR(offerCTC)}. {describeBandFit(offerCTC, template)}
+                              </p>
+                            )}
+                            <h4 className={`font-semibold mb-2 ${theme === 'dark' ? 'text-white' : 'text-zinc-900'}`}>Approval Chain</h4>
+                            {offer.approvals && offer.approvals.length > 0 ? (
+                              <ol className="space-y-1 mb-4">
+                                {offer.approvals.map((step, index) => (
+                                  <li key={index} className="flex justify-between">
+                                    <span>{index + 1}. {step.approver} ({step.role})</span>
+                                    <span className={step.status === 'Approved' ? 'text-green-400' : step.status === 'Rejected' ? 'text-red-400' : 'text-yellow-400'}>
+                                      {step.status}{step.isOverride ? ` by ${step.decidedBy}` : ''}
+                                    </span>
+                                  </li>
+                                ))}
+                              </ol>
+                            ) : (
+                              <p className={`mb-4 text-xs ${theme === 'dark' ? 'text-gray-400' : 'text-gray-600'}`}>Not submitted for approval yet.</p>
+                            )}
+                            {OFFER_TRANSITIONS[getOfferStatus(offer)]?.length > 0 && (
+                              <>
+                                <input
+                                  type="text"
+                                  placeholder="Comment for this action (optional)"
+                                  value={actionComment}
+                                  onChange={(e) => setActionComment(e.target.value)}
+                                  className={`w-full p-2 mb-3 rounded-md text-sm focus:ring-blue-500 focus:border-blue-500 transition-colors duration-200 ${theme === 'dark' ? 'bg-zinc-700 border-zinc-600 text-white' : 'bg-gray-100 border-gray-300 text-zinc-900'}`}
+                                  aria-label="Offer action comment"
+                                />
+                                {renderOfferActions(offer)}
+                              </>
+                            )}
+                          </div>
+                          <div>
+                            <h4 className={`font-semibold mb-2 ${theme === 'dark' ? 'text-white' : 'text-zinc-900'}`}>History</h4>
+                            <ul className="space-y-2">
+                              {(offer.history || []).slice().reverse().map((entry, index) => (
+                                <li key={index} className="text-xs">
+                                  <span className="font-semibold">{entry.from ? `${entry.from} → ${entry.to}` : entry.to}</span>
+                                  {' '}by {entry.by} on {new Date(entry.at).toLocaleString()}
+                                  {entry.note && <span className={theme === 'dark' ? 'text-gray-400' : 'text-gray-600'}> - {entry.note}</span>}
+                                </li>
+                              ))}
+                            </ul>
+                          </div>
+                        </div>
+                      </td>
+                    </tr>
+                  )}
+                </React.Fragment>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+      <p className={`mt-4 text-xs ${theme === 'dark' ? 'text-gray-400' : 'text-gray-500'}`}>Offers move from Draft through approval to Sent, and close as Accepted, Declined, Expired or Rescinded. Sent offers expire automatically after their expiry date, and every change is logged.</p>
+    </div>
+  );
+};
+
+
+// Leave Management Panel Component
+const LeaveManagementPanel = ({ employees, leaveRequests = [], onApplyLeave, onTransitionLeaveRequest, onRunLeaveAccrual }) => {
+  const { theme } = useTheme();
+  const { timeZone } = useTimeZone();
+  const todayKey = getTodayKey(timeZone);
+  const activeEmployees = employees.filter(e => e.status !== 'Terminated').sort((a, b) => a.name.localeCompare(b.name));
+  const emptyForm = { employeeId: '', leaveType: 'casual', startDate: todayKey, endDate: todayKey, halfDayStart: false, halfDayEnd: false, reason: '' };
+  const [form, setForm] = useState(emptyForm);
+  const [submitted, setSubmitted] = useState(false);
+  const [filterStatus, setFilterStatus] = useState('All');
+  const [decisionNotes, setDecisionNotes] = useState({}); // request id -> approver's note
+
+  const selectedEmployee = employees.find(e => e.id === form.employeeId);
+  const errors = validateLeaveRequest(form, selectedEmployee, leaveRequests);
+  const requestedDays = countLeaveDays(form);
+  const isSingleDay = form.startDate === form.endDate;
+
+  const pendingRequests = leaveRequests.filter(r => r.status === 'Pending').sort((a, b) => a.startDate.localeCompare(b.startDate));
+  const decidedRequests = leaveRequests
+    .filter(r => r.status !== 'Pending' && (filterStatus === 'All' || r.status === filterStatus))
+    .sort((a, b) => b.startDate.localeCompare(a.startDate));
+  const getTypeLabel = (leaveType) => LEAVE_TYPES.find(type => type.key === leaveType)?.label || leaveType;
+  const formatRange = (request) => (request.startDate === request.endDate ? request.startDate : `${request.startDate} to ${request.endDate}`);
+
+  const updateForm = (field, value) => {
+    setForm(prevForm => {
+      const nextForm = { ...prevForm, [field]: value };
+      if (field === 'startDate' && nextForm.endDate < value) nextForm.endDate = value;
+      // A single day only has one half-day flag
+      if (nextForm.startDate === nextForm.endDate) nextForm.halfDayEnd = false;
+      return nextForm;
+    });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitted(true);
+    if (Object.keys(errors).length > 0) return;
+    const saved = await onApplyLeave(selectedEmployee, { ...form, days: requestedDays, reason: form.reason.trim() });
+    if (saved) {
+      setForm({ ...emptyForm, employeeId: form.employeeId });
+      setSubmitted(false);
+    }
+  };
+
+  const decide = async (request, status) => {
+    const saved = await onTransitionLeaveRequest(request, status, (decisionNotes[request.id] || '').trim());
+    if (saved) setDecisionNotes(prevNotes => ({ ...prevNotes, [request.id]: '' }));
+  };
+
+  const inputClass = `mt-1 block w-full p-2 rounded-md text-sm focus:ring-blue-500 focus:border-blue-500 transition-colors duration-200 ${theme === 'dark' ? 'bg-zinc-700 border-zinc-600 text-white' : 'bg-white border-gray-300 text-zinc-900'}`;
+  const boxClass = `p-4 rounded-lg border ${theme === 'dark' ? 'bg-zinc-700 border-zinc-600' : 'bg-gray-100 border-gray-200'} text-sm`;
+  const mutedClass = theme === 'dark' ? 'text-gray-400' : 'text-gray-600';
+  const statusClasses = {
+    'Pending': 'bg-yellow-500/20 text-yellow-400',
+    'Approved': 'bg-green-500/20 text-green-400',
+    'Rejected': 'bg-red-500/20 text-red-400',
+    'Cancelled': 'bg-zinc-500/20 text-gray-400',
+  };
+  const fieldError = (field) => submitted && errors[field] && <p className="text-xs text-red-400 mt-1">{errors[field]}</p>;
+
+  return (
+    <div className="space-y-4">
+      <form onSubmit={handleSubmit} className={`${boxClass} space-y-4`}>
+        <p className="font-semibold">Apply for Leave</p>
+        <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+          <div>
+            <label htmlFor="leaveEmployee" className="block text-sm font-medium">Employee</label>
+            <select id="leaveEmployee" value={form.employeeId} onChange={(e) => updateForm('employeeId', e.target.value)} className={inputClass} aria-label="Employee applying for leave">
+              <option value="">Select employee</option>
+              {activeEmployees.map(employee => <option key={employee.id} value={employee.id}>{employee.name} ({employee.employeeId})</option>)}
+            </select>
+            {fieldError('employeeId')}
+          </div>
+          <div>
+            <label htmlFor="leaveType" className="block text-sm font-medium">Leave Type</label>
+            <select id="leaveType" value={form.leaveType} onChange={(e) => updateForm('leaveType', e.target.value)} className={inputClass} aria-label="Leave type">
+              {LEAVE_TYPES.map(({ key, label }) => (
+                <option key={key} value={key}>{label}{selectedEmployee ? ` (${selectedEmployee.leaveBalance?.[key] ?? 0} left)` : ''}</option>
+              ))}
+            </select>
+            {fieldError('leaveType')}
+          </div>
+          <div>
+            <label htmlFor="leaveStart" className="block text-sm font-medium">From</label>
+            <input type="date" id="leaveStart" value={form.startDate} onChange={(e) => updateForm('startDate', e.target.value)} className={inputClass} aria-label="Leave start date" />
+            {fieldError('startDate')}
+          </div>
+          <div>
+            <label htmlFor="leaveEnd" className="block text-sm font-medium">To</label>
+            <input type="date" id="leaveEnd" value={form.endDate} min={form.startDate} onChange={(e) => updateForm('endDate', e.target.value)} className={inputClass} aria-label="Leave end date" />
+            {fieldError('endDate')}
+          </div>
+        </div>
+        <div className="flex flex-wrap items-center gap-4">
+          <label className="flex items-center space-x-2">
+            <input type="checkbox" checked={form.halfDayStart} onChange={(e) => updateForm('halfDayStart', e.target.checked)} aria-label={isSingleDay ? 'Half day' : 'First day is a half day'} />
+            <span>{isSingleDay ? 'Half day' : 'First day is a half day'}</span>
+          </label>
+          {!isSingleDay && (
+            <label className="flex items-center space-x-2">
+              <input type="checkbox" checked={form.halfDayEnd} onChange={(e) => updateForm('halfDayEnd', e.target.checked)} aria-label="Last day is a half day" />
+              <span>Last day is a half day</span>
+            </label>
+          )}
+          <input type="text" value={form.reason} onChange={(e) => updateForm('reason', e.target.value)} placeholder="Reason (optional)" className={`${inputClass} mt-0 flex-1 min-w-[200px]`} aria-label="Leave reason" />
+        </div>
+        <div className="flex items-center justify-between">
+          <p className={mutedClass}>{requestedDays} working day(s). Weekends are not counted.</p>
+          <button type="submit" className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg text-sm transition-transform transform hover:scale-105 active:scale-95" aria-label="Submit leave application">
+            Submit Application
+          </button>
+        </div>
+      </form>
+
+      <div className={boxClass}>
+        <p className="font-semibold mb-3">Pending Approval ({pendingRequests.length})</p>
+        {pendingRequests.length === 0 ? (
+          <p className={mutedClass}>No leave applications are waiting for a decision.</p>
+        ) : (
+          <ul className="space-y-3">
+            {pendingRequests.map(request => (
+              <li key={request.id} className={`p-3 rounded-md ${theme === 'dark' ? 'bg-zinc-800' : 'bg-white'}`}>
+                <div className="flex flex-wrap items-center justify-between gap-2">
+                  <div>
+                    <p className="font-medium">{request.employeeName} <span className={mutedClass}>({request.department})</span></p>
+                    <p className={mutedClass}>
+                      {getTypeLabel(request.leaveType)} leave, {formatRange(request)} ({request.days} day{request.days === 1 ? '' : 's'})
+                      {request.reason && ` - ${request.reason}`}
+                    </p>
+                  </div>
+                  <div className="flex flex-wrap items-center gap-2">
+                    <input
+                      type="text"
+                      value={decisionNotes[request.id] || ''}
+                      onChange={(e) => setDecisionNotes(prevNotes => ({ ...prevNotes, [request.id]: e.target.value }))}
+                      placeholder="Note (optional)"
+                      className={`${inputClass} mt-0 w-48`}
+                      aria-label={`Decision note for ${request.employeeName}`}
+                    />
+                    <button onClick={() => decide(request, 'Approved')} className="bg-green-600 hover:bg-green-700 text-white px-3 py-1 rounded-lg flex items-center space-x-1 text-xs" aria-label={`Approve leave for ${request.employeeName}`}>
+                      <ThumbsUp size={14} /> <span>Approve</span>
+                    </button>
+                    <button onClick={() => decide(request, 'Rejected')} className="bg-red-600 hover:bg-red-700 text-white px-3 py-1 rounded-lg flex items-center space-x-1 text-xs" aria-label={`Reject leave for ${request.employeeName}`}>
+                      <ThumbsDown size={14} /> <span>Reject</span>
+                    </button>
+                    <button onClick={() => decide(request, 'Cancelled')} className={`px-3 py-1 rounded-lg text-xs ${theme === 'dark' ? 'bg-zinc-600 text-gray-200' : 'bg-gray-200 text-gray-700'}`} aria-label={`Withdraw leave for ${request.employeeName}`}>
+                      Withdraw
+                    </button>
+                  </div>
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+
+      <div className={boxClass}>
+        <div className="flex flex-wrap items-center justify-between gap-2 mb-3">
+          <p className="font-semibold">Leave History</p>
+          <select value={filterStatus} onChange={(e) => setFilterStatus(e.target.value)} className={`${inputClass} mt-0 w-auto`} aria-label="Filter leave history by status">
+            {['All', 'Approved', 'Rejected', 'Cancelled'].map(status => <option key={status} value={status}>{status}</option>)}
+          </select>
+        </div>
+        {decidedRequests.length === 0 ? (
+          <p className={mutedClass}>No decided leave requests yet.</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full text-sm">
+              <thead>
+                <tr className={`text-left text-xs uppercase ${mutedClass}`}>
+                  <th className="py-2 pr-4">Employee</th>
+                  <th className="py-2 pr-4">Type</th>
+                  <th className="py-2 pr-4">Dates</th>
+                  <th className="py-2 pr-4">Days</th>
+                  <th className="py-2 pr-4">Status</th>
+                  <th className="py-2 pr-4">Decided By</th>
+                  <th className="py-2"></th>
+                </tr>
+              </thead>
+              <tbody>
+                {decidedRequests.map(request => (
+                  <tr key={request.id} className={`border-t ${theme === 'dark' ? 'border-zinc-600' : 'border-gray-200'}`}>
+                    <td className="py-2 pr-4">{request.employeeName}</td>
+                    <td className="py-2 pr-4">{getTypeLabel(request.leaveType)}</td>
+                    <td className="py-2 pr-4">{formatRange(request)}</td>
+                    <td className="py-2 pr-4">{request.days}</td>
+                    <td className="py-2 pr-4"><span className={`px-2 py-0.5 rounded-full text-xs ${statusClasses[request.status]}`}>{request.status}</span></td>
+                    <td className="py-2 pr-4">{request.decidedBy || '-'}{request.decisionNote && <span className={`block text-xs ${mutedClass}`}>{request.decisionNote}</span>}</td>
+                    <td className="py-2 text-right">
+                      {LEAVE_REQUEST_TRANSITIONS[request.status].includes('Cancelled') && (
+                        <button onClick={() => onTransitionLeaveRequest(request, 'Cancelled', '')} className="text-red-400 hover:underline text-xs" aria-label={`Cancel approved leave for ${request.employeeName}`}>
+                          Cancel &amp; Refund
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      <div className={boxClass}>
+        <div className="flex flex-wrap items-center justify-between gap-2">
+          <p className="font-semibold">Accrual Policy</p>
+          <button onClick={onRunLeaveAccrual} className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg text-sm transition-transform transform hover:scale-105 active:scale-95" aria-label="Run monthly leave accrual">
+            Run Accrual for {toMonthKey(todayKey)}
+          </button>
+        </div>
+        <ul className={`list-disc list-inside space-y-1 mt-2 ${mutedClass}`}>
+          {LEAVE_TYPES.map(({ key, label }) => (
+            <li key={key}>
+              {label}: {LEAVE_POLICY[key].monthlyAccrual} day(s) a month; up to {LEAVE_POLICY[key].carryForwardCap} carried into the new year
+              {LEAVE_POLICY[key].encashmentCap > 0 ? `, up to ${LEAVE_POLICY[key].encashmentCap} more encashed` : ''}, the rest lapses.
+            </li>
+          ))}
+        </ul>
+      </div>
+    </div>
+  );
+};
+
+// Attendance Panel Component
+const AttendancePanel = ({ employees, attendanceRecords = [], leaveRequests = [], attendanceRegisters = [], onRecordAttendance, onRequestRegularization, onDecideRegularization, onLockAttendanceRegister }) => {
+  const { theme } = useTheme();
+  const { showNotification } = useNotification();
+  const { orgTimeZone } = useTimeZone();
+  // Attendance is kept on the organisation's calendar so every register covers the same days
+  const todayKey = getTodayKey(orgTimeZone);
+  const activeEmployees = employees.filter(e => e.status !== 'Terminated').sort((a, b) => a.name.localeCompare(b.name));
+  const [employeeId, setEmployeeId] = useState('');
+  const [workFromHome, setWorkFromHome] = useState(false);
+  const [regularization, setRegularization] = useState({ date: todayKey, clockIn: '09:30', clockOut: '18:00', workFromHome: false, reason: '' });
+  const [monthKey, setMonthKey] = useState(toMonthKey(todayKey));
+  const [department, setDepartment] = useState('');
+
+  const departments = [...new Set(employees.map(e => e.department))].sort();
+  const selectedDepartment = department || departments[0] || '';
+  const selectedEmployee = employees.find(e => e.id === employeeId);
+  const todayRecord = attendanceRecords.find(r => r.employeeId === employeeId && r.date === todayKey);
+  const pendingRegularizations = attendanceRecords.filter(r => r.regularization?.status === 'Pending').sort((a, b) => a.date.localeCompare(b.date));
+  const registerRows = buildAttendanceRegister(employees.filter(e => e.department === selectedDepartment), attendanceRecords, leaveRequests, monthKey, todayKey);
+  const lockedRegister = attendanceRegisters.find(r => r.month === monthKey && r.department === selectedDepartment);
+  const displayedRows = lockedRegister ? lockedRegister.rows : registerRows;
+
+  const handleRegularizationSubmit = async (e) => {
+    e.preventDefault();
+    if (!selectedEmployee) {
+      showNotification('Pick an employee first.', 'error');
+      return;
+    }
+    if (!isValidDateKey(regularization.date) || regularization.date > todayKey) {
+      showNotification('Regularization is only for today or earlier.', 'error');
+      return;
+    }
+    if (!regularization.clockIn || !regularization.clockOut || regularization.clockOut <= regularization.clockIn) {
+      showNotification('Clock-out must be after clock-in.', 'error');
+      return;
+    }
+    if (!regularization.reason.trim()) {
+      showNotification('Give a reason for the correction.', 'error');
+      return;
+    }
+    const saved = await onRequestRegularization(selectedEmployee, { ...regularization, reason: regularization.reason.trim() });
+    if (saved) setRegularization(prev => ({ ...prev, reason: '' }));
+  };
+
+  const handleExportRegister = () => {
+    if (downloadFile(buildAttendanceRegisterCsv(displayedRows), `attendance_${selectedDepartment.replace(/[^a-z0-9]+/gi, '-')}_${monthKey}.csv`, 'text/csv;charset=utf-8;')) {
+      showNotification('Attendance register downloaded.', 'success');
+    }
+  };
+
+  const inputClass = `mt-1 block w-full p-2 rounded-md text-sm focus:ring-blue-500 focus:border-blue-500 transition-colors duration-200 ${theme === 'dark' ? 'bg-zinc-700 border-zinc-600 text-white' : 'bg-white border-gray-300 text-zinc-900'}`;
+  const boxClass = `p-4 rounded-lg border ${theme === 'dark' ? 'bg-zinc-700 border-zinc-600' : 'bg-gray-100 border-gray-200'} text-sm`;
+  const mutedClass = theme === 'dark' ? 'text-gray-400' : 'text-gray-600';
+  const secondaryButtonClass = `px-4 py-2 rounded-lg text-sm flex items-center space-x-2 ${theme === 'dark' ? 'bg-zinc-600 text-gray-200' : 'bg-gray-200 text-gray-700'}`;
+
+  return (
+    <div className="space-y-4">
+      <div className={boxClass}>
+        <p className="font-semibold mb-3">Clock In / Out ({todayKey})</p>
+        <div className="flex flex-wrap items-end gap-4">
+          <div className="min-w-[220px]">
+            <label htmlFor="attendanceEmployee" className="block text-sm font-medium">Employee</label>
+            <select id="attendanceEmployee" value={employeeId} onChange={(e) => setEmployeeId(e.target.value)} className={inputClass} aria-label="Employee for attendance">
+              <option value="">Select employee</option>
+              {activeEmployees.map(employee => <option key={employee.id} value={employee.id}>{employee.name} ({employee.employeeId})</option>)}
+            </select>
+          </div>
+          <label className="flex items-center space-x-2 pb-2">
+            <input type="checkbox" checked={workFromHome} onChange={(e) => setWorkFromHome(e.target.checked)} disabled={!!todayRecord?.clockIn} aria-label="Working from home" />
+            <span>Working from home</span>
+          </label>
+          <button onClick={() => onRecordAttendance(selectedEmployee, 'clockIn', workFromHome)} disabled={!selectedEmployee || !!todayRecord?.clockIn} className="bg-green-600 hover:bg-green-700 disabled:opacity-50 text-white px-4 py-2 rounded-lg text-sm" aria-label="Clock in">
+            Clock In
+          </button>
+          <button onClick={() => onRecordAttendance(selectedEmployee, 'clockOut')} disabled={!todayRecord?.clockIn || !!todayRecord?.clockOut} className="bg-red-600 hover:bg-red-700 disabled:opacity-50 text-white px-4 py-2 rounded-lg text-sm" aria-label="Clock out">
+            Clock Out
+          </button>
+        </div>
+        {selectedEmployee && (
+          <p className={`mt-3 ${mutedClass}`}>
+            {todayRecord?.clockIn
+              ? `In at ${formatMinutesAsTime(parseTimeKey(todayRecord.clockIn))}${todayRecord.clockOut ? `, out at ${formatMinutesAsTime(parseTimeKey(todayRecord.clockOut))}` : ''}${todayRecord.workFromHome ? ' (WFH)' : ''}.`
+              : `${selectedEmployee.name} has not clocked in today.`}
+          </p>
+        )}
+      </div>
+
+      <form onSubmit={handleRegularizationSubmit} className={`${boxClass} space-y-4`}>
+        <p className="font-semibold">Request Regularization{selectedEmployee ? ` for ${selectedEmployee.name}` : ''}</p>
+        <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+          <div>
+            <label htmlFor="regularizationDate" className="block text-sm font-medium">Date</label>
+            <input type="date" id="regularizationDate" value={regularization.date} max={todayKey} onChange={(e) => setRegularization(prev => ({ ...prev, date: e.target.value }))} className={inputClass} aria-label="Regularization date" />
+          </div>
+          <div>
+            <label htmlFor="regularizationIn" className="block text-sm font-medium">Clock In</label>
+            <input type="time" id="regularizationIn" value={regularization.clockIn} onChange={(e) => setRegularization(prev => ({ ...prev, clockIn: e.target.value }))} className={inputClass} aria-label="Corrected clock-in time" />
+          </div>
+          <div>
+            <label htmlFor="regularizationOut" className="block text-sm font-medium">Clock Out</label>
+            <input type="time" id="regularizationOut" value={regularization.clockOut} onChange={(e) => setRegularization(prev => ({ ...prev, clockOut: e.target.value }))} className={inputClass} aria-label="Corrected clock-out time" />
+          </div>
+          <label className="flex items-center space-x-2 md:pt-6">
+            <input type="checkbox" checked={regularization.workFromHome} onChange={(e) => setRegularization(prev => ({ ...prev, workFromHome: e.target.checked }))} aria-label="Worked from home" />
+            <span>Worked from home</span>
+          </label>
+        </div>
+        <div className="flex flex-wrap gap-4">
+          <input type="text" value={regularization.reason} onChange={(e) => setRegularization(prev => ({ ...prev, reason: e.target.value }))} placeholder="Reason, e.g. forgot to clock out" className={`${inputClass} mt-0 flex-1 min-w-[200px]`} aria-label="Regularization reason" />
+          <button type="submit" className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg text-sm transition-transform transform hover:scale-105 active:scale-95" aria-label="Submit regularization request">
+            Submit Request
+          </button>
+        </div>
+        {pendingRegularizations.length > 0 && (
+          <ul className="space-y-2">
+            {pendingRegularizations.map(record => (
+              <li key={record.id} className={`p-3 rounded-md flex flex-wrap items-center justify-between gap-2 ${theme === 'dark' ? 'bg-zinc-800' : 'bg-white'}`}>
+                <span>
+                  {record.employeeName}, {record.date}: {record.clockIn || '--:--'}-{record.clockOut || '--:--'} to {record.regularization.clockIn}-{record.regularization.clockOut}
+                  {record.regularization.workFromHome ? ' (WFH)' : ''} <span className={mutedClass}>- {record.regularization.reason}</span>
+                </span>
+                <span className="flex gap-2">
+                  <button type="button" onClick={() => onDecideRegularization(record, 'Approved')} className="bg-green-600 hover:bg-green-700 text-white px-3 py-1 rounded-lg flex items-center space-x-1 text-xs" aria-label={`Approve regularization for ${record.employeeName}`}>
+                    <ThumbsUp size={14} /> <span>Approve</span>
+                  </button>
+                  <button type="button" onClick={() => onDecideRegularization(record, 'Rejected')} className="bg-red-600 hover:bg-red-700 text-white px-3 py-1 rounded-lg flex items-center space-x-1 text-xs" aria-label={`Reject regularization for ${record.employeeName}`}>
+                    <ThumbsDown size={14} /> <span>Reject</span>
+                  </button>
+                </span>
+              </li>
+            ))}
+          </ul>
+        )}
+      </form>
+
+      <div className={boxClass}>
+        <div className="flex flex-wrap items-center justify-between gap-2 mb-3">
+          <p className="font-semibold">Monthly Attendance Register</p>
+          <div className="flex flex-wrap items-center gap-2">
+            <input type="month" value={monthKey} max={toMonthKey(todayKey)} onChange={(e) => e.target.value && setMonthKey(e.target.value)} className={`${inputClass} mt-0 w-auto`} aria-label="Register month" />
+            <select value={selectedDepartment} onChange={(e) => setDepartment(e.target.value)} className={`${inputClass} mt-0 w-auto`} aria-label="Register department">
+              {departments.map(dept => <option key={dept} value={dept}>{dept}</option>)}
+            </select>
+            <button onClick={handleExportRegister} className={secondaryButtonClass} aria-label="Export attendance register">
+              <Download size={16} /> <span>CSV</span>
+            </button>
+            <button
+              onClick={() => onLockAttendanceRegister(monthKey, selectedDepartment, registerRows)}
+              disabled={!!lockedRegister || monthKey >= toMonthKey(todayKey)}
+              className="bg-blue-600 hover:bg-blue-700 disabled:opacity-50 text-white px-4 py-2 rounded-lg text-sm flex items-center space-x-2"
+              aria-label="Lock register for payroll"
+            >
+              <Lock size={16} /> <span>Lock for Payroll</span>
+            </button>
+          </div>
+        </div>
+        <p className={`mb-3 text-xs ${mutedClass}`}>
+          {lockedRegister
+            ? `Locked by ${lockedRegister.lockedBy} on ${lockedRegister.lockedAt.slice(0, 10)}; payroll uses these figures.`
+            : `Live figures. Absent days are loss of pay; a full day is ${FULL_DAY_WORK_MINUTES / 60} hours and time beyond it is overtime. Months can be locked once they end.`}
+        </p>
+        <div className="overflow-x-auto">
+          <table className="min-w-full text-sm">
+            <thead>
+              <tr className={`text-left text-xs uppercase ${mutedClass}`}>
+                {['Employee', 'Working Days', 'Present', 'WFH', 'Leave', 'Absent', 'LOP', 'Overtime'].map(header => <th key={header} className="py-2 pr-4">{header}</th>)}
+              </tr>
+            </thead>
+            <tbody>
+              {displayedRows.map(row => (
+                <tr key={row.employeeId} className={`border-t ${theme === 'dark' ? 'border-zinc-600' : 'border-gray-200'}`}>
+                  <td className="py-2 pr-4">{row.name} <span className={mutedClass}>({row.employeeCode})</span></td>
+                  <td className="py-2 pr-4">{row.workingDays}</td>
+                  <td className="py-2 pr-4">{row.present}</td>
+                  <td className="py-2 pr-4">{row.workFromHome}</td>
+                  <td className="py-2 pr-4">{row.leave}</td>
+                  <td className="py-2 pr-4">{row.absent}{row.incompleteDays > 0 && <span className="text-yellow-400 text-xs"> ({row.incompleteDays} missing clock-out)</span>}</td>
+                  <td className={`py-2 pr-4 ${row.lossOfPayDays > 0 ? 'text-red-400 font-semibold' : ''}`}>{row.lossOfPayDays}</td>
+                  <td className="py-2 pr-4">{row.overtimeDays} d <span className={mutedClass}>({(row.overtimeMinutes / 60).toFixed(1)} h)</span></td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// HRIS Page Component (New!)
+const HRISPage = ({ employees, leaveRequests, attendanceRecords, attendanceRegisters, onEmployeeClick, onApplyLeave, onTransitionLeaveRequest, onRunLeaveAccrual, onRecordAttendance, onRequestRegularization, onDecideRegularization, onLockAttendanceRegister }) => {
+  const { theme } = useTheme();
+  const { showNotification } = useNotification();
+  const [searchTerm, setSearchTerm] = useState('');
+  const [filterDepartment, setFilterDepartment] = useState('All');
+  const [filterStatus, setFilterStatus] = useState('All');
+
+  const departments = ['All', ...new Set(employees.map(emp => emp.department))].sort();
+  const statuses = ['All', ...new Set(employees.map(emp => emp.status))].sort();
+
+  const filteredEmployees = employees.filter(employee => {
+    const matchesSearch = employee.name.toLowerCase().includes(searchTerm.toLowerCase()) ||
+                          employee.jobTitle.toLowerCase().includes(searchTerm.toLowerCase()) ||
+                          employee.department.toLowerCase().includes(searchTerm.toLowerCase());
+    const matchesDepartment = filterDepartment === 'All' || employee.department === filterDepartment;
+    const matchesStatus = filterStatus === 'All' || employee.status === filterStatus;
+    return matchesSearch && matchesDepartment && matchesStatus;
+  });
+
+  const handleDownloadEmployeeData = () => {
+    const headers = [
+      "ID", "Name", "Department", "Job Title", "Email", "Phone", "Status",
+      "Hire Date", "Annual CTC", "CTC Currency", "CTC Effective Date", "Location", "Gender", "Date of Birth",
+      "Address", "Emergency Contact Name", "Emergency Contact Phone", "Emergency Contact Relationship",
+      "Bank Details", "Health Insurance", "Provident Fund", "Gratuity", "NPS",
+      "Sick Leave Balance", "Casual Leave Balance", "Earned Leave Balance", "Performance Review Summary"
+    ];
+
+    const csvRows = filteredEmployees.map(e => {
+      const row = [
+        e.employeeId, e.name, e.department, e.jobTitle, e.email, e.phone, e.status,
+        e.hireDate, getAnnualCTC(e), e.compensation?.currency || DEFAULT_CURRENCY, e.compensation?.effectiveDate, e.location, e.gender, e.dob,
+        e.address, e.emergencyContact?.name, e.emergencyContact?.phone, e.emergencyContact?.relationship,
+        typeof e.bankDetails === 'object' ? maskAccountNumber(e.bankDetails?.accountNumber) : e.bankDetails, e.benefitsEnrollment?.healthInsurance ? 'Yes' : 'No',
+        e.benefitsEnrollment?.providentFund ? 'Yes' : 'No',
+        e.benefitsEnrollment?.gratuity ? 'Yes' : 'No',
+        e.benefitsEnrollment?.nps ? 'Yes' : 'No',
+        e.leaveBalance?.sick, e.leaveBalance?.casual, e.leaveBalance?.earned, e.performanceReviewSummary
+      ];
+      return row.map(item => {
+        if (typeof item === 'string' && item.includes(',')) {
+          return `"${item.replace(/"/g, '""')}"`;
+        }
+        return item;
+      }).join(',');
+    });
+
+    const csvContent = [
+      headers.join(','),
+      ...csvRows
+    ].join('\n');
+
+    const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
+    const link = document.createElement('a');
+    if (link.download !== undefined) {
+      const url = URL.createObjectURL(blob);
+      link.setAttribute('href', url);
+      link.setAttribute('download', 'sapphire_hr_employee_data.csv');
+      link.style.visibility = 'hidden';
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      showNotification('Employee data downloaded successfully!', 'success');
+    }
+  };
+
+
+  return (
+    <div>
+      <h2 className={`text-xl font-semibold mb-4 ${theme === 'dark' ? 'text-white' : 'text-zinc-900'}`}>HRIS: Employee Management</h2>
+      <div className={`p-6 rounded-lg shadow-md ${theme === 'dark' ? 'bg-zinc-800 text-gray-300' : 'bg-white text-gray-700'}`}>
+        <p className={`mb-4 text-sm ${theme === 'dark' ? 'text-gray-300' : 'text-gray-700'}`}>
+          The Human Resources Information System (HRIS) module provides a centralized platform for managing all employee-related data,
+          from personal information and contact details to compensation, benefits, and performance records.
+          This ensures data accuracy, simplifies HR processes, and supports strategic workforce planning.
+        </p>
+
+        {/* Employee Directory */}
+        <h3 className={`text-lg font-semibold mb-3 mt-6 ${theme === 'dark' ? 'text-white' : 'text-zinc-900'}`}>Employee Directory</h3>
+        <div className="flex flex-wrap gap-4 mb-4">
+          <input
+            type="text"
+            placeholder="Search employees by name, title, department..."
+            value={searchTerm}
+            onChange={(e) => setSearchTerm(e.target.value)}
+            className={`flex-1 min-w-[200px] p-2 rounded-md text-sm focus:ring-blue-500 focus:border-blue-500 transition-colors duration-200 ${theme === 'dark' ? 'bg-zinc-700 border-zinc-600 text-white' : 'bg-gray-100 border-gray-300 text-zinc-900'}`}
+            aria-label="Search employees"
+          />
+          <select
+            value={filterDepartment}
+            onChange={(e) => setFilterDepartment(e.target.value)}
+            className={`p-2 rounded-md text-sm focus:ring-blue-500 focus:border-blue-500 transition-colors duration-200 ${theme === 'dark' ? 'bg-zinc-700 border-zinc-600 text-white' : 'bg-gray-100 border-gray-300 text-zinc-900'}`}
+            aria-label="Filter by Department"
+          >
+            {departments.map(dept => (
+              <option key={dept} value={dept}>{dept}</option>
+            ))}
+          </select>
+          <select
+            value={filterStatus}
+            onChange={(e) => setFilterStatus(e.target.value)}
+            className={`p-2 rounded-md text-sm focus:ring-blue-500 focus:border-blue-500 transition-colors duration-200 ${theme === 'dark' ? 'bg-zinc-700 border-zinc-600 text-white' : 'bg-gray-100 border-gray-300 text-zinc-900'}`}
+            aria-label="Filter by Status"
+          >
+            {statuses.map(status => (
+              <option key={status} value={status}>{status}</option>
+            ))}
+          </select>
+          <button
+            onClick={handleDownloadEmployeeData}
+            className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg flex items-center space-x-2 text-sm transition-transform transform hover:scale-105 active:scale-95"
+            aria-label="Download Employee Data"
+          >
+            <Download size={16} /> <span>Download Data (CSV)</span>
+          </button>
+        </div>
+
+        <div className={`overflow-x-auto rounded-lg shadow-inner ${theme === 'dark' ? 'bg-zinc-700' : 'bg-gray-100'}`}>
+          <table className="min-w-full divide-y divide-zinc-600">
+            <thead className={theme === 'dark' ? 'bg-zinc-600' : 'bg-gray-200'}>
+              <tr>
+                <th className={`px-6 py-3 text-left text-xs font-medium uppercase tracking-wider ${theme === 'dark' ? 'text-gray-200' : 'text-gray-700'}`}>Employee ID</th>
+                <th className={`px-6 py-3 text-left text-xs font-medium uppercase tracking-wider ${theme === 'dark' ? 'text-gray-200' : 'text-gray-700'}`}>Name</th>
+                <th className={`px-6 py-3 text-left text-xs font-medium uppercase tracking-wider ${theme === 'dark' ? 'text-gray-200' : 'text-gray-700'}`}>Department</th>
+                <th className={`px-6 py-3 text-left text-xs font-medium uppercase tracking-wider ${theme === 'dark' ? 'text-gray-200' : 'text-gray-700'}`}>Job Title</th>
+                <th className={`px-6 py-3 text-left text-xs font-medium uppercase tracking-wider ${theme === 'dark' ? 'text-gray-200' : 'text-gray-700'}`}>Status</th>
+                <th className={`px-6 py-3 text-left text-xs font-medium uppercase tracking-wider ${theme === 'dark' ? 'text-gray-200' : 'text-gray-700'}`}>Hire Date</th>
+              </tr>
+            </thead>
+            <tbody className={theme === 'dark' ? 'bg-zinc-800 divide-y divide-zinc-700' : 'bg-white divide-y divide-gray-200'}>
+              {filteredEmployees.length > 0 ? (
+                filteredEmployees.map(employee => (
+                  <tr
+                    key={employee.id}
+                    onClick={() => onEmployeeClick(employee.id)}
+                    onKeyDown={(e) => { if (e.key === 'Enter') onEmployeeClick(employee.id); }}
+                    tabIndex={0}
+                    className={`cursor-pointer ${theme === 'dark' ? 'hover:bg-zinc-700' : 'hover:bg-gray-50'}`}
+                    aria-label={`View profile of ${employee.name}`}
+                  >
+                    <td className={`px-6 py-4 whitespace-nowrap text-sm font-medium ${theme === 'dark' ? 'text-blue-300' : 'text-blue-600'}`}>{employee.employeeId}</td>
+                    <td className={`px-6 py-4 whitespace-nowrap text-sm ${theme === 'dark' ? 'text-gray-300' : 'text-gray-700'}`}>{employee.name}</td>
+                    <td className={`px-6 py-4 whitespace-nowrap text-sm ${theme === 'dark' ? 'text-gray-300' : 'text-gray-700'}`}>{employee.department}</td>
+                    <td className={`px-6 py-4 whitespace-nowrap text-sm ${theme === 'dark' ? 'text-gray-300' : 'text-gray-700'}`}>{employee.jobTitle}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm">
+                      <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${
+                        employee.status === 'Active' ? 'bg-green-600/20 text-green-300' :
+                        employee.status === 'On Leave' ? 'bg-orange-600/20 text-orange-300' :
+                        'bg-red-600/20 text-red-300'
+                      }`}>
+                        {employee.status}
+                      </span>
+                    </td>
+                    <td className={`px-6 py-4 whitespace-nowrap text-sm ${theme === 'dark' ? 'text-gray-300' : 'text-gray-700'}`}>{employee.hireDate}</td>
+                  </tr>
+                ))
+              ) : (
+                <tr>
+                  <td colSpan="6" className={`px-6 py-4 text-center text-sm ${theme === 'dark' ? 'text-gray-400' : 'text-gray-600'}`}>No employees found matching your criteria.</td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+        <p className={`mt-4 text-xs ${theme === 'dark' ? 'text-gray-400' : 'text-gray-500'}`}>Click on an employee row to view their detailed profile with more HRIS data.</p>
+
+
+        {/* Benefits Management */}
+        <h3 className={`text-lg font-semibold mb-3 mt-8 ${theme === 'dark' ? 'text-white' : 'text-zinc-900'}`}>Benefits Management</h3>
+        <div className={`p-4 rounded-lg border ${theme === 'dark' ? 'bg-zinc-700 border-zinc-600' : 'bg-gray-100 border-gray-200'} text-sm`}>
+          <p className={`mb-2 ${theme === 'dark' ? 'text-gray-300' : 'text-gray-700'}`}>
+            Manage health insurance, retirement plans (PF, NPS, Gratuity), and other employee perks.
+          </p>
+          <ul className={`list-disc list-inside space-y-1 ${theme === 'dark' ? 'text-gray-400' : 'text-gray-600'}`}>
+            <li>Health & Wellness Programs</li>
+            <li>Retirement Savings (Provident Fund, NPS)</li>
+            <li>Group Term Life and Accident Insurance</li>
+            <li>Leave Encashment and Gratuity Calculations</li>
+          </ul>
+          <button onClick={() => showNotification('Benefit enrollment process initiated!', 'info')} className="mt-4 bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg text-sm transition-transform transform hover:scale-105 active:scale-95" aria-label="Manage Benefits">
+            Manage Benefits
+          </button>
+        </div>
+
+        {/* Leave Management */}
+        <h3 className={`text-lg font-semibold mb-3 mt-8 ${theme === 'dark' ? 'text-white' : 'text-zinc-900'}`}>Leave Management</h3>
+        <LeaveManagementPanel
+          employees={employees}
+          leaveRequests={leaveRequests}
+          onApplyLeave={onApplyLeave}
+          onTransitionLeaveRequest={onTransitionLeaveRequest}
+          onRunLeaveAccrual={onRunLeaveAccrual}
+        />
+
+        {/* Time & Attendance */}
+        <h3 className={`text-lg font-semibold mb-3 mt-8 ${theme === 'dark' ? 'text-white' : 'text-zinc-900'}`}>Time & Attendance</h3>
+        <AttendancePanel
+          employees={employees}
+          attendanceRecords={attendanceRecords}
+          leaveRequests={leaveRequests}
+          attendanceRegisters={attendanceRegisters}
+          onRecordAttendance={onRecordAttendance}
+          onRequestRegularization={onRequestRegularization}
+          onDecideRegularization={onDecideRegularization}
+          onLockAttendanceRegister={onLockAttendanceRegister}
+        />
+
+        {/* Performance Management */}
+        <h3 className={`text-lg font-semibold mb-3 mt-8 ${theme === 'dark' ? 'text-white' : 'text-zinc-900'}`}>Performance Management</h3>
+        <div className={`p-4 rounded-lg border ${theme === 'dark' ? 'bg-zinc-700 border-zinc-600' : 'bg-gray-100 border-gray-200'} text-sm`}>
+          <p className={`mb-2 ${theme === 'dark' ? 'text-gray-300' : 'text-gray-700'}`}>
+            Oversee employee performance reviews, set goals, and track development plans.
+          </p>
+          <ul className={`list-disc list-inside space-y-1 ${theme === 'dark' ? 'text-gray-400' : 'text-gray-600'}`}>
+            <li>Goal Setting & Tracking (OKR/KRA support)</li>
+            <li>360-Degree Feedback & Annual Reviews</li>
+            <li>Performance Improvement Plans (PIPs)</li>
+            <li>Learning & Development Integration</li>
+          </ul>
+          <button onClick={() => showNotification('Performance review cycle started!', 'info')} className="mt-4 bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg text-sm transition-transform transform hover:scale-105 active:scale-95" aria-label="Start Performance Review">
+            Start Review Cycle
+          </button>
+        </div>
+
+      </div>
+    </div>
+  );
+};
+
+// Hiring History Panel (read-only view of a converted employee's candidate record)
+const HiringHistoryPanel = ({ candidate, events = [], db, appId, onOpenCandidate }) => {
+  const { theme } = useTheme();
+  const { timeZone } = useTimeZone();
+  const scorecards = useCandidateScorecards(db, appId, candidate.id);
+
+  const summary = summarizeScorecards(scorecards);
+  const interviews = events
+    .filter(e => e.type === 'Interview' && e.candidateId === candidate.id && e.status !== 'Cancelled')
+    .map(e => ({ stored: e, local: localizeOccurrence(e, timeZone) }))
+    .sort((a, b) => `${a.local.date} ${a.local.startTime || ''}`.localeCompare(`${b.local.date} ${b.local.startTime || ''}`));
+  const sortedScorecards = [...scorecards].sort((a, b) => (a.submittedAt || '').localeCompare(b.submittedAt || ''));
+  const mutedClass = theme === 'dark' ? 'text-gray-400' : 'text-gray-600';
+  const itemClass = `${theme === 'dark' ? 'bg-zinc-700' : 'bg-gray-100'} p-3 rounded-lg text-sm`;
+
+  return (
+    <div className="space-y-6 text-sm">
+      <p>
+        Hired from candidate{' '}
+        <button onClick={() => onOpenCandidate(candidate.id)} className="text-blue-400 hover:text-blue-300 font-medium" aria-label={`Open candidate record for ${candidate.name}`}>{candidate.name}</button>
+        {' '}for {candidate.jobAppliedFor}.
+      </p>
+
+      <div>
+        <p className="font-semibold mb-2">Stages</p>
+        {getStageHistory(candidate).length > 0 ? (
+          <ul className="space-y-1">
+            {getStageHistory(candidate).map(record => (
+              <li key={record.at} className="flex justify-between">
+                <span>{record.to}</span>
+                <span className={mutedClass}>{new Date(record.at).toLocaleDateString('en-IN', { timeZone })}{record.by ? ` · ${record.by}` : ''}</span>
+              </li>
+            ))}
+          </ul>
+        ) : (
+          <p className={mutedClass}>No stage changes recorded.</p>
+        )}
+      </div>
+
+      <div>
+        <p className="font-semibold mb-2">Interviews</p>
+        {interviews.length > 0 ? (
+          <ul className="space-y-2">
+            {interviews.map(({ stored: interview, local }) => (
+              <li key={interview.id} className={itemClass}>
+                <p className="font-medium">{interview.round || interview.description}</p>
+                <p className={`text-xs ${mutedClass}`}>{local.date} · {local.time} · Panel: {(interview.attendees || []).join(', ') || 'N/A'}</p>
+              </li>
+            ))}
+          </ul>
+        ) : (
+          <p className={mutedClass}>No interviews on the calendar.</p>
+        )}
+      </div>
+
+      <div>
+        <p className="font-semibold mb-2">Scorecards</p>
+        {sortedScorecards.length > 0 ? (
+          <>
+            <p className={`text-xs mb-2 ${mutedClass}`}>
+              Hire {summary.hireCount} : {summary.noHireCount} No Hire{summary.avgScore !== null ? ` · Avg. weighted score ${Math.round(summary.avgScore)}%` : ''}
+            </p>
+            <ul className="space-y-2">
+              {sortedScorecards.map(scorecard => (
+                <li key={scorecard.id} className={itemClass}>
+                  <p className="font-medium">
+                    {scorecard.round} - {scorecard.interviewerName}
+                    <span className={`ml-2 px-2 text-xs font-semibold rounded-full ${HIRE_RECOMMENDATIONS.includes(scorecard.recommendation) ? 'bg-green-600/20 text-green-300' : 'bg-red-600/20 text-red-300'}`}>{scorecard.recommendation}</span>
+                  </p>
+                  <p className={`text-xs ${mutedClass}`}>Weighted score {scorecard.weightedScore !== null ? `${Math.round(scorecard.weightedScore)}%` : 'N/A'}{scorecard.overallComment ? ` · ${scorecard.overallComment}` : ''}</p>
+                </li>
+              ))}
+            </ul>
+          </>
+        ) : (
+          <p className={mutedClass}>No scorecards submitted.</p>
+        )}
+        {(candidate.interviewFeedback || []).length > 0 && (
+          <ul className="space-y-2 mt-2">
+            {candidate.interviewFeedback.map((feedback, index) => (
+              <li key={index} className={itemClass}>
+                <p className="font-medium">{feedback.round} - {feedback.interviewer} <span className="text-blue-400">{feedback.score}/10</span></p>
+                <p className={`text-xs ${mutedClass}`}>{feedback.date} · {feedback.comments}</p>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// Employee Detail View Component
+const EmployeeDetailView = ({ employee, leaveRequests = [], candidates = [], events = [], db, appId, viewer, onBack, onUpdateEmployee, onOpenCandidate }) => {
+  const { theme } = useTheme();
+  const { showNotification } = useNotification();
+  const { timeZone } = useTimeZone();
+  const [activeSection, setActiveSection] = useState('profile');
+  const [editingSection, setEditingSection] = useState(null);
+  const [formValues, setFormValues] = useState({});
+  const [errors, setErrors] = useState({});
+  const [newDocumentName, setNewDocumentName] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+
+  const bankDetails = normalizeBankDetails(employee.bankDetails);
+  const linkedCandidate = employee.candidateId ? candidates.find(c => c.id === employee.candidateId) : null;
+  // Hiring history only applies to employees converted from a candidate
+  const detailTabs = EMPLOYEE_DETAIL_TABS.filter(tab => tab.key !== 'hiring' || linkedCandidate);
+  const employeeLeaveRequests = leaveRequests.filter(r => r.employeeId === employee.id).sort((a, b) => b.startDate.localeCompare(a.startDate));
+
+  // Current values of a section, shaped for its edit form
+  const getSectionValues = (section) => {
+    switch (section) {
+      case 'profile':
+        return ['name', 'email', 'phone', 'dob', 'gender', 'address', 'department', 'jobTitle', 'location', 'status', 'hireDate']
+          .reduce((values, field) => ({ ...values, [field]: employee[field] || '' }), {});
+      case 'emergencyContact':
+        return { name: '', phone: '', relationship: '', ...employee.emergencyContact };
+      case 'bankDetails': {
+        const { legacy, ...fields } = bankDetails;
+        return fields;
+      }
+      case 'statutory':
+        return { panNumber: employee.panNumber || '', aadhaarNumber: employee.aadhaarNumber || '', uanNumber: employee.uanNumber || '' };
+      case 'benefitsEnrollment':
+        return BENEFIT_OPTIONS.reduce((values, { key }) => ({ ...values, [key]: !!employee.benefitsEnrollment?.[key] }), {});
+      case 'leaveBalance':
+        return LEAVE_TYPES.reduce((values, { key }) => ({ ...values, [key]: String(employee.leaveBalance?.[key] ?? 0) }), {});
+      case 'documents':
+        return { documents: [...(employee.documents || [])] };
+      case 'performance':
+        return { performanceReviewSummary: employee.performanceReviewSummary || '' };
+      default:
+        return {};
+    }
+  };
+
+  // Form values converted into the fields stored on the employee document
+  const toEmployeeUpdate = (section, values) => {
+    switch (section) {
+      case 'profile':
+        return Object.fromEntries(Object.entries(values).map(([field, value]) => [field, field === 'email' ? value.trim().toLowerCase() : value.trim()]));
+      case 'emergencyContact':
+        return { emergencyContact: { name: values.name.trim(), phone: values.phone.trim(), relationship: values.relationship.trim() } };
+      case 'bankDetails':
+        return { bankDetails: { accountHolder: values.accountHolder.trim(), bankName: values.bankName.trim(), accountNumber: values.accountNumber.trim(), ifsc: KYC_FIELDS.ifsc.normalize(values.ifsc) } };
+      case 'statutory':
+        return Object.fromEntries(Object.entries(values).map(([field, value]) => [field, KYC_FIELDS[field].normalize(value)]));
+      case 'benefitsEnrollment':
+        return { benefitsEnrollment: { ...employee.benefitsEnrollment, ...values } };
+      case 'leaveBalance':
+        return { leaveBalance: { ...employee.leaveBalance, ...LEAVE_TYPES.reduce((balance, { key }) => ({ ...balance, [key]: Number(values[key]) }), {}) } };
+      case 'documents':
+        return { documents: values.documents.map(name => name.trim()) };
+      case 'performance':
+        return { performanceReviewSummary: values.performanceReviewSummary.trim() };
+      default:
+        return { [section]: values };
+    }
+  };
+
+  const startEditing = (section) => {
+    setEditingSection(section);
+    setFormValues(getSectionValues(section));
+    setErrors({});
+    setNewDocumentName('');
+  };
+
+  const cancelEditing = () => {
+    setEditingSection(null);
+    setErrors({});
+  };
+
+  const selectSection = (section) => {
+    // Switching tabs discards unsaved edits rather than carrying them into another section
+    cancelEditing();
+    setActiveSection(section);
+  };
+
+  const updateField = (field, value) => {
+    setFormValues(prevValues => ({ ...prevValues, [field]: value }));
+    setErrors(prevErrors => {
+      const { [field]: removed, ...rest } = prevErrors;
+      return rest;
+    });
+  };
+
+  const addDocument = () => {
+    if (!newDocumentName.trim()) return;
+    updateField('documents', [...formValues.documents, newDocumentName.trim()]);
+    setNewDocumentName('');
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    const validationErrors = validateEmployeeSection(editingSection, formValues, getTodayKey(timeZone));
+    if (Object.keys(validationErrors).length > 0) {
+      setErrors(validationErrors);
+      showNotification('Please fix the highlighted fields.', 'error');
+      return;
+    }
+    setIsSaving(true);
+    const sectionLabel = EMPLOYEE_DETAIL_TABS.find(tab => tab.key === editingSection)?.label || editingSection;
+    const saved = await onUpdateEmployee(employee, toEmployeeUpdate(editingSection, formValues), sectionLabel);
+    setIsSaving(false);
+    if (saved) {
+      setEditingSection(null);
+    }
+  };
+
+  const labelClass = `font-medium ${theme === 'dark' ? 'text-gray-400' : 'text-gray-800'}`;
+  const inputClass = (field) => `mt-1 block w-full p-2 rounded-md text-sm focus:ring-blue-500 focus:border-blue-500 transition-colors duration-200 border ${
+    errors[field] ? 'border-red-500' : (theme === 'dark' ? 'border-zinc-600' : 'border-gray-300')
+  } ${theme === 'dark' ? 'bg-zinc-700 text-white' : 'bg-gray-100 text-zinc-900'}`;
+
+  const renderValue = (label, value) => (
+    <p key={label} className={`text-sm mb-2 ${theme === 'dark' ? 'text-gray-300' : 'text-gray-700'}`}>
+      <span className={labelClass}>{label}:</span> {value || 'N/A'}
+    </p>
+  );
+
+  const renderInput = (field, label, { type = 'text', options } = {}) => {
+    const id = `employee-${editingSection}-${field}`;
+    return (
+      <div key={field}>
+        <label htmlFor={id} className={`block text-sm ${labelClass}`}>{label}</label>
+        {options ? (
+          <select id={id} value={formValues[field] ?? ''} onChange={(e) => updateField(field, e.target.value)} className={inputClass(field)} aria-invalid={!!errors[field]} aria-label={label}>
+            <option value="">Select...</option>
+            {options.map(option => <option key={option} value={option}>{option}</option>)}
+          </select>
+        ) : type === 'textarea' ? (
+          <textarea id={id} rows="4" value={formValues[field] ?? ''} onChange={(e) => updateField(field, e.target.value)} className={inputClass(field)} aria-invalid={!!errors[field]} aria-label={label}></textarea>
+        ) : (
+          <input id={id} type={type} step={type === 'number' ? '0.5' : undefined} value={formValues[field] ?? ''} onChange={(e) => updateField(field, e.target.value)} className={inputClass(field)} aria-invalid={!!errors[field]} aria-label={label} />
+        )}
+        {errors[field] && <p className="text-xs text-red-400 mt-1" role="alert">{errors[field]}</p>}
+      </div>
+    );
+  };
+
+  const renderSectionView = () => {
+    switch (activeSection) {
+      case 'profile':
+        return (
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-x-6">
+            {renderValue('Email', employee.email)}
+            {renderValue('Phone', employee.phone)}
+            {renderValue('Department', employee.department)}
+            {renderValue('Job Title', employee.jobTitle)}
+            {renderValue('Location', employee.location)}
+            {renderValue('Employment Status', employee.status)}
+            {renderValue('Hire Date', employee.hireDate)}
+            {renderValue('Date of Birth', employee.dob)}
+            {renderValue('Gender', employee.gender)}
+            {renderValue('Address', employee.address)}
+            {renderValue('Annual CTC', `${formatINR(getAnnualCTC(employee))}${employee.compensation?.effectiveDate ? ` (effective ${employee.compensation.effectiveDate})` : ''}`)}
+          </div>
+        );
+      case 'emergencyContact':
+        return (
+          <>
+            {renderValue('Name', employee.emergencyContact?.name)}
+            {renderValue('Relationship', employee.emergencyContact?.relationship)}
+            {renderValue('Phone', employee.emergencyContact?.phone)}
+          </>
+        );
+      case 'bankDetails':
+        return bankDetails.legacy ? (
+          <>
+            {renderValue('On file', bankDetails.legacy)}
+            <p className={`text-xs ${theme === 'dark' ? 'text-gray-400' : 'text-gray-500'}`}>Only a summary is on file. Edit to record the account holder, bank, account number and IFSC.</p>
+          </>
+        ) : (
+          <>
+            {renderValue('Account Holder', bankDetails.accountHolder)}
+            {renderValue('Bank', bankDetails.bankName)}
+            {renderValue('Account Number', maskAccountNumber(bankDetails.accountNumber))}
+            {renderValue('IFSC', <KycValue field="ifsc" value={bankDetails.ifsc} viewer={viewer} />)}
+          </>
+        );
+      case 'statutory':
+        return (
+          <>
+            {renderValue('PAN', <KycValue field="panNumber" value={employee.panNumber} viewer={viewer} />)}
+            {renderValue('Aadhaar', <KycValue field="aadhaarNumber" value={employee.aadhaarNumber} viewer={viewer} />)}
+            {renderValue('UAN', <KycValue field="uanNumber" value={employee.uanNumber} viewer={viewer} />)}
+          </>
+        );
+      case 'benefitsEnrollment':
+        return (
+          <ul className="space-y-2 text-sm">
+            {BENEFIT_OPTIONS.map(({ key, label }) => (
+              <li key={key} className="flex items-center space-x-2">
+                {employee.benefitsEnrollment?.[key] ? <CheckCircle size={16} className="text-green-400" /> : <XCircle size={16} className="text-gray-500" />}
+                <span>{label}: {employee.benefitsEnrollment?.[key] ? 'Enrolled' : 'Not enrolled'}</span>
+              </li>
+            ))}
+          </ul>
+        );
+      case 'leaveBalance':
+        return (
+          <div className="grid grid-cols-3 gap-4">
+            {LEAVE_TYPES.map(({ key, label }) => (
+              <div key={key} className={`p-4 rounded-lg text-center ${theme === 'dark' ? 'bg-zinc-700' : 'bg-gray-100'}`}>
+                <p className="text-2xl font-bold text-blue-400">{employee.leaveBalance?.[key] ?? 0}</p>
+                <p className="text-xs">{label} days</p>
+              </div>
+            ))}
+            <p className={`col-span-3 text-xs ${theme === 'dark' ? 'text-gray-400' : 'text-gray-500'}`}>
+              Accrued through {employee.leaveAccruedThrough || 'last month'}.
+              {(employee.leaveEncashments || []).length > 0 && ` Encashed: ${employee.leaveEncashments.map(e => `${e.days} ${e.leaveType} day(s) for ${e.year}`).join(', ')}.`}
+            </p>
+            <div className="col-span-3">
+              <p className="text-sm font-semibold mb-2">Leave Requests</p>
+              {employeeLeaveRequests.length === 0 ? (
+                <p className="text-sm">No leave requests.</p>
+              ) : (
+                <ul className="space-y-1 text-sm">
+                  {employeeLeaveRequests.map(request => (
+                    <li key={request.id} className="flex justify-between">
+                      <span>{LEAVE_TYPES.find(type => type.key === request.leaveType)?.label || request.leaveType}: {request.startDate === request.endDate ? request.startDate : `${request.startDate} to ${request.endDate}`} ({request.days} day{request.days === 1 ? '' : 's'})</span>
+                      <span className={theme === 'dark' ? 'text-gray-400' : 'text-gray-500'}>{request.status}</span>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          </div>
+        );
+      case 'documents':
+        return (employee.documents || []).length > 0 ? (
+          <ul className="space-y-2 text-sm">
+            {employee.documents.map(name => (
+              <li key={name} className="flex items-center space-x-2"><FileText size={16} className="text-blue-400" /> <span>{name}</span></li>
+            ))}
+          </ul>
+        ) : (
+          <p className="text-sm">No documents on file.</p>
+        );
+      case 'performance':
+        return renderValue('Review Summary', employee.performanceReviewSummary);
+      case 'hiring':
+        return linkedCandidate && <HiringHistoryPanel candidate={linkedCandidate} events={events} db={db} appId={appId} onOpenCandidate={onOpenCandidate} />;
+      default:
+        return null;
+    }
+  };
+
+  const renderSectionForm = () => {
+    switch (editingSection) {
+      case 'profile':
+        return (
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            {renderInput('name', 'Full Name')}
+            {renderInput('email', 'Email', { type: 'email' })}
+            {renderInput('phone', 'Phone', { type: 'tel' })}
+            {renderInput('department', 'Department', { options: DEPARTMENTS })}
+            {renderInput('jobTitle', 'Job Title')}
+            {renderInput('location', 'Location', { options: OFFICE_LOCATIONS })}
+            {renderInput('status', 'Employment Status', { options: EMPLOYMENT_STATUSES })}
+            {renderInput('hireDate', 'Hire Date', { type: 'date' })}
+            {renderInput('dob', 'Date of Birth', { type: 'date' })}
+            {renderInput('gender', 'Gender', { options: GENDER_OPTIONS })}
+            <div className="md:col-span-2">{renderInput('address', 'Address', { type: 'textarea' })}</div>
+          </div>
+        );
+      case 'emergencyContact':
+        return (
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            {renderInput('name', 'Name')}
+            {renderInput('relationship', 'Relationship')}
+            {renderInput('phone', 'Phone', { type: 'tel' })}
+          </div>
+        );
+      case 'bankDetails':
+        return (
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            {renderInput('accountHolder', 'Account Holder')}
+            {renderInput('bankName', 'Bank Name')}
+            {renderInput('accountNumber', 'Account Number')}
+            {renderInput('ifsc', 'IFSC')}
+          </div>
+        );
+      case 'statutory':
+        return (
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            {renderInput('panNumber', 'PAN')}
+            {renderInput('aadhaarNumber', 'Aadhaar')}
+            {renderInput('uanNumber', 'UAN')}
+          </div>
+        );
+      case 'benefitsEnrollment':
+        return (
+          <div className="space-y-2">
+            {BENEFIT_OPTIONS.map(({ key, label }) => (
+              <label key={key} className="flex items-center space-x-2 text-sm">
+                <input type="checkbox" checked={!!formValues[key]} onChange={(e) => updateField(key, e.target.checked)} aria-label={label} />
+                <span>{label}</span>
+              </label>
+            ))}
+          </div>
+        );
+      case 'leaveBalance':
+        return (
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            {LEAVE_TYPES.map(({ key, label }) => renderInput(key, `${label} (days)`, { type: 'number' }))}
+          </div>
+        );
+      case 'documents':
+        return (
+          <div className="space-y-2">
+            {formValues.documents.map((name, index) => (
+              <div key={index} className="flex items-center space-x-2">
+                <input
+                  type="text"
+                  value={name}
+                  onChange={(e) => updateField('documents', formValues.documents.map((d, i) => (i === index ? e.target.value : d)))}
+                  className={inputClass('documents')}
+                  aria-label={`Document ${index + 1}`}
+                />
+                <button type="button" onClick={() => updateField('documents', formValues.documents.filter((d, i) => i !== index))} className="text-red-400 hover:text-red-300" aria-label={`Remove ${name || 'document'}`}>
+                  <XCircle size={18} />
+                </button>
+              </div>
+            ))}
+            <div className="flex items-center space-x-2">
+              <input
+                type="text"
+                value={newDocumentName}
+                onChange={(e) => setNewDocumentName(e.target.value)}
+                onKeyDown={(e) => { if (e.key === 'Enter') { e.preventDefault(); addDocument(); } }}
+                placeholder="Add a document, e.g. Relieving Letter"
+                className={inputClass('newDocument')}
+                aria-label="New document name"
+              />
+              <button type="button" onClick={addDocument} className="bg-green-600 hover:bg-green-700 text-white px-3 py-2 rounded-lg text-sm" aria-label="Add document">
+                <Plus size={16} />
+              </button>
+            </div>
+            {errors.documents && <p className="text-xs text-red-400" role="alert">{errors.documents}</p>}
+          </div>
+        );
+      case 'performance':
+        return renderInput('performanceReviewSummary', 'Review Summary', { type: 'textarea' });
+      default:
+        return null;
+    }
+  };
+
+  const activeTabLabel = EMPLOYEE_DETAIL_TABS.find(tab => tab.key === activeSection)?.label;
+
+  return (
+    <div>
+      <button onClick={onBack} className={`flex items-center text-sm mb-6 transition-colors duration-200 ${theme === 'dark' ? 'text-blue-400 hover:text-blue-300' : 'text-blue-600 hover:text-blue-800'}`} aria-label="Back to Employee Directory">
+        <ArrowLeft size={16} className="mr-2" /> Back to Employee Directory
+      </button>
+
+      <div className="flex flex-wrap items-center gap-3 mb-6">
+        <h2 className={`text-2xl font-bold ${theme === 'dark' ? 'text-white' : 'text-zinc-900'}`}>{employee.name}</h2>
+        <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${
+          employee.status === 'Active' ? 'bg-green-600/20 text-green-300' :
+          employee.status === 'On Leave' ? 'bg-orange-600/20 text-orange-300' :
+          'bg-red-600/20 text-red-300'
+        }`}>
+          {employee.status}
+        </span>
+        <span className={`text-sm ${theme === 'dark' ? 'text-gray-400' : 'text-gray-600'}`}>{employee.employeeId} · {employee.jobTitle} · {employee.department}</span>
+      </div>
+
+      <div className="flex flex-wrap gap-2 mb-6" role="tablist" aria-label="Employee record sections">
+        {detailTabs.map(tab => (
+          <button
+            key={tab.key}
+            onClick={() => selectSection(tab.key)}
+            className={`px-3 py-1 rounded-lg text-sm transition-colors duration-200 ${activeSection === tab.key ? 'bg-blue-600 text-white' : (theme === 'dark' ? 'bg-zinc-700 text-gray-300 hover:bg-zinc-600' : 'bg-gray-100 text-gray-700 hover:bg-gray-200')}`}
+            role="tab"
+            aria-selected={activeSection === tab.key}
+          >
+            {tab.label}
+          </button>
+        ))}
+      </div>
+
+      <div className={`p-6 rounded-lg shadow-md ${theme === 'dark' ? 'bg-zinc-800 text-gray-300' : 'bg-white text-gray-700'}`} role="tabpanel" aria-label={activeTabLabel}>
+        <h3 className={`text-lg font-semibold mb-4 flex items-center justify-between ${theme === 'dark' ? 'text-white' : 'text-zinc-900'}`}>
+          {activeTabLabel}
+          {editingSection !== activeSection && activeSection !== 'hiring' && (
+            <button onClick={() => startEditing(activeSection)} className="text-blue-400 hover:text-blue-300 flex items-center space-x-1 text-sm" aria-label={`Edit ${activeTabLabel}`}>
+              <Pencil size={14} /> <span>Edit</span>
+            </button>
+          )}
+        </h3>
+
+        {editingSection === activeSection ? (
+          <form onSubmit={handleSave} className="space-y-4" noValidate>
+            {renderSectionForm()}
+            <div className="flex space-x-2">
+              <button type="submit" disabled={isSaving} className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg flex items-center space-x-2 text-sm transition-transform transform hover:scale-105 active:scale-95 disabled:opacity-50" aria-label={`Save ${activeTabLabel}`}>
+                {isSaving ? <Loader size={16} className="animate-spin" /> : <Save size={16} />} <span>Save</span>
+              </button>
+              <button type="button" onClick={cancelEditing} className={`px-4 py-2 rounded-lg text-sm ${theme === 'dark' ? 'bg-zinc-700 text-gray-200' : 'bg-gray-200 text-gray-700'}`} aria-label="Cancel editing">
+                Cancel
+              </button>
+            </div>
+          </form>
+        ) : (
+          renderSectionView()
+        )}
+
+        {employee.updatedAt && (
+          <p className={`mt-6 text-xs ${theme === 'dark' ? 'text-gray-500' : 'text-gray-500'}`}>
+            Last updated by {employee.updatedBy || 'Unknown'} on {new Date(employee.updatedAt).toLocaleString('en-IN', { timeZone })}
+          </p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+
+// Offer Letter Templates Settings Component
+const OfferLetterTemplatesSettings = ({ templates, onSaveTemplate, onDeleteTemplate }) => {
+  const { theme } = useTheme();
+  const { showNotification } = useNotification();
+  const [selectedTemplateId, setSelectedTemplateId] = useState(null);
+  const [templateName, setTemplateName] = useState('');
+  const [templateBody, setTemplateBody] = useState('');
+
+  const selectTemplate = (template) => {
+    setSelectedTemplateId(template ? template.id : null);
+    setTemplateName(template ? template.name : '');
+    setTemplateBody(template ? template.body : DEFAULT_OFFER_LETTER_TEMPLATE.body);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (templateName.trim() === '' || templateBody.trim() === '') {
+      showNotification('Template name and body are required.', 'error');
+      return;
+    }
+    const savedId = await onSaveTemplate({ id: selectedTemplateId, name: templateName.trim(), body: templateBody });
+    if (savedId) {
+      setSelectedTemplateId(savedId);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!selectedTemplateId) return;
+    await onDeleteTemplate(selectedTemplateId);
+    selectTemplate(null);
+  };
+
+  const previewHtml = renderOfferLetter(templateBody, buildOfferLetterFields({
+    name: 'Jane Doe',
+    jobAppliedFor: 'Software Engineer',
+    noticePeriod: '30 days',
+    compensation: { baseSalary: 1200000, annualBonus: 150000, equity: '2000 units (vesting over 4 years)', allowances: 'Transport, HRA', totalCompensation: 1350000 },
+  }, 'Recruiter Name'));
+
+  return (
+    <div className={`p-6 rounded-lg shadow-md mt-6 ${theme === 'dark' ? 'bg-zinc-800 text-gray-300' : 'bg-white text-gray-700'}`}>
+      <h3 className={`text-lg font-semibold mb-4 flex items-center space-x-2 ${theme === 'dark' ? 'text-white' : 'text-zinc-900'}`}><FileText size={20} /> Offer Letter Templates</h3>
+      <div className="flex flex-wrap gap-2 mb-4">
+        {templates.map(template => (
+          <button
+            key={template.id}
+            onClick={() => selectTemplate(template)}
+            className={`px-3 py-1 rounded-full text-sm ${selectedTemplateId === template.id ? 'bg-blue-600 text-white' : (theme === 'dark' ? 'bg-zinc-700 text-gray-300 hover:bg-zinc-600' : 'bg-gray-200 text-gray-700 hover:bg-gray-300')}`}
+            aria-label={`Edit template ${template.name}`}
+          >
+            {template.name}
+          </button>
+        ))}
+        <button onClick={() => selectTemplate(null)} className="px-3 py-1 rounded-full text-sm bg-green-600 hover:bg-green-700 text-white flex items-center space-x-1" aria-label="New template">
+          <Plus size={14} /> <span>New Template</span>
+        </button>
+      </div>
+      <form onSubmit={handleSubmit} className="space-y-4">
+        <div>
+          <label htmlFor="templateName" className={`block text-sm font-medium ${theme === 'dark' ? 'text-gray-400' : 'text-gray-800'}`}>Template Name</label>
+          <input
+            type="text"
+            id="templateName"
+            value={templateName}
+            onChange={(e) => setTemplateName(e.target.value)}
+            className={`mt-1 block w-full p-2 rounded-md text-sm focus:ring-blue-500 focus:border-blue-500 transition-colors duration-200 ${theme === 'dark' ? 'bg-zinc-700 border-zinc-600 text-white' : 'bg-gray-100 border-gray-300 text-zinc-900'}`}
+            aria-label="Template Name"
+          />
+        </div>
+        <div>
+          <label htmlFor="templateBody" className={`block text-sm font-medium ${theme === 'dark' ? 'text-gray-400' : 'text-gray-800'}`}>Template Body (HTML)</label>
+          <textarea
+            id="templateBody"
+            value={templateBody}
+            onChange={(e) => setTemplateBody(e.target.value)}
+            className={`mt-1 block w-full p-2 rounded-md text-sm font-mono min-h-[200px] focus:ring-blue-500 focus:border-blue-500 transition-colors duration-200 ${theme === 'dark' ? 'bg-zinc-700 border-zinc-600 text-white' : 'bg-gray-100 border-gray-300 text-zinc-900'}`}
+            aria-label="Template Body"
+          ></textarea>
+        </div>
+        <div className={`text-xs ${theme === 'dark' ? 'text-gray-400' : 'text-gray-600'}`}>
+          <p className="font-medium mb-1">Available merge fields:</p>
+          <div className="flex flex-wrap gap-2">
+            {OFFER_LETTER_MERGE_FIELDS.map(field => (
+              <code key={field.key} title={field.label} className={`px-2 py-0.5 rounded ${theme === 'dark' ? 'bg-zinc-700' : 'bg-gray-200'}`}>{`{{${field.key}}}`}</code>
+            ))}
+          </div>
+        </div>
+        <div className="flex space-x-2">
+          <button type="submit" className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg flex items-center space-x-2 text-sm transition-transform transform hover:scale-105 active:scale-95" aria-label="Save Template">
+            <Save size={16} /> <span>Save Template</span>
+          </button>
+          {selectedTemplateId && (
+            <button type="button" onClick={handleDelete} className="bg-red-600 hover:bg-red-700 text-white px-4 py-2 rounded-lg text-sm transition-transform transform hover:scale-105 active:scale-95" aria-label="Delete Template">
+              Delete
+            </button>
+          )}
+        </div>
+      </form>
+      {templateBody && (
+        <div className="mt-4">
+          <p className={`text-sm font-medium mb-2 ${theme === 'dark' ? 'text-gray-400' : 'text-gray-800'}`}>Preview (sample data)</p>
+          <iframe title="Offer letter template preview" srcDoc={wrapOfferLetterHtml('Offer Letter', previewHtml)} sandbox="" className="w-full h-80 rounded-md bg-white" />
+        </div>
+      )}
+    </div>
+  );
+};
+
+
+// Interview Scorecard Templates (Settings)
+const ScorecardTemplatesSettings = ({ templates, onSaveTemplate, onDeleteTemplate }) => {
+  const { theme } = useTheme();
+  const { showNotification } = useNotification();
+  const emptyCompetency = { name: '', weight: 0, commentRequired: false };
+  const [selectedTemplateId, setSelectedTemplateId] = useState(null);
+  const [templateName, setTemplateName] = useState('');
+  const [roleTitle, setRoleTitle] = useState('');
+  const [round, setRound] = useState(DEFAULT_INTERVIEW_PLAN[0]);
+  const [ratingScale, setRatingScale] = useState(5);
+  const [overallCommentRequired, setOverallCommentRequired] = useState(true);
+  const [competencies, setCompetencies] = useState([{ ...emptyCompetency, weight: 100 }]);
+
+  const totalWeight = competencies.reduce((sum, c) => sum + (Number(c.weight) || 0), 0);
+
+  const selectTemplate = (template) => {
+    setSelectedTemplateId(template ? template.id : null);
+    setTemplateName(template ? template.name : '');
+    setRoleTitle(template ? template.roleTitle || '' : '');
+    setRound(template ? template.round : DEFAULT_INTERVIEW_PLAN[0]);
+    setRatingScale(template ? template.ratingScale : 5);
+    setOverallCommentRequired(template ? template.overallCommentRequired !== false : true);
+    setCompetencies(template ? template.competencies.map(c => ({ ...c })) : [{ ...emptyCompetency, weight: 100 }]);
+  };
+
+  const updateCompetency = (index, field, value) => {
+    setCompetencies(prevCompetencies => prevCompetencies.map((c, i) => (i === index ? { ...c, [field]: value } : c)));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const cleanedCompetencies = competencies
+      .map(c => ({ name: c.name.trim(), weight: Number(c.weight) || 0, commentRequired: !!c.commentRequired }))
+      .filter(c => c.name !== '');
+    if (templateName.trim() === '' || round.trim() === '' || cleanedCompetencies.length === 0) {
+      showNotification('Template name, round and at least one competency are required.', 'error');
+      return;
+    }
+    if (new Set(cleanedCompetencies.map(c => c.name)).size !== cleanedCompetencies.length) {
+      showNotification('Competency names must be unique.', 'error');
+      return;
+    }
+    if (cleanedCompetencies.reduce((sum, c) => sum + c.weight, 0) !== 100) {
+      showNotification('Competency weights must add up to 100%.', 'error');
+      return;
+    }
+    const savedId = await onSaveTemplate({
+      id: selectedTemplateId,
+      name: templateName.trim(),
+      roleTitle: roleTitle.trim(),
+      round: round.trim(),
+      ratingScale: Number(ratingScale),
+      overallCommentRequired,
+      competencies: cleanedCompetencies,
+    });
+    if (savedId) {
+      setSelectedTemplateId(savedId);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!selectedTemplateId) return;
+    await onDeleteTemplate(selectedTemplateId);
+    selectTemplate(null);
+  };
+
+  const inputClass = `mt-1 block w-full p-2 rounded-md text-sm focus:ring-blue-500 focus:border-blue-500 transition-colors duration-200 ${theme === 'dark' ? 'bg-zinc-700 border-zinc-600 text-white' : 'bg-gray-100 border-gray-300 text-zinc-900'}`;
+  const labelClass = `block text-sm font-medium ${theme === 'dark' ? 'text-gray-400' : 'text-gray-800'}`;
+
+  return (
+    <div className={`p-6 rounded-lg shadow-md mt-6 ${theme === 'dark' ? 'bg-zinc-800 text-gray-300' : 'bg-white text-gray-700'}`}>
+      <h3 className={`text-lg font-semibold mb-4 flex items-center space-x-2 ${theme === 'dark' ? 'text-white' : 'text-zinc-900'}`}><ClipboardCheck size={20} /> Interview Scorecard Templates</h3>
+      <div className="flex flex-wrap gap-2 mb-4">
+        {templates.map(template => (
+          <button
+            key={template.id}
+            onClick={() => selectTemplate(template)}
+            className={`px-3 py-1 rounded-full text-sm ${selectedTemplateId === template.id ? 'bg-blue-600 text-white' : (theme === 'dark' ? 'bg-zinc-700 text-gray-300 hover:bg-zinc-600' : 'bg-gray-200 text-gray-700 hover:bg-gray-300')}`}
+            aria-label={`Edit scorecard template ${template.name}`}
+          >
+            {template.name}
+          </button>
+        ))}
+        <button onClick={() => selectTemplate(null)} className="px-3 py-1 rounded-full text-sm bg-green-600 hover:bg-green-700 text-white flex items-center space-x-1" aria-label="New scorecard template">
+          <Plus size={14} /> <span>New Template</span>
+        </button>
+      </div>
+      <form onSubmit={handleSubmit} className="space-y-4">
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div>
+            <label htmlFor="scorecardTemplateName" className={labelClass}>Template Name</label>
+            <input type="text" id="scorecardTemplateName" value={templateName} onChange={(e) => setTemplateName(e.target.value)} className={inputClass} aria-label="Scorecard template name" />
+          </div>
+          <div>
+            <label htmlFor="scorecardTemplateRole" className={labelClass}>Role (leave blank for all roles)</label>
+            <input type="text" id="scorecardTemplateRole" value={roleTitle} onChange={(e) => setRoleTitle(e.target.value)} className={inputClass} placeholder="e.g., Software Engineer" aria-label="Scorecard template role" />
+          </div>
+          <div>
+            <label htmlFor="scorecardTemplateRound" className={labelClass}>Round</label>
+            <input type="text" id="scorecardTemplateRound" list="scorecardRounds" value={round} onChange={(e) => setRound(e.target.value)} className={inputClass} aria-label="Scorecard template round" />
+            <datalist id="scorecardRounds">
+              {DEFAULT_INTERVIEW_PLAN.map(planRound => <option key={planRound} value={planRound} />)}
+            </datalist>
+          </div>
+          <div>
+            <label htmlFor="scorecardTemplateScale" className={labelClass}>Rating Scale</label>
+            <select id="scorecardTemplateScale" value={ratingScale} onChange={(e) => setRatingScale(Number(e.target.value))} className={inputClass} aria-label="Scorecard rating scale">
+              {SCORECARD_RATING_SCALES.map(scale => <option key={scale} value={scale}>1 - {scale}</option>)}
+            </select>
+          </div>
+        </div>
+        <div>
+          <p className={`${labelClass} mb-2`}>Competencies (total weight: <span className={totalWeight === 100 ? 'text-green-400' : 'text-yellow-400'}>{totalWeight}%</span>)</p>
+          <div className="space-y-2">
+            {competencies.map((competency, index) => (
+              <div key={index} className="flex flex-wrap items-center gap-2">
+                <input type="text" value={competency.name} onChange={(e) => updateCompetency(index, 'name', e.target.value)} placeholder="Competency" className={`${inputClass} mt-0 flex-1 min-w-[150px]`} aria-label={`Competency ${index + 1} name`} />
+                <input type="number" min="0" max="100" value={competency.weight} onChange={(e) => updateCompetency(index, 'weight', e.target.value)} className={`${inputClass} mt-0 w-24`} aria-label={`Competency ${index + 1} weight`} />
+                <label className="flex items-center space-x-1 text-xs">
+                  <input type="checkbox" checked={!!competency.commentRequired} onChange={(e) => updateCompetency(index, 'commentRequired', e.target.checked)} aria-label={`Competency ${index + 1} comment required`} />
+                  <span>Comment required</span>
+                </label>
+                <button type="button" onClick={() => setCompetencies(competencies.filter((_, i) => i !== index))} className="text-red-400 hover:text-red-300 text-xs" aria-label={`Remove competency ${index + 1}`} disabled={competencies.length === 1}>
+                  Remove
+                </button>
+              </div>
+            ))}
+          </div>
+          <button type="button" onClick={() => setCompetencies([...competencies, { ...emptyCompetency }])} className="mt-2 text-sm text-blue-400 hover:underline flex items-center space-x-1" aria-label="Add competency">
+            <Plus size={14} /> <span>Add Competency</span>
+          </button>
+        </div>
+        <label className="flex items-center space-x-2 text-sm">
+          <input type="checkbox" checked={overallCommentRequired} onChange={(e) => setOverallCommentRequired(e.target.checked)} aria-label="Overall comment required" />
+          <span>Require an overall comment</span>
+        </label>
+        <div className="flex space-x-2">
+          <button type="submit" className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg flex items-center space-x-2 text-sm transition-transform transform hover:scale-105 active:scale-95" aria-label="Save Scorecard Template">
+            <Save size={16} /> <span>Save Template</span>
+          </button>
+          {selectedTemplateId && (
+            <button type="button" onClick={handleDelete} className="bg-red-600 hover:bg-red-700 text-white px-4 py-2 rounded-lg text-sm transition-transform transform hover:scale-105 active:scale-95" aria-label="Delete Scorecard Template">
+              Delete
+            </button>
+          )}
+        </div>
+      </form>
+    </div>
+  );
+};
+
+
+// Salary Structure Templates (Settings)
+const SalaryTemplatesSettings = ({ templates, onSaveTemplate, onDeleteTemplate }) => {
+  const { theme } = useTheme();
+  const { showNotification } = useNotification();
+  const emptyForm = {
+    name: '',
+    grade: '',
+    basicPercent: DEFAULT_SALARY_SPLIT_RULES.basicShareOfCTC * 100,
+    hraShareOfBasic: DEFAULT_SALARY_SPLIT_RULES.hraShareOfBasic,
+    capPF: true,
+    bonusPercent: 0,
+    medicalInsuranceEmployer: 0,
+    bandMin: '',
+    bandMid: '',
+    bandMax: '',
+  };
+  const [selectedTemplateId, setSelectedTemplateId] = useState(null);
+  const [form, setForm] = useState(emptyForm);
+
+  const updateForm = (field, value) => setForm(prevForm => ({ ...prevForm, [field]: value }));
+
+  const selectTemplate = (template) => {
+    setSelectedTemplateId(template ? template.id : null);
+    setForm(template ? {
+      name: template.name,
+      grade: template.grade,
+      basicPercent: Math.round(template.splitRules.basicShareOfCTC * 100),
+      hraShareOfBasic: template.splitRules.hraShareOfBasic,
+      capPF: !!template.splitRules.pfWageCeiling,
+      bonusPercent: Math.round(template.splitRules.performanceBonusShareOfCTC * 100),
+      medicalInsuranceEmployer: template.splitRules.medicalInsuranceEmployer,
+      bandMin: template.band.min,
+      bandMid: template.band.mid,
+      bandMax: template.band.max,
+    } : emptyForm);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const template = {
+      id: selectedTemplateId,
+      name: form.name.trim(),
+      grade: form.grade.trim(),
+      splitRules: {
+        ...DEFAULT_SALARY_SPLIT_RULES,
+        basicShareOfCTC: Number(form.basicPercent) / 100,
+        hraShareOfBasic: Number(form.hraShareOfBasic),
+        pfWageCeiling: form.capPF ? PF_WAGE_CEILING : null,
+        performanceBonusShareOfCTC: Number(form.bonusPercent) / 100,
+        medicalInsuranceEmployer: Number(form.medicalInsuranceEmployer) || 0,
+      },
+      band: { min: Number(form.bandMin), mid: Number(form.bandMid), max: Number(form.bandMax) },
+    };
+    const errors = validateSalaryTemplate(template);
+    if (templates.some(t => t.id !== selectedTemplateId && t.grade === template.grade)) {
+      errors.push(`Grade ${template.grade} already has a template.`);
+    }
+    if (errors.length > 0) {
+      showNotification(errors[0], 'error');
+      return;
+    }
+    const savedId = await onSaveTemplate(template);
+    if (savedId) {
+      setSelectedTemplateId(savedId);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!selectedTemplateId) return;
+    await onDeleteTemplate(selectedTemplateId);
+    selectTemplate(null);
+  };
+
+  const inputClass = `mt-1 block w-full p-2 rounded-md text-sm focus:ring-blue-500 focus:border-blue-500 transition-colors duration-200 ${theme === 'dark' ? 'bg-zinc-700 border-zinc-600 text-white' : 'bg-gray-100 border-gray-300 text-zinc-900'}`;
+  const labelClass = `block text-sm font-medium ${theme === 'dark' ? 'text-gray-400' : 'text-gray-800'}`;
+
+  return (
+    <div className={`p-6 rounded-lg shadow-md mt-6 ${theme === 'dark' ? 'bg-zinc-800 text-gray-300' : 'bg-white text-gray-700'}`}>
+      <h3 className={`text-lg font-semibold mb-4 flex items-center space-x-2 ${theme === 'dark' ? 'text-white' : 'text-zinc-900'}`}><DollarSign size={20} /> Salary Structure Templates</h3>
+      <p className={`text-sm mb-4 ${theme === 'dark' ? 'text-gray-400' : 'text-gray-600'}`}>
+        One template per grade. The split is applied by the CTC calculator, candidate compensation and offers; offers outside the band are flagged with their compa-ratio.
+      </p>
+      <div className="flex flex-wrap gap-2 mb-4">
+        {[...templates].sort((a, b) => a.grade.localeCompare(b.grade)).map(template => (
+          <button
+            key={template.id}
+            onClick={() => selectTemplate(template)}
+            className={`px-3 py-1 rounded-full text-sm ${selectedTemplateId === template.id ? 'bg-blue-600 text-white' : (theme === 'dark' ? 'bg-zinc-700 text-gray-300 hover:bg-zinc-600' : 'bg-gray-200 text-gray-700 hover:bg-gray-300')}`}
+            aria-label={`Edit salary template ${template.name}`}
+          >
+            {template.grade} · {template.name}
+          </button>
+        ))}
+        <button onClick={() => selectTemplate(null)} className="px-3 py-1 rounded-full text-sm bg-green-600 hover:bg-green-700 text-white flex items-center space-x-1" aria-label="New salary template">
+          <Plus size={14} /> <span>New Template</span>
+        </button>
+      </div>
+      <form onSubmit={handleSubmit} className="space-y-4">
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <div>
+            <label htmlFor="salaryTemplateName" className={labelClass}>Template Name</label>
+            <input type="text" id="salaryTemplateName" value={form.name} onChange={(e) => updateForm('name', e.target.value)} className={inputClass} aria-label="Salary template name" />
+          </div>
+          <div>
+            <label htmlFor="salaryTemplateGrade" className={labelClass}>Grade</label>
+            <input type="text" id="salaryTemplateGrade" value={form.grade} onChange={(e) => updateForm('grade', e.target.value)} className={inputClass} placeholder="e.g., L3" aria-label="Salary template grade" />
+          </div>
+          <div>
+            <label htmlFor="salaryTemplateBasic" className={labelClass}>Basic (% of CTC)</label>
+            <input type="number" id="salaryTemplateBasic" min={BASIC_SHARE_RANGE.min * 100} max={BASIC_SHARE_RANGE.max * 100} value={form.basicPercent} onChange={(e) => updateForm('basicPercent', e.target.value)} className={inputClass} aria-label="Basic share of CTC" />
+          </div>
+          <div>
+            <label htmlFor="salaryTemplateHra" className={labelClass}>HRA (% of Basic)</label>
+            <select id="salaryTemplateHra" value={form.hraShareOfBasic} onChange={(e) => updateForm('hraShareOfBasic', Number(e.target.value))} className={inputClass} aria-label="HRA share of basic">
+              {HRA_SHARE_OPTIONS.map(share => <option key={share} value={share}>{share * 100}%</option>)}
+            </select>
+          </div>
+          <div>
+            <label htmlFor="salaryTemplateBonus" className={labelClass}>Performance Bonus (% of CTC)</label>
+            <input type="number" id="salaryTemplateBonus" min="0" max="50" value={form.bonusPercent} onChange={(e) => updateForm('bonusPercent', e.target.value)} className={inputClass} aria-label="Performance bonus share of CTC" />
+          </div>
+          <div>
+            <label htmlFor="salaryTemplateMedical" className={labelClass}>Medical Insurance (INR a year)</label>
+            <input type="number" id="salaryTemplateMedical" min="0" value={form.medicalInsuranceEmployer} onChange={(e) => updateForm('medicalInsuranceEmployer', e.target.value)} className={inputClass} aria-label="Employer medical insurance" />
+          </div>
+          <div>
+            <label htmlFor="salaryTemplateBandMin" className={labelClass}>Band Minimum (CTC)</label>
+            <input type="number" id="salaryTemplateBandMin" value={form.bandMin} onChange={(e) => updateForm('bandMin', e.target.value)} className={inputClass} aria-label="Band minimum" />
+          </div>
+          <div>
+            <label htmlFor="salaryTemplateBandMid" className={labelClass}>Band Midpoint (CTC)</label>
+            <input type="number" id="salaryTemplateBandMid" value={form.bandMid} onChange={(e) => updateForm('bandMid', e.target.value)} className={inputClass} aria-label="Band midpoint" />
+          </div>
+          <div>
+            <label htmlFor="salaryTemplateBandMax" className={labelClass}>Band Maximum (CTC)</label>
+            <input type="number" id="salaryTemplateBandMax" value={form.bandMax} onChange={(e) => updateForm('bandMax', e.target.value)} className={inputClass} aria-label="Band maximum" />
+          </div>
+        </div>
+        <label className="flex items-center space-x-2 text-sm">
+          <input type="checkbox" checked={form.capPF} onChange={(e) => updateForm('capPF', e.target.checked)} aria-label="PF on capped basic" />
+          <span>PF on basic capped at {formatINR(PF_WAGE_CEILING / 12)} a month</span>
+        </label>
+        <div className="flex space-x-2">
+          <button type="submit" className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg flex items-center space-x-2 text-sm transition-transform transform hover:scale-105 active:scale-95" aria-label="Save Salary Template">
+            <Save size={16} /> <span>Save Template</span>
+          </button>
+          {selectedTemplateId && (
+            <button type="button" onClick={handleDelete} className="bg-red-600 hover:bg-red-700 text-white px-4 py-2 rounded-lg text-sm transition-transform transform hover:scale-105 active:scale-95" aria-label="Delete Salary Template">
+              Delete
+            </button>
+          )}
+        </div>
+      </form>
+    </div>
+  );
+};
+
+// A rule set as the JSON shown in the editor, without its Firestore bookkeeping fields
+const toEditableTaxRulesJson = (rules) => {
+  const { id, updatedAt, updatedBy, ...ruleFields } = rules;
+  return JSON.stringify(ruleFields, null, 2);
+};
+
+// Tax Rules (Settings)
+const TaxRulesSettings = ({ taxRules, onSaveTaxRules }) => {
+  const { theme } = useTheme();
+  const { showNotification } = useNotification();
+  const storedYears = taxRules.map(r => r.financialYear);
+  const years = [...new Set([...Object.keys(DEFAULT_TAX_RULES), ...storedYears])].sort();
+  const [selectedYear, setSelectedYear] = useState(LATEST_DEFAULT_FINANCIAL_YEAR);
+  const [draft, setDraft] = useState('');
+  const [errors, setErrors] = useState([]);
+
+  const selectedRules = taxRules.find(r => r.financialYear === selectedYear) || DEFAULT_TAX_RULES[selectedYear];
+  const selectedUpdatedAt = selectedRules?.updatedAt;
+
+  // Reload the editor when another year is picked or that year's stored copy is saved, not on every snapshot
+  useEffect(() => {
+    if (selectedRules) setDraft(toEditableTaxRulesJson(selectedRules));
+    setErrors([]);
+  }, [selectedYear, selectedUpdatedAt]);
+
+  const handleAddNextYear = () => {
+    const latestYear = years[years.length - 1];
+    const nextYear = shiftFinancialYear(latestYear, 1);
+    const latestRules = taxRules.find(r => r.financialYear === latestYear) || DEFAULT_TAX_RULES[latestYear];
+    setSelectedYear(nextYear);
+    setDraft(toEditableTaxRulesJson({ ...latestRules, financialYear: nextYear }));
+    setErrors([]);
+    showNotification(`FY ${nextYear} started from the FY ${latestYear} rules. Edit and save to publish it.`, 'info');
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    let rules;
+    try {
+      rules = JSON.parse(draft);
+    } catch (error) {
+      setErrors([`Not valid JSON: ${error.message}`]);
+      return;
+    }
+    const validationErrors = validateTaxRules(rules);
+    setErrors(validationErrors);
+    if (validationErrors.length > 0) return;
+    if (await onSaveTaxRules(rules)) setSelectedYear(rules.financialYear);
+  };
+
+  const storedRules = taxRules.find(r => r.financialYear === selectedYear);
+
+  return (
+    <div className={`p-6 rounded-lg shadow-md mt-6 ${theme === 'dark' ? 'bg-zinc-800 text-gray-300' : 'bg-white text-gray-700'}`}>
+      <h3 className={`text-lg font-semibold mb-4 flex items-center space-x-2 ${theme === 'dark' ? 'text-white' : 'text-zinc-900'}`}><Calculator size={20} /> Tax Rules</h3>
+      <p className={`text-sm mb-4 ${theme === 'dark' ? 'text-gray-400' : 'text-gray-600'}`}>
+        Slabs, rebates, deduction caps and state professional tax used by the CTC calculator and payroll runs. Amounts are annual in rupees except professional tax, which is monthly; rates are fractions. A year without its own rules uses the closest earlier year.
+      </p>
+      <div className="flex flex-wrap items-end gap-3 mb-4">
+        <div>
+          <label htmlFor="taxRulesYear" className={`block text-sm font-medium ${theme === 'dark' ? 'text-gray-400' : 'text-gray-800'}`}>Financial year</label>
+          <select
+            id="taxRulesYear"
+            value={selectedYear}
+            onChange={(e) => setSelectedYear(e.target.value)}
+            className={`mt-1 p-2 rounded-md text-sm ${theme === 'dark' ? 'bg-zinc-700 border-zinc-600 text-white' : 'bg-gray-100 border-gray-300 text-zinc-900'}`}
+            aria-label="Financial year"
+          >
+            {[...new Set([...years, selectedYear])].sort().map(year => <option key={year} value={year}>FY {year}</option>)}
+          </select>
+        </div>
+        <button type="button" onClick={handleAddNextYear} className="bg-zinc-600 hover:bg-zinc-700 text-white px-4 py-2 rounded-lg flex items-center space-x-2 text-sm transition-transform transform hover:scale-105 active:scale-95" aria-label="Add Next Financial Year">
+          <Plus size={16} /> <span>Add Next Year</span>
+        </button>
+        <p className={`text-xs ${theme === 'dark' ? 'text-gray-500' : 'text-gray-600'}`}>
+          {storedRules ? `Last updated by ${storedRules.updatedBy || 'Unknown'}${storedRules.updatedAt ? ` on ${new Date(storedRules.updatedAt).toLocaleDateString()}` : ''}.` : 'Not saved yet.'}
+        </p>
+      </div>
+      <form onSubmit={handleSubmit} className="space-y-3">
+        <textarea
+          value={draft}
+          onChange={(e) => setDraft(e.target.value)}
+          rows={16}
+          spellCheck={false}
+          className={`block w-full p-2 rounded-md font-mono text-xs ${theme === 'dark' ? 'bg-zinc-700 border-zinc-600 text-white' : 'bg-gray-100 border-gray-300 text-zinc-900'}`}
+          aria-label="Tax rules JSON"
+        />
+        {errors.length > 0 && (
+          <ul className="list-disc list-inside text-sm text-red-400 space-y-1">
+            {errors.map(error => <li key={error}>{error}</li>)}
+          </ul>
+        )}
+        <button type="submit" className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg flex items-center space-x-2 text-sm transition-transform transform hover:scale-105 active:scale-95" aria-label="Save Tax Rules">
+          <Save size={16} /> <span>Save Rules</span>
+        </button>
+      </form>
+    </div>
+  );
+};
+
+
+// Settings Page Component
+const SettingsPage = ({ userDisplayName, userRole, onUpdateUserName, onUpdateUserPassword, handleLogout, offerLetterTemplates = [], onSaveOfferLetterTemplate, onDeleteOfferLetterTemplate, scorecardTemplates = [], onSaveScorecardTemplate, onDeleteScorecardTemplate, orgTimeZone = DEFAULT_ORG_TIMEZONE, onUpdateOrgTimeZone, taxRules = [], onSaveTaxRules, salaryTemplates = [], onSaveSalaryTemplate, onDeleteSalaryTemplate }) => {
+  const { theme } = useTheme();
+  const { showNotification } = useNotification();
+  const { timeZone, userTimeZone, setUserTimeZone } = useTimeZone();
+  const browserTimeZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+  const timeZoneOptions = [...new Set([...TIMEZONE_OPTIONS, orgTimeZone, browserTimeZone].filter(Boolean))];
+  const [newUserName, setNewUserName] = useState(userDisplayName);
+  const [oldPassword, setOldPassword] = useState('');
+  const [newPassword, setNewPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [nameMessage, setNameMessage] = useState('');
+  const [passwordMessage, setPasswordMessage] = useState('');
+
+  const handleNameSubmit = (e) => {
+    e.preventDefault();
+    if (newUserName.trim() !== '') {
+      onUpdateUserName(newUserName);
+      showNotification('Name updated successfully!', 'success');
+      setNameMessage('');
+    } else {
+      showNotification('Name cannot be empty.', 'error');
+      setNameMessage('Name cannot be empty.');
+    }
+  };
+
+  const handlePasswordSubmit = (e) => {
+    e.preventDefault();
+    if (oldPassword === 'admin' && newPassword.length >= 6 && newPassword === confirmPassword) {
+      onUpdateUserPassword(newPassword);
+      showNotification('Password updated successfully!', 'success');
+      setOldPassword('');
+      setNewPassword('');
+      setConfirmPassword('');
+      setPasswordMessage('');
+    } else {
+      showNotification('Password update failed. Please check criteria.', 'error');
+      setPasswordMessage('Please check old password, new password length (min 6), and confirmation.');
+    }
+  };
+
+  return (
+    <div>
+      <h2 className={`text-xl font-semibold mb-4 ${theme === 'dark' ? 'text-white' : 'text-zinc-900'}`}>Settings & Admin</h2>
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+        {/* User Details */}
+        <div className={`p-6 rounded-lg shadow-md ${theme === 'dark' ? 'bg-zinc-800 text-gray-300' : 'bg-white text-gray-700'}`}>
+          <h3 className={`text-lg font-semibold mb-4 flex items-center space-x-2 ${theme === 'dark' ? 'text-white' : 'text-zinc-900'}`}><User size={20} /> User Details</h3>
+          <p className={`text-sm mb-2 ${theme === 'dark' ? 'text-gray-300' : 'text-gray-700'}`}>
+            <span className={`font-medium ${theme === 'dark' ? 'text-gray-400' : 'text-gray-800'}`}>Current Role:</span> <span className="font-bold text-blue-400">{userRole}</span>
+          </p>
+          <p className={`text-sm mb-4 ${theme === 'dark' ? 'text-gray-300' : 'text-gray-700'}`}>Update your profile information.</p>
+          <form onSubmit={handleNameSubmit} className="space-y-4">
+            <div>
+              <label htmlFor="userName" className={`block text-sm font-medium ${theme === 'dark' ? 'text-gray-400' : 'text-gray-800'}`}>Display Name</label>
+              <input
+                type="text"
+                id="userName"
+                value={newUserName}
+                onChange={(e) => setNewUserName(e.target.value)}
+                className={`mt-1 block w-full p-2 rounded-md text-sm focus:ring-blue-500 focus:border-blue-500 transition-colors duration-200 ${theme === 'dark' ? 'bg-zinc-700 border-zinc-600 text-white' : 'bg-gray-100 border-gray-300 text-zinc-900'}`}
+                required
+                aria-label="Display Name"
+              />
+            </div>
+            <button type="submit" className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg flex items-center space-x-2 text-sm transition-transform transform hover:scale-105 active:scale-95" aria-label="Save Name">
+              <Save size={16} /> <span>Save Name</span>
+            </button>
+            {nameMessage && <p className={`text-sm mt-2 ${nameMessage.includes('successfully') ? 'text-green-400' : 'text-red-400'}`}>{nameMessage}</p>}
+            <p className={`text-xs ${theme === 'dark' ? 'text-gray-500' : 'text-gray-600'} mt-2`}>This updates your user profile.</p>
+          </form>
+        </div>
+
+        {/* Change Password */}
+        <div className={`p-6 rounded-lg shadow-md ${theme === 'dark' ? 'bg-zinc-800 text-gray-300' : 'bg-white text-gray-700'}`}>
+          <h3 className={`text-lg font-semibold mb-4 flex items-center space-x-2 ${theme === 'dark' ? 'text-white' : 'text-zinc-900'}`}><Lock size={20} /> Change Password</h3>
+          <p className={`text-sm mb-4 ${theme === 'dark' ? 'text-gray-300' : 'text-gray-700'}`}>Update your account password.</p>
+          <form onSubmit={handlePasswordSubmit} className="space-y-4">
+            <div>
+              <label htmlFor="oldPassword" className={`block text-sm font-medium ${theme === 'dark' ? 'text-gray-400' : 'text-gray-800'}`}>Old Password (Default: 'admin')</label>
+              <input
+                type="password"
+                id="oldPassword"
+                value={oldPassword}
+                onChange={(e) => setOldPassword(e.target.value)}
+                className={`mt-1 block w-full p-2 rounded-md text-sm focus:ring-blue-500 focus:border-blue-500 transition-colors duration-200 ${theme === 'dark' ? 'bg-zinc-700 border-zinc-600 text-white' : 'bg-gray-100 border-gray-300 text-zinc-900'}`}
+                required
+                aria-label="Old Password"
+              />
+            </div>
+            <div>
+              <label htmlFor="newPassword" className={`block text-sm font-medium ${theme === 'dark' ? 'text-gray-400' : 'text-gray-800'}`}>New Password (Min 6 characters)</label>
+              <input
+                type="password"
+                id="newPassword"
+                value={newPassword}
+                onChange={(e) => setNewPassword(e.target.value)}
+                className={`mt-1 block w-full p-2 rounded-md text-sm focus:ring-blue-500 focus:border-blue-500 transition-colors duration-200 ${theme === 'dark' ? 'bg-zinc-700 border-zinc-600 text-white' : 'bg-gray-100 border-gray-300 text-zinc-900'}`}
+                required
+                aria-label="New Password"
+              />
+            </div>
+            <div>
+              <label htmlFor="confirmPassword" className={`block text-sm font-medium ${theme === 'dark' ? 'text-gray-400' : 'text-gray-800'}`}>Confirm New Password</label>
+              <input
+                type="password"
+                id="confirmPassword"
+                value={confirmPassword}
+                onChange={(e) => setConfirmPassword(e.target.value)}
+                className={`mt-1 block w-full p-2 rounded-md text-sm focus:ring-blue-500 focus:border-blue-500 transition-colors duration-200 ${theme === 'dark' ? 'bg-zinc-700 border-zinc-600 text-white' : 'bg-gray-100 border-gray-300 text-zinc-900'}`}
+                required
+                aria-label="Confirm New Password"
+              />
+            </div>
+            <button type="submit" className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg flex items-center space-x-2 text-sm transition-transform transform hover:scale-105 active:scale-95" aria-label="Change Password">
+              <Save size={16} /> <span>Change Password</span>
+            </button>
+            {passwordMessage && <p className={`text-sm mt-2 ${passwordMessage.includes('successfully') ? 'text-green-400' : 'text-red-400'}`}>{passwordMessage}</p>}
+            <p className={`text-xs ${theme === 'dark' ? 'text-gray-500' : 'text-gray-600'} mt-2`}>This updates your account password.</p>
+          </form>
+        </div>
+      </div>
+
+      {/* Time Zone */}
+      <div className={`p-6 rounded-lg shadow-md mt-6 ${theme === 'dark' ? 'bg-zinc-800 text-gray-300' : 'bg-white text-gray-700'}`}>
+        <h3 className={`text-lg font-semibold mb-4 flex items-center space-x-2 ${theme === 'dark' ? 'text-white' : 'text-zinc-900'}`}><Globe size={20} /> Time Zone</h3>
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+          <div>
+            <label htmlFor="userTimeZone" className={`block text-sm font-medium ${theme === 'dark' ? 'text-gray-400' : 'text-gray-800'}`}>Your display timezone</label>
+            <select
+              id="userTimeZone"
+              value={userTimeZone}
+              onChange={(e) => {
+                setUserTimeZone(e.target.value);
+                showNotification(`Times now shown in ${e.target.value || orgTimeZone}.`, 'success');
+              }}
+              className={`mt-1 block w-full p-2 rounded-md text-sm ${theme === 'dark' ? 'bg-zinc-700 border-zinc-600 text-white' : 'bg-gray-100 border-gray-300 text-zinc-900'}`}
+              aria-label="Your display timezone"
+            >
+              <option value="">Organisation default ({formatTimeZoneLabel(orgTimeZone)})</option>
+              {timeZoneOptions.map(option => <option key={option} value={option}>{formatTimeZoneLabel(option)}</option>)}
+            </select>
+            <p className={`text-xs mt-2 ${theme === 'dark' ? 'text-gray-500' : 'text-gray-600'}`}>
+              The calendar and interview times are shown in {formatTimeZoneLabel(timeZone)}. Saved on this device only.
+            </p>
+          </div>
+          <div>
+            <label htmlFor="orgTimeZone" className={`block text-sm font-medium ${theme === 'dark' ? 'text-gray-400' : 'text-gray-800'}`}>Organisation default timezone</label>
+            <select
+              id="orgTimeZone"
+              value={orgTimeZone}
+              onChange={(e) => onUpdateOrgTimeZone(e.target.value)}
+              className={`mt-1 block w-full p-2 rounded-md text-sm ${theme === 'dark' ? 'bg-zinc-700 border-zinc-600 text-white' : 'bg-gray-100 border-gray-300 text-zinc-900'}`}
+              aria-label="Organisation default timezone"
+            >
+              {timeZoneOptions.map(option => <option key={option} value={option}>{formatTimeZoneLabel(option)}</option>)}
+            </select>
+            <p className={`text-xs mt-2 ${theme === 'dark' ? 'text-gray-500' : 'text-gray-600'}`}>
+              Used by everyone who has not picked their own timezone, and for offer expiry dates. Existing events keep the timezone they were booked in.
+            </p>
+          </div>
+        </div>
+      </div>
+
+      {/* Logout Button in Settings */}
+      <div className={`p-6 rounded-lg shadow-md mt-6 ${theme === 'dark' ? 'bg-zinc-800 text-gray-300' : 'bg-white text-gray-700'}`}>
+        <h3 className={`text-lg font-semibold mb-4 flex items-center space-x-2 ${theme === 'dark' ? 'text-white' : 'text-zinc-900'}`}><LogOut size={20} /> Logout</h3>
+        <p className={`text-sm mb-4 ${theme === 'dark' ? 'text-gray-300' : 'text-gray-700'}`}>Sign out from your Sapphire HR account.</p>
+        <button
+          onClick={handleLogout}
+          className="bg-red-600 hover:bg-red-700 text-white px-4 py-2 rounded-lg flex items-center space-x-2 text-sm transition-transform transform hover:scale-105 active:scale-95"
+          aria-label="Log Out Now"
+        >
+          <LogOut size={16} /> <span>Log Out Now</span>
+        </button>
+      </div>
+
+      <OfferLetterTemplatesSettings
+        templates={offerLetterTemplates}
+        onSaveTemplate={onSaveOfferLetterTemplate}
+        onDeleteTemplate={onDeleteOfferLetterTemplate}
+      />
+
+      <ScorecardTemplatesSettings
+        templates={scorecardTemplates}
+        onSaveTemplate={onSaveScorecardTemplate}
+        onDeleteTemplate={onDeleteScorecardTemplate}
+      />
+
+      <SalaryTemplatesSettings
+        templates={salaryTemplates}
+        onSaveTemplate={onSaveSalaryTemplate}
+        onDeleteTemplate={onDeleteSalaryTemplate}
+      />
+
+      {userRole?.includes('Admin') && (
+        <TaxRulesSettings
+          taxRules={taxRules}
+          onSaveTaxRules={onSaveTaxRules}
+        />
+      )}
+
+      {/* Other Admin Settings */}
+      <div className={`p-6 rounded-lg shadow-md mt-6 ${theme === 'dark' ? 'bg-zinc-800 text-gray-300' : 'bg-white text-gray-700'}`}>
+        <h3 className={`text-lg font-semibold mb-4 ${theme === 'dark' ? 'text-white' : 'text-zinc-900'}`}>Other Admin Settings</h3>
+        <p className={`mb-4 text-sm ${theme === 'dark' ? 'text-gray-300' : 'text-gray-700'}`}>Here you can manage:</p>
+        <ul className={`list-disc list-inside space-y-2 ${theme === 'dark' ? 'text-gray-300' : 'text-gray-700'}`}>
+          <li className="text-sm">User, Role, and Access Management with granular controls for data privacy.</li>
+          <li className="text-sm">
+            **Blueprint (Automation)**: Customize workflows and automate repetitive tasks based on triggers (e.g., auto-send rejection email).
+          </li>
+          <li className="text-sm">System Integrations for Payroll, Background Checks, HRIS/HRMS, and E-signature platforms.</li>
+          <li className="text-sm">Data Export & Compliance Settings including automated audit trails and proactive compliance alerts.</li>
+          <li className="text-sm">
+            **AI/ML Configuration & Model Tuning**: Fine-tune AI for candidate matching, bias detection, and predictive analytics.
+          </li>
+          <li className="text-sm">Branded Career Page Customization.</li>
+          <li className="text-sm">Customizable Dashboards for different personas like Recruiters, Hiring Managers, and HR Leaders.</li>
+        </ul>
+      </div>
+    </div>
+  );
+};
+
+
+// Main layout component
+const MainLayout = ({ user, handleLogout, db, auth, appId, userId }) => {
+  const { theme, toggleTheme } = useTheme();
+  const { showNotification } = useNotification();
+  const [activeTab, setActiveTab] = useState('dashboard');
+  const [isMobileNavOpen, setIsMobileNavOpen] = useState(false);
+  const [isMobileView, setIsMobileView] = useState(false);
+
+  // States for Firestore data
+  const [candidates, setCandidates] = useState([]);
+  const [offers, setOffers] = useState([]);
+  const [employees, setEmployees] = useState([]);
+  const [events, setEvents] = useState([]);
+  const [offerLetterTemplates, setOfferLetterTemplates] = useState([]);
+  const [requisitions, setRequisitions] = useState([]);
+  const [scorecardTemplates, setScorecardTemplates] = useState([]);
+  const [orgSettings, setOrgSettings] = useState(null); // Single organisation-wide settings document
+  const [leaveRequests, setLeaveRequests] = useState([]);
+  const [attendanceRecords, setAttendanceRecords] = useState([]); // One document per employee per day
+  const [attendanceRegisters, setAttendanceRegisters] = useState([]); // Monthly registers locked for payroll
+  const [payrollRuns, setPayrollRuns] = useState([]); // One run per month, Draft until locked
+  const [taxRules, setTaxRules] = useState([]); // One document per financial year
+  const [salaryTemplates, setSalaryTemplates] = useState([]); // Split rules and pay band per grade
+  const [onboardingCases, setOnboardingCases] = useState([]);
+
+  const [selectedCandidate, setSelectedCandidate] = useState(null);
+  const [selectedEmployeeId, setSelectedEmployeeId] = useState(null);
+  const [candidateViewMode, setCandidateViewMode] = useState('table'); // 'table' | 'board'
+  const [dashboardRangePreset, setDashboardRangePreset] = useState('30d');
+  const [dashboardCustomStart, setDashboardCustomStart] = useState('');
+  const [dashboardCustomEnd, setDashboardCustomEnd] = useState('');
+  const [currentUserDisplayName, setCurrentUserDisplayName] = useState(user.displayName || user.email || user.uid);
+  const currentTeamMember = getTeamMemberForUser(user);
+  const [currentUserRole] = useState('Admin/HR User');
+
+
+  // --- Data Fetching from Firestore ---
+  useEffect(() => {
+    if (!db || !userId) {
+        console.warn("Firestore or User ID not available for data fetching.");
+        return;
+    }
+
+    // Reference to public collections
+    const candidatesColRef = collection(db, `artifacts/${appId}/public/data/candidates`);
+    const offersColRef = collection(db, `artifacts/${appId}/public/data/offers`);
+    const employeesColRef = collection(db, `artifacts/${appId}/public/data/employees`);
+    const eventsColRef = collection(db, `artifacts/${appId}/public/data/events`);
+    const offerLetterTemplatesColRef = collection(db, `artifacts/${appId}/public/data/offerLetterTemplates`);
+    const requisitionsColRef = collection(db, `artifacts/${appId}/public/data/requisitions`);
+    const scorecardTemplatesColRef = collection(db, `artifacts/${appId}/public/data/scorecardTemplates`);
+    const orgSettingsColRef = collection(db, `artifacts/${appId}/public/data/orgSettings`);
+    const leaveRequestsColRef = collection(db, `artifacts/${appId}/public/data/leaveRequests`);
+    const attendanceColRef = collection(db, `artifacts/${appId}/public/data/attendance`);
+    const attendanceRegistersColRef = collection(db, `artifacts/${appId}/public/data/attendanceRegisters`);
+    const payrollRunsColRef = collection(db, `artifacts/${appId}/public/data/payrollRuns`);
+    const taxRulesColRef = collection(db, `artifacts/${appId}/public/data/taxRules`);
+    const salaryTemplatesColRef = collection(db, `artifacts/${appId}/public/data/salaryTemplates`);
+    const onboardingCasesColRef = collection(db, `artifacts/${appId}/public/data/onboardingCases`);
+
+    // Fetch Candidates
+    const unsubscribeCandidates = onSnapshot(candidatesColRef, (snapshot) => {
+      const fetchedCandidates = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+      setCandidates(fetchedCandidates);
+      // If a candidate was selected and updated, ensure the selectedCandidate state also reflects the latest data
+      if (selectedCandidate) {
+        setSelectedCandidate(fetchedCandidates.find(c => c.id === selectedCandidate.id) || null);
+      }
+    }, (error) => {
+      console.error("Error fetching candidates:", error);
+      showNotification("Error loading candidates.", "error");
+    });
+
+    // Fetch Offers
+    const unsubscribeOffers = onSnapshot(offersColRef, (snapshot) => {
+      setOffers(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+    }, (error) => {
+      console.error("Error fetching offers:", error);
+      showNotification("Error loading offers.", "error");
+    });
+
+    // Fetch Employees
+    const unsubscribeEmployees = onSnapshot(employeesColRef, (snapshot) => {
+      // Keep the Firestore document id for writes; older seeded records stored their HR code (EMP1001) in `id`
+      setEmployees(snapshot.docs.map(doc => {
+        const data = doc.data();
+        return { ...data, id: doc.id, employeeId: data.employeeId || data.id || doc.id };
+      }));
+    }, (error) => {
+      console.error("Error fetching employees:", error);
+      showNotification("Error loading employees.", "error");
+    });
+
+    // Fetch Events
+    const unsubscribeEvents = onSnapshot(eventsColRef, (snapshot) => {
+      setEvents(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+    }, (error) => {
+      console.error("Error fetching events:", error);
+      showNotification("Error loading events.", "error");
+    });
+
+    // Fetch Offer Letter Templates
+    const unsubscribeOfferLetterTemplates = onSnapshot(offerLetterTemplatesColRef, (snapshot) => {
+      setOfferLetterTemplates(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+    }, (error) => {
+      console.error("Error fetching offer letter templates:", error);
+      showNotification("Error loading offer letter templates.", "error");
+    });
+
+    // Fetch Job Requisitions
+    const unsubscribeRequisitions = onSnapshot(requisitionsColRef, (snapshot) => {
+      setRequisitions(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+    }, (error) => {
+      console.error("Error fetching requisitions:", error);
+      showNotification("Error loading requisitions.", "error");
+    });
+
+    // Fetch Interview Scorecard Templates
+    const unsubscribeScorecardTemplates = onSnapshot(scorecardTemplatesColRef, (snapshot) => {
+      setScorecardTemplates(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+    }, (error) => {
+      console.error("Error fetching scorecard templates:", error);
+      showNotification("Error loading scorecard templates.", "error");
+    });
+
+    // Fetch Organisation Settings
+    const unsubscribeOrgSettings = onSnapshot(orgSettingsColRef, (snapshot) => {
+      const settingsDoc = snapshot.docs[0];
+      setOrgSettings(settingsDoc ? { id: settingsDoc.id, ...settingsDoc.data() } : null);
+    }, (error) => {
+      console.error("Error fetching organisation settings:", error);
+      showNotification("Error loading organisation settings.", "error");
+    });
+
+    // Fetch Leave Requests
+    const unsubscribeLeaveRequests = onSnapshot(leaveRequestsColRef, (snapshot) => {
+      setLeaveRequests(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+    }, (error) => {
+      console.error("Error fetching leave requests:", error);
+      showNotification("Error loading leave requests.", "error");
+    });
+
+    // Fetch Attendance Records
+    const unsubscribeAttendance = onSnapshot(attendanceColRef, (snapshot) => {
+      setAttendanceRecords(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+    }, (error) => {
+      console.error("Error fetching attendance:", error);
+      showNotification("Error loading attendance.", "error");
+    });
+
+    // Fetch Locked Attendance Registers
+    const unsubscribeAttendanceRegisters = onSnapshot(attendanceRegistersColRef, (snapshot) => {
+      setAttendanceRegisters(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+    }, (error) => {
+      console.error("Error fetching attendance registers:", error);
+      showNotification("Error loading attendance registers.", "error");
+    });
+
+    // Fetch Payroll Runs
+    const unsubscribePayrollRuns = onSnapshot(payrollRunsColRef, (snapshot) => {
+      setPayrollRuns(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+    }, (error) => {
+      console.error("Error fetching payroll runs:", error);
+      showNotification("Error loading payroll runs.", "error");
+    });
+
+    // Fetch Tax Rules
+    const unsubscribeTaxRules = onSnapshot(taxRulesColRef, (snapshot) => {
+      setTaxRules(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+    }, (error) => {
+      console.error("Error fetching tax rules:", error);
+      showNotification("Error loading tax rules.", "error");
+    });
+
+    // Fetch Salary Structure Templates
+    const unsubscribeSalaryTemplates = onSnapshot(salaryTemplatesColRef, (snapshot) => {
+      setSalaryTemplates(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+    }, (error) => {
+      console.error("Error fetching salary templates:", error);
+      showNotification("Error loading salary templates.", "error");
+    });
+
+    // Fetch Onboarding Cases
+    const unsubscribeOnboardingCases = onSnapshot(onboardingCasesColRef, (snapshot) => {
+      setOnboardingCases(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+    }, (error) => {
+      console.error("Error fetching onboarding cases:", error);
+      showNotification("Error loading onboarding cases.", "error");
+    });
+
+    // Cleanup listeners on component unmount
+    return () => {
+      unsubscribeCandidates();
+      unsubscribeOffers();
       unsubscribeEmployees();
       unsubscribeEvents();
+      unsubscribeOfferLetterTemplates();
+      unsubscribeRequisitions();
+      unsubscribeScorecardTemplates();
+      unsubscribeOrgSettings();
+      unsubscribeLeaveRequests();
+      unsubscribeAttendance();
+      unsubscribeAttendanceRegisters();
+      unsubscribePayrollRuns();
+      unsubscribeTaxRules();
+      unsubscribeSalaryTemplates();
+      unsubscribeOnboardingCases();
     };
   }, [db, appId, userId, selectedCandidate, showNotification]); // Added selectedCandidate to dependencies to update detail view
 
-  // --- Initial Data Population (if collections are empty) ---
-  // This useEffect runs once on component mount to add initial dummy data to Firestore
-  // if the collections are empty. This ensures a populated UI on first run.
+  // --- Initial Data Population (if collections are empty) ---
+  // This useEffect runs once on component mount to add initial dummy data to Firestore
+  // if the collections are empty. This ensures a populated UI on first run.
+  useEffect(() => {
+    if (db && userId) {
+      const addInitialData = async () => {
+        const candidatesColRef = collection(db, `artifacts/${appId}/public/data/candidates`);
+        const offersColRef = collection(db, `artifacts/${appId}/public/data/offers`);
+        const employeesColRef = collection(db, `artifacts/${appId}/public/data/employees`);
+        const eventsColRef = collection(db, `artifacts/${appId}/public/data/events`);
+        const requisitionsColRef = collection(db, `artifacts/${appId}/public/data/requisitions`);
+
+        // Seed requisitions first so seeded candidates can be linked to them by job title
+        let requisitionsDocs = await getDocs(requisitionsColRef);
+        if (requisitionsDocs.empty) {
+          await Promise.all(generateDummyRequisitions().map(requisition => addDoc(requisitionsColRef, { ...requisition, createdBy: userId })));
+          requisitionsDocs = await getDocs(requisitionsColRef);
+          console.log("Added initial dummy requisitions.");
+        }
+        const requisitionIdByTitle = {};
+        requisitionsDocs.forEach(requisitionDoc => {
+          requisitionIdByTitle[requisitionDoc.data().title] = requisitionDoc.id;
+        });
+
+        // Check if candidates collection is empty and populate if so
+        const candidatesDocs = await getDocs(candidatesColRef);
+        if (candidatesDocs.empty) {
+          const dummyCandidates = generateDummyCandidates(50, requisitionIdByTitle); // Generate 50 candidates
+          dummyCandidates.forEach(async (candidate) => {
+            await addDoc(candidatesColRef, { ...candidate, createdBy: userId });
+          });
+          console.log("Added initial dummy candidates.");
+        }
+
+        // Check if offers collection is empty and populate if so
+        const offersDocs = await getDocs(offersColRef);
+        if (offersDocs.empty) {
+          const dummyOffers = generateDummyOffers(candidates.length > 0 ? candidates : generateDummyCandidates(50), 50); // Generate 50 offers
+          dummyOffers.forEach(async (offer) => {
+            await addDoc(offersColRef, { ...offer, createdBy: userId });
+          });
+          console.log("Added initial dummy offers.");
+        }
+
+        // Check if employees collection is empty and populate if so
+        const employeesDocs = await getDocs(employeesColRef);
+        if (employeesDocs.empty) {
+          const dummyEmployees = generateDummyEmployees(50); // Generate 50 employees
+          dummyEmployees.forEach(async (employee) => {
+            await addDoc(employeesColRef, { ...employee, createdBy: userId });
+          });
+          console.log("Added initial dummy employees.");
+        }
+
+        // Check if events collection is empty and populate if so
+        const eventsDocs = await getDocs(eventsColRef);
+        if (eventsDocs.empty) {
+          const dummyEvents = generateDummyEvents(50); // Generate 50 events
+          dummyEvents.forEach(async (event) => {
+            await addDoc(eventsColRef, { ...event, createdBy: userId });
+          });
+          console.log("Added initial dummy events.");
+        }
+
+        // Seed the default offer letter template if none exist yet
+        const offerLetterTemplatesColRef = collection(db, `artifacts/${appId}/public/data/offerLetterTemplates`);
+        const offerLetterTemplatesDocs = await getDocs(offerLetterTemplatesColRef);
+        if (offerLetterTemplatesDocs.empty) {
+          const { id, ...defaultTemplate } = DEFAULT_OFFER_LETTER_TEMPLATE;
+          await addDoc(offerLetterTemplatesColRef, { ...defaultTemplate, updatedAt: new Date().toISOString(), createdBy: userId });
+          console.log("Added default offer letter template.");
+        }
+
+        // Seed the default interview scorecard templates if none exist yet
+        const scorecardTemplatesColRef = collection(db, `artifacts/${appId}/public/data/scorecardTemplates`);
+        const scorecardTemplatesDocs = await getDocs(scorecardTemplatesColRef);
+        if (scorecardTemplatesDocs.empty) {
+          await Promise.all(DEFAULT_SCORECARD_TEMPLATES.map(template => addDoc(scorecardTemplatesColRef, { ...template, updatedAt: new Date().toISOString(), createdBy: userId })));
+          console.log("Added default scorecard templates.");
+        }
+
+        // Seed the organisation settings document with the default timezone
+        const orgSettingsColRef = collection(db, `artifacts/${appId}/public/data/orgSettings`);
+        const orgSettingsDocs = await getDocs(orgSettingsColRef);
+        if (orgSettingsDocs.empty) {
+          await addDoc(orgSettingsColRef, { timeZone: DEFAULT_ORG_TIMEZONE, updatedAt: new Date().toISOString(), createdBy: userId });
+          console.log("Added default organisation settings.");
+        }
+
+        // Seed the built-in tax rules, one document per financial year
+        const taxRulesColRef = collection(db, `artifacts/${appId}/public/data/taxRules`);
+        const taxRulesDocs = await getDocs(taxRulesColRef);
+        if (taxRulesDocs.empty) {
+          await Promise.all(Object.values(DEFAULT_TAX_RULES).map(rules => addDoc(taxRulesColRef, { ...rules, updatedAt: new Date().toISOString(), updatedBy: 'System' })));
+          console.log("Added default tax rules.");
+        }
+
+        const salaryTemplatesColRef = collection(db, `artifacts/${appId}/public/data/salaryTemplates`);
+        const salaryTemplatesDocs = await getDocs(salaryTemplatesColRef);
+        if (salaryTemplatesDocs.empty) {
+          await Promise.all(DEFAULT_SALARY_TEMPLATES.map(template => addDoc(salaryTemplatesColRef, { ...template, updatedAt: new Date().toISOString(), createdBy: userId })));
+          console.log("Added default salary templates.");
+        }
+      };
+
+      // --- One-time Data Migrations ---
+      // Employees and offers used to store compensation as preformatted INR strings. This rewrites them with
+      // numeric amounts and stamps orgSettings so later loads skip the scan; records already migrated are left alone.
+      const migrateCompensation = async () => {
+        try {
+          const orgSettingsColRef = collection(db, `artifacts/${appId}/public/data/orgSettings`);
+          const orgSettingsDocs = await getDocs(orgSettingsColRef);
+          const settingsDoc = orgSettingsDocs.docs[0];
+          if (settingsDoc?.data().migrations?.compensation) return;
+
+          let migratedCount = 0;
+          for (const collectionName of ['employees', 'offers']) {
+            const snapshot = await getDocs(collection(db, `artifacts/${appId}/public/data/${collectionName}`));
+            await Promise.all(snapshot.docs.map(recordDoc => {
+              const changes = getCompensationMigrationChanges(collectionName, recordDoc.data());
+              if (!changes) return null;
+              migratedCount += 1;
+              return updateDoc(recordDoc.ref, changes);
+            }));
+          }
+          const migratedAt = new Date().toISOString();
+          if (settingsDoc) {
+            await updateDoc(settingsDoc.ref, { 'migrations.compensation': migratedAt });
+          } else {
+            await addDoc(orgSettingsColRef, { timeZone: DEFAULT_ORG_TIMEZONE, migrations: { compensation: migratedAt }, updatedAt: migratedAt, createdBy: userId });
+          }
+          if (migratedCount > 0) console.log(`Migrated compensation on ${migratedCount} record(s).`);
+        } catch (error) {
+          console.error("Error migrating compensation data:", error);
+        }
+      };
+
+      // Migrations run once seeding has finished, so they find (and stamp) the seeded settings document
+      addInitialData().then(migrateCompensation);
+    }
+  }, [db, appId, userId]); // Depend on db and userId
+
+  // --- Dummy Data Generation (used for initial population if Firestore is empty) ---
+  const generateDummyRequisitions = () => {
+    const roles = [
+      { title: 'Software Engineer', department: 'Engineering', band: [1000000, 2500000], hiringManager: 'Arjun Rao' },
+      { title: 'Product Manager', department: 'Product', band: [1800000, 3500000], hiringManager: 'Meera Shah' },
+      { title: 'HR Business Partner', department: 'Human Resources', band: [900000, 1800000], hiringManager: 'Meera Shah' },
+      { title: 'Marketing Specialist', department: 'Marketing', band: [600000, 1400000], hiringManager: 'Meera Shah' },
+      { title: 'Data Analyst', department: 'Engineering', band: [800000, 1800000], hiringManager: 'Arjun Rao' },
+      { title: 'UX Designer', department: 'Product', band: [900000, 2000000], hiringManager: 'Meera Shah' },
+      { title: 'DevOps Engineer', department: 'Engineering', band: [1200000, 2600000], hiringManager: 'Arjun Rao' },
+      { title: 'Sales Executive', department: 'Sales', band: [500000, 1200000], hiringManager: 'Meera Shah' },
+    ];
+    const statuses = ['Open', 'Open', 'Open', 'Pending Approval', 'Open', 'Pending Approval', 'Open', 'Closed'];
+    return roles.map((role, index) => {
+      const createdAt = new Date(Date.now() - (Math.floor(Math.random() * 60) + 30) * 24 * 60 * 60 * 1000);
+      const history = [{ from: null, to: 'Pending Approval', by: 'System', at: createdAt.toISOString(), note: 'Imported requisition' }];
+      let lastAt = createdAt.getTime();
+      if (statuses[index] !== 'Pending Approval') {
+        lastAt += (Math.floor(Math.random() * 5) + 1) * 24 * 60 * 60 * 1000;
+        history.push({ from: 'Pending Approval', to: 'Open', by: 'System', at: new Date(lastAt).toISOString(), note: 'Imported requisition' });
+      }
+      if (statuses[index] === 'Closed') {
+        lastAt += (Math.floor(Math.random() * 20) + 5) * 24 * 60 * 60 * 1000;
+        history.push({ from: 'Open', to: 'Closed', by: 'System', at: new Date(lastAt).toISOString(), note: 'Imported requisition' });
+      }
+      return {
+        title: role.title,
+        department: role.department,
+        location: OFFICE_LOCATIONS[index % OFFICE_LOCATIONS.length],
+        headcount: Math.floor(Math.random() * 4) + 1,
+        salaryBand: { min: role.band[0], max: role.band[1] },
+        hiringManager: role.hiringManager,
+        interviewPlan: DEFAULT_INTERVIEW_PLAN,
+        status: statuses[index],
+        history,
+        createdAt: createdAt.toISOString(),
+      };
+    });
+  };
+
+  const generateDummyCandidates = (count = 50, requisitionIdByTitle = {}) => { // Updated count to 50
+    const candidates = [];
+    const stages = ['Resume Reviewed', 'Screening', 'Assessment Taken', 'Interview - R1', 'Interview - R2', 'Offer Extended', 'Offer Accepted', 'Offer Rejected', 'On Hold'];
+    const jobRoles = ['Software Engineer', 'Product Manager', 'HR Business Partner', 'Marketing Specialist', 'Data Analyst', 'UX Designer', 'DevOps Engineer', 'Sales Executive'];
+    const locations = ['Bengaluru', 'Mumbai', 'Delhi', 'Hyderabad', 'Chennai', 'Pune'];
+
+    for (let i = 1; i <= count; i++) {
+      const name = `Candidate ${String.fromCharCode(64 + Math.floor(Math.random() * 26) + 1)} ${i}`;
+      const jobAppliedFor = jobRoles[Math.floor(Math.random() * jobRoles.length)];
+      const stage = stages[Math.floor(Math.random() * stages.length)];
+
+      // Walk the pipeline up to the current stage so analytics have a realistic transition history
+      const mainPath = CANDIDATE_STAGES.slice(0, CANDIDATE_STAGES.indexOf('Offer Extended') + 1);
+      let stagePath;
+      if (stage === 'Offer Accepted' || stage === 'Offer Rejected') {
+        stagePath = [...mainPath, stage];
+      } else if (stage === 'On Hold') {
+        stagePath = [...mainPath.slice(0, Math.floor(Math.random() * 4) + 1), stage];
+      } else {
+        stagePath = mainPath.slice(0, mainPath.indexOf(stage) + 1);
+      }
+      let stageEnteredAt = Date.now() - (stagePath.length * 8 + Math.floor(Math.random() * 10)) * 24 * 60 * 60 * 1000;
+      const stageHistory = stagePath.map((toStage, index) => {
+        if (index > 0) {
+          stageEnteredAt = Math.min(Date.now(), stageEnteredAt + (Math.floor(Math.random() * 10) + 2) * 24 * 60 * 60 * 1000);
+        }
+        return { from: index > 0 ? stagePath[index - 1] : null, to: toStage, by: 'HR Recruiter', at: new Date(stageEnteredAt).toISOString() };
+      });
+
+      const matchScore = Math.floor(Math.random() * (99 - 60 + 1)) + 60;
+      const lastContactDate = new Date(Date.now() - Math.floor(Math.random() * 30) * 24 * 60 * 60 * 1000); // Last 30 days
+      const lastContact = getZonedParts(lastContactDate, DEFAULT_ORG_TIMEZONE).dateKey;
+      const email = `${name.replace(/\s/g, '.').toLowerCase()}@example.com`;
+      const phone = generateSampleMobile();
+      const aadhaarNumber = generateSampleAadhaar();
+      const panNumber = generateSamplePAN();
+      const currentCTC = Math.floor(500000 + Math.random() * 1500000); // 5L to 20L INR
+      const expectedCTC = Math.floor(currentCTC * (1.1 + Math.random() * 0.2)); // 10-30% hike
+      const noticePeriodDays = [0, 15, 30, 45, 60, 90][Math.floor(Math.random() * 6)];
+      const noticePeriod = noticePeriodDays === 0 ? 'Immediate' : `${noticePeriodDays} days`;
+      const willingToRelocate = Math.random() > 0.5 ? 'Yes' : 'No';
+      const languages = ['English', 'Hindi', 'Kannada', 'Tamil', 'Marathi', 'Bengali'].sort(() => 0.5 - Math.random()).slice(0, Math.floor(Math.random() * 3) + 1);
+
+      const baseSalary = Math.floor(expectedCTC * 0.7);
+      const annualBonus = Math.floor(expectedCTC * 0.1);
+      const equity = Math.random() > 0.3 ? `${Math.floor(1000 + Math.random() * 5000)} units (vesting over 4 years)` : 'N/A';
+      const benefits = 'Health, Dental, Vision, PF, Gratuity';
+      const allowances = Math.random() > 0.5 ? 'Transport, HRA' : 'None';
+      const totalCompensation = baseSalary + annualBonus; // Simplified
+
+      const interviewFeedback = [
+          { round: 'Screening', interviewer: 'HR Recruiter', date: '2025-05-10', score: Math.floor(Math.random() * 5) + 3, comments: 'Good communication, relevant experience mentioned.' },
+          { round: 'Interview - R1', interviewer: 'Engineering Lead', date: '2025-05-15', score: Math.floor(Math.random() * 5) + 3, comments: 'Solid technical skills, needs work on system design.' }
+      ].slice(0, Math.floor(Math.random() * 3)); // 0 to 2 feedbacks
+
+      const communications = [
+          { type: 'Email', date: '2025-05-01', subject: 'Application Received - Software Engineer', snippet: 'Dear Candidate, Thank you for your application...' },
+          { type: 'SMS', date: '2025-05-09', subject: 'Interview Confirmation', snippet: 'Hi! Your interview with HR is scheduled for 2025-05-10.' }
+      ].slice(0, Math.floor(Math.random() * 3)); // 0 to 2 communications
+
+      candidates.push({
+        id: `cand${i}`,
+        name,
+        jobAppliedFor,
+        requisitionId: requisitionIdByTitle[jobAppliedFor] || null,
+        stage,
+        stageHistory,
+        matchScore,
+        lastContact,
+        email,
+        phone,
+        aadhaarNumber,
+        panNumber,
+        currentCTC,
+        expectedCTC,
+        noticePeriod,
+        willingToRelocate,
+        languages,
+        resumeHighlights: {
+          education: `Degree in ${jobAppliedFor.split(' ')[0]} from Indian University`,
+          experience: `${Math.floor(Math.random() * 10) + 2} years in ${jobAppliedFor.split(' ')[0]}`,
+          skills: ['JavaScript', 'Cloud', 'Analytics', 'Project Mgmt', 'Marketing', 'HR Policy'].sort(() => 0.5 - Math.random()).slice(0, Math.floor(Math.random() * 4) + 2),
+        },
+        compensation: {
+          baseSalary,
+          annualBonus,
+          equity,
+          benefits,
+          allowances,
+          totalCompensation,
+        },
+        internalNotes: `Recruiter note: Follow up on notice period. Manager feedback pending.`,
+        interviewFeedback,
+        communications,
+        videoPitchUrl: Math.random() > 0.7 ? `https://placehold.co/100x60/34D399/FFFFFF?text=Video+Pitch` : null
+      });
+    }
+    return candidates;
+  };
+
+  const generateDummyOffers = (existingCandidates, count = 50) => { // Updated count to 50
+    const offers = [];
+    const statusOptions = ['Accepted', 'Sent', 'Declined'];
+    const offeredCandidates = new Set(); // To ensure unique candidates get offers for demo purposes
+
+    const candidatesToUse = existingCandidates.length > 0 ? existingCandidates : generateDummyCandidates(50); // Fallback if no candidates loaded yet
+
+    while (offers.length < count && offeredCandidates.size < candidatesToUse.length) {
+      const candidate = candidatesToUse[Math.floor(Math.random() * candidatesToUse.length)];
+      if (offeredCandidates.has(candidate.id)) {
+        continue;
+      }
+      offeredCandidates.add(candidate.id);
+
+      const status = statusOptions[Math.floor(Math.random() * statusOptions.length)];
+      const baseSalary = (candidate.compensation?.baseSalary || candidate.expectedCTC || 700000);
+      const bonus = (candidate.compensation?.annualBonus || 50000);
+      const expiresAt = new Date(Date.now() + (Math.floor(Math.random() * 21) - 7) * 24 * 60 * 60 * 1000); // Expiring within a week either side
+      const sentAt = new Date(Date.now() - (Math.floor(Math.random() * 60) + 5) * 24 * 60 * 60 * 1000); // Sent in the last ~2 months
+      const history = [{ from: null, to: 'Sent', by: 'System', at: sentAt.toISOString(), note: 'Imported offer' }];
+      if (status !== 'Sent') {
+        const decidedAt = new Date(sentAt.getTime() + (Math.floor(Math.random() * 5) + 1) * 24 * 60 * 60 * 1000);
+        history.push({ from: 'Sent', to: status, by: 'System', at: decidedAt.toISOString(), note: 'Imported offer' });
+      }
+
+      offers.push({
+        id: `offer${offers.length + 1}`,
+        candidateId: candidate.id,
+        candidate: candidate.name,
+        job: candidate.jobAppliedFor,
+        requisitionId: candidate.requisitionId || null,
+        status: status,
+        expiresAt: toLocalDateKey(expiresAt),
+        history,
+        baseSalary,
+        bonus,
+        currency: DEFAULT_CURRENCY,
+      });
+    }
+    return offers;
+  };
+
+
+  const generateDummyEmployees = (count = 50) => { // Updated count to 50
+    const employees = [];
+    const departments = ['Engineering', 'Product', 'Human Resources', 'Marketing', 'Sales', 'Finance', 'Operations'];
+    const jobTitles = {
+      'Engineering': ['Software Engineer', 'Senior Software Engineer', 'Engineering Manager'],
+      'Product': ['Product Manager', 'Senior Product Manager', 'VP Product'],
+      'Human Resources': ['HR Business Partner', 'HR Manager', 'Talent Acquisition Specialist'],
+      'Marketing': ['Marketing Specialist', 'Content Creator', 'Marketing Manager'],
+      'Sales': ['Sales Executive', 'Account Manager', 'Sales Director'],
+      'Finance': ['Financial Analyst', 'Accountant'],
+      'Operations': ['Operations Manager', 'Office Administrator']
+    };
+    const employmentStatus = ['Active', 'On Leave', 'Terminated'];
+    const locations = ['Bengaluru', 'Mumbai', 'Delhi', 'Hyderabad', 'Chennai', 'Pune'];
+
+    for (let i = 1; i <= count; i++) {
+      const firstName = ['Aisha', 'Dev', 'Priya', 'Rahul', 'Sneha', 'Vikram', 'Meera', 'Arjun'][Math.floor(Math.random() * 8)];
+      const lastName = ['Sharma', 'Kumar', 'Singh', 'Reddy', 'Gupta', 'Patel', 'Jain', 'Das'][Math.floor(Math.random() * 8)];
+      const department = departments[Math.floor(Math.random() * departments.length)];
+      const titleOptions = jobTitles[department] || ['Employee'];
+      const jobTitle = titleOptions[Math.floor(Math.random() * titleOptions.length)];
+      const email = `${firstName.toLowerCase()}.${lastName.toLowerCase()}@example.com`;
+      const phone = generateSampleMobile();
+      const status = employmentStatus[Math.floor(Math.random() * employmentStatus.length)];
+      const hireDate = new Date(2020 - Math.floor(Math.random() * 5), Math.floor(Math.random() * 12), Math.floor(Math.random() * 28) + 1); // Hired in last 5 years
+      const employeeId = `EMP${1000 + i}`;
+      const baseSalary = Math.floor(500000 + Math.random() * 2000000); // 5L to 25L
+      const annualCTC = baseSalary + Math.floor(Math.random() * 500000);
+      const location = locations[Math.floor(Math.random() * locations.length)];
+
+      employees.push({
+        employeeId,
+        name: `${firstName} ${lastName}`,
+        department,
+        jobTitle,
+        email,
+        phone,
+        status,
+        hireDate: toLocalDateKey(hireDate), // A calendar date, so it is built from local parts rather than shifted through UTC
+        compensation: createCompensation({ annualCTC, effectiveDate: toLocalDateKey(hireDate) }),
+        location,
+        gender: Math.random() > 0.5 ? 'Male' : 'Female',
+        dob: `19${Math.floor(70 + Math.random() * 20)}-${String(Math.floor(Math.random() * 12) + 1).padStart(2, '0')}-${String(Math.floor(Math.random() * 28) + 1).padStart(2, '0')}`,
+        address: `${Math.floor(Math.random() * 100) + 1} Main St, ${location}`,
+        emergencyContact: {
+          name: `Relative ${lastName}`,
+          phone: generateSampleMobile(),
+          relationship: 'Spouse'
+        },
+        panNumber: generateSamplePAN(),
+        aadhaarNumber: generateSampleAadhaar(),
+        uanNumber: generateSampleUAN(),
+        bankDetails: `Account: XXXX${Math.floor(1000 + Math.random() * 9000)}`,
+        documents: ['Offer Letter', 'Contract', 'PAN Card', 'Aadhaar Card', 'Form 16'],
+        benefitsEnrollment: {
+          healthInsurance: Math.random() > 0.3,
+          providentFund: true,
+          gratuity: true,
+          nps: Math.random() > 0.5
+        },
+        leaveBalance: {
+          sick: Math.floor(Math.random() * 10) + 5,
+          casual: Math.floor(Math.random() * 10) + 5,
+          earned: Math.floor(Math.random() * 15) + 10
+        },
+        leaveAccruedThrough: toMonthKey(getTodayKey(DEFAULT_ORG_TIMEZONE)),
+        performanceReviewSummary: `Last review: ${getZonedParts(new Date(Date.now() - Math.floor(Math.random() * 180) * 24 * 60 * 60 * 1000), DEFAULT_ORG_TIMEZONE).dateKey}, Rating: ${Math.floor(Math.random() * 3) + 3}/5`
+      });
+    }
+    return employees;
+  };
+
+
+  const generateDummyEvents = (count = 50) => { // Updated count to 50
+    const events = [];
+    const eventTypes = ['Interview', 'Meeting', 'Task Deadline', 'Candidate Follow-up', 'HR Meeting'];
+    const descriptions = [
+      'Candidate initial screening call',
+      'Team sync on hiring pipeline',
+      'Complete offer letter for John Doe',
+      'Follow up with Sarah for documents',
+      'Quarterly HR review meeting',
+      'Interview with Senior SWE candidate',
+      'Review resumes for PM role',
+      'Onboarding session for new hire',
+      'Payroll submission deadline',
+      'Tax declaration reminder'
+    ];
+
+    // Seeded events are booked in the organisation's default timezone, relative to today there
+    const todayDate = parseDateKey(getTodayKey(DEFAULT_ORG_TIMEZONE));
+    for (let i = 0; i < count; i++) {
+      const daysOffset = Math.floor(Math.random() * 60) - 30; // Events in last 30 days to next 30 days
+      const date = toLocalDateKey(addDays(todayDate, daysOffset));
+
+      const type = eventTypes[Math.floor(Math.random() * eventTypes.length)];
+      const description = descriptions[Math.floor(Math.random() * descriptions.length)];
+      const startMinutes = SCHEDULING_DAY_START + Math.floor(Math.random() * ((SCHEDULING_DAY_END - SCHEDULING_DAY_START) / SCHEDULING_SLOT_STEP - 1)) * SCHEDULING_SLOT_STEP;
+      // Interviews and meetings block the calendars of one or two team members
+      const attendees = type === 'Interview' || type.includes('Meeting')
+        ? [...TEAM_MEMBERS].sort(() => 0.5 - Math.random()).slice(0, Math.floor(Math.random() * 2) + 1).map(m => m.name)
+        : [];
+
+      events.push({
+        id: `event${i}`,
+        date, //YYYY-MM-DD
+        type,
+        description,
+        ...getEventTimingFields(startMinutes, date, DEFAULT_ORG_TIMEZONE),
+        durationMinutes: DEFAULT_EVENT_DURATION_MINUTES,
+        attendees,
+        status: 'Scheduled',
+        virtual: Math.random() > 0.5,
+      });
+    }
+
+    // A recurring team sync, starting on the Monday four weeks ago
+    const seriesStart = toLocalDateKey(addDays(todayDate, -((todayDate.getDay() + 6) % 7) - 28));
+    events.push({
+      id: 'event-hr-sync',
+      date: seriesStart,
+      type: 'HR Meeting',
+      description: 'Weekly HR sync',
+      ...getEventTimingFields(10 * 60, seriesStart, DEFAULT_ORG_TIMEZONE),
+      durationMinutes: 30,
+      attendees: ['Akshay Arvind', 'Kavya Iyer', 'Priya Nair'],
+      recurrence: { frequency: 'weekly', interval: 1, until: null },
+      exceptions: [],
+      status: 'Scheduled',
+      virtual: true,
+    });
+    return events;
+  };
+
+
+  const stageAnalytics = computeStageAnalytics(candidates);
+  const requisitionBreakdown = computeRequisitionBreakdown(requisitions, candidates, offers);
+
+  const dashboardRange = getDashboardRange(dashboardRangePreset, new Date(), dashboardCustomStart, dashboardCustomEnd);
+  const dashboardData = { candidates, offers, events, requisitions };
+  const dashboardMetrics = computeDashboardMetrics(dashboardData, dashboardRange);
+  const previousDashboardMetrics = computeDashboardMetrics(dashboardData, getPreviousRange(dashboardRange));
+
+  const dummyAnalyticsData = { // These would ideally be derived from Firestore data too
+    hiringFunnel: {
+      applied: candidates.length + Math.floor(Math.random() * 100) + 100, // Derived
+      screened: candidates.filter(c => c.stage !== 'Resume Reviewed').length + Math.floor(Math.random() * 50), // Derived
+      interviewed: candidates.filter(c => c.stage.includes('Interview') || c.stage === 'Offer Extended' || c.stage === 'Offer Accepted').length, // Derived
+      offered: offers.length, // Derived
+      hired: offers.filter(o => o.status === 'Accepted').length, // Derived
+    },
+    sourceEffectiveness: [
+      { source: 'LinkedIn', hires: Math.floor(Math.random() * 10) + 5 },
+      { source: 'Referral', hires: Math.floor(Math.random() * 8) + 3 },
+      { source: 'Indeed', hires: Math.floor(Math.random() * 7) + 2 },
+      { source: 'Company Website', hires: Math.floor(Math.random() * 5) + 1 },
+      { source: 'Others', hires: Math.floor(Math.random() * 3) + 1 },
+    ].filter(s => s.hires > 0),
+    predictedTalentShortage: '3 months (Data Science)',
+    retentionRateLastYear: '88%',
+  };
+
+
   useEffect(() => {
-    if (db && userId) {
-      const addInitialData = async () => {
-        const candidatesColRef = collection(db, `artifacts/${appId}/public/data/candidates`);
-        const offersColRef = collection(db, `artifacts/${appId}/public/data/offers`);
-        const employeesColRef = collection(db, `artifacts/${appId}/public/data/employees`);
-        const eventsColRef = collection(db, `artifacts/${appId}/public/data/events`);
+    const checkMobileView = () => {
+      setIsMobileView(window.innerWidth < 768);
+    };
 
-        // Check if candidates collection is empty and populate if so
-        const candidatesDocs = await getDocs(candidatesColRef);
-        if (candidatesDocs.empty) {
-          const dummyCandidates = generateDummyCandidates(50); // Generate 50 candidates
-          dummyCandidates.forEach(async (candidate) => {
-            await addDoc(candidatesColRef, { ...candidate, createdBy: userId });
-          });
-          console.log("Added initial dummy candidates.");
+    checkMobileView();
+    window.addEventListener('resize', checkMobileView);
+
+    return () => window.removeEventListener('resize', checkMobileView);
+  }, []);
+
+  const handleCandidateClick = (candidateId) => {
+    const candidate = candidates.find(c => c.id === candidateId);
+    setSelectedCandidate(candidate);
+    setActiveTab('candidates');
+  };
+
+  const handleBackToCandidates = () => {
+    setSelectedCandidate(null);
+  };
+
+  const handleEmployeeClick = (employeeId) => {
+    setSelectedEmployeeId(employeeId);
+    setActiveTab('hris');
+  };
+
+  const handleUpdateEmployee = useCallback(async (employee, changes, sectionLabel) => {
+    if (!db || !appId) {
+      showNotification("Database not available for updating employees.", "error");
+      return false;
+    }
+    try {
+      const now = new Date().toISOString();
+      await updateDoc(doc(db, `artifacts/${appId}/public/data/employees`, employee.id), {
+        ...changes,
+        updatedAt: now,
+        updatedBy: currentUserDisplayName,
+        history: [...(employee.history || []), { action: `Updated ${sectionLabel}`, fields: Object.keys(changes), by: currentUserDisplayName, at: now }],
+      });
+      showNotification(`${sectionLabel} updated for ${changes.name || employee.name}.`, "success");
+      return true;
+    } catch (error) {
+      console.error("Error updating employee:", error);
+      showNotification("Failed to update employee record.", "error");
+      return false;
+    }
+  }, [db, appId, currentUserDisplayName, showNotification]);
+
+  const handleApplyLeave = useCallback(async (employee, application) => {
+    if (!db || !appId) {
+      showNotification("Database not available for leave applications.", "error");
+      return false;
+    }
+    try {
+      const now = new Date().toISOString();
+      await addDoc(collection(db, `artifacts/${appId}/public/data/leaveRequests`), {
+        employeeId: employee.id,
+        employeeName: employee.name,
+        department: employee.department,
+        leaveType: application.leaveType,
+        startDate: application.startDate,
+        endDate: application.endDate,
+        halfDayStart: !!application.halfDayStart,
+        halfDayEnd: !!application.halfDayEnd,
+        days: application.days,
+        reason: application.reason,
+        status: 'Pending',
+        appliedBy: currentUserDisplayName,
+        createdAt: now,
+        history: [{ from: null, to: 'Pending', by: currentUserDisplayName, at: now }],
+      });
+      showNotification(`Leave application submitted for ${employee.name} (${application.days} day(s)).`, "success");
+      return true;
+    } catch (error) {
+      console.error("Error applying for leave:", error);
+      showNotification("Failed to submit leave application.", "error");
+      return false;
+    }
+  }, [db, appId, currentUserDisplayName, showNotification]);
+
+  // Approving debits the balance and books a team-absence event; cancelling approved leave refunds both.
+  // One transaction re-reads the request and balance, so nothing is half-applied or debited twice.
+  const handleTransitionLeaveRequest = useCallback(async (request, toStatus, note = '') => {
+    if (!db || !appId) {
+      showNotification("Database not available for leave approvals.", "error");
+      return false;
+    }
+    if (!LEAVE_REQUEST_TRANSITIONS[request.status]?.includes(toStatus)) {
+      showNotification(`A ${request.status.toLowerCase()} request cannot be ${toStatus.toLowerCase()}.`, "error");
+      return false;
+    }
+    const changesBalance = toStatus === 'Approved' || request.status === 'Approved';
+    try {
+      const now = new Date().toISOString();
+      const requestRef = doc(db, `artifacts/${appId}/public/data/leaveRequests`, request.id);
+      const employeeRef = doc(db, `artifacts/${appId}/public/data/employees`, request.employeeId);
+      const leaveEventRef = request.status === 'Approved' && request.eventId ? doc(db, `artifacts/${appId}/public/data/events`, request.eventId) : null;
+      // Resolves to an error message when the request can no longer move, else null
+      const problem = await runTransaction(db, async (transaction) => {
+        const requestSnap = await transaction.get(requestRef);
+        const employeeSnap = changesBalance ? await transaction.get(employeeRef) : null;
+        const leaveEventSnap = leaveEventRef ? await transaction.get(leaveEventRef) : null;
+        if (!requestSnap.exists() || requestSnap.data().status !== request.status) {
+          return `This request was already ${(requestSnap.data()?.status || 'deleted').toLowerCase()}.`;
+        }
+        if (employeeSnap && !employeeSnap.exists()) {
+          return `Employee record for ${request.employeeName} no longer exists.`;
         }
 
-        // Check if offers collection is empty and populate if so
-        const offersDocs = await getDocs(offersColRef);
-        if (offersDocs.empty) {
-          const dummyOffers = generateDummyOffers(candidates.length > 0 ? candidates : generateDummyCandidates(50), 50); // Generate 50 offers
-          dummyOffers.forEach(async (offer) => {
-            await addDoc(offersColRef, { ...offer, createdBy: userId });
+        const requestChanges = {
+          status: toStatus,
+          history: [...(requestSnap.data().history || []), { from: request.status, to: toStatus, by: currentUserDisplayName, at: now, note }],
+        };
+        if (toStatus === 'Approved' || toStatus === 'Rejected') {
+          requestChanges.decidedBy = currentUserDisplayName;
+          requestChanges.decidedAt = now;
+          requestChanges.decisionNote = note;
+        }
+        if (employeeSnap) {
+          const employee = employeeSnap.data();
+          const balance = employee.leaveBalance?.[request.leaveType] ?? 0;
+          if (toStatus === 'Approved' && balance < request.days) {
+            return `${request.employeeName} only has ${balance} ${request.leaveType} day(s) left.`;
+          }
+          const adjustment = toStatus === 'Approved' ? -request.days : request.days;
+          transaction.update(employeeRef, {
+            leaveBalance: { ...employee.leaveBalance, [request.leaveType]: roundToHalfDay(balance + adjustment) },
+            history: [...(employee.history || []), {
+              action: toStatus === 'Approved' ? 'Leave debited' : 'Leave refunded',
+              fields: ['leaveBalance'],
+              by: currentUserDisplayName,
+              at: now,
+              note: `${adjustment > 0 ? '+' : ''}${adjustment} ${request.leaveType} (${request.startDate} to ${request.endDate})`,
+            }],
           });
-          console.log("Added initial dummy offers.");
         }
-
-        // Check if employees collection is empty and populate if so
-        const employeesDocs = await getDocs(employeesColRef);
-        if (employeesDocs.empty) {
-          const dummyEmployees = generateDummyEmployees(50); // Generate 50 employees
-          dummyEmployees.forEach(async (employee) => {
-            await addDoc(employeesColRef, { ...employee, createdBy: userId });
+        if (toStatus === 'Approved') {
+          const eventRef = doc(collection(db, `artifacts/${appId}/public/data/events`));
+          transaction.set(eventRef, {
+            ...buildLeaveEvent(request),
+            history: [{ action: 'Leave approved', by: currentUserDisplayName, at: now }],
+          });
+          requestChanges.eventId = eventRef.id;
+        }
+        if (leaveEventSnap?.exists()) {
+          transaction.update(leaveEventRef, {
+            status: 'Cancelled',
+            history: [...(leaveEventSnap.data().history || []), { action: 'Leave cancelled', by: currentUserDisplayName, at: now }],
           });
-          console.log("Added initial dummy employees.");
         }
+        transaction.update(requestRef, requestChanges);
+        return null;
+      });
 
-        // Check if events collection is empty and populate if so
-        const eventsDocs = await getDocs(eventsColRef);
-        if (eventsDocs.empty) {
-          const dummyEvents = generateDummyEvents(50); // Generate 50 events
-          dummyEvents.forEach(async (event) => {
-            await addDoc(eventsColRef, { ...event, createdBy: userId });
+      if (problem) {
+        showNotification(problem, "error");
+        return false;
+      }
+      showNotification(`Leave for ${request.employeeName} ${toStatus.toLowerCase()}.`, toStatus === 'Approved' ? "success" : "info");
+      return true;
+    } catch (error) {
+      console.error("Error updating leave request:", error);
+      showNotification("Failed to update leave request.", "error");
+      return false;
+    }
+  }, [db, appId, currentUserDisplayName, showNotification]);
+
+  // Credits every month not yet accrued, up to the current month in the organisation's timezone
+  const handleRunLeaveAccrual = useCallback(async () => {
+    if (!db || !appId) {
+      showNotification("Database not available for leave accrual.", "error");
+      return;
+    }
+    const throughMonth = toMonthKey(getTodayKey(orgSettings?.timeZone || DEFAULT_ORG_TIMEZONE));
+    const dueEmployees = employees.filter(e => e.status !== 'Terminated' && (e.leaveAccruedThrough || shiftMonthKey(throughMonth, -1)) < throughMonth);
+    if (dueEmployees.length === 0) {
+      showNotification(`Leave is already accrued through ${throughMonth}.`, "info");
+      return;
+    }
+    try {
+      const now = new Date().toISOString();
+      let encashedDays = 0;
+      await Promise.all(dueEmployees.map(employee => {
+        // Records without an accrual marker hold balances as of last month
+        const accruedThrough = employee.leaveAccruedThrough || shiftMonthKey(throughMonth, -1);
+        const { balance, encashed, lapsed } = accrueLeaveBalance(employee.leaveBalance || {}, accruedThrough, throughMonth);
+        encashedDays += encashed.reduce((sum, e) => sum + e.days, 0);
+        return updateDoc(doc(db, `artifacts/${appId}/public/data/employees`, employee.id), {
+          leaveBalance: balance,
+          leaveAccruedThrough: throughMonth,
+          leaveEncashments: [...(employee.leaveEncashments || []), ...encashed.map(e => ({ ...e, recordedAt: now }))],
+          history: [...(employee.history || []), {
+            action: 'Leave accrued',
+            fields: ['leaveBalance'],
+            by: currentUserDisplayName,
+            at: now,
+            note: `${shiftMonthKey(accruedThrough, 1)} to ${throughMonth}${lapsed.length > 0 ? `; lapsed ${lapsed.map(l => `${l.days} ${l.leaveType}`).join(', ')}` : ''}`,
+          }],
+        });
+      }));
+      showNotification(`Leave accrued through ${throughMonth} for ${dueEmployees.length} employee(s)${encashedDays > 0 ? `, ${encashedDays} day(s) encashed` : ''}.`, "success");
+    } catch (error) {
+      console.error("Error running leave accrual:", error);
+      showNotification("Failed to run leave accrual.", "error");
+    }
+  }, [db, appId, employees, orgSettings, currentUserDisplayName, showNotification]);
+
+  const isAttendanceLocked = useCallback((employee, dateKey) => (
+    attendanceRegisters.some(r => r.month === toMonthKey(dateKey) && r.department === employee.department)
+  ), [attendanceRegisters]);
+
+  // Clock-in and clock-out are stamped with the current wall time in the organisation's timezone
+  const handleRecordAttendance = useCallback(async (employee, action, workFromHome = false) => {
+    if (!db || !appId) {
+      showNotification("Database not available for attendance.", "error");
+      return false;
+    }
+    const { dateKey, minutes } = getZonedParts(new Date(), orgSettings?.timeZone || DEFAULT_ORG_TIMEZONE);
+    const record = attendanceRecords.find(r => r.employeeId === employee.id && r.date === dateKey);
+    if (action === 'clockIn' && record?.clockIn) {
+      showNotification(`${employee.name} already clocked in today.`, "error");
+      return false;
+    }
+    if (action === 'clockOut' && (!record?.clockIn || record.clockOut)) {
+      showNotification(`${employee.name} has no open clock-in today.`, "error");
+      return false;
+    }
+    try {
+      const now = new Date().toISOString();
+      const entry = { action: action === 'clockIn' ? 'Clocked in' : 'Clocked out', by: currentUserDisplayName, at: now };
+      if (action === 'clockIn') {
+        const fields = { clockIn: toTimeKey(minutes), workFromHome };
+        if (record) {
+          await updateDoc(doc(db, `artifacts/${appId}/public/data/attendance`, record.id), { ...fields, history: [...(record.history || []), entry] });
+        } else {
+          await addDoc(collection(db, `artifacts/${appId}/public/data/attendance`), {
+            employeeId: employee.id,
+            employeeName: employee.name,
+            department: employee.department,
+            date: dateKey,
+            clockOut: null,
+            ...fields,
+            history: [entry],
           });
-          console.log("Added initial dummy events.");
         }
-      };
-      addInitialData();
+      } else {
+        await updateDoc(doc(db, `artifacts/${appId}/public/data/attendance`, record.id), { clockOut: toTimeKey(minutes), history: [...(record.history || []), entry] });
+      }
+      showNotification(`${employee.name} ${entry.action.toLowerCase()} at ${formatMinutesAsTime(minutes)}.`, "success");
+      return true;
+    } catch (error) {
+      console.error("Error recording attendance:", error);
+      showNotification("Failed to record attendance.", "error");
+      return false;
     }
-  }, [db, appId, userId]); // Depend on db and userId
+  }, [db, appId, attendanceRecords, orgSettings, currentUserDisplayName, showNotification]);
 
+  const handleRequestRegularization = useCallback(async (employee, correction) => {
+    if (!db || !appId) {
+      showNotification("Database not available for attendance.", "error");
+      return false;
+    }
+    if (isAttendanceLocked(employee, correction.date)) {
+      showNotification(`Attendance for ${toMonthKey(correction.date)} is locked for payroll.`, "error");
+      return false;
+    }
+    const record = attendanceRecords.find(r => r.employeeId === employee.id && r.date === correction.date);
+    if (record?.regularization?.status === 'Pending') {
+      showNotification(`A correction for ${correction.date} is already waiting for approval.`, "error");
+      return false;
+    }
+    try {
+      const now = new Date().toISOString();
+      const regularization = { ...correction, status: 'Pending', requestedBy: currentUserDisplayName, requestedAt: now };
+      const entry = { action: 'Regularization requested', by: currentUserDisplayName, at: now, note: correction.reason };
+      if (record) {
+        await updateDoc(doc(db, `artifacts/${appId}/public/data/attendance`, record.id), { regularization, history: [...(record.history || []), entry] });
+      } else {
+        await addDoc(collection(db, `artifacts/${appId}/public/data/attendance`), {
+          employeeId: employee.id,
+          employeeName: employee.name,
+          department: employee.department,
+          date: correction.date,
+          clockIn: null,
+          clockOut: null,
+          workFromHome: false,
+          regularization,
+          history: [entry],
+        });
+      }
+      showNotification(`Regularization for ${employee.name} on ${correction.date} sent for approval.`, "success");
+      return true;
+    } catch (error) {
+      console.error("Error requesting regularization:", error);
+      showNotification("Failed to submit regularization.", "error");
+      return false;
+    }
+  }, [db, appId, attendanceRecords, isAttendanceLocked, currentUserDisplayName, showNotification]);
 
-  // --- Dummy Data Generation (used for initial population if Firestore is empty) ---
-  const generateDummyCandidates = (count = 50) => { // Updated count to 50
-    const candidates = [];
-    const stages = ['Resume Reviewed', 'Screening', 'Assessment Taken', 'Interview - R1', 'Interview - R2', 'Offer Extended', 'Offer Accepted', 'Offer Rejected', 'On Hold'];
-    const jobRoles = ['Software Engineer', 'Product Manager', 'HR Business Partner', 'Marketing Specialist', 'Data Analyst', 'UX Designer', 'DevOps Engineer', 'Sales Executive'];
-    const locations = ['Bengaluru', 'Mumbai', 'Delhi', 'Hyderabad', 'Chennai', 'Pune'];
+  // Approval replaces the recorded times; the originals stay in the record's history
+  const handleDecideRegularization = useCallback(async (record, decision) => {
+    if (!db || !appId) {
+      showNotification("Database not available for attendance.", "error");
+      return;
+    }
+    if (decision === 'Approved' && isAttendanceLocked(record, record.date)) {
+      showNotification(`Attendance for ${toMonthKey(record.date)} is locked for payroll.`, "error");
+      return;
+    }
+    try {
+      const now = new Date().toISOString();
+      const { clockIn, clockOut, workFromHome } = record.regularization;
+      await updateDoc(doc(db, `artifacts/${appId}/public/data/attendance`, record.id), {
+        ...(decision === 'Approved' ? { clockIn, clockOut, workFromHome } : {}),
+        regularization: { ...record.regularization, status: decision, decidedBy: currentUserDisplayName, decidedAt: now },
+        history: [...(record.history || []), {
+          action: `Regularization ${decision.toLowerCase()}`,
+          by: currentUserDisplayName,
+          at: now,
+          note: decision === 'Approved' ? `was ${record.clockIn || '--:--'}-${record.clockOut || '--:--'}${record.workFromHome ? ' WFH' : ''}` : '',
+        }],
+      });
+      showNotification(`Regularization for ${record.employeeName} ${decision.toLowerCase()}.`, decision === 'Approved' ? "success" : "info");
+    } catch (error) {
+      console.error("Error deciding regularization:", error);
+      showNotification("Failed to update regularization.", "error");
+    }
+  }, [db, appId, isAttendanceLocked, currentUserDisplayName, showNotification]);
 
-    for (let i = 1; i <= count; i++) {
-      const name = `Candidate ${String.fromCharCode(64 + Math.floor(Math.random() * 26) + 1)} ${i}`;
-      const jobAppliedFor = jobRoles[Math.floor(Math.random() * jobRoles.length)];
-      const stage = stages[Math.floor(Math.random() * stages.length)];
-      const matchScore = Math.floor(Math.random() * (99 - 60 + 1)) + 60;
-      const lastContactDate = new Date(Date.now() - Math.floor(Math.random() * 30) * 24 * 60 * 60 * 1000); // Last 30 days
-      const lastContact = lastContactDate.toISOString().split('T')[0];
-      const email = `${name.replace(/\s/g, '.').toLowerCase()}@example.com`;
-      const phone = `+91 ${Math.floor(1000000000 + Math.random() * 9000000000)}`;
-      const aadhaarNumber = `XXXX XXXX ${Math.floor(1000 + Math.random() * 9000)}`;
-      const panNumber = `${String.fromCharCode(64 + Math.floor(Math.random() * 26) + 1)}${String.fromCharCode(64 + Math.floor(Math.random() * 26) + 1)}${String.fromCharCode(64 + Math.floor(Math.random() * 26) + 1)}${String.fromCharCode(64 + Math.floor(Math.random() * 26) + 1)}${Math.floor(1000 + Math.random() * 9000)}${String.fromCharCode(64 + Math.floor(Math.random() * 26) + 1)}`;
-      const currentCTC = Math.floor(500000 + Math.random() * 1500000); // 5L to 20L INR
-      const expectedCTC = Math.floor(currentCTC * (1.1 + Math.random() * 0.2)); // 10-30% hike
-      const noticePeriodDays = [0, 15, 30, 45, 60, 90][Math.floor(Math.random() * 6)];
-      const noticePeriod = noticePeriodDays === 0 ? 'Immediate' : `${noticePeriodDays} days`;
-      const willingToRelocate = Math.random() > 0.5 ? 'Yes' : 'No';
-      const languages = ['English', 'Hindi', 'Kannada', 'Tamil', 'Marathi', 'Bengali'].sort(() => 0.5 - Math.random()).slice(0, Math.floor(Math.random() * 3) + 1);
+  const handleLockAttendanceRegister = useCallback(async (monthKey, department, rows) => {
+    if (!db || !appId) {
+      showNotification("Database not available for attendance.", "error");
+      return;
+    }
+    if (attendanceRegisters.some(r => r.month === monthKey && r.department === department)) {
+      showNotification(`${department} attendance for ${monthKey} is already locked.`, "info");
+      return;
+    }
+    try {
+      await addDoc(collection(db, `artifacts/${appId}/public/data/attendanceRegisters`), {
+        month: monthKey,
+        department,
+        rows,
+        lockedBy: currentUserDisplayName,
+        lockedAt: new Date().toISOString(),
+      });
+      showNotification(`${department} attendance for ${monthKey} locked for payroll.`, "success");
+    } catch (error) {
+      console.error("Error locking attendance register:", error);
+      showNotification("Failed to lock attendance register.", "error");
+    }
+  }, [db, appId, attendanceRegisters, currentUserDisplayName, showNotification]);
 
-      const baseSalary = Math.floor(expectedCTC * 0.7);
-      const annualBonus = Math.floor(expectedCTC * 0.1);
-      const equity = Math.random() > 0.3 ? `${Math.floor(1000 + Math.random() * 5000)} units (vesting over 4 years)` : 'N/A';
-      const benefits = 'Health, Dental, Vision, PF, Gratuity';
-      const allowances = Math.random() > 0.5 ? 'Transport, HRA' : 'None';
-      const totalCompensation = baseSalary + annualBonus; // Simplified
+  // Saves one financial year's rules; a year without a stored document is added
+  const handleSaveTaxRules = useCallback(async (rules) => {
+    if (!db || !appId) {
+      showNotification("Database not available for tax rules.", "error");
+      return false;
+    }
+    const errors = validateTaxRules(rules);
+    if (errors.length > 0) {
+      showNotification(errors[0], "error");
+      return false;
+    }
+    try {
+      const { id, updatedAt, updatedBy, ...ruleFields } = rules;
+      const existing = taxRules.find(r => r.financialYear === rules.financialYear);
+      const fields = { ...ruleFields, updatedAt: new Date().toISOString(), updatedBy: currentUserDisplayName };
+      if (existing) {
+        await updateDoc(doc(db, `artifacts/${appId}/public/data/taxRules`, existing.id), fields);
+      } else {
+        await addDoc(collection(db, `artifacts/${appId}/public/data/taxRules`), fields);
+      }
+      showNotification(`Tax rules for FY ${rules.financialYear} saved.`, "success");
+      return true;
+    } catch (error) {
+      console.error("Error saving tax rules:", error);
+      showNotification("Failed to save tax rules.", "error");
+      return false;
+    }
+  }, [db, appId, taxRules, currentUserDisplayName, showNotification]);
+
+  // Calculates (or recalculates) the month's draft run from current employee records and locked attendance
+  const handleSavePayrollRun = useCallback(async (monthKey, existingRun) => {
+    if (!db || !appId) {
+      showNotification("Database not available for payroll.", "error");
+      return;
+    }
+    if (existingRun?.status === 'Locked') {
+      showNotification(`Payroll for ${formatMonthLabel(monthKey)} is locked.`, "error");
+      return;
+    }
+    try {
+      const now = new Date().toISOString();
+      const { payslips, totals, taxRulesYear } = buildPayrollRun(employees, monthKey, attendanceRegisters, taxRules);
+      const fields = { payslips, totals, taxRulesYear, calculatedBy: currentUserDisplayName, calculatedAt: now };
+      const entry = { action: existingRun ? 'Recalculated' : 'Calculated', by: currentUserDisplayName, at: now };
+      if (existingRun) {
+        await updateDoc(doc(db, `artifacts/${appId}/public/data/payrollRuns`, existingRun.id), { ...fields, history: [...(existingRun.history || []), entry] });
+      } else {
+        await addDoc(collection(db, `artifacts/${appId}/public/data/payrollRuns`), { month: monthKey, status: 'Draft', ...fields, history: [entry] });
+      }
+      showNotification(`Payroll for ${formatMonthLabel(monthKey)} calculated for ${totals.headcount} employee(s).`, "success");
+    } catch (error) {
+      console.error("Error calculating payroll:", error);
+      showNotification("Failed to calculate payroll.", "error");
+    }
+  }, [db, appId, employees, attendanceRegisters, taxRules, currentUserDisplayName, showNotification]);
+
+  const handleLockPayrollRun = useCallback(async (run) => {
+    if (!db || !appId) {
+      showNotification("Database not available for payroll.", "error");
+      return;
+    }
+    if (run.status === 'Locked') {
+      showNotification(`Payroll for ${formatMonthLabel(run.month)} is already locked.`, "info");
+      return;
+    }
+    const unlockedDepartments = getUnlockedPayrollDepartments(employees, run.month, attendanceRegisters);
+    if (unlockedDepartments.length > 0) {
+      showNotification(`Lock ${formatMonthLabel(run.month)} attendance for ${unlockedDepartments.join(', ')} before locking payroll.`, "error");
+      return;
+    }
+    try {
+      const now = new Date().toISOString();
+      await updateDoc(doc(db, `artifacts/${appId}/public/data/payrollRuns`, run.id), {
+        status: 'Locked',
+        lockedBy: currentUserDisplayName,
+        lockedAt: now,
+        history: [...(run.history || []), { action: 'Locked', by: currentUserDisplayName, at: now }],
+      });
+      showNotification(`Payroll for ${formatMonthLabel(run.month)} locked. Payslips are ready.`, "success");
+    } catch (error) {
+      console.error("Error locking payroll:", error);
+      showNotification("Failed to lock payroll.", "error");
+    }
+  }, [db, appId, employees, attendanceRegisters, currentUserDisplayName, showNotification]);
 
-      const interviewFeedback = [
-          { round: 'Screening', interviewer: 'HR Recruiter', date: '2025-05-10', score: Math.floor(Math.random() * 5) + 3, comments: 'Good communication, relevant experience mentioned.' },
-          { round: 'Interview - R1', interviewer: 'Engineering Lead', date: '2025-05-15', score: Math.floor(Math.random() * 5) + 3, comments: 'Solid technical skills, needs work on system design.' }
-      ].slice(0, Math.floor(Math.random() * 3)); // 0 to 2 feedbacks
+  const handleUpdateCandidateStage = useCallback(async (candidateId, newStage) => {
+    if (!db || !appId) {
+      showNotification("Database not available for update.", "error");
+      return;
+    }
+    try {
+      const candidate = candidates.find(c => c.id === candidateId);
+      const transition = { from: candidate?.stage || null, to: newStage, by: currentUserDisplayName, at: new Date().toISOString() };
+      const candidateDocRef = doc(db, `artifacts/${appId}/public/data/candidates`, candidateId);
+      // Appended server-side so quick successive moves, or moves from another client, are all kept
+      await updateDoc(candidateDocRef, { stage: newStage, stageHistory: arrayUnion(transition) });
+      showNotification("Candidate stage updated in database!", "success");
+    } catch (error) {
+      console.error("Error updating candidate stage:", error);
+      showNotification("Failed to update candidate stage.", "error");
+    }
+  }, [db, appId, candidates, currentUserDisplayName, showNotification]);
 
-      const communications = [
-          { type: 'Email', date: '2025-05-01', subject: 'Application Received - Software Engineer', snippet: 'Dear Candidate, Thank you for your application...' },
-          { type: 'SMS', date: '2025-05-09', subject: 'Interview Confirmation', snippet: 'Hi! Your interview with HR is scheduled for 2025-05-10.' }
-      ].slice(0, Math.floor(Math.random() * 3)); // 0 to 2 communications
+  // Links a candidate to a job requisition (or unlinks when requisitionId is empty)
+  const handleLinkCandidateRequisition = useCallback(async (candidateId, requisitionId) => {
+    if (!db || !appId) {
+      showNotification("Database not available for update.", "error");
+      return;
+    }
+    try {
+      await updateDoc(doc(db, `artifacts/${appId}/public/data/candidates`, candidateId), { requisitionId: requisitionId || null });
+      showNotification(requisitionId ? "Candidate linked to requisition." : "Candidate unlinked from requisition.", "success");
+    } catch (error) {
+      console.error("Error linking candidate to requisition:", error);
+      showNotification("Failed to link candidate to requisition.", "error");
+    }
+  }, [db, appId, showNotification]);
 
-      candidates.push({
-        id: `cand${i}`,
-        name,
-        jobAppliedFor,
-        stage,
-        matchScore,
-        lastContact,
-        email,
-        phone,
-        aadhaarNumber,
-        panNumber,
-        currentCTC,
-        expectedCTC,
-        noticePeriod,
-        willingToRelocate,
-        languages,
-        resumeHighlights: {
-          education: `Degree in ${jobAppliedFor.split(' ')[0]} from Indian University`,
-          experience: `${Math.floor(Math.random() * 10) + 2} years in ${jobAppliedFor.split(' ')[0]}`,
-          skills: ['JavaScript', 'Cloud', 'Analytics', 'Project Mgmt', 'Marketing', 'HR Policy'].sort(() => 0.5 - Math.random()).slice(0, Math.floor(Math.random() * 4) + 2),
-        },
-        compensation: {
-          baseSalary,
-          annualBonus,
-          equity,
-          benefits,
-          allowances,
-          totalCompensation,
-        },
-        internalNotes: `Recruiter note: Follow up on notice period. Manager feedback pending.`,
-        interviewFeedback,
-        communications,
-        videoPitchUrl: Math.random() > 0.7 ? `https://placehold.co/100x60/34D399/FFFFFF?text=Video+Pitch` : null
+  // --- Job Requisition Handlers ---
+  const handleCreateRequisition = useCallback(async (requisition) => {
+    if (!db || !appId) {
+      showNotification("Database not available for creating requisitions.", "error");
+      return null;
+    }
+    try {
+      const now = new Date().toISOString();
+      const requisitionRef = await addDoc(collection(db, `artifacts/${appId}/public/data/requisitions`), {
+        ...requisition,
+        status: 'Pending Approval',
+        history: [{ from: null, to: 'Pending Approval', by: currentUserDisplayName, at: now, note: 'Requisition created' }],
+        createdAt: now,
+        createdBy: userId,
       });
+      showNotification(`Requisition "${requisition.title}" submitted for approval.`, "success");
+      return requisitionRef.id;
+    } catch (error) {
+      console.error("Error creating requisition:", error);
+      showNotification("Failed to create requisition.", "error");
+      return null;
     }
-    return candidates;
-  };
-
-  const generateDummyOffers = (existingCandidates, count = 50) => { // Updated count to 50
-    const offers = [];
-    const statusOptions = ['Accepted', 'Pending', 'Declined'];
-    const offeredCandidates = new Set(); // To ensure unique candidates get offers for demo purposes
+  }, [db, appId, userId, currentUserDisplayName, showNotification]);
 
-    const candidatesToUse = existingCandidates.length > 0 ? existingCandidates : generateDummyCandidates(50); // Fallback if no candidates loaded yet
-
-    while (offers.length < count && offeredCandidates.size < candidatesToUse.length) {
-      const candidate = candidatesToUse[Math.floor(Math.random() * candidatesToUse.length)];
-      if (offeredCandidates.has(candidate.id)) {
-        continue;
-      }
-      offeredCandidates.add(candidate.id);
+  const handleTransitionRequisition = useCallback(async (requisition, toStatus, note = '') => {
+    if (!(REQUISITION_TRANSITIONS[requisition.status] || []).includes(toStatus)) {
+      showNotification(`Cannot move a requisition from ${requisition.status} to ${toStatus}.`, "error");
+      return;
+    }
+    if (!db || !appId) {
+      showNotification("Database not available for updating requisitions.", "error");
+      return;
+    }
+    try {
+      const transition = { from: requisition.status, to: toStatus, by: currentUserDisplayName, at: new Date().toISOString(), note: note.trim() };
+      await updateDoc(doc(db, `artifacts/${appId}/public/data/requisitions`, requisition.id), {
+        status: toStatus,
+        history: [...(requisition.history || []), transition],
+      });
+      showNotification(`Requisition "${requisition.title}" is now ${toStatus}.`, "success");
+    } catch (error) {
+      console.error("Error updating requisition:", error);
+      showNotification("Failed to update requisition.", "error");
+    }
+  }, [db, appId, currentUserDisplayName, showNotification]);
+
+  // --- Interview Scheduling Handlers ---
+  // Re-checks the panel's availability against the latest events before writing
+  const hasSchedulingConflict = useCallback((candidateId, booking, ignoreEventId = null) => {
+    const conflicts = findEventConflicts(events, { ...booking, candidateId }, ignoreEventId);
+    if (conflicts.length > 0) {
+      showNotification("The panel is no longer free at that time. Pick another slot.", "error");
+      return true;
+    }
+    return false;
+  }, [events, showNotification]);
 
-      const status = statusOptions[Math.floor(Math.random() * statusOptions.length)];
-      const baseSalary = (candidate.compensation?.baseSalary || candidate.expectedCTC || 700000);
-      const bonus = (candidate.compensation?.annualBonus || 50000);
+  const handleScheduleInterview = useCallback(async (candidate, booking) => {
+    if (!db || !appId) {
+      showNotification("Database not available for scheduling.", "error");
+      return false;
+    }
+    if (hasSchedulingConflict(candidate.id, booking)) return false;
+    try {
+      const now = new Date().toISOString();
+      await addDoc(collection(db, `artifacts/${appId}/public/data/events`), {
+        type: 'Interview',
+        description: `${booking.round}: ${candidate.name}`,
+        date: booking.date,
+        ...getEventTimingFields(booking.startMinutes, booking.date, booking.timeZone || DEFAULT_ORG_TIMEZONE),
+        durationMinutes: booking.durationMinutes,
+        virtual: booking.virtual,
+        candidateId: candidate.id,
+        candidateName: candidate.name,
+        round: booking.round,
+        attendees: booking.attendees,
+        status: 'Scheduled',
+        history: [{ action: 'Scheduled', by: currentUserDisplayName, at: now, note: '' }],
+        createdAt: now,
+        createdBy: userId,
+      });
+      showNotification(`${booking.round} booked for ${candidate.name} on ${booking.date} at ${formatMinutesAsTime(booking.startMinutes)}.`, "success");
+      return true;
+    } catch (error) {
+      console.error("Error scheduling interview:", error);
+      showNotification("Failed to schedule interview.", "error");
+      return false;
+    }
+  }, [db, appId, userId, currentUserDisplayName, hasSchedulingConflict, showNotification]);
 
-      offers.push({
-        id: `offer${offers.length + 1}`,
-        candidate: candidate.name,
-        job: candidate.jobAppliedFor,
-        status: status,
-        baseSalary: formatINR(baseSalary),
-        bonus: formatINR(bonus),
+  const handleRescheduleInterview = useCallback(async (event, booking) => {
+    if (hasSchedulingConflict(event.candidateId, booking, event.id)) return false;
+    try {
+      const historyEntry = {
+        action: 'Rescheduled',
+        by: currentUserDisplayName,
+        at: new Date().toISOString(),
+        note: `${event.date} ${event.time} → ${booking.date} ${formatMinutesAsTime(booking.startMinutes)}${booking.note ? ` (${booking.note})` : ''}`,
+      };
+      await updateDoc(doc(db, `artifacts/${appId}/public/data/events`, event.id), {
+        date: booking.date,
+        ...getEventTimingFields(booking.startMinutes, booking.date, booking.timeZone || DEFAULT_ORG_TIMEZONE),
+        durationMinutes: booking.durationMinutes,
+        virtual: booking.virtual,
+        attendees: booking.attendees,
+        history: [...(event.history || []), historyEntry],
       });
+      showNotification("Interview rescheduled.", "success");
+      return true;
+    } catch (error) {
+      console.error("Error rescheduling interview:", error);
+      showNotification("Failed to reschedule interview.", "error");
+      return false;
     }
-    return offers;
-  };
+  }, [db, appId, currentUserDisplayName, hasSchedulingConflict, showNotification]);
 
+  const handleCancelInterview = useCallback(async (event) => {
+    try {
+      await updateDoc(doc(db, `artifacts/${appId}/public/data/events`, event.id), {
+        status: 'Cancelled',
+        history: [...(event.history || []), { action: 'Cancelled', by: currentUserDisplayName, at: new Date().toISOString(), note: '' }],
+      });
+      showNotification("Interview cancelled.", "info");
+    } catch (error) {
+      console.error("Error cancelling interview:", error);
+      showNotification("Failed to cancel interview.", "error");
+    }
+  }, [db, appId, currentUserDisplayName, showNotification]);
+
+  // --- Calendar Event Handlers ---
+  // Splits one occurrence off a recurring series: the series skips that date and a standalone event takes its place
+  const detachEventOccurrence = useCallback(async (occurrence, changes, action) => {
+    // The imported series' UID stays with the series, so the standalone event exports under its own
+    const { id, uid, occurrenceDate, recurrence, exceptions, history, ...occurrenceFields } = occurrence;
+    const now = new Date().toISOString();
+    await updateDoc(doc(db, `artifacts/${appId}/public/data/events`, id), {
+      exceptions: [...(exceptions || []), occurrenceDate],
+    });
+    await addDoc(collection(db, `artifacts/${appId}/public/data/events`), {
+      ...occurrenceFields,
+      ...changes,
+      recurrence: null,
+      exceptions: [],
+      seriesId: id,
+      originalDate: occurrenceDate,
+      history: [{ action, by: currentUserDisplayName, at: now, note: `Occurrence of ${occurrenceDate} detached from series` }],
+      createdAt: now,
+      createdBy: userId,
+    });
+  }, [db, appId, userId, currentUserDisplayName]);
 
-  const generateDummyEmployees = (count = 50) => { // Updated count to 50
-    const employees = [];
-    const departments = ['Engineering', 'Product', 'Human Resources', 'Marketing', 'Sales', 'Finance', 'Operations'];
-    const jobTitles = {
-      'Engineering': ['Software Engineer', 'Senior Software Engineer', 'Engineering Manager'],
-      'Product': ['Product Manager', 'Senior Product Manager', 'VP Product'],
-      'Human Resources': ['HR Business Partner', 'HR Manager', 'Talent Acquisition Specialist'],
-      'Marketing': ['Marketing Specialist', 'Content Creator', 'Marketing Manager'],
-      'Sales': ['Sales Executive', 'Account Manager', 'Sales Director'],
-      'Finance': ['Financial Analyst', 'Accountant'],
-      'Operations': ['Operations Manager', 'Office Administrator']
+  const handleSaveEvent = useCallback(async (draft, { event = null, scope = 'series' } = {}) => {
+    if (!db || !appId) {
+      showNotification("Database not available for saving events.", "error");
+      return false;
+    }
+    const { startMinutes, timeZone = DEFAULT_ORG_TIMEZONE, ...fields } = draft;
+    const eventData = {
+      ...fields,
+      ...getEventTimingFields(startMinutes, fields.date, timeZone),
+      recurrence: fields.recurrence ? { ...fields.recurrence, until: fields.recurrence.until || null } : null,
     };
-    const employmentStatus = ['Active', 'On Leave', 'Terminated'];
-    const locations = ['Bengaluru', 'Mumbai', 'Delhi', 'Hyderabad', 'Chennai', 'Pune'];
+    try {
+      const now = new Date().toISOString();
+      if (!event) {
+        await addDoc(collection(db, `artifacts/${appId}/public/data/events`), {
+          ...eventData,
+          status: 'Scheduled',
+          exceptions: [],
+          history: [{ action: 'Created', by: currentUserDisplayName, at: now, note: '' }],
+          createdAt: now,
+          createdBy: userId,
+        });
+        showNotification("Event created!", "success");
+      } else if (event.recurrence && scope === 'occurrence') {
+        await detachEventOccurrence(event, eventData, 'Edited');
+        showNotification("This occurrence was updated.", "success");
+      } else {
+        await updateDoc(doc(db, `artifacts/${appId}/public/data/events`, event.id), {
+          ...eventData,
+          history: [...(event.history || []), { action: 'Edited', by: currentUserDisplayName, at: now, note: '' }],
+        });
+        showNotification(event.recurrence ? "Event series updated!" : "Event updated!", "success");
+      }
+      return true;
+    } catch (error) {
+      console.error("Error saving event:", error);
+      showNotification("Failed to save event.", "error");
+      return false;
+    }
+  }, [db, appId, userId, currentUserDisplayName, detachEventOccurrence, showNotification]);
 
-    for (let i = 1; i <= count; i++) {
-      const firstName = ['Aisha', 'Dev', 'Priya', 'Rahul', 'Sneha', 'Vikram', 'Meera', 'Arjun'][Math.floor(Math.random() * 8)];
-      const lastName = ['Sharma', 'Kumar', 'Singh', 'Reddy', 'Gupta', 'Patel', 'Jain', 'Das'][Math.floor(Math.random() * 8)];
-      const department = departments[Math.floor(Math.random() * departments.length)];
-      const titleOptions = jobTitles[department] || ['Employee'];
-      const jobTitle = titleOptions[Math.floor(Math.random() * titleOptions.length)];
-      const email = `${firstName.toLowerCase()}.${lastName.toLowerCase()}@example.com`;
-      const phone = `+91 ${Math.floor(1000000000 + Math.random() * 9000000000)}`;
-      const status = employmentStatus[Math.floor(Math.random() * employmentStatus.length)];
-      const hireDate = new Date(2020 - Math.floor(Math.random() * 5), Math.floor(Math.random() * 12), Math.floor(Math.random() * 28) + 1); // Hired in last 5 years
-      const employeeId = `EMP${1000 + i}`;
-      const baseSalary = Math.floor(500000 + Math.random() * 2000000); // 5L to 25L
-      const annualCTC = baseSalary + Math.floor(Math.random() * 500000);
-      const location = locations[Math.floor(Math.random() * locations.length)];
+  const handleDeleteEvent = useCallback(async (event, { scope = 'series' } = {}) => {
+    // Interviews stay on record as cancelled so the candidate's schedule history is kept
+    if (event.candidateId && event.type === 'Interview') {
+      await handleCancelInterview(event);
+      return;
+    }
+    if (!db || !appId) {
+      showNotification("Database not available for deleting events.", "error");
+      return;
+    }
+    try {
+      if (event.recurrence && scope === 'occurrence') {
+        await updateDoc(doc(db, `artifacts/${appId}/public/data/events`, event.id), {
+          exceptions: [...(event.exceptions || []), event.occurrenceDate],
+        });
+        showNotification("Occurrence removed from the series.", "success");
+      } else {
+        await deleteDoc(doc(db, `artifacts/${appId}/public/data/events`, event.id));
+        showNotification("Event deleted.", "success");
+      }
+    } catch (error) {
+      console.error("Error deleting event:", error);
+      showNotification("Failed to delete event.", "error");
+    }
+  }, [db, appId, handleCancelInterview, showNotification]);
+
+  // Drag-to-reschedule: moves a single event, or only the dragged occurrence of a recurring series.
+  // The drop target is a date and time in the calendar's display timezone.
+  const handleMoveEvent = useCallback(async (occurrence, dateKey, startMinutes, timeZone = DEFAULT_ORG_TIMEZONE) => {
+    const current = localizeOccurrence(occurrence, timeZone);
+    if (current.date === dateKey && getEventMinutes(current)?.start === startMinutes) return;
+    const durationMinutes = Number(occurrence.durationMinutes) || DEFAULT_EVENT_DURATION_MINUTES;
+    const conflicts = findEventConflicts(events, { date: dateKey, startMinutes, durationMinutes, attendees: occurrence.attendees || [], candidateId: occurrence.candidateId, timeZone }, occurrence.id);
+    if (conflicts.length > 0) {
+      showNotification(`Cannot move: overlaps with ${conflicts[0].description} (${conflicts[0].time}).`, "error");
+      return;
+    }
+    const changes = { date: dateKey, ...getEventTimingFields(startMinutes, dateKey, timeZone), durationMinutes };
+    try {
+      if (occurrence.recurrence) {
+        await detachEventOccurrence(occurrence, changes, 'Rescheduled');
+      } else {
+        await updateDoc(doc(db, `artifacts/${appId}/public/data/events`, occurrence.id), {
+          ...changes,
+          history: [...(occurrence.history || []), {
+            action: 'Rescheduled',
+            by: currentUserDisplayName,
+            at: new Date().toISOString(),
+            note: `${current.date} ${current.time} → ${dateKey} ${formatMinutesAsTime(startMinutes)} (${timeZone})`,
+          }],
+        });
+      }
+      showNotification(`Moved to ${dateKey} at ${formatMinutesAsTime(startMinutes)}.`, "success");
+    } catch (error) {
+      console.error("Error moving event:", error);
+      showNotification("Failed to move event.", "error");
+    }
+  }, [db, appId, events, currentUserDisplayName, detachEventOccurrence, showNotification]);
 
-      employees.push({
-        id: employeeId,
-        name: `${firstName} ${lastName}`,
-        department,
-        jobTitle,
-        email,
-        phone,
-        status,
-        hireDate: hireDate.toISOString().split('T')[0],
-        annualCTC: formatINR(annualCTC),
-        location,
-        gender: Math.random() > 0.5 ? 'Male' : 'Female',
-        dob: `19${Math.floor(70 + Math.random() * 20)}-${String(Math.floor(Math.random() * 12) + 1).padStart(2, '0')}-${String(Math.floor(Math.random() * 28) + 1).padStart(2, '0')}`,
-        address: `${Math.floor(Math.random() * 100) + 1} Main St, ${location}`,
-        emergencyContact: {
-          name: `Relative ${lastName}`,
-          phone: `+91 ${Math.floor(1000000000 + Math.random() * 9000000000)}`,
-          relationship: 'Spouse'
-        },
-        bankDetails: `Account: XXXX${Math.floor(1000 + Math.random() * 9000)}`,
-        documents: ['Offer Letter', 'Contract', 'PAN Card', 'Aadhaar Card', 'Form 16'],
-        benefitsEnrollment: {
-          healthInsurance: Math.random() > 0.3,
-          providentFund: true,
-          gratuity: true,
-          nps: Math.random() > 0.5
-        },
-        leaveBalance: {
-          sick: Math.floor(Math.random() * 10) + 5,
-          casual: Math.floor(Math.random() * 10) + 5,
-          earned: Math.floor(Math.random() * 15) + 10
-        },
-        performanceReviewSummary: `Last review: ${new Date(Date.now() - Math.floor(Math.random() * 180) * 24 * 60 * 60 * 1000).toISOString().split('T')[0]}, Rating: ${Math.floor(Math.random() * 3) + 3}/5`
-      });
+  // Imports parsed .ics events, skipping any whose UID is already on the calendar or repeated in the file
+  const handleImportEvents = useCallback(async (parsedEvents, fileName) => {
+    if (!db || !appId) {
+      showNotification("Database not available for importing events.", "error");
+      return;
     }
-    return employees;
-  };
+    if (parsedEvents.length === 0) {
+      showNotification(`No events found in ${fileName}.`, "info");
+      return;
+    }
+    const knownUids = new Set(events.map(getEventUid));
+    let added = 0;
+    let skipped = 0;
+    let simplified = 0;
+    try {
+      const now = new Date().toISOString();
+      for (const { hasUnsupportedRecurrence, ...parsed } of parsedEvents) {
+        if (knownUids.has(parsed.uid)) {
+          skipped++;
+          continue;
+        }
+        knownUids.add(parsed.uid);
+        // Only keep the candidate link when the candidate exists in this workspace
+        const candidate = parsed.candidateId ? candidates.find(c => c.id === parsed.candidateId) : null;
+        const { candidateId, ...fields } = parsed;
+        await addDoc(collection(db, `artifacts/${appId}/public/data/events`), {
+          ...fields,
+          ...(candidate ? { candidateId: candidate.id, candidateName: candidate.name } : {}),
+          history: [{ action: 'Imported', by: currentUserDisplayName, at: now, note: fileName }],
+          createdAt: now,
+          createdBy: userId,
+        });
+        added++;
+        if (hasUnsupportedRecurrence) simplified++;
+      }
+      const details = [
+        skipped > 0 && `${skipped} already on the calendar`,
+        simplified > 0 && `${simplified} with an unsupported repeat rule imported as single events`,
+      ].filter(Boolean).join('; ');
+      showNotification(`Imported ${added} event${added === 1 ? '' : 's'}${details ? ` (${details})` : ''}.`, added > 0 ? "success" : "info");
+    } catch (error) {
+      console.error("Error importing events:", error);
+      showNotification(`Failed to import events after ${added} were added.`, "error");
+    }
+  }, [db, appId, userId, events, candidates, currentUserDisplayName, showNotification]);
 
+  // --- Offer Lifecycle Handlers ---
+  // --- Onboarding ---
+  // Opens a case with the template's tasks; a candidate or offer that already has an open case keeps it
+  const handleCreateOnboardingCase = useCallback(async (details) => {
+    if (!db || !appId) {
+      showNotification("Database not available for onboarding.", "error");
+      return null;
+    }
+    if (!details.legalName?.trim() || !isValidDateKey(details.startDate) || !(Number(details.annualCTC) > 0)) {
+      showNotification("Legal name, start date and agreed salary are required.", "error");
+      return null;
+    }
+    const kycErrors = validateKycFields(details, ['phone', 'aadhaarNumber', 'panNumber']);
+    if (Object.keys(kycErrors).length > 0) {
+      showNotification(Object.values(kycErrors)[0], "error");
+      return null;
+    }
+    const linkedCandidate = details.candidateId ? candidates.find(c => c.id === details.candidateId) : null;
+    if (linkedCandidate?.employeeDocId) {
+      showNotification(`${linkedCandidate.name} is already employee ${linkedCandidate.employeeId}.`, "error");
+      return null;
+    }
+    const existingCase = onboardingCases.find(c => c.status === 'In Progress' &&
+      ((details.offerId && c.offerId === details.offerId) || (details.candidateId && c.candidateId === details.candidateId)));
+    if (existingCase) {
+      showNotification(`${existingCase.legalName} already has an onboarding case in progress.`, "info");
+      return existingCase.id;
+    }
+    try {
+      const now = new Date().toISOString();
+      const template = getOnboardingTemplate(details.department);
+      const legalName = details.legalName.trim();
+      const caseRef = await addDoc(collection(db, `artifacts/${appId}/public/data/onboardingCases`), {
+        candidateId: details.candidateId || null,
+        offerId: details.offerId || null,
+        legalName,
+        email: details.email || '',
+        phone: KYC_FIELDS.phone.normalize(details.phone),
+        aadhaarNumber: KYC_FIELDS.aadhaarNumber.normalize(details.aadhaarNumber),
+        panNumber: KYC_FIELDS.panNumber.normalize(details.panNumber),
+        startDate: details.startDate,
+        annualCTC: Number(details.annualCTC),
+        salaryStructure: details.salaryStructure || null,
+        noticePeriodDays: Number(details.noticePeriodDays) || 0,
+        department: details.department || '',
+        jobTitle: details.jobTitle || '',
+        location: details.location || '',
+        templateName: template.name,
+        tasks: buildOnboardingTasks(template, details.startDate, { 'Manager': details.manager, 'New Hire': legalName }),
+        status: 'In Progress',
+        history: [{ action: 'Case opened', by: currentUserDisplayName, at: now }],
+        createdAt: now,
+        createdBy: userId,
+      });
+      showNotification(`Onboarding started for ${legalName}.`, "success");
+      return caseRef.id;
+    } catch (error) {
+      console.error("Error creating onboarding case:", error);
+      showNotification("Failed to start onboarding.", "error");
+      return null;
+    }
+  }, [db, appId, userId, candidates, onboardingCases, currentUserDisplayName, showNotification]);
 
-  const generateDummyEvents = (count = 50) => { // Updated count to 50
-    const events = [];
-    const eventTypes = ['Interview', 'Meeting', 'Task Deadline', 'Candidate Follow-up', 'HR Meeting'];
-    const descriptions = [
-      'Candidate initial screening call',
-      'Team sync on hiring pipeline',
-      'Complete offer letter for John Doe',
-      'Follow up with Sarah for documents',
-      'Quarterly HR review meeting',
-      'Interview with Senior SWE candidate',
-      'Review resumes for PM role',
-      'Onboarding session for new hire',
-      'Payroll submission deadline',
-      'Tax declaration reminder'
-    ];
+  const handleToggleOnboardingTask = useCallback(async (onboardingCase, taskId) => {
+    if (!db || !appId || onboardingCase.status !== 'In Progress') return;
+    try {
+      const now = new Date().toISOString();
+      const task = onboardingCase.tasks.find(t => t.id === taskId);
+      const tasks = onboardingCase.tasks.map(t => (t.id === taskId
+        ? { ...t, completedAt: t.completedAt ? null : now, completedBy: t.completedAt ? null : currentUserDisplayName }
+        : t));
+      await updateDoc(doc(db, `artifacts/${appId}/public/data/onboardingCases`, onboardingCase.id), {
+        tasks,
+        history: [...(onboardingCase.history || []), { action: `${task.completedAt ? 'Reopened' : 'Completed'}: ${task.title}`, by: currentUserDisplayName, at: now }],
+      });
+    } catch (error) {
+      console.error("Error updating onboarding task:", error);
+      showNotification("Failed to update onboarding task.", "error");
+    }
+  }, [db, appId, currentUserDisplayName, showNotification]);
 
-    for (let i = 0; i < count; i++) {
-      const daysOffset = Math.floor(Math.random() * 60) - 30; // Events in last 30 days to next 30 days
-      const date = new Date();
-      date.setDate(date.getDate() + daysOffset);
+  // Edits the joining details; moving the start date moves every open task's due date with it
+  const handleUpdateOnboardingCase = useCallback(async (onboardingCase, changes) => {
+    if (!db || !appId) {
+      showNotification("Database not available for onboarding.", "error");
+      return false;
+    }
+    if (changes.startDate !== undefined && !isValidDateKey(changes.startDate)) {
+      showNotification("Enter a valid start date.", "error");
+      return false;
+    }
+    try {
+      const now = new Date().toISOString();
+      const shiftDays = changes.startDate ? Math.round((parseDateKey(changes.startDate) - parseDateKey(onboardingCase.startDate)) / (24 * 60 * 60 * 1000)) : 0;
+      const tasks = shiftDays === 0 ? onboardingCase.tasks : onboardingCase.tasks.map(t => (t.completedAt ? t : { ...t, dueDate: toLocalDateKey(addDays(parseDateKey(t.dueDate), shiftDays)) }));
+      await updateDoc(doc(db, `artifacts/${appId}/public/data/onboardingCases`, onboardingCase.id), {
+        ...changes,
+        tasks,
+        history: [...(onboardingCase.history || []), { action: `Updated ${Object.keys(changes).join(', ')}`, by: currentUserDisplayName, at: now }],
+      });
+      showNotification(`Onboarding details updated for ${onboardingCase.legalName}.`, "success");
+      return true;
+    } catch (error) {
+      console.error("Error updating onboarding case:", error);
+      showNotification("Failed to update onboarding details.", "error");
+      return false;
+    }
+  }, [db, appId, currentUserDisplayName, showNotification]);
 
-      const type = eventTypes[Math.floor(Math.random() * eventTypes.length)];
-      const description = descriptions[Math.floor(Math.random() * descriptions.length)];
-      const time = `${Math.floor(Math.random() * 12) + 9}:00 ${Math.random() > 0.5 ? 'AM' : 'PM'}`;
+  // Once every task is done the new hire becomes an employee with the next free employee ID
+  const handleCompleteOnboardingCase = useCallback(async (onboardingCase) => {
+    if (!db || !appId) {
+      showNotification("Database not available for onboarding.", "error");
+      return;
+    }
+    if (!getOnboardingProgress(onboardingCase, '').isComplete) {
+      showNotification("Finish every onboarding task first.", "error");
+      return;
+    }
+    if (!onboardingCase.department) {
+      showNotification("Set a department before creating the employee record.", "error");
+      return;
+    }
+    try {
+      const now = new Date().toISOString();
+      // A candidate converted outside onboarding already has an employee record, so the case is linked to it instead
+      const linkedCandidate = onboardingCase.candidateId ? candidates.find(c => c.id === onboardingCase.candidateId) : null;
+      const existingEmployee = onboardingCase.employeeDocId
+        ? { employeeDocId: onboardingCase.employeeDocId, employeeId: onboardingCase.employeeId }
+        : linkedCandidate?.employeeDocId ? { employeeDocId: linkedCandidate.employeeDocId, employeeId: linkedCandidate.employeeId } : null;
+      if (existingEmployee) {
+        await updateDoc(doc(db, `artifacts/${appId}/public/data/onboardingCases`, onboardingCase.id), {
+          status: 'Completed',
+          ...existingEmployee,
+          completedAt: now,
+          history: [...(onboardingCase.history || []), { action: `Completed; linked to employee ${existingEmployee.employeeId}`, by: currentUserDisplayName, at: now }],
+        });
+        showNotification(`Onboarding for ${onboardingCase.legalName} completed as employee ${existingEmployee.employeeId}.`, "success");
+        return;
+      }
+      const employeeId = generateEmployeeId(employees);
+      const employeeRef = await addDoc(collection(db, `artifacts/${appId}/public/data/employees`), {
+        ...buildEmployeeFromOnboardingCase(onboardingCase, employeeId),
+        createdAt: now,
+        history: [{ action: 'Created from onboarding', fields: [], by: currentUserDisplayName, at: now }],
+      });
+      await updateDoc(doc(db, `artifacts/${appId}/public/data/onboardingCases`, onboardingCase.id), {
+        status: 'Completed',
+        employeeDocId: employeeRef.id,
+        employeeId,
+        completedAt: now,
+        history: [...(onboardingCase.history || []), { action: `Completed; employee ${employeeId} created`, by: currentUserDisplayName, at: now }],
+      });
+      if (onboardingCase.candidateId) {
+        await updateDoc(doc(db, `artifacts/${appId}/public/data/candidates`, onboardingCase.candidateId), { employeeDocId: employeeRef.id, employeeId });
+      }
+      showNotification(`${onboardingCase.legalName} is now employee ${employeeId}.`, "success");
+    } catch (error) {
+      console.error("Error completing onboarding case:", error);
+      showNotification("Failed to complete onboarding.", "error");
+    }
+  }, [db, appId, candidates, employees, currentUserDisplayName, showNotification]);
 
-      events.push({
-        id: `event${i}`,
-        date: date.toISOString().split('T')[0], //YYYY-MM-DD
-        type,
-        description,
-        time,
+  const handleCancelOnboardingCase = useCallback(async (onboardingCase, reason) => {
+    if (!db || !appId) {
+      showNotification("Database not available for onboarding.", "error");
+      return;
+    }
+    try {
+      const now = new Date().toISOString();
+      await updateDoc(doc(db, `artifacts/${appId}/public/data/onboardingCases`, onboardingCase.id), {
+        status: 'Cancelled',
+        history: [...(onboardingCase.history || []), { action: `Cancelled${reason ? `: ${reason}` : ''}`, by: currentUserDisplayName, at: now }],
       });
+      showNotification(`Onboarding for ${onboardingCase.legalName} cancelled.`, "info");
+    } catch (error) {
+      console.error("Error cancelling onboarding case:", error);
+      showNotification("Failed to cancel onboarding.", "error");
     }
-    return events;
-  };
+  }, [db, appId, currentUserDisplayName, showNotification]);
 
+  // One-step hire: the employee record is built from the candidate and their accepted offer, and both records point at each other
+  const handleConvertCandidateToEmployee = useCallback(async (candidate) => {
+    if (!db || !appId) {
+      showNotification("Database not available for creating employees.", "error");
+      return null;
+    }
+    if (candidate.employeeDocId) {
+      showNotification(`${candidate.name} is already employee ${candidate.employeeId}.`, "info");
+      return candidate.employeeDocId;
+    }
+    const offer = offers.find(o => o.candidateId === candidate.id && getOfferStatus(o) === 'Accepted');
+    if (candidate.stage !== 'Offer Accepted' || !offer) {
+      showNotification("Only candidates with an accepted offer can be converted.", "error");
+      return null;
+    }
+    // An onboarding case in progress holds the latest joining details, so it takes precedence over the offer
+    const openCase = onboardingCases.find(c => c.status === 'In Progress' && (c.candidateId === candidate.id || c.offerId === offer.id));
+    const requisition = requisitions.find(r => r.id === (offer.requisitionId || candidate.requisitionId));
+    const details = openCase || buildOnboardingDetailsFromOffer(offer, candidate, requisition, getTodayKey(orgSettings?.timeZone || DEFAULT_ORG_TIMEZONE));
+    if (!details.department) {
+      showNotification("Link the candidate to a requisition with a department before converting.", "error");
+      return null;
+    }
+    try {
+      const now = new Date().toISOString();
+      const employeeId = generateEmployeeId(employees);
+      const employeeRef = await addDoc(collection(db, `artifacts/${appId}/public/data/employees`), {
+        ...buildEmployeeFromOnboardingCase(details, employeeId),
+        candidateId: candidate.id,
+        createdAt: now,
+        history: [{ action: 'Converted from candidate', fields: [], by: currentUserDisplayName, at: now }],
+      });
+      await updateDoc(doc(db, `artifacts/${appId}/public/data/candidates`, candidate.id), { employeeDocId: employeeRef.id, employeeId, convertedAt: now });
+      if (openCase) {
+        await updateDoc(doc(db, `artifacts/${appId}/public/data/onboardingCases`, openCase.id), {
+          employeeDocId: employeeRef.id,
+          employeeId,
+          history: [...(openCase.history || []), { action: `Employee ${employeeId} created by conversion`, by: currentUserDisplayName, at: now }],
+        });
+      }
+      showNotification(`${candidate.name} is now employee ${employeeId}.`, "success");
+      return employeeRef.id;
+    } catch (error) {
+      console.error("Error converting candidate to employee:", error);
+      showNotification("Failed to convert candidate to employee.", "error");
+      return null;
+    }
+  }, [db, appId, offers, onboardingCases, requisitions, employees, orgSettings, currentUserDisplayName, showNotification]);
 
-  const dummyMetrics = {
-    activeCandidates: candidates.filter(c => c.stage !== 'Offer Accepted' && c.stage !== 'Offer Rejected').length,
-    offersExtended: offers.length,
-    avgTimeToHire: '32 Days', // This would ideally be calculated from Firestore data
-    offerAcceptanceRate: `${(offers.filter(o => o.status === 'Accepted').length / offers.length * 100).toFixed(0) || 0}%`,
-    applicationsToday: `${Math.floor(Math.random() * 20) + 5}`, // Random for now
-    interviewsScheduled: `${Math.floor(Math.random() * 10) + 3}`, // Random for now
-    openJobRequisitions: Math.floor(Math.random() * 10) + 5, // Random for now
-    pendingApprovals: Math.floor(Math.random() * 3) + 1, // Random for now
-    virtualEventsScheduled: Math.floor(Math.random() * 5) + 1, // Random for now
-  };
+  const handleCreateOffer = useCallback(async (candidate, { baseSalary, bonus, expiresAt, salaryTemplateId }) => {
+    if (!db || !appId) {
+      showNotification("Database not available for creating offers.", "error");
+      return null;
+    }
+    try {
+      const now = new Date().toISOString();
+      // The grade defaults to the requisition's; its split turns the offer's CTC into a salary structure
+      const template = salaryTemplates.find(t => t.id === salaryTemplateId) || getCandidateSalaryTemplate(candidate, requisitions, salaryTemplates);
+      const offerRef = await addDoc(collection(db, `artifacts/${appId}/public/data/offers`), {
+        candidateId: candidate.id,
+        candidate: candidate.name,
+        job: candidate.jobAppliedFor,
+        requisitionId: candidate.requisitionId || null,
+        status: 'Draft',
+        baseSalary,
+        bonus,
+        currency: DEFAULT_CURRENCY,
+        salaryTemplateId: template?.id || null,
+        grade: template?.grade || null,
+        salaryStructure: template ? buildSalaryStructureFromCTC(baseSalary + bonus, template.splitRules) : null,
+        expiresAt,
+        approvals: [],
+        history: [{ from: null, to: 'Draft', by: currentUserDisplayName, at: now, note: 'Offer created' }],
+        createdAt: now,
+        createdBy: userId,
+      });
+      showNotification(`Draft offer created for ${candidate.name}.`, "success");
+      return offerRef.id;
+    } catch (error) {
+      console.error("Error creating offer:", error);
+      showNotification("Failed to create offer.", "error");
+      return null;
+    }
+  }, [db, appId, userId, requisitions, salaryTemplates, currentUserDisplayName, showNotification]);
+
+  // Writes a status change (or an approval step when the status stays the same) and appends it to the offer's history
+  const writeOfferUpdate = useCallback(async (offer, toStatus, note, extraFields = {}, actor = currentUserDisplayName) => {
+    const fromStatus = getOfferStatus(offer);
+    const now = new Date().toISOString();
+    await updateDoc(doc(db, `artifacts/${appId}/public/data/offers`, offer.id), {
+      ...extraFields,
+      status: toStatus,
+      updatedAt: now,
+      history: [...(offer.history || []), { from: fromStatus, to: toStatus, by: actor, at: now, note: note || '' }],
+    });
+    if (fromStatus !== toStatus && offer.candidateId && OFFER_STATUS_CANDIDATE_STAGE[toStatus]) {
+      await handleUpdateCandidateStage(offer.candidateId, OFFER_STATUS_CANDIDATE_STAGE[toStatus]);
+    }
+  }, [db, appId, currentUserDisplayName, handleUpdateCandidateStage]);
 
-  const dummyAnalyticsData = { // These would ideally be derived from Firestore data too
-    hiringFunnel: {
-      applied: candidates.length + Math.floor(Math.random() * 100) + 100, // Derived
-      screened: candidates.filter(c => c.stage !== 'Resume Reviewed').length + Math.floor(Math.random() * 50), // Derived
-      interviewed: candidates.filter(c => c.stage.includes('Interview') || c.stage === 'Offer Extended' || c.stage === 'Offer Accepted').length, // Derived
-      offered: offers.length, // Derived
-      hired: offers.filter(o => o.status === 'Accepted').length, // Derived
-    },
-    sourceEffectiveness: [
-      { source: 'LinkedIn', hires: Math.floor(Math.random() * 10) + 5 },
-      { source: 'Referral', hires: Math.floor(Math.random() * 8) + 3 },
-      { source: 'Indeed', hires: Math.floor(Math.random() * 7) + 2 },
-      { source: 'Company Website', hires: Math.floor(Math.random() * 5) + 1 },
-      { source: 'Others', hires: Math.floor(Math.random() * 3) + 1 },
-    ].filter(s => s.hires > 0),
-    timeInStage: {
-      appliedToScreened: '5 days',
-      screenedToInterview: '7 days',
-      interviewToOffer: '10 days',
-    },
-    predictedTalentShortage: '3 months (Data Science)',
-    retentionRateLastYear: '88%',
-  };
+  const handleTransitionOffer = useCallback(async (offer, toStatus, note) => {
+    if (!db || !appId) {
+      showNotification("Database not available for updating offers.", "error");
+      return;
+    }
+    if (!canTransitionOffer(offer, toStatus)) {
+      showNotification(`Cannot move offer from ${getOfferStatus(offer)} to ${toStatus}.`, "error");
+      return;
+    }
+    try {
+      const extraFields = toStatus === 'Pending Approval' ? { approvals: buildOfferApprovalChain(offer) } : {};
+      await writeOfferUpdate(offer, toStatus, note, extraFields);
+      showNotification(`Offer for ${offer.candidate} moved to ${toStatus}.`, "success");
+      if (toStatus === 'Accepted') {
+        const candidate = candidates.find(c => c.id === offer.candidateId);
+        const requisition = requisitions.find(r => r.id === (offer.requisitionId || candidate?.requisitionId));
+        await handleCreateOnboardingCase(buildOnboardingDetailsFromOffer(offer, candidate, requisition, getTodayKey(orgSettings?.timeZone || DEFAULT_ORG_TIMEZONE)));
+      }
+    } catch (error) {
+      console.error("Error updating offer status:", error);
+      showNotification("Failed to update offer status.", "error");
+    }
+  }, [db, appId, candidates, requisitions, orgSettings, writeOfferUpdate, handleCreateOnboardingCase, showNotification]);
 
+  // Records a decision for the next pending approver; a rejection sends the offer back to Draft
+  const handleDecideOfferApproval = useCallback(async (offer, decision, comment) => {
+    if (!db || !appId) {
+      showNotification("Database not available for offer approvals.", "error");
+      return;
+    }
+    const approvals = offer.approvals || [];
+    const stepIndex = approvals.findIndex(a => a.status === 'Pending');
+    if (getOfferStatus(offer) !== 'Pending Approval' || stepIndex === -1) {
+      showNotification("This offer has no pending approval step.", "error");
+      return;
+    }
+    const step = approvals[stepIndex];
+    if (!canDecideOfferApprovalStep(step, currentTeamMember)) {
+      showNotification(`Only ${step.approver} (${step.role}) can decide this approval step.`, "error");
+      return;
+    }
+    const isOverride = isOfferApprovalOverride(step, currentTeamMember);
+    const updatedApprovals = approvals.map((a, i) => (i === stepIndex
+      ? { ...a, status: decision, decidedBy: currentTeamMember.name, isOverride, decidedAt: new Date().toISOString(), comment: comment || '' }
+      : a));
+    const decider = isOverride ? `${currentTeamMember.name} on behalf of ${step.approver}` : currentTeamMember.name;
+    const note = `${decision} by ${decider} (${step.role})${comment ? `: ${comment}` : ''}`;
+    try {
+      if (decision === 'Rejected') {
+        await writeOfferUpdate(offer, 'Draft', note, { approvals: updatedApprovals });
+        showNotification(`Offer for ${offer.candidate} was rejected and returned to Draft.`, "info");
+      } else if (updatedApprovals.every(a => a.status === 'Approved')) {
+        await writeOfferUpdate(offer, 'Approved', note, { approvals: updatedApprovals });
+        showNotification(`Offer for ${offer.candidate} is fully approved.`, "success");
+      } else {
+        await writeOfferUpdate(offer, 'Pending Approval', note, { approvals: updatedApprovals });
+        showNotification(`Approval recorded for ${step.approver}.`, "success");
+      }
+    } catch (error) {
+      console.error("Error recording offer approval:", error);
+      showNotification("Failed to record approval.", "error");
+    }
+  }, [db, appId, currentTeamMember, writeOfferUpdate, showNotification]);
 
+  // Automatically expire sent offers once their expiry date has passed
+  const expiringOfferIdsRef = useRef(new Set());
   useEffect(() => {
-    const checkMobileView = () => {
-      setIsMobileView(window.innerWidth < 768);
-    };
+    if (!db || !appId) return;
+    // Offers expire at the end of their expiry date in the organisation's timezone
+    const todayKey = getTodayKey(orgSettings?.timeZone || DEFAULT_ORG_TIMEZONE);
+    offers
+      .filter(offer => getOfferStatus(offer) === 'Sent' && offer.expiresAt && offer.expiresAt < todayKey && !expiringOfferIdsRef.current.has(offer.id))
+      .forEach(async (offer) => {
+        expiringOfferIdsRef.current.add(offer.id);
+        try {
+          await writeOfferUpdate(offer, 'Expired', `Offer expired on ${offer.expiresAt}`, {}, 'System');
+        } catch (error) {
+          console.error("Error expiring offer:", error);
+          expiringOfferIdsRef.current.delete(offer.id);
+        }
+      });
+  }, [db, appId, offers, orgSettings, writeOfferUpdate]);
 
-    checkMobileView();
-    window.addEventListener('resize', checkMobileView);
 
-    return () => window.removeEventListener('resize', checkMobileView);
-  }, []);
+  const handleSaveOfferLetterTemplate = useCallback(async (template) => {
+    if (!db || !appId) {
+      showNotification("Database not available for saving templates.", "error");
+      return null;
+    }
+    try {
+      const templatesPath = `artifacts/${appId}/public/data/offerLetterTemplates`;
+      const templateData = { name: template.name, body: template.body, updatedAt: new Date().toISOString(), updatedBy: currentUserDisplayName };
+      if (template.id) {
+        await updateDoc(doc(db, templatesPath, template.id), templateData);
+        showNotification("Offer letter template updated!", "success");
+        return template.id;
+      }
+      const templateRef = await addDoc(collection(db, templatesPath), { ...templateData, createdBy: userId });
+      showNotification("Offer letter template created!", "success");
+      return templateRef.id;
+    } catch (error) {
+      console.error("Error saving offer letter template:", error);
+      showNotification("Failed to save offer letter template.", "error");
+      return null;
+    }
+  }, [db, appId, userId, currentUserDisplayName, showNotification]);
 
-  const handleCandidateClick = (candidateId) => {
-    const candidate = candidates.find(c => c.id === candidateId);
-    setSelectedCandidate(candidate);
-    setActiveTab('candidates');
-  };
+  const handleDeleteOfferLetterTemplate = useCallback(async (templateId) => {
+    if (!db || !appId) {
+      showNotification("Database not available for deleting templates.", "error");
+      return;
+    }
+    try {
+      await deleteDoc(doc(db, `artifacts/${appId}/public/data/offerLetterTemplates`, templateId));
+      showNotification("Offer letter template deleted.", "success");
+    } catch (error) {
+      console.error("Error deleting offer letter template:", error);
+      showNotification("Failed to delete offer letter template.", "error");
+    }
+  }, [db, appId, showNotification]);
 
-  const handleBackToCandidates = () => {
-    setSelectedCandidate(null);
-  };
+  const handleSaveScorecardTemplate = useCallback(async (template) => {
+    if (!db || !appId) {
+      showNotification("Database not available for saving templates.", "error");
+      return null;
+    }
+    try {
+      const templatesPath = `artifacts/${appId}/public/data/scorecardTemplates`;
+      const { id, ...fields } = template;
+      const templateData = { ...fields, updatedAt: new Date().toISOString(), updatedBy: currentUserDisplayName };
+      if (id) {
+        await updateDoc(doc(db, templatesPath, id), templateData);
+        showNotification("Scorecard template updated!", "success");
+        return id;
+      }
+      const templateRef = await addDoc(collection(db, templatesPath), { ...templateData, createdBy: userId });
+      showNotification("Scorecard template created!", "success");
+      return templateRef.id;
+    } catch (error) {
+      console.error("Error saving scorecard template:", error);
+      showNotification("Failed to save scorecard template.", "error");
+      return null;
+    }
+  }, [db, appId, userId, currentUserDisplayName, showNotification]);
 
-  const handleUpdateCandidateStage = useCallback(async (candidateId, newStage) => {
+  const handleDeleteScorecardTemplate = useCallback(async (templateId) => {
     if (!db || !appId) {
-      showNotification("Database not available for update.", "error");
+      showNotification("Database not available for deleting templates.", "error");
       return;
     }
     try {
-      const candidateDocRef = doc(db, `artifacts/${appId}/public/data/candidates`, candidateId);
-      await updateDoc(candidateDocRef, { stage: newStage });
-      showNotification("Candidate stage updated in database!", "success");
+      await deleteDoc(doc(db, `artifacts/${appId}/public/data/scorecardTemplates`, templateId));
+      showNotification("Scorecard template deleted.", "success");
     } catch (error) {
-      console.error("Error updating candidate stage:", error);
-      showNotification("Failed to update candidate stage.", "error");
+      console.error("Error deleting scorecard template:", error);
+      showNotification("Failed to delete scorecard template.", "error");
     }
   }, [db, appId, showNotification]);
 
+  const handleSaveSalaryTemplate = useCallback(async (template) => {
+    if (!db || !appId) {
+      showNotification("Database not available for saving templates.", "error");
+      return null;
+    }
+    try {
+      const templatesPath = `artifacts/${appId}/public/data/salaryTemplates`;
+      const { id, ...fields } = template;
+      const templateData = { ...fields, updatedAt: new Date().toISOString(), updatedBy: currentUserDisplayName };
+      if (id) {
+        await updateDoc(doc(db, templatesPath, id), templateData);
+        showNotification("Salary template updated!", "success");
+        return id;
+      }
+      const templateRef = await addDoc(collection(db, templatesPath), { ...templateData, createdBy: userId });
+      showNotification("Salary template created!", "success");
+      return templateRef.id;
+    } catch (error) {
+      console.error("Error saving salary template:", error);
+      showNotification("Failed to save salary template.", "error");
+      return null;
+    }
+  }, [db, appId, userId, currentUserDisplayName, showNotification]);
+
+  const handleDeleteSalaryTemplate = useCallback(async (templateId) => {
+    if (!db || !appId) {
+      showNotification("Database not available for deleting templates.", "error");
+      return;
+    }
+    if (requisitions.some(r => r.salaryTemplateId === templateId && r.status !== 'Closed')) {
+      showNotification("An open requisition uses this template; move it to another grade first.", "error");
+      return;
+    }
+    try {
+      await deleteDoc(doc(db, `artifacts/${appId}/public/data/salaryTemplates`, templateId));
+      showNotification("Salary template deleted.", "success");
+    } catch (error) {
+      console.error("Error deleting salary template:", error);
+      showNotification("Failed to delete salary template.", "error");
+    }
+  }, [db, appId, requisitions, showNotification]);
+
+  const handleUpdateOrgTimeZone = useCallback(async (timeZone) => {
+    if (!db || !appId || !orgSettings) {
+      showNotification("Database not available for saving settings.", "error");
+      return;
+    }
+    if (!isValidTimeZone(timeZone)) {
+      showNotification(`Unknown timezone: ${timeZone}`, "error");
+      return;
+    }
+    try {
+      await updateDoc(doc(db, `artifacts/${appId}/public/data/orgSettings`, orgSettings.id), {
+        timeZone,
+        updatedAt: new Date().toISOString(),
+        updatedBy: currentUserDisplayName,
+      });
+      showNotification(`Organisation timezone set to ${timeZone}.`, "success");
+    } catch (error) {
+      console.error("Error updating organisation timezone:", error);
+      showNotification("Failed to update organisation timezone.", "error");
+    }
+  }, [db, appId, orgSettings, currentUserDisplayName, showNotification]);
 
   const handleUpdateUserName = useCallback((newName) => {
     setCurrentUserDisplayName(newName);
@@ -1590,7 +9620,10 @@ const MainLayout = ({ user, handleLogout, db, auth, appId, userId }) => {
     const csvRows = candidates.map(c => { // Use fetched candidates data
       const row = [
         c.id, c.name, c.jobAppliedFor, c.stage, c.matchScore, c.lastContact,
-        c.email, c.phone, c.aadhaarNumber, c.panNumber, c.currentCTC, c.expectedCTC,
+        c.email, c.phone,
+        canRevealKyc(currentTeamMember) ? c.aadhaarNumber : maskKycValue('aadhaarNumber', c.aadhaarNumber),
+        canRevealKyc(currentTeamMember) ? c.panNumber : maskKycValue('panNumber', c.panNumber),
+        c.currentCTC, c.expectedCTC,
         c.noticePeriod, c.willingToRelocate, (c.languages || []).join('; '),
         c.resumeHighlights?.education, c.resumeHighlights?.experience, (c.resumeHighlights?.skills || []).join('; ')
       ];
@@ -1624,12 +9657,48 @@ const MainLayout = ({ user, handleLogout, db, auth, appId, userId }) => {
 
 
   const renderContent = () => {
+    const selectedEmployee = selectedEmployeeId ? employees.find(e => e.id === selectedEmployeeId) : null;
+    if (activeTab === 'hris' && selectedEmployee) {
+      return (
+        <EmployeeDetailView
+          employee={selectedEmployee}
+          leaveRequests={leaveRequests}
+          candidates={candidates}
+          events={events}
+          db={db}
+          appId={appId}
+          viewer={currentTeamMember}
+          onBack={() => setSelectedEmployeeId(null)}
+          onUpdateEmployee={handleUpdateEmployee}
+          onOpenCandidate={handleCandidateClick}
+        />
+      );
+    }
+
     if (activeTab === 'candidates' && selectedCandidate) {
       return (
         <CandidateDetailView
           candidate={selectedCandidate}
           onBack={handleBackToCandidates}
           onUpdateCandidateStage={handleUpdateCandidateStage}
+          db={db}
+          appId={appId}
+          userId={userId}
+          currentUserName={currentUserDisplayName}
+          offers={offers}
+          offerLetterTemplates={offerLetterTemplates}
+          onCreateOffer={handleCreateOffer}
+          requisitions={requisitions}
+          salaryTemplates={salaryTemplates}
+          onLinkRequisition={handleLinkCandidateRequisition}
+          scorecardTemplates={scorecardTemplates}
+          events={events}
+          onScheduleInterview={handleScheduleInterview}
+          onRescheduleInterview={handleRescheduleInterview}
+          onCancelInterview={handleCancelInterview}
+          onConvertToEmployee={handleConvertCandidateToEmployee}
+          onOpenEmployee={handleEmployeeClick}
+          viewer={currentTeamMember}
         />
       );
     }
@@ -1638,16 +9707,43 @@ const MainLayout = ({ user, handleLogout, db, auth, appId, userId }) => {
       case 'dashboard':
         return (
           <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
-            <Card title="Active Candidates" value={dummyMetrics.activeCandidates} icon={Users} colorClass="text-green-400" />
-            <Card title="Offers Extended" value={dummyMetrics.offersExtended} icon={DollarSign} colorClass="text-purple-400" />
-            <Card title="Avg. Time to Hire" value={dummyMetrics.avgTimeToHire} icon={FileText} colorClass="text-orange-400" />
-            <Card title="Offer Acceptance Rate" value={dummyMetrics.offerAcceptanceRate} icon={Layers} colorClass="text-teal-400" />
-            <Card title="Applications Today" value={dummyMetrics.applicationsToday} icon={MessageSquare} colorClass="text-red-400" />
-            <Card title="Interviews Scheduled" value={dummyMetrics.interviewsScheduled} icon={Briefcase} colorClass="text-indigo-400" />
-            {/* New ATS Dashboard Cards */}
-            <Card title="Open Job Requisitions" value={dummyMetrics.openJobRequisitions} icon={Plus} colorClass="text-yellow-400" />
-            <Card title="Pending Req. Approvals" value={dummyMetrics.pendingApprovals} icon={ThumbsUp} colorClass="text-pink-400" />
-            <Card title="Virtual Events Scheduled" value={dummyMetrics.virtualEventsScheduled} icon={BriefcaseBusiness} colorClass="text-blue-400" />
+            {/* Date range for the metric cards */}
+            <div className={`md:col-span-2 lg:col-span-3 p-4 rounded-lg shadow-md flex flex-wrap items-center gap-3 text-sm ${theme === 'dark' ? 'bg-zinc-800 text-gray-300' : 'bg-white text-gray-700'}`}>
+              <CalendarIcon size={18} className="text-blue-400" />
+              <select
+                value={dashboardRangePreset}
+                onChange={(e) => setDashboardRangePreset(e.target.value)}
+                className={`p-2 rounded-md text-sm focus:ring-blue-500 focus:border-blue-500 transition-colors duration-200 ${theme === 'dark' ? 'bg-zinc-700 border-zinc-600 text-white' : 'bg-gray-100 border-gray-300 text-zinc-900'}`}
+                aria-label="Dashboard date range"
+              >
+                {DASHBOARD_RANGE_PRESETS.map(preset => (
+                  <option key={preset.key} value={preset.key}>{preset.label}</option>
+                ))}
+              </select>
+              {dashboardRangePreset === 'custom' && (
+                <>
+                  <input type="date" value={dashboardCustomStart} onChange={(e) => setDashboardCustomStart(e.target.value)}
+                    className={`p-2 rounded-md text-sm focus:ring-blue-500 focus:border-blue-500 transition-colors duration-200 ${theme === 'dark' ? 'bg-zinc-700 border-zinc-600 text-white' : 'bg-gray-100 border-gray-300 text-zinc-900'}`} aria-label="Range start date" />
+                  <span>to</span>
+                  <input type="date" value={dashboardCustomEnd} onChange={(e) => setDashboardCustomEnd(e.target.value)}
+                    className={`p-2 rounded-md text-sm focus:ring-blue-500 focus:border-blue-500 transition-colors duration-200 ${theme === 'dark' ? 'bg-zinc-700 border-zinc-600 text-white' : 'bg-gray-100 border-gray-300 text-zinc-900'}`} aria-label="Range end date" />
+                </>
+              )}
+              <span className={`text-xs ${theme === 'dark' ? 'text-gray-400' : 'text-gray-500'}`}>
+                {dashboardRange.start.toLocaleDateString()} - {dashboardRange.end.toLocaleDateString()}, compared with the previous period of the same length
+              </span>
+            </div>
+
+            {DASHBOARD_CARDS.map(card => (
+              <Card
+                key={card.key}
+                title={card.title}
+                value={formatMetricValue(dashboardMetrics[card.key], card.unit)}
+                icon={card.icon}
+                colorClass={card.colorClass}
+                trend={getMetricTrend(dashboardMetrics[card.key], previousDashboardMetrics[card.key], card.unit, card.higherIsBetter)}
+              />
+            ))}
 
             {/* Source & Attract features */}
             <div className={`p-6 rounded-lg shadow-md md:col-span-1 lg:col-span-1 flex flex-col justify-center ${theme === 'dark' ? 'bg-zinc-800' : 'bg-white'}`}>
@@ -1722,38 +9818,65 @@ const MainLayout = ({ user, handleLogout, db, auth, appId, userId }) => {
           <div>
             <h2 className={`text-xl font-semibold mb-4 flex items-center justify-between ${theme === 'dark' ? 'text-white' : 'text-zinc-900'}`}>
               Candidates
-              <button
-                onClick={handleDownloadCandidates}
-                className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg flex items-center space-x-2 text-sm transition-transform transform hover:scale-105 active:scale-95"
-                aria-label="Download Candidate Data"
-              >
-                <Download size={16} /> <span>Download Data (CSV)</span>
-              </button>
+              <div className="flex items-center space-x-2">
+                <button
+                  onClick={() => setCandidateViewMode('table')}
+                  className={`p-2 rounded-lg transition-colors duration-200 ${candidateViewMode === 'table' ? 'bg-blue-600 text-white' : (theme === 'dark' ? 'bg-zinc-700 text-gray-300 hover:bg-zinc-600' : 'bg-gray-100 text-gray-700 hover:bg-gray-200')}`}
+                  aria-label="Show candidates as table"
+                  aria-pressed={candidateViewMode === 'table'}
+                >
+                  <List size={16} />
+                </button>
+                <button
+                  onClick={() => setCandidateViewMode('board')}
+                  className={`p-2 rounded-lg transition-colors duration-200 ${candidateViewMode === 'board' ? 'bg-blue-600 text-white' : (theme === 'dark' ? 'bg-zinc-700 text-gray-300 hover:bg-zinc-600' : 'bg-gray-100 text-gray-700 hover:bg-gray-200')}`}
+                  aria-label="Show candidates as pipeline board"
+                  aria-pressed={candidateViewMode === 'board'}
+                >
+                  <Columns size={16} />
+                </button>
+                <button
+                  onClick={handleDownloadCandidates}
+                  className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg flex items-center space-x-2 text-sm transition-transform transform hover:scale-105 active:scale-95"
+                  aria-label="Download Candidate Data"
+                >
+                  <Download size={16} /> <span>Download Data (CSV)</span>
+                </button>
+              </div>
             </h2>
-            <div className={`overflow-x-auto rounded-lg shadow-md ${theme === 'dark' ? 'bg-zinc-800' : 'bg-white'}`}>
-              <table className="min-w-full divide-y divide-zinc-700">
-                <thead className={theme === 'dark' ? 'bg-zinc-700' : 'bg-gray-100'}>
-                  <tr>
-                    <th className={`px-6 py-3 text-left text-xs font-medium uppercase tracking-wider ${theme === 'dark' ? 'text-gray-300' : 'text-gray-600'}`}>Candidate Name</th>
-                    <th className={`px-6 py-3 text-left text-xs font-medium uppercase tracking-wider ${theme === 'dark' ? 'text-gray-300' : 'text-gray-600'}`}>Applied For (Job)</th>
-                    <th className={`px-6 py-3 text-left text-xs font-medium uppercase tracking-wider ${theme === 'dark' ? 'text-gray-300' : 'text-gray-600'}`}>Current Stage</th>
-                    <th className={`px-6 py-3 text-left text-xs font-medium uppercase tracking-wider ${theme === 'dark' ? 'text-gray-300' : 'text-gray-600'}`}>AI Match Score</th>
-                    <th className={`px-6 py-3 text-left text-xs font-medium uppercase tracking-wider ${theme === 'dark' ? 'text-gray-300' : 'text-gray-600'}`}>Last Contact</th>
-                  </tr>
-                </thead>
-                <tbody className={theme === 'dark' ? 'bg-zinc-800 divide-y divide-zinc-700' : 'bg-white divide-y divide-gray-200'}>
-                  {candidates.map(candidate => ( // Use fetched candidates data
-                    <tr key={candidate.id} className={`cursor-pointer transition-colors duration-200 ${theme === 'dark' ? 'hover:bg-zinc-700' : 'hover:bg-gray-50'}`} onClick={() => handleCandidateClick(candidate.id)}>
-                      <td className={`px-6 py-4 whitespace-nowrap text-sm font-medium text-blue-400 hover:underline ${theme === 'dark' ? '' : 'text-blue-600'}`}>{candidate.name}</td>
-                      <td className={`px-6 py-4 whitespace-nowrap text-sm ${theme === 'dark' ? 'text-gray-300' : 'text-gray-700'}`}>{candidate.jobAppliedFor}</td>
-                      <td className={`px-6 py-4 whitespace-nowrap text-sm ${theme === 'dark' ? 'text-gray-300' : 'text-gray-700'}`}>{candidate.stage}</td>
-                      <td className={`px-6 py-4 whitespace-nowrap text-sm font-bold text-blue-400`}>{candidate.matchScore}%</td>
-                      <td className={`px-6 py-4 whitespace-nowrap text-sm ${theme === 'dark' ? 'text-gray-300' : 'text-gray-700'}`}>{candidate.lastContact}</td>
+            {candidateViewMode === 'board' ? (
+              <CandidatePipelineBoard
+                candidates={candidates}
+                requisitions={requisitions}
+                onUpdateCandidateStage={handleUpdateCandidateStage}
+                onCandidateClick={handleCandidateClick}
+              />
+            ) : (
+              <div className={`overflow-x-auto rounded-lg shadow-md ${theme === 'dark' ? 'bg-zinc-800' : 'bg-white'}`}>
+                <table className="min-w-full divide-y divide-zinc-700">
+                  <thead className={theme === 'dark' ? 'bg-zinc-700' : 'bg-gray-100'}>
+                    <tr>
+                      <th className={`px-6 py-3 text-left text-xs font-medium uppercase tracking-wider ${theme === 'dark' ? 'text-gray-300' : 'text-gray-600'}`}>Candidate Name</th>
+                      <th className={`px-6 py-3 text-left text-xs font-medium uppercase tracking-wider ${theme === 'dark' ? 'text-gray-300' : 'text-gray-600'}`}>Applied For (Job)</th>
+                      <th className={`px-6 py-3 text-left text-xs font-medium uppercase tracking-wider ${theme === 'dark' ? 'text-gray-300' : 'text-gray-600'}`}>Current Stage</th>
+                      <th className={`px-6 py-3 text-left text-xs font-medium uppercase tracking-wider ${theme === 'dark' ? 'text-gray-300' : 'text-gray-600'}`}>AI Match Score</th>
+                      <th className={`px-6 py-3 text-left text-xs font-medium uppercase tracking-wider ${theme === 'dark' ? 'text-gray-300' : 'text-gray-600'}`}>Last Contact</th>
                     </tr>
-                  ))}
-                </tbody>
-              </table>
-            </div>
+                  </thead>
+                  <tbody className={theme === 'dark' ? 'bg-zinc-800 divide-y divide-zinc-700' : 'bg-white divide-y divide-gray-200'}>
+                    {candidates.map(candidate => ( // Use fetched candidates data
+                      <tr key={candidate.id} className={`cursor-pointer transition-colors duration-200 ${theme === 'dark' ? 'hover:bg-zinc-700' : 'hover:bg-gray-50'}`} onClick={() => handleCandidateClick(candidate.id)}>
+                        <td className={`px-6 py-4 whitespace-nowrap text-sm font-medium text-blue-400 hover:underline ${theme === 'dark' ? '' : 'text-blue-600'}`}>{candidate.name}</td>
+                        <td className={`px-6 py-4 whitespace-nowrap text-sm ${theme === 'dark' ? 'text-gray-300' : 'text-gray-700'}`}>{candidate.jobAppliedFor}</td>
+                        <td className={`px-6 py-4 whitespace-nowrap text-sm ${theme === 'dark' ? 'text-gray-300' : 'text-gray-700'}`}>{candidate.stage}</td>
+                        <td className={`px-6 py-4 whitespace-nowrap text-sm font-bold text-blue-400`}>{candidate.matchScore}%</td>
+                        <td className={`px-6 py-4 whitespace-nowrap text-sm ${theme === 'dark' ? 'text-gray-300' : 'text-gray-700'}`}>{candidate.lastContact}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
              {/* Bulk Actions */}
             <div className={`mt-6 p-4 rounded-lg shadow-md ${theme === 'dark' ? 'bg-zinc-800 text-gray-300' : 'bg-white text-gray-700'}`}>
               <h3 className={`text-lg font-semibold mb-3 flex items-center space-x-2 ${theme === 'dark' ? 'text-white' : 'text-zinc-900'}`}><Workflow size={20} /> Bulk Actions & Automation Triggers</h3>
@@ -1767,46 +9890,28 @@ const MainLayout = ({ user, handleLogout, db, auth, appId, userId }) => {
             </div>
           </div>
         );
+      case 'requisitions':
+        return (
+          <RequisitionsPage
+            requisitions={requisitions}
+            candidates={candidates}
+            salaryTemplates={salaryTemplates}
+            onCreateRequisition={handleCreateRequisition}
+            onTransitionRequisition={handleTransitionRequisition}
+          />
+        );
       case 'offers':
         return (
-          <div>
-            <h2 className={`text-xl font-semibold mb-4 flex items-center justify-between ${theme === 'dark' ? 'text-white' : 'text-zinc-900'}`}>
-              Offer Management
-              <button className="bg-green-600 hover:bg-green-700 text-white px-4 py-2 rounded-lg flex items-center space-x-2 transition-transform transform hover:scale-105 active:scale-95" aria-label="New Offer">
-                <Plus size={18} /> <span>New Offer</span>
-              </button>
-            </h2>
-            <div className={`overflow-x-auto rounded-lg shadow-md ${theme === 'dark' ? 'bg-zinc-800' : 'bg-white'}`}>
-              <table className="min-w-full divide-y divide-zinc-700">
-                <thead className={theme === 'dark' ? 'bg-zinc-700' : 'bg-gray-100'}>
-                  <tr>
-                    <th className={`px-6 py-3 text-left text-xs font-medium uppercase tracking-wider ${theme === 'dark' ? 'text-gray-300' : 'text-gray-600'}`}>Candidate</th>
-                    <th className={`px-6 py-3 text-left text-xs font-medium uppercase tracking-wider ${theme === 'dark' ? 'text-gray-300' : 'text-gray-600'}`}>Job Title</th>
-                    <th className={`px-6 py-3 text-left text-xs font-medium uppercase tracking-wider ${theme === 'dark' ? 'text-gray-300' : 'text-gray-600'}`}>Status</th>
-                    <th className={`px-6 py-3 text-left text-xs font-medium uppercase tracking-wider ${theme === 'dark' ? 'text-gray-300' : 'text-gray-600'}`}>Base Salary</th>
-                    <th className={`px-6 py-3 text-left text-xs font-medium uppercase tracking-wider ${theme === 'dark' ? 'text-gray-300' : 'text-gray-600'}`}>Bonus</th>
-                  </tr>
-                </thead>
-                <tbody className={theme === 'dark' ? 'bg-zinc-800 divide-y divide-zinc-700' : 'bg-white divide-y divide-gray-200'}>
-                  {offers.map(offer => ( // Use fetched offers data
-                    <tr key={offer.id}>
-                      <td className={`px-6 py-4 whitespace-nowrap text-sm font-medium ${theme === 'dark' ? 'text-white' : 'text-zinc-900'}`}>{offer.candidate}</td>
-                      <td className={`px-6 py-4 whitespace-nowrap text-sm ${theme === 'dark' ? 'text-gray-300' : 'text-gray-700'}`}>{offer.job}</td>
-                      <td className="px-6 py-4 whitespace-nowrap text-sm">
-                        <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${
-                          offer.status === 'Accepted' ? 'bg-blue-600/20 text-blue-300' : 'bg-orange-600/20 text-orange-300'
-                        }`}>
-                          {offer.status}
-                        </span>
-                      </td>
-                      <td className={`px-6 py-4 whitespace-nowrap text-sm ${theme === 'dark' ? 'text-gray-300' : 'text-gray-700'}`}>{offer.baseSalary}</td>
-                      <td className={`px-6 py-4 whitespace-nowrap text-sm ${theme === 'dark' ? 'text-gray-300' : 'text-gray-700'}`}>{offer.bonus}</td>
-                    </tr>
-                  ))}
-                </tbody>
-              </table>
-            </div>
-          </div>
+          <OffersPage
+            offers={offers}
+            candidates={candidates}
+            requisitions={requisitions}
+            salaryTemplates={salaryTemplates}
+            onCreateOffer={handleCreateOffer}
+            onTransitionOffer={handleTransitionOffer}
+            onDecideOfferApproval={handleDecideOfferApproval}
+            currentTeamMember={currentTeamMember}
+          />
         );
       case 'analytics':
         // Prepare data for Hiring Funnel Bar Chart
@@ -1881,14 +9986,108 @@ const MainLayout = ({ user, handleLogout, db, auth, appId, userId }) => {
                 <p className={`mt-4 text-xs ${theme === 'dark' ? 'text-gray-400' : 'text-gray-500'}`}>Detailed Source Analytics and Recommendation Engine insights are part of Hiring Analytics.</p>
               </div>
 
+              {/* Time in Stage */}
               <div className={`p-6 rounded-lg shadow-md md:col-span-2 ${theme === 'dark' ? 'bg-zinc-800' : 'bg-white'}`}>
-                <h3 className={`text-lg font-semibold mb-3 ${theme === 'dark' ? 'text-white' : 'text-zinc-900'}`}>Time in Stage (Average) - Hiring Pipeline Insights</h3>
-                <ul className={`text-sm space-y-2 ${theme === 'dark' ? 'text-gray-300' : 'text-gray-700'}`}>
-                  <li className="flex justify-between"><span>Applied to Screened:</span> <span className="font-bold">{dummyAnalyticsData.timeInStage.appliedToScreened}</span></li>
-                  <li className="flex justify-between"><span>Screened to Interview:</span> <span className="font-bold">{dummyAnalyticsData.timeInStage.screenedToInterview}</span></li>
-                  <li className="flex justify-between"><span>Interview to Offer:</span> <span className="font-bold">{dummyAnalyticsData.timeInStage.interviewToOffer}</span></li>
-                </ul>
-                <p className={`mt-4 text-xs ${theme === 'dark' ? 'text-gray-400' : 'text-gray-500'}`}>Further drill-down and Natural Language Query (NLQ) capabilities for custom reports, providing deep Hiring Analytics.</p>
+                <h3 className={`text-lg font-semibold mb-3 ${theme === 'dark' ? 'text-white' : 'text-zinc-900'}`}>Time in Stage - Hiring Pipeline Insights</h3>
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                  <div>
+                    <ul className={`text-sm space-y-2 mb-4 ${theme === 'dark' ? 'text-gray-300' : 'text-gray-700'}`}>
+                      <li className="flex justify-between"><span>Time to Offer (avg / median):</span> <span className="font-bold">{formatDays(stageAnalytics.timeToOffer.avg)} / {formatDays(stageAnalytics.timeToOffer.median)}</span></li>
+                      <li className="flex justify-between"><span>Time to Hire (avg / median):</span> <span className="font-bold">{formatDays(stageAnalytics.timeToHire.avg)} / {formatDays(stageAnalytics.timeToHire.median)}</span></li>
+                    </ul>
+                    <table className="min-w-full text-sm">
+                      <thead>
+                        <tr className={theme === 'dark' ? 'text-gray-400' : 'text-gray-600'}>
+                          <th className="text-left py-1">Stage</th>
+                          <th className="text-right py-1">Average</th>
+                          <th className="text-right py-1">Median</th>
+                          <th className="text-right py-1">Samples</th>
+                        </tr>
+                      </thead>
+                      <tbody className={theme === 'dark' ? 'text-gray-300' : 'text-gray-700'}>
+                        {stageAnalytics.stages.map(row => (
+                          <tr key={row.stage}>
+                            <td className="py-1">{row.stage}</td>
+                            <td className="py-1 text-right font-bold">{formatDays(row.avg)}</td>
+                            <td className="py-1 text-right">{formatDays(row.median)}</td>
+                            <td className="py-1 text-right">{row.count}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                  <ResponsiveContainer width="100%" height={300}>
+                    <BarChart data={stageAnalytics.stages.map(row => ({ name: row.stage, avg: Number(row.avg.toFixed(1)), median: Number(row.median.toFixed(1)) }))} margin={{ top: 20, right: 30, left: 0, bottom: 5 }}>
+                      <CartesianGrid strokeDasharray="3 3" stroke={theme === 'dark' ? '#525252' : '#e0e0e0'} />
+                      <XAxis dataKey="name" stroke={theme === 'dark' ? '#a3a3a3' : '#6b7280'} tick={{ fontSize: 10 }} />
+                      <YAxis stroke={theme === 'dark' ? '#a3a3a3' : '#6b7280'} />
+                      <Tooltip
+                        contentStyle={{ backgroundColor: theme === 'dark' ? '#3f3f46' : '#ffffff', border: theme === 'dark' ? 'none' : '1px solid #e0e0e0', borderRadius: '8px' }}
+                        labelStyle={{ color: theme === 'dark' ? '#e4e4e7' : '#1f2937' }}
+                        itemStyle={{ color: theme === 'dark' ? '#e4e4e7' : '#1f2937' }}
+                      />
+                      <Legend wrapperStyle={{ color: theme === 'dark' ? '#e4e4e7' : '#1f2937' }} />
+                      <Bar dataKey="avg" fill="#82ca9d" name="Average (days)" radius={[6, 6, 0, 0]} />
+                      <Bar dataKey="median" fill="#8884d8" name="Median (days)" radius={[6, 6, 0, 0]} />
+                    </BarChart>
+                  </ResponsiveContainer>
+                </div>
+
+                <h4 className={`text-md font-semibold mt-6 mb-2 ${theme === 'dark' ? 'text-white' : 'text-zinc-900'}`}>By Role</h4>
+                <table className="min-w-full text-sm">
+                  <thead>
+                    <tr className={theme === 'dark' ? 'text-gray-400' : 'text-gray-600'}>
+                      <th className="text-left py-1">Role</th>
+                      <th className="text-right py-1">Candidates</th>
+                      <th className="text-right py-1">Time to Offer (avg / median)</th>
+                      <th className="text-right py-1">Time to Hire (avg / median)</th>
+                      <th className="text-right py-1">Hires</th>
+                    </tr>
+                  </thead>
+                  <tbody className={theme === 'dark' ? 'text-gray-300' : 'text-gray-700'}>
+                    {stageAnalytics.byRole.map(row => (
+                      <tr key={row.role}>
+                        <td className="py-1">{row.role}</td>
+                        <td className="py-1 text-right">{row.candidates}</td>
+                        <td className="py-1 text-right">{formatDays(row.timeToOffer.avg)} / {formatDays(row.timeToOffer.median)}</td>
+                        <td className="py-1 text-right">{formatDays(row.timeToHire.avg)} / {formatDays(row.timeToHire.median)}</td>
+                        <td className="py-1 text-right">{row.timeToHire.count}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+                <p className={`mt-4 text-xs ${theme === 'dark' ? 'text-gray-400' : 'text-gray-500'}`}>Computed from the stage transition history recorded on every stage change. Time in a stage is only counted once the candidate has moved on from it.</p>
+              </div>
+
+              {/* Per-requisition hiring progress */}
+              <div className={`p-6 rounded-lg shadow-md md:col-span-2 ${theme === 'dark' ? 'bg-zinc-800' : 'bg-white'}`}>
+                <h3 className={`text-lg font-semibold mb-3 ${theme === 'dark' ? 'text-white' : 'text-zinc-900'}`}>By Requisition</h3>
+                <table className="min-w-full text-sm">
+                  <thead>
+                    <tr className={theme === 'dark' ? 'text-gray-400' : 'text-gray-600'}>
+                      <th className="text-left py-1">Requisition</th>
+                      <th className="text-left py-1">Status</th>
+                      <th className="text-right py-1">Candidates</th>
+                      <th className="text-right py-1">Offers</th>
+                      <th className="text-right py-1">Hired / Headcount</th>
+                      <th className="text-right py-1">Avg Time to Hire</th>
+                    </tr>
+                  </thead>
+                  <tbody className={theme === 'dark' ? 'text-gray-300' : 'text-gray-700'}>
+                    {requisitionBreakdown.length > 0 ? requisitionBreakdown.map(row => (
+                      <tr key={row.requisition.id}>
+                        <td className="py-1">{row.requisition.title} <span className={theme === 'dark' ? 'text-gray-500' : 'text-gray-400'}>({row.requisition.location})</span></td>
+                        <td className="py-1">{row.requisition.status}</td>
+                        <td className="py-1 text-right">{row.candidates}</td>
+                        <td className="py-1 text-right">{row.offers}</td>
+                        <td className="py-1 text-right">{row.hires} / {row.requisition.headcount}</td>
+                        <td className="py-1 text-right">{formatDays(row.avgTimeToHire)}</td>
+                      </tr>
+                    )) : (
+                      <tr><td colSpan="6" className="py-2 text-center">No requisitions yet.</td></tr>
+                    )}
+                  </tbody>
+                </table>
               </div>
 
               {/* New Analytics Cards */}
@@ -1904,47 +10103,43 @@ const MainLayout = ({ user, handleLogout, db, auth, appId, userId }) => {
         return (
           <div>
             <h2 className={`text-xl font-semibold mb-4 ${theme === 'dark' ? 'text-white' : 'text-zinc-900'}`}>Payroll & Onboarding</h2>
-            <div className={`p-6 rounded-lg shadow-md ${theme === 'dark' ? 'bg-zinc-800 text-gray-300' : 'bg-white text-gray-700'}`}>
-              <p className={`mb-4 text-sm ${theme === 'dark' ? 'text-gray-300' : 'text-gray-700'}`}>Manage new hire payroll data and seamless onboarding:</p>
-              <form className="space-y-4">
-                <div>
-                  <label htmlFor="legalName" className={`block text-sm font-medium ${theme === 'dark' ? 'text-gray-400' : 'text-gray-800'}`}>Legal Name</label>
-                  <input type="text" id="legalName" className={`mt-1 block w-full p-2 rounded-md text-sm focus:ring-blue-500 focus:border-blue-500 transition-colors duration-200 ${theme === 'dark' ? 'bg-zinc-700 border-zinc-600 text-white' : 'bg-gray-100 border-gray-300 text-zinc-900'}`} placeholder="John Doe" aria-label="Legal Name" />
-                </div>
-                <div>
-                  <label htmlFor="aadhaar" className={`block text-sm font-medium ${theme === 'dark' ? 'text-gray-400' : 'text-gray-800'}`}>Aadhaar Number</label>
-                  <input type="text" id="aadhaar" className={`mt-1 block w-full p-2 rounded-md text-sm focus:ring-blue-500 focus:border-blue-500 transition-colors duration-200 ${theme === 'dark' ? 'bg-zinc-700 border-zinc-600 text-white' : 'bg-gray-100 border-gray-300 text-zinc-900'}`} placeholder="XXXX XXXX XXXX" aria-label="Aadhaar Number" />
-                </div>
-                <div>
-                  <label htmlFor="pan" className={`block text-sm font-medium ${theme === 'dark' ? 'text-gray-400' : 'text-gray-800'}`}>PAN Number</label>
-                  <input type="text" id="pan" className={`mt-1 block w-full p-2 rounded-md text-sm focus:ring-blue-500 focus:border-blue-500 transition-colors duration-200 ${theme === 'dark' ? 'bg-zinc-700 border-zinc-600 text-white' : 'bg-gray-100 border-gray-300 text-zinc-900'}`} placeholder="ABCDE1234F" aria-label="PAN Number" />
-                </div>
-                <div>
-                  <label htmlFor="startDate" className={`block text-sm font-medium ${theme === 'dark' ? 'text-gray-400' : 'text-gray-800'}`}>Start Date</label>
-                  <input type="date" id="startDate" className={`mt-1 block w-full p-2 rounded-md text-sm focus:ring-blue-500 focus:border-blue-500 transition-colors duration-200 ${theme === 'dark' ? 'bg-zinc-700 border-zinc-600 text-white' : 'bg-gray-100 border-gray-300 text-zinc-900'}`} aria-label="Start Date" />
-                </div>
-                <div>
-                  <label htmlFor="salary" className={`block text-sm font-medium ${theme === 'dark' ? 'text-gray-400' : 'text-gray-800'}`}>Agreed Salary (INR)</label>
-                  <input type="number" id="salary" className={`mt-1 block w-full p-2 rounded-md text-sm focus:ring-blue-500 focus:border-blue-500 transition-colors duration-200 ${theme === 'dark' ? 'bg-zinc-700 border-zinc-600 text-white' : 'bg-gray-100 border-gray-300 text-zinc-900'}`} placeholder="e.g., 750000" aria-label="Agreed Salary" />
-                </div>
-                <div>
-                  <label htmlFor="noticePeriod" className={`block text-sm font-medium ${theme === 'dark' ? 'text-gray-400' : 'text-gray-800'}`}>Notice Period (Days)</label>
-                  <input type="number" id="noticePeriod" className={`mt-1 block w-full p-2 rounded-md text-sm focus:ring-blue-500 focus:border-blue-500 transition-colors duration-200 ${theme === 'dark' ? 'bg-zinc-700 border-zinc-600 text-white' : 'bg-gray-100 border-gray-300 text-zinc-900'}`} placeholder="e.g., 30" aria-label="Notice Period in Days" />
-                </div>
-                <p className={`text-xs ${theme === 'dark' ? 'text-gray-400' : 'text-gray-500'}`}>All necessary payroll PII and banking details are securely captured here with compliance checks, prior to secure API push to payroll systems.</p>
-                <button type="submit" className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg text-sm transition-transform transform hover:scale-105 active:scale-95" aria-label="Initiate Payroll Handoff">
-                  Initiate Payroll Handoff
-                </button>
-              </form>
-              <p className={`mt-6 text-xs ${theme === 'dark' ? 'text-gray-400' : 'text-gray-500'}`}>
-                This module also handles onboarding checklists, document signing, and seamless integration with broader HRIS/HRMS systems.
-                It can trigger automated pre-boarding and first-day experience tasks, including welcome kits and team introductions, reducing new hire anxiety.
-              </p>
-            </div>
+            <PayrollRunPanel
+              employees={employees}
+              attendanceRegisters={attendanceRegisters}
+              payrollRuns={payrollRuns}
+              onSavePayrollRun={handleSavePayrollRun}
+              onLockPayrollRun={handleLockPayrollRun}
+            />
+            <OnboardingPanel
+              onboardingCases={onboardingCases}
+              candidates={candidates}
+              offers={offers}
+              requisitions={requisitions}
+              onCreateOnboardingCase={handleCreateOnboardingCase}
+              onToggleOnboardingTask={handleToggleOnboardingTask}
+              onUpdateOnboardingCase={handleUpdateOnboardingCase}
+              onCompleteOnboardingCase={handleCompleteOnboardingCase}
+              onCancelOnboardingCase={handleCancelOnboardingCase}
+            />
           </div>
         );
       case 'hris':
-        return <HRISPage employees={employees} />; // Use fetched employees data
+        return (
+          <HRISPage
+            employees={employees}
+            leaveRequests={leaveRequests}
+            onEmployeeClick={handleEmployeeClick}
+            onApplyLeave={handleApplyLeave}
+            onTransitionLeaveRequest={handleTransitionLeaveRequest}
+            onRunLeaveAccrual={handleRunLeaveAccrual}
+            attendanceRecords={attendanceRecords}
+            attendanceRegisters={attendanceRegisters}
+            onRecordAttendance={handleRecordAttendance}
+            onRequestRegularization={handleRequestRegularization}
+            onDecideRegularization={handleDecideRegularization}
+            onLockAttendanceRegister={handleLockAttendanceRegister}
+          />
+        );
       case 'ai-chatbot':
         return (
           <div>
@@ -1988,9 +10183,17 @@ const MainLayout = ({ user, handleLogout, db, auth, appId, userId }) => {
           </div>
         );
       case 'ctc-tax-calculator':
-        return <CTCTaxCalculator />;
+        return <CTCTaxCalculator taxRules={taxRules} candidates={candidates} salaryTemplates={salaryTemplates} />;
       case 'calendar':
-        return <CalendarView events={events} />; // Use fetched events data
+        return (
+          <CalendarView
+            events={events}
+            onSaveEvent={handleSaveEvent}
+            onDeleteEvent={handleDeleteEvent}
+            onMoveEvent={handleMoveEvent}
+            onImportEvents={handleImportEvents}
+          />
+        );
       case 'settings':
         return (
           <SettingsPage
@@ -1999,6 +10202,19 @@ const MainLayout = ({ user, handleLogout, db, auth, appId, userId }) => {
             onUpdateUserName={handleUpdateUserName}
             onUpdateUserPassword={handleUpdateUserPassword}
             handleLogout={handleLogout}
+            offerLetterTemplates={offerLetterTemplates}
+            onSaveOfferLetterTemplate={handleSaveOfferLetterTemplate}
+            onDeleteOfferLetterTemplate={handleDeleteOfferLetterTemplate}
+            scorecardTemplates={scorecardTemplates}
+            onSaveScorecardTemplate={handleSaveScorecardTemplate}
+            onDeleteScorecardTemplate={handleDeleteScorecardTemplate}
+            orgTimeZone={orgSettings?.timeZone || DEFAULT_ORG_TIMEZONE}
+            onUpdateOrgTimeZone={handleUpdateOrgTimeZone}
+            taxRules={taxRules}
+            onSaveTaxRules={handleSaveTaxRules}
+            salaryTemplates={salaryTemplates}
+            onSaveSalaryTemplate={handleSaveSalaryTemplate}
+            onDeleteSalaryTemplate={handleDeleteSalaryTemplate}
           />
         );
       default:
@@ -2007,116 +10223,119 @@ const MainLayout = ({ user, handleLogout, db, auth, appId, userId }) => {
   };
 
   return (
-    <div className={`min-h-screen flex flex-col md:flex-row font-inter ${theme === 'dark' ? 'bg-zinc-900' : 'bg-gray-50'}`}>
-      {/* Mobile Navigation Toggle Button */}
-      {isMobileView && (
-        <button
-          className={`md:hidden p-4 flex items-center justify-between shadow-md transition-colors duration-200 ${theme === 'dark' ? 'bg-zinc-800 text-white' : 'bg-white text-zinc-900'}`}
-          onClick={() => setIsMobileNavOpen(!isMobileNavOpen)}
-          aria-expanded={isMobileNavOpen}
-          aria-controls="mobile-nav"
-          aria-label="Toggle navigation menu"
-        >
-          <span className="font-bold text-base">Sapphire HR Menu</span>
-          <svg
-            className="w-6 h-6"
-            fill="none"
-            stroke="currentColor"
-            viewBox="0 0 24 24"
-            xmlns="http://www.w3.org/2000/svg"
+    <TimeZoneProvider orgTimeZone={orgSettings?.timeZone}>
+      <div className={`min-h-screen flex flex-col md:flex-row font-inter ${theme === 'dark' ? 'bg-zinc-900' : 'bg-gray-50'}`}>
+        {/* Mobile Navigation Toggle Button */}
+        {isMobileView && (
+          <button
+            className={`md:hidden p-4 flex items-center justify-between shadow-md transition-colors duration-200 ${theme === 'dark' ? 'bg-zinc-800 text-white' : 'bg-white text-zinc-900'}`}
+            onClick={() => setIsMobileNavOpen(!isMobileNavOpen)}
+            aria-expanded={isMobileNavOpen}
+            aria-controls="mobile-nav"
+            aria-label="Toggle navigation menu"
           >
-            {isMobileNavOpen ? (
-              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M6 18L18 6M6 6l12 12" />
-            ) : (
-              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M4 6h16M4 12h16M4 18h16" />
-            )}
-          </svg>
-        </button>
-      )}
-
-      {/* Sidebar Navigation */}
-      <nav
-        id="mobile-nav"
-        className={`fixed inset-y-0 left-0 w-64 p-6 shadow-xl z-20 md:relative md:translate-x-0 transition-transform duration-300 ease-in-out ${
-          theme === 'dark' ? 'bg-zinc-800 text-white' : 'bg-blue-800 text-white'
-        } ${
-          isMobileView ? (isMobileNavOpen ? 'translate-x-0' : '-translate-x-full') : 'translate-x-0'
-        }`}
-        aria-label="Main navigation"
-      >
-        <div className="text-2xl font-extrabold mb-8 text-blue-400">Sapphire HR</div>
-        <ul className="space-y-4">
-          <li><NavItem icon={Home} text="Dashboard" isActive={activeTab === 'dashboard'} onClick={() => { setActiveTab('dashboard'); setIsMobileNavOpen(false); }} /></li>
-          <li><NavItem icon={Users} text="Candidates" isActive={activeTab === 'candidates'} onClick={() => { setActiveTab('candidates'); setIsMobileNavOpen(false); }} /></li>
-          <li><NavItem icon={FileText} text="Offers" isActive={activeTab === 'offers'} onClick={() => { setActiveTab('offers'); setIsMobileNavOpen(false); }} /></li>
-          <li><NavItem icon={TrendingUp} text="Analytics" isActive={activeTab === 'analytics'} onClick={() => { setActiveTab('analytics'); setIsMobileNavOpen(false); }} /></li>
-          <li><NavItem icon={Server} text="HRIS" isActive={activeTab === 'hris'} onClick={() => { setActiveTab('hris'); setIsMobileNavOpen(false); }} /></li>
-          <li><NavItem icon={CreditCard} text="Payroll & Onboarding" isActive={activeTab === 'payroll-onboarding'} onClick={() => { setActiveTab('payroll-onboarding'); setIsMobileNavOpen(false); }} /></li>
-          <li><NavItem icon={Calculator} text="CTC & Tax Calculator" isActive={activeTab === 'ctc-tax-calculator'} onClick={() => { setActiveTab('ctc-tax-calculator'); setIsMobileNavOpen(false); }} /></li>
-          <li><NavItem icon={CalendarIcon} text="Calendar" isActive={activeTab === 'calendar'} onClick={() => { setActiveTab('calendar'); setIsMobileNavOpen(false); }} /></li>
-          <li><NavItem icon={MessageSquare} text="AI Chatbot" isActive={activeTab === 'ai-chatbot'} onClick={() => { setActiveTab('ai-chatbot'); setIsMobileNavOpen(false); }} /></li>
-          <li><NavItem icon={Settings} text="Settings" isActive={activeTab === 'settings'} onClick={() => { setActiveTab('settings'); setIsMobileNavOpen(false); }} /></li>
-        </ul>
-      </nav>
-
-      {/* Main Content Area */}
-      <main className={`flex-1 p-4 md:p-8 overflow-y-auto ${theme === 'dark' ? 'bg-zinc-900' : 'bg-gray-50'}`}>
-        {/* Overlay for mobile nav when open */}
-        {isMobileView && isMobileNavOpen && (
-          <div
-            className="fixed inset-0 bg-black bg-opacity-50 z-10"
-            onClick={() => setIsMobileNavOpen(false)}
-            role="presentation"
-          ></div>
+            <span className="font-bold text-base">Sapphire HR Menu</span>
+            <svg
+              className="w-6 h-6"
+              fill="none"
+              stroke="currentColor"
+              viewBox="0 0 24 24"
+              xmlns="http://www.w3.org/2000/svg"
+            >
+              {isMobileNavOpen ? (
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M6 18L18 6M6 6l12 12" />
+              ) : (
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M4 6h16M4 12h16M4 18h16" />
+              )}
+            </svg>
+          </button>
         )}
 
-        {/* Header for main content */}
-        <header className={`mb-8 p-4 rounded-xl shadow-md flex items-center justify-between ${theme === 'dark' ? 'bg-zinc-800' : 'bg-white'}`}>
-          <h1 className={`text-2xl font-bold ${theme === 'dark' ? 'text-white' : 'text-zinc-900'}`}>
-            {activeTab.charAt(0).toUpperCase() + activeTab.slice(1).replace(/-/g, ' ')} Overview
-          </h1>
-          {/* User profile / notifications / Theme Toggle / Unified Search */}
-          <div className="flex items-center space-x-4">
-             {/* Unified Search Bar */}
-            <div className={`relative ${isMobileView ? 'hidden md:block' : ''}`}>
-              <Search size={18} className={`absolute left-3 top-1/2 -translate-y-1/2 ${theme === 'dark' ? 'text-gray-400' : 'text-gray-600'}`} />
-              <input
-                type="text"
-                placeholder="Search across ATS..."
-                className={`w-40 md:w-60 p-2 pl-10 rounded-md text-sm focus:ring-blue-500 focus:border-blue-500 transition-colors duration-200 ${theme === 'dark' ? 'bg-zinc-700 border-zinc-600 text-white' : 'bg-gray-100 border-gray-300 text-zinc-900'}`}
-                aria-label="Search across ATS"
-              />
-            </div>
-            {/* Theme Toggle */}
-            <button
-              onClick={toggleTheme}
-              className={`p-2 rounded-full transition-colors duration-200 ${theme === 'dark' ? 'bg-zinc-700 hover:bg-zinc-600 text-white' : 'bg-gray-100 hover:bg-gray-200 text-zinc-900'}`}
-              aria-label={theme === 'dark' ? 'Switch to Light Mode' : 'Switch to Dark Mode'}
-            >
-              {theme === 'dark' ? <Sun size={20} /> : <Moon size={20} />}
-            </button>
-            <div className={`flex flex-col items-end text-xs truncate max-w-[120px] md:max-w-none ${theme === 'dark' ? 'text-gray-300' : 'text-gray-700'}`}>
-              <span>Hello, {currentUserDisplayName.split(' ')[0]}!</span>
-              <span className={`font-semibold ${theme === 'dark' ? 'text-blue-400' : 'text-blue-700'}`}>({currentUserRole})</span>
-              {user?.uid && <span className={`text-gray-500 text-[10px]`}>ID: {user.uid}</span>} {/* Display userId */}
+        {/* Sidebar Navigation */}
+        <nav
+          id="mobile-nav"
+          className={`fixed inset-y-0 left-0 w-64 p-6 shadow-xl z-20 md:relative md:translate-x-0 transition-transform duration-300 ease-in-out ${
+            theme === 'dark' ? 'bg-zinc-800 text-white' : 'bg-blue-800 text-white'
+          } ${
+            isMobileView ? (isMobileNavOpen ? 'translate-x-0' : '-translate-x-full') : 'translate-x-0'
+          }`}
+          aria-label="Main navigation"
+        >
+          <div className="text-2xl font-extrabold mb-8 text-blue-400">Sapphire HR</div>
+          <ul className="space-y-4">
+            <li><NavItem icon={Home} text="Dashboard" isActive={activeTab === 'dashboard'} onClick={() => { setActiveTab('dashboard'); setIsMobileNavOpen(false); }} /></li>
+            <li><NavItem icon={ClipboardList} text="Requisitions" isActive={activeTab === 'requisitions'} onClick={() => { setActiveTab('requisitions'); setIsMobileNavOpen(false); }} /></li>
+            <li><NavItem icon={Users} text="Candidates" isActive={activeTab === 'candidates'} onClick={() => { setActiveTab('candidates'); setIsMobileNavOpen(false); }} /></li>
+            <li><NavItem icon={FileText} text="Offers" isActive={activeTab === 'offers'} onClick={() => { setActiveTab('offers'); setIsMobileNavOpen(false); }} /></li>
+            <li><NavItem icon={TrendingUp} text="Analytics" isActive={activeTab === 'analytics'} onClick={() => { setActiveTab('analytics'); setIsMobileNavOpen(false); }} /></li>
+            <li><NavItem icon={Server} text="HRIS" isActive={activeTab === 'hris'} onClick={() => { setActiveTab('hris'); setIsMobileNavOpen(false); }} /></li>
+            <li><NavItem icon={CreditCard} text="Payroll & Onboarding" isActive={activeTab === 'payroll-onboarding'} onClick={() => { setActiveTab('payroll-onboarding'); setIsMobileNavOpen(false); }} /></li>
+            <li><NavItem icon={Calculator} text="CTC & Tax Calculator" isActive={activeTab === 'ctc-tax-calculator'} onClick={() => { setActiveTab('ctc-tax-calculator'); setIsMobileNavOpen(false); }} /></li>
+            <li><NavItem icon={CalendarIcon} text="Calendar" isActive={activeTab === 'calendar'} onClick={() => { setActiveTab('calendar'); setIsMobileNavOpen(false); }} /></li>
+            <li><NavItem icon={MessageSquare} text="AI Chatbot" isActive={activeTab === 'ai-chatbot'} onClick={() => { setActiveTab('ai-chatbot'); setIsMobileNavOpen(false); }} /></li>
+            <li><NavItem icon={Settings} text="Settings" isActive={activeTab === 'settings'} onClick={() => { setActiveTab('settings'); setIsMobileNavOpen(false); }} /></li>
+          </ul>
+        </nav>
+
+        {/* Main Content Area */}
+        <main className={`flex-1 p-4 md:p-8 overflow-y-auto ${theme === 'dark' ? 'bg-zinc-900' : 'bg-gray-50'}`}>
+          {/* Overlay for mobile nav when open */}
+          {isMobileView && isMobileNavOpen && (
+            <div
+              className="fixed inset-0 bg-black bg-opacity-50 z-10"
+              onClick={() => setIsMobileNavOpen(false)}
+              role="presentation"
+            ></div>
+          )}
+
+          {/* Header for main content */}
+          <header className={`mb-8 p-4 rounded-xl shadow-md flex items-center justify-between ${theme === 'dark' ? 'bg-zinc-800' : 'bg-white'}`}>
+            <h1 className={`text-2xl font-bold ${theme === 'dark' ? 'text-white' : 'text-zinc-900'}`}>
+              {activeTab.charAt(0).toUpperCase() + activeTab.slice(1).replace(/-/g, ' ')} Overview
+            </h1>
+            {/* User profile / notifications / Theme Toggle / Unified Search */}
+            <div className="flex items-center space-x-4">
+               {/* Unified Search Bar */}
+              <div className={`relative ${isMobileView ? 'hidden md:block' : ''}`}>
+                <Search size={18} className={`absolute left-3 top-1/2 -translate-y-1/2 ${theme === 'dark' ? 'text-gray-400' : 'text-gray-600'}`} />
+                <input
+                  type="text"
+                  placeholder="Search across ATS..."
+                  className={`w-40 md:w-60 p-2 pl-10 rounded-md text-sm focus:ring-blue-500 focus:border-blue-500 transition-colors duration-200 ${theme === 'dark' ? 'bg-zinc-700 border-zinc-600 text-white' : 'bg-gray-100 border-gray-300 text-zinc-900'}`}
+                  aria-label="Search across ATS"
+                />
+              </div>
+              {/* Theme Toggle */}
+              <button
+                onClick={toggleTheme}
+                className={`p-2 rounded-full transition-colors duration-200 ${theme === 'dark' ? 'bg-zinc-700 hover:bg-zinc-600 text-white' : 'bg-gray-100 hover:bg-gray-200 text-zinc-900'}`}
+                aria-label={theme === 'dark' ? 'Switch to Light Mode' : 'Switch to Dark Mode'}
+              >
+                {theme === 'dark' ? <Sun size={20} /> : <Moon size={20} />}
+              </button>
+              <div className={`flex flex-col items-end text-xs truncate max-w-[120px] md:max-w-none ${theme === 'dark' ? 'text-gray-300' : 'text-gray-700'}`}>
+                <span>Hello, {currentUserDisplayName.split(' ')[0]}!</span>
+                <span className={`font-semibold ${theme === 'dark' ? 'text-blue-400' : 'text-blue-700'}`}>({currentUserRole})</span>
+                {user?.uid && <span className={`text-gray-500 text-[10px]`}>ID: {user.uid}</span>} {/* Display userId */}
+              </div>
+              <button onClick={handleLogout} className="text-red-400 hover:text-red-300 flex items-center space-x-2 text-sm transition-transform transform hover:scale-105 active:scale-95" aria-label="Logout">
+                <LogOut size={20} /> <span className="hidden sm:inline">Logout</span>
+              </button>
             </div>
-            <button onClick={handleLogout} className="text-red-400 hover:text-red-300 flex items-center space-x-2 text-sm transition-transform transform hover:scale-105 active:scale-95" aria-label="Logout">
-              <LogOut size={20} /> <span className="hidden sm:inline">Logout</span>
-            </button>
-          </div>
-        </header>
+          </header>
 
-        {/* Dynamic content rendering */}
-        <div className={`p-6 rounded-xl shadow-2xl border ${theme === 'dark' ? 'bg-zinc-800 border-zinc-700' : 'bg-white border-gray-200'}`}>
-          {renderContent()}
-        </div>
+          {/* Dynamic content rendering */}
+          <div className={`p-6 rounded-xl shadow-2xl border ${theme === 'dark' ? 'bg-zinc-800 border-zinc-700' : 'bg-white border-gray-200'}`}>
+            {renderContent()}
+          </div>
 
-        {/* Footer (simple for demonstration) */}
-        <footer className={`text-center text-xs mt-8 p-4 ${theme === 'dark' ? 'text-gray-500' : 'text-gray-600'}`}>
-          Sapphire HR © 2025. All rights reserved.
-        </footer>
-      </main>
-    </div>
+          {/* Footer (simple for demonstration) */}
+          <footer className={`text-center text-xs mt-8 p-4 ${theme === 'dark' ? 'text-gray-500' : 'text-gray-600'}`}>
+            Sapphire HR © 2025. All rights reserved.
+          </footer>
+        </main>
+      </div>
+    </TimeZoneProvider>
   );
 };
 